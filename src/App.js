@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useMemo } from 'react';
 import { motion } from 'framer-motion';
 import CodeEditor from './CodeEditor';
 import CompilerAnimation from './CompilerAnimation';
@@ -7,6 +7,18 @@ import ParserTreeGraph from './ParserTreeGraph';
 import { TokenViewer, StageTimeline, LanguageSelector, CompilerWorkers } from './EnhancedComponents';
 import PythonLab from './PythonLab';
 import Gallery from './Gallery';
+import GrammarPlayground from './GrammarPlayground';
+import PrecedenceExplorer from './PrecedenceExplorer';
+import SymbolTablePanel from './SymbolTablePanel';
+import CodeDoctorPanel from './CodeDoctorPanel';
+import ControlFlowPanel from './ControlFlowPanel';
+import SSAPanel from './SSAPanel';
+import LanguageDesigner, { EXAMPLE_LANGUAGE } from './LanguageDesigner';
+import { useCodeAnalysis } from './language/useCodeAnalysis';
+import { parseLanguageDefinition } from './lexer';
+import { languageTables } from './lexer/languages';
+import { saveSnippet, loadSnippet } from './services/snippets';
+import { useToasts } from './components/Toasts';
 
 
 /**
@@ -30,12 +42,17 @@ function App() {
   const [activePanel, setActivePanel] = useState(() => {
     const params = new URLSearchParams(window.location.search);
     return (params.get('tab') || localStorage.getItem('activePanel') || 'compiler');
-  }); // compiler, tokens, parsetree, workers, output, pythonlab
+  }); // compiler, tokens, parsetree, symbols, codedoctor, controlflow, ssa (advanced), grammar, precedence, workers, output, pythonlab, gallery
   const [currentStage, setCurrentStage] = useState(0);
+  // Index of the stage the last compilation stopped at because of errors
+  const [failedStage, setFailedStage] = useState(null);
 
 
   // Parse tree selected node
   const [selectedNode, setSelectedNode] = useState(null);
+  // Tree a shift-reduce walkthrough built ({ tree, kind, code }), shown in the
+  // Parse Tree tab for as long as the code is the code it was built from
+  const [lrTree, setLrTree] = useState(null);
   
   // Reset selection when code is cleared
   useEffect(() => {
@@ -44,6 +61,44 @@ function App() {
     }
   }, [code]);
 
+  // User-defined language (JSON) from the Language Designer panel
+  const [definitionText, setDefinitionText] = useState(() => {
+    try { return localStorage.getItem('languageDefinition') || ''; } catch (_) { return ''; }
+  });
+  const [definitionEnabled, setDefinitionEnabled] = useState(() => {
+    try { return localStorage.getItem('languageDefinitionEnabled') === 'true'; } catch (_) { return false; }
+  });
+  const parsedDefinition = useMemo(
+    () => (definitionText.trim() ? parseLanguageDefinition(definitionText) : { definition: null, errors: [] }),
+    [definitionText]
+  );
+  const activeDefinition = definitionEnabled ? parsedDefinition.definition : null;
+  const lexLanguage = activeDefinition ? 'custom' : selectedLanguage;
+
+  useEffect(() => {
+    try {
+      localStorage.setItem('languageDefinition', definitionText);
+      localStorage.setItem('languageDefinitionEnabled', String(definitionEnabled));
+    } catch (_) {}
+  }, [definitionText, definitionEnabled]);
+
+  // Tokens, problems (shown as editor markers) and parse tree, computed in a worker
+  const analysis = useCodeAnalysis(code, lexLanguage, { definition: activeDefinition });
+  const toasts = useToasts();
+  const { push } = toasts || { push: () => {} };
+
+  // Lexical and syntax problems together as editor markers; a spot the lexer
+  // already complained about doesn't get a second marker from the parser
+  const editorDiagnostics = useMemo(() => {
+    const lexical = analysis.diagnostics || [];
+    const flagged = new Set(lexical.map((d) => d.start));
+    return lexical
+      .concat((analysis.syntaxErrors || []).filter((d) => !flagged.has(d.start)))
+      .concat(analysis.typeWarnings || [])
+      .concat(analysis.lint || [])
+      .concat(analysis.dataflow ? analysis.dataflow.deadStores : []);
+  }, [analysis.diagnostics, analysis.syntaxErrors, analysis.typeWarnings, analysis.lint, analysis.dataflow]);
+
   // Compilation stages for educational display
   const compilationStages = [
     'Source Code',
@@ -114,6 +169,7 @@ int main() {
     if (compilationComplete) {
       setCompilationComplete(false);
     }
+    setFailedStage(null);
   }, [compilationComplete]);
 
   const handleCompile = () => {
@@ -124,12 +180,33 @@ int main() {
     
     setIsCompiling(true);
     setCompilationComplete(false);
+    setFailedStage(null);
     setCurrentStage(0);
+
+    const stepDelay = window.matchMedia && window.matchMedia('(max-width: 768px)').matches ? 2000 : 1500;
+    // Syntax errors stop the pipeline at Syntax Analysis, so the program never
+    // runs; code the parser doesn't support yet is only skipped
+    const syntaxErrors = (analysis.syntaxErrors || []).filter((d) => d.severity === 'error');
+    const stopAt = syntaxErrors.length ? compilationStages.indexOf('Syntax Analysis') : -1;
+    if (stopAt >= 0) {
+      const count = syntaxErrors.length;
+      setTimeout(() => push({
+        type: 'error',
+        message: `Syntax Analysis failed: ${count} ${count === 1 ? 'error' : 'errors'}. Fix the red squiggles and compile again.`,
+        ttl: 5000,
+      }), stepDelay * stopAt);
+    }
     
     // Simulate compilation stages
     const stageInterval = setInterval(() => {
       setCurrentStage(prevStage => {
         const nextStage = prevStage + 1;
+        if (nextStage === stopAt) {
+          clearInterval(stageInterval);
+          setIsCompiling(false);
+          setFailedStage(nextStage);
+          return nextStage;
+        }
         if (nextStage >= compilationStages.length - 1) {
           clearInterval(stageInterval);
           setIsCompiling(false);
@@ -138,7 +215,7 @@ int main() {
         }
         return nextStage;
       });
-    }, window.matchMedia && window.matchMedia('(max-width: 768px)').matches ? 2000 : 1500);
+    }, stepDelay);
   };
 
   const handleCompilationComplete = () => {
@@ -150,6 +227,7 @@ int main() {
   const handleReset = () => {
     setIsCompiling(false);
     setCompilationComplete(false);
+    setFailedStage(null);
     setCurrentStage(0);
   };
 
@@ -157,7 +235,8 @@ int main() {
   useEffect(() => {
     const allowed = viewMode === 'simplified'
       ? ['compiler', 'output']
-      : ['compiler', 'tokens', 'parsetree', 'workers', 'output', 'pythonlab', 'gallery'];
+      : ['compiler', 'tokens', 'parsetree', 'symbols', 'codedoctor', 'controlflow', 'grammar', 'precedence', 'workers', 'output', 'pythonlab', 'gallery']
+        .concat(viewMode === 'advanced' ? ['ssa'] : []);
     if (!allowed.includes(activePanel)) {
       setActivePanel('compiler');
     }
@@ -189,6 +268,43 @@ int main() {
     setCode(codeTemplates[selectedLanguage] || '');
   };
 
+  const loadExampleLanguage = () => {
+    setDefinitionText(EXAMPLE_LANGUAGE.definition);
+    setDefinitionEnabled(true);
+    if (!code.trim() || window.confirm('Load sample code for the example language? This will replace your current code.')) {
+      handleCodeChange(EXAMPLE_LANGUAGE.code);
+    }
+  };
+
+  // Save the code together with the language definition; the link reopens the Tokens tab
+  const saveWithDefinition = async () => {
+    try {
+      const { id } = await saveSnippet({ code, language: selectedLanguage, meta: { languageDefinition: definitionText } });
+      const url = `${window.location.origin}?snippet=${id}&tab=tokens`;
+      await navigator.clipboard.writeText(url);
+      push({ type: 'success', message: 'Snippet saved with your language and link copied!' });
+    } catch (e) {
+      push({ type: 'error', message: 'Failed to save snippet' });
+    }
+  };
+
+  // Auto-load a snippet saved with its language definition by URL param;
+  // any other snippet is a Python Lab one, which Python Lab loads itself
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const id = params.get('snippet');
+    if (!id) return;
+    loadSnippet(id).then((snip) => {
+      if (!snip?.meta?.languageDefinition) return;
+      if (typeof snip.code === 'string') setCode(snip.code);
+      if (snip.language && languageTables[snip.language]) setSelectedLanguage(snip.language);
+      setDefinitionText(snip.meta.languageDefinition);
+      setDefinitionEnabled(true);
+    }).catch(() => {
+      push({ type: 'error', message: 'Snippet not found' });
+    });
+  }, [push]);
+
   return (
     <div className="min-h-screen bg-gray-900 text-white flex flex-col">
       {/* Header */}
@@ -236,6 +352,9 @@ int main() {
             onChange={handleCodeChange}
             isCompiling={isCompiling}
             language={selectedLanguage}
+            diagnostics={editorDiagnostics}
+            symbols={analysis.symbols}
+            dataflow={analysis.dataflow}
           />
         </div>
 
@@ -251,6 +370,7 @@ int main() {
                   console.log('Stage clicked:', compilationStages[stageIndex]);
                 }}
                 isPlaying={isCompiling}
+                failedStage={failedStage}
               />
             </div>
           )}
@@ -324,7 +444,7 @@ int main() {
               <nav className="flex space-x-2 md:space-x-4 overflow-x-auto no-scrollbar">
                 {(viewMode === 'simplified' 
                   ? ['Compiler', 'Output'] 
-                  : ['Compiler', 'Tokens', 'Parse Tree', 'Workers', 'Output']
+                  : ['Compiler', 'Tokens', 'Parse Tree', 'Symbols', 'Code Doctor', 'Control Flow', ...(viewMode === 'advanced' ? ['SSA'] : []), 'Grammar', 'Precedence', 'Workers', 'Output']
                 ).concat(['Python Lab', 'Gallery']).map((tab) => (
                   <button
                     key={tab}
@@ -348,11 +468,22 @@ int main() {
                 <div className="h-full">
                   <CompilerAnimation
                     code={code}
-                    language={selectedLanguage}
+                    language={lexLanguage}
+                    definition={activeDefinition}
+                    tokens={analysis.tokens}
+                    syntaxErrors={analysis.syntaxErrors}
+                    symbols={analysis.symbols}
+                    typeWarnings={analysis.typeWarnings}
+                    dataflow={analysis.dataflow}
+                    optimized={analysis.optimized}
                     isCompiling={isCompiling}
                     onCompilationComplete={handleCompilationComplete}
                     viewMode={viewMode}
                     controls={true}
+                    onShowParseTree={(built) => {
+                      setLrTree({ ...built, code });
+                      setActivePanel('parsetree');
+                    }}
                     onControl={(action) => {
                       // bridge simple controls into stage cycling / compile flow
                       if (action === 'restart') {
@@ -369,12 +500,28 @@ int main() {
               )}
 
               {activePanel === 'tokens' && (
-                <div className="h-full">
-                  <TokenViewer
-                    code={code}
-                    language={selectedLanguage}
-                    isRealTime={true}
-                  />
+                <div className="h-full grid grid-cols-1 xl:grid-cols-5 gap-4">
+                  <div className="xl:col-span-3">
+                    <TokenViewer
+                      code={code}
+                      language={lexLanguage}
+                      definition={activeDefinition}
+                      analysis={analysis}
+                      isRealTime={true}
+                    />
+                  </div>
+                  <div className="xl:col-span-2">
+                    <LanguageDesigner
+                      text={definitionText}
+                      onTextChange={setDefinitionText}
+                      enabled={definitionEnabled && !!parsedDefinition.definition}
+                      onToggle={setDefinitionEnabled}
+                      definition={parsedDefinition.definition}
+                      errors={parsedDefinition.errors}
+                      onLoadExample={loadExampleLanguage}
+                      onSave={saveWithDefinition}
+                    />
+                  </div>
                 </div>
               )}
 
@@ -383,12 +530,54 @@ int main() {
         <div className="h-full">
           <ParserTreeGraph
             code={code}
+            language={lexLanguage}
+            tree={analysis.tree}
+            ast={analysis.ast}
+            syntaxErrors={analysis.syntaxErrors}
             onNodeClick={setSelectedNode}
             selectedNode={selectedNode}
+            lrTree={lrTree && lrTree.code === code ? lrTree : null}
+            onCloseLRTree={() => setLrTree(null)}
           />
         </div>
       )}
 
+      {activePanel === 'symbols' && (
+        <div className="h-full">
+          <SymbolTablePanel table={analysis.symbols} />
+        </div>
+      )}
+
+      {activePanel === 'codedoctor' && (
+        <div className="h-full">
+          <CodeDoctorPanel findings={analysis.lint} language={lexLanguage} syntaxErrors={analysis.syntaxErrors || []} />
+        </div>
+      )}
+
+      {activePanel === 'controlflow' && (
+        <div className="h-full">
+          <ControlFlowPanel flow={analysis.flow} code={code} language={lexLanguage} pending={analysis.pending} />
+        </div>
+      )}
+
+      {activePanel === 'ssa' && (
+        <div className="h-full">
+          <SSAPanel flow={analysis.flow} dataflow={analysis.dataflow} ssa={analysis.ssa} code={code} />
+        </div>
+      )}
+
+      {activePanel === 'grammar' && (
+        <div className="h-full">
+          <GrammarPlayground />
+        </div>
+      )}
+
+      {activePanel === 'precedence' && (
+        <div className="h-full">
+          <PrecedenceExplorer code={code} />
+        </div>
+      )}
+
       {activePanel === 'pythonlab' && (
         <div className="h-full">
           <PythonLab />
@@ -440,6 +629,7 @@ int main() {
               console.log('Stage clicked:', compilationStages[stageIndex]);
             }}
       isPlaying={isCompiling}
+            failedStage={failedStage}
           />
         </div>
       )}
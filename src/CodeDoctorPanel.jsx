@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { useSourceSelection } from './components/SourceSelection';
+import { LINT_CHECKS } from './semantic';
+
+/**
+ * Code Doctor - the beginner linter's findings
+ * Groups what the lint pass found (undeclared and unused names, shadowing,
+ * unreachable code, = in conditions, ...) by check, most serious first
+ * within each group. Clicking a finding selects its code in the editor, and
+ * the finding under the editor's cursor is highlighted. Tips (unused and
+ * shadowed names) can be hidden to focus on what will actually go wrong.
+ */
+
+const SEVERITY_STYLES = {
+  error: { label: 'Problem', badge: 'bg-red-600', border: 'border-red-500' },
+  warning: { label: 'Warning', badge: 'bg-yellow-600', border: 'border-yellow-500' },
+  info: { label: 'Tip', badge: 'bg-blue-600', border: 'border-blue-500' },
+};
+const SEVERITY_ORDER = ['error', 'warning', 'info'];
+
+const CodeDoctorPanel = ({ findings, language, syntaxErrors = [] }) => {
+  const { selection, select } = useSourceSelection();
+  const [showTips, setShowTips] = useState(true);
+
+  if (!findings || (language !== 'javascript' && language !== 'python')) {
+    return (
+      <div className="bg-gray-800 rounded-lg p-4 text-gray-400 text-sm">
+        The Code Doctor checks JavaScript and Python code.
+      </div>
+    );
+  }
+  if (syntaxErrors.length) {
+    return (
+      <div className="bg-gray-800 rounded-lg p-4 text-gray-400 text-sm">
+        Fix the syntax errors first: the parser left some of your code out, so the Code Doctor can't check it yet.
+      </div>
+    );
+  }
+
+  const counts = SEVERITY_ORDER.map((severity) => findings.filter((finding) => finding.severity === severity).length);
+  const shown = findings.filter((finding) => showTips || finding.severity !== 'info');
+  const groups = Object.keys(LINT_CHECKS)
+    .map((code) => ({
+      code,
+      items: shown
+        .filter((finding) => finding.code === code)
+        .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) || a.start - b.start),
+    }))
+    .filter((group) => group.items.length);
+  const caret = selection && selection.origin === 'editor' ? selection.start : null;
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="text-white font-bold text-lg">🩺 Code Doctor</h3>
+        <div className="flex items-center gap-2 text-xs">
+          {SEVERITY_ORDER.map((severity, index) => (
+            <span key={severity} className={`px-2 py-0.5 rounded text-white ${counts[index] ? SEVERITY_STYLES[severity].badge : 'bg-gray-700'}`}>
+              {counts[index]} {SEVERITY_STYLES[severity].label.toLowerCase()}{counts[index] === 1 ? '' : 's'}
+            </span>
+          ))}
+          <label className="flex items-center gap-1 text-gray-300 ml-2">
+            <input type="checkbox" checked={showTips} onChange={(event) => setShowTips(event.target.checked)} />
+            Show tips
+          </label>
+        </div>
+      </div>
+
+      {!findings.length && (
+        <div className="bg-green-900 bg-opacity-40 border border-green-700 rounded p-3 text-sm text-green-100">
+          🎉 Clean bill of health: no undeclared, unused or shadowed names, no unreachable code.
+        </div>
+      )}
+      {findings.length > 0 && !groups.length && (
+        <div className="text-sm text-gray-400">Only tips left, and they are hidden.</div>
+      )}
+
+      {groups.map(({ code, items }) => (
+        <div key={code} className="space-y-1">
+          <div className="text-sm font-semibold text-gray-200">
+            {LINT_CHECKS[code].icon} {LINT_CHECKS[code].title} ({items.length})
+          </div>
+          {items.map((finding) => {
+            const style = SEVERITY_STYLES[finding.severity] || SEVERITY_STYLES.error;
+            const active = caret != null && caret >= finding.start && caret <= finding.end;
+            return (
+              <motion.button
+                key={`${finding.start}-${finding.code}`}
+                layout
+                onClick={() => select({ start: finding.start, end: finding.end }, 'doctor')}
+                className={`w-full p-2 rounded border-l-4 ${style.border} text-left text-sm ${active ? 'bg-gray-600' : 'bg-gray-900 bg-opacity-60 hover:bg-gray-700'}`}
+                title="Show in the editor"
+              >
+                <span className="flex items-center gap-2">
+                  <span className={`px-1.5 rounded text-xs text-white ${style.badge}`}>{style.label}</span>
+                  <span className="text-xs text-gray-400">line {finding.line}</span>
+                </span>
+                <span className="block text-gray-100 mt-1">{finding.message}</span>
+                {finding.hint && <span className="block text-xs text-gray-400 mt-1">💡 {finding.hint}</span>}
+              </motion.button>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default CodeDoctorPanel;
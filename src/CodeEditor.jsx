@@ -1,8 +1,28 @@
-import React, { useRef, useEffect } from 'react';
+import React, { useRef, useEffect, useState } from 'react';
 import Editor from '@monaco-editor/react';
+import { useSourceSelection } from './components/SourceSelection';
+import { DefUseArrows, LiveVariablesGutter } from './components/DataFlowOverlay';
+import { occurrenceAt } from './semantic';
+import { variableUseAt } from './flow';
 
-const CodeEditor = ({ code, onChange, isCompiling, language = 'javascript' }) => {
+const MARKER_OWNER = 'compiler-classroom';
+const LINE_HEIGHT = 24; // More spacing for readability
+
+const CodeEditor = ({ code, onChange, isCompiling, language = 'javascript', diagnostics = [], symbols = null, dataflow = null }) => {
   const editorRef = useRef(null);
+  const monacoRef = useRef(null);
+  const decorationsRef = useRef([]);
+  const dataflowDecorationsRef = useRef([]);
+  const dataflowRef = useRef(dataflow);
+  const [editorReady, setEditorReady] = useState(false);
+  // The variable use under the mouse; the overlays are redrawn whenever the view scrolls
+  const [hoveredUse, setHoveredUse] = useState(null);
+  const [, setViewTick] = useState(0);
+  const [showLive, setShowLive] = useState(true);
+  const { selection, select } = useSourceSelection();
+
+  dataflowRef.current = dataflow;
+  useEffect(() => setHoveredUse(null), [dataflow]);
 
   useEffect(() => {
     if (editorRef.current) {
@@ -16,13 +36,140 @@ const CodeEditor = ({ code, onChange, isCompiling, language = 'javascript' }) =>
         renderLineHighlight: 'gutter',
         automaticLayout: true,
         fontSize: 16, // Larger font for kids
-        lineHeight: 24, // More spacing
+        lineHeight: LINE_HEIGHT,
       });
     }
   }, []);
 
+  // Highlight ranges picked in other panels (token chips, tree nodes, symbols).
+  // With the cursor on a name, highlight the declaration it resolves to and its other uses.
+  useEffect(() => {
+    const editor = editorRef.current;
+    const monaco = monacoRef.current;
+    if (!editorReady || !editor || !monaco) return;
+    const model = editor.getModel();
+    if (!model) return;
+    const toRange = ({ start, end }) => {
+      const from = model.getPositionAt(start);
+      const to = model.getPositionAt(Math.max(end, start + 1));
+      return new monaco.Range(from.lineNumber, from.column, to.lineNumber, to.column);
+    };
+    if (!selection) {
+      decorationsRef.current = editor.deltaDecorations(decorationsRef.current, []);
+      return;
+    }
+    if (selection.origin === 'editor') {
+      const occurrence = occurrenceAt(symbols, selection.start);
+      const decorations = [];
+      if (occurrence && occurrence.symbol) {
+        const { symbol } = occurrence;
+        const scope = symbols.scopes[symbol.scope];
+        const where = symbol.declaration ? `declared on line ${symbol.declaration.line}` : 'provided by the language';
+        const hoverMessage = { value: `**${symbol.name}**: ${symbol.kind} in the ${scope.kind} scope \`${scope.name}\`, ${where}` };
+        if (symbol.declaration) {
+          decorations.push({ range: toRange(symbol.declaration), options: { className: 'symbol-declaration-highlight', hoverMessage } });
+        }
+        symbol.references.forEach((reference) => decorations.push({
+          range: toRange(reference),
+          options: { className: reference.write ? 'symbol-write-highlight' : 'symbol-reference-highlight', hoverMessage },
+        }));
+      } else if (occurrence) {
+        decorations.push({
+          range: toRange(occurrence.range),
+          options: { className: 'symbol-unresolved-highlight', hoverMessage: { value: `**${occurrence.range.name}** is not declared in any scope` } },
+        });
+      }
+      decorationsRef.current = editor.deltaDecorations(decorationsRef.current, decorations);
+      return;
+    }
+    const range = toRange(selection);
+    decorationsRef.current = editor.deltaDecorations(decorationsRef.current, [
+      { range, options: { className: 'source-link-highlight', overviewRuler: { color: '#4fc1ff', position: monaco.editor.OverviewRulerLane.Center } } },
+      ...(selection.related || []).map((related) => ({ range: toRange(related), options: { className: 'source-link-related' } })),
+    ]);
+    editor.revealRangeInCenterIfOutsideViewport(range);
+  }, [selection, editorReady, symbols]);
+
+  // With the mouse on a variable use, mark the assignments its value can come from
+  useEffect(() => {
+    const editor = editorRef.current;
+    const monaco = monacoRef.current;
+    if (!editorReady || !editor || !monaco) return;
+    const model = editor.getModel();
+    if (!model) return;
+    if (!hoveredUse || !dataflow) {
+      dataflowDecorationsRef.current = editor.deltaDecorations(dataflowDecorationsRef.current, []);
+      return;
+    }
+    const toRange = ({ start, end }) => {
+      const from = model.getPositionAt(start);
+      const to = model.getPositionAt(end);
+      return new monaco.Range(from.lineNumber, from.column, to.lineNumber, to.column);
+    };
+    const definitions = hoveredUse.reaching.map((id) => dataflow.definitions[id]);
+    const lines = Array.from(new Set(definitions.map((definition) => definition.line))).sort((a, b) => a - b);
+    const where = lines.length ? `line${lines.length > 1 ? 's' : ''} ${lines.join(', ')}` : null;
+    const message = where
+      ? `**${hoveredUse.name}** here can get its value from ${where}${hoveredUse.outside ? ', in another function' : ''}`
+      : `No assignment to **${hoveredUse.name}** reaches this spot: it has no value yet on any path here`;
+    dataflowDecorationsRef.current = editor.deltaDecorations(dataflowDecorationsRef.current, [
+      { range: toRange(hoveredUse), options: { className: 'dataflow-use-highlight', hoverMessage: { value: message } } },
+      ...definitions.map((definition) => ({ range: toRange(definition), options: { className: 'dataflow-def-highlight' } })),
+    ]);
+  }, [hoveredUse, dataflow, editorReady]);
+
+  // Show lexer/parser/checker diagnostics as squiggly markers
+  useEffect(() => {
+    const editor = editorRef.current;
+    const monaco = monacoRef.current;
+    if (!editorReady || !editor || !monaco) return;
+    const model = editor.getModel();
+    if (!model) return;
+    const severities = {
+      error: monaco.MarkerSeverity.Error,
+      warning: monaco.MarkerSeverity.Warning,
+      info: monaco.MarkerSeverity.Info,
+      unsupported: monaco.MarkerSeverity.Info,
+    };
+    monaco.editor.setModelMarkers(model, MARKER_OWNER, (code ? diagnostics : []).map((d) => ({
+      severity: severities[d.severity] || monaco.MarkerSeverity.Error,
+      message: d.hint ? `${d.message}\n💡 ${d.hint}` : d.message,
+      source: d.source,
+      code: d.code,
+      startLineNumber: d.line,
+      startColumn: d.column,
+      endLineNumber: d.endLine,
+      endColumn: d.endLine === d.line ? Math.max(d.endColumn, d.column + 1) : d.endColumn,
+    })));
+  }, [diagnostics, code, editorReady]);
+
   const handleEditorDidMount = (editor, monaco) => {
     editorRef.current = editor;
+    monacoRef.current = monaco;
+    setEditorReady(true);
+
+    // Report cursor moves and selections made by the user to the other panels
+    editor.onDidChangeCursorSelection((e) => {
+      if (e.source === 'api' || e.source === 'modelChange') return;
+      const model = editor.getModel();
+      if (!model) return;
+      select({
+        start: model.getOffsetAt(e.selection.getStartPosition()),
+        end: model.getOffsetAt(e.selection.getEndPosition()),
+      }, 'editor');
+    });
+
+    // Follow the mouse over variable uses, and redraw the data-flow overlays as the view moves
+    editor.onMouseMove((e) => {
+      const model = editor.getModel();
+      const { position, type } = e.target;
+      const onText = model && position && type === monaco.editor.MouseTargetType.CONTENT_TEXT;
+      const use = onText ? variableUseAt(dataflowRef.current, model.getOffsetAt(position)) : null;
+      setHoveredUse(use);
+    });
+    editor.onMouseLeave(() => setHoveredUse(null));
+    editor.onDidScrollChange(() => setViewTick((tick) => tick + 1));
+    editor.onDidContentSizeChange(() => setViewTick((tick) => tick + 1));
     
     // Custom theme for better visibility
     monaco.editor.defineTheme('compiler-theme', {
@@ -132,38 +279,52 @@ int main() {
              language === 'c' ? '🔧 main.c' : '📝 main.js'}
           </h2>
         </div>
-        <div className="w-12"></div>
+        {dataflow ? (
+          <button
+            onClick={() => setShowLive((value) => !value)}
+            className={`px-2 py-0.5 rounded text-xs ${showLive ? 'bg-teal-700 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+            title="Show which variables are still going to be read after each line; hover a variable to see where its value comes from"
+          >
+            🔬 Live
+          </button>
+        ) : (
+          <div className="w-12"></div>
+        )}
       </div>
       
-      <div className="relative h-[calc(100%-60px)]">
+      <div className="relative h-[calc(100%-60px)] flex">
         {isCompiling && (
           <div className="absolute top-0 left-0 right-0 z-10 bg-stage-primary bg-opacity-20 h-1">
             <div className="h-full bg-stage-primary animate-pulse"></div>
           </div>
         )}
         
-        <Editor
-          height="100%"
-          defaultLanguage="javascript"
-          language={language}
-          value={code || getDefaultCode()}
-          onChange={onChange}
-          onMount={handleEditorDidMount}
-          options={{
-            fontSize: 16, // Larger font for kids
-            fontFamily: 'Consolas, Monaco, Courier New, monospace',
-            readOnly: isCompiling,
-            cursorBlinking: 'smooth',
-            smoothScrolling: true,
-            selectOnLineNumbers: true,
-            roundedSelection: false,
-            automaticLayout: true,
-            lineHeight: 24, // More spacing for readability
-            wordWrap: 'on',
-            contextmenu: false, // Disable right-click for simplicity
-          }}
-
-        />
+        <div className="relative flex-1 min-w-0">
+          <Editor
+            height="100%"
+            defaultLanguage="javascript"
+            language={language}
+            value={code || getDefaultCode()}
+            onChange={onChange}
+            onMount={handleEditorDidMount}
+            options={{
+              fontSize: 16, // Larger font for kids
+              fontFamily: 'Consolas, Monaco, Courier New, monospace',
+              readOnly: isCompiling,
+              cursorBlinking: 'smooth',
+              smoothScrolling: true,
+              selectOnLineNumbers: true,
+              roundedSelection: false,
+              automaticLayout: true,
+              lineHeight: LINE_HEIGHT,
+              wordWrap: 'on',
+              contextmenu: false, // Disable right-click for simplicity
+            }}
+
+          />
+          <DefUseArrows editor={editorReady ? editorRef.current : null} dataflow={dataflow} use={hoveredUse} />
+        </div>
+        {showLive && editorReady && <LiveVariablesGutter editor={editorRef.current} dataflow={dataflow} lineHeight={LINE_HEIGHT} />}
       </div>
     </div>
   );
@@ -1,14 +1,39 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { tokenize, tokenTypeInfo, tokenDisplay, tokenStyle, lexerSteps } from './lexer';
+import { parserSteps, shiftReduceSteps } from './parser';
+import LexerStepper from './LexerStepper';
+import ParserStepper from './ParserStepper';
+import LRStepper from './LRStepper';
+import { SyntaxErrorList } from './components/SyntaxErrorList';
+import { useSourceSelection } from './components/SourceSelection';
+import SymbolTablePanel from './SymbolTablePanel';
+import OptimizationDiff from './OptimizationDiff';
+import { OPTIMIZATION_PASSES } from './optimizer';
 
 /**
  * Enhanced Compiler Animation Component
  * Production-ready educational compiler visualization
  */
-function CompilerAnimation({ code, language, isCompiling, onCompilationComplete, viewMode = 'learning', controls = false, onControl }) {
+// Chips drawn in the lexical stage; longer files show a count of the rest
+const MAX_TOKEN_CHIPS = 300;
+// Step-through modes: which stage they belong to and how fast Play goes
+const STEP_MODES = {
+  lexical: { stage: 'lexical', delay: 250, hint: 'Controls step the lexer one character at a time' },
+  syntax: { stage: 'syntax', delay: 450, hint: 'Controls step the parser one action at a time' },
+  lr: { stage: 'syntax', delay: 450, hint: 'Controls step the LR parser one shift or reduce at a time' },
+};
+
+function CompilerAnimation({ code, language, definition = null, tokens: analyzedTokens, syntaxErrors = [], symbols = null, typeWarnings = [], dataflow = null, optimized = null, isCompiling, onCompilationComplete, viewMode = 'learning', controls = false, onControl, onShowParseTree }) {
   const [currentStage, setCurrentStage] = useState(0);
   const [animationPhase, setAnimationPhase] = useState('idle');
-  const [tokens, setTokens] = useState([]);
+  // Step-through mode: null, 'lexical' (lexer replay), 'syntax' (parser replay) or 'lr' (shift-reduce replay)
+  const [stepMode, setStepMode] = useState(null);
+  // Tables for the shift-reduce replay: LALR(1) or canonical LR(1)
+  const [lalr, setLalr] = useState(true);
+  const [step, setStep] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const { select } = useSourceSelection();
   // View modes
   const learningMode = viewMode === 'learning';
   const advancedMode = viewMode === 'advanced';
@@ -139,12 +164,21 @@ function CompilerAnimation({ code, language, isCompiling, onCompilationComplete,
     }
   ], [durationFactor]);
 
+  // Syntax errors stop a compilation at the syntax stage ('failed' phase);
+  // code the parser doesn't support yet is listed there but doesn't fail it
+  const syntaxErrorCount = (syntaxErrors || []).filter((error) => error.severity === 'error').length;
+  const hasSyntaxErrors = syntaxErrorCount > 0;
+  const syntaxStageIndex = stages.findIndex((stage) => stage.id === 'syntax');
+
   // Animation control effects
   useEffect(() => {
-    if (isCompiling && animationPhase === 'idle') {
+    if (isCompiling && (animationPhase === 'idle' || animationPhase === 'failed')) {
       setAnimationPhase('starting');
       setCurrentStage(0);
-    } else if (!isCompiling && animationPhase !== 'idle') {
+    } else if (!isCompiling && hasSyntaxErrors && (animationPhase === 'starting' || animationPhase === 'running')) {
+      setCurrentStage(syntaxStageIndex);
+      setAnimationPhase('failed');
+    } else if (!isCompiling && animationPhase !== 'idle' && animationPhase !== 'failed') {
       setAnimationPhase('completing');
       setTimeout(() => {
         setAnimationPhase('idle');
@@ -153,13 +187,20 @@ function CompilerAnimation({ code, language, isCompiling, onCompilationComplete,
         }
       }, 1000);
     }
-  }, [isCompiling, animationPhase, onCompilationComplete]);
+  }, [isCompiling, animationPhase, onCompilationComplete, hasSyntaxErrors, syntaxStageIndex]);
+
+  // The failure belongs to the code that was compiled; editing it starts over
+  useEffect(() => {
+    setAnimationPhase((phase) => (phase === 'failed' ? 'idle' : phase));
+  }, [code]);
 
   // Stage progression effect
   useEffect(() => {
     if (animationPhase === 'starting' || animationPhase === 'running') {
       const timer = setTimeout(() => {
-        if (currentStage < stages.length - 1) {
+        if (hasSyntaxErrors && currentStage === syntaxStageIndex) {
+          setAnimationPhase('failed');
+        } else if (currentStage < stages.length - 1) {
           setCurrentStage(prev => prev + 1);
           setAnimationPhase('running');
         } else {
@@ -169,51 +210,88 @@ function CompilerAnimation({ code, language, isCompiling, onCompilationComplete,
 
       return () => clearTimeout(timer);
     }
-  }, [currentStage, animationPhase, stages]);
-
-  // Simple tokenizer for demonstration
-  const tokenizeCode = useCallback((sourceCode) => {
-    if (!sourceCode) return [];
-
-    // Regex includes keywords, identifiers, numbers, operators, punctuation
-    // Note: ']' must be escaped inside a character class; '[' does not need escaping
-    const tokenRegex = /\b(?:function|let|const|var|if|else|for|while|return|class|import|export)\b|[a-zA-Z_][a-zA-Z0-9_]*|[0-9]+\.?[0-9]*|[+\-*/=<>!&|]+|(?:\[|]|[{}();,.])|"[^"]*"|'[^']*'/g;
-    const matches = sourceCode.match(tokenRegex) || [];
-
-    return matches.map((token, index) => ({
-      id: index,
-      value: token,
-      type: getTokenType(token),
-      position: index
-    }));
-  }, []);
-
-  const getTokenType = (token) => {
-    const keywords = ['function', 'let', 'const', 'var', 'if', 'else', 'for', 'while', 'return', 'class', 'import', 'export'];
-    const operators = ['+', '-', '*', '/', '=', '<', '>', '!', '&', '|', '==', '!=', '<=', '>='];
-    const punctuation = ['{', '}', '(', ')', '[', ']', ';', ',', '.'];
-    
-    if (keywords.includes(token)) return 'keyword';
-    if (operators.some(op => token.includes(op))) return 'operator';
-    if (punctuation.includes(token)) return 'punctuation';
-    if (/^[0-9]/.test(token)) return 'number';
-    if (/^["']/.test(token)) return 'string';
-    return 'identifier';
-  };
+  }, [currentStage, animationPhase, stages, hasSyntaxErrors, syntaxStageIndex]);
+
+  // Same token stream as the Tokens tab and the Parse Tree (lexed here when used standalone)
+  const tokens = useMemo(
+    () => analyzedTokens || tokenize(code, language, definition),
+    [analyzedTokens, code, language, definition]
+  );
+
+  const stepTrace = useMemo(() => {
+    if (stepMode === 'lexical') return lexerSteps(code, language, definition);
+    if (stepMode === 'syntax') return parserSteps(code, language);
+    // The shift-reduce grammar is a small JavaScript, shown on the advanced track
+    if (stepMode === 'lr') return advancedMode && !definition && language === 'javascript' ? shiftReduceSteps(code, { lalr }) : null;
+    return null;
+  }, [stepMode, code, language, definition, lalr, advancedMode]);
+
+  // Only JavaScript and Python have a real parser to replay
+  const canStepParser = !definition && (language === 'javascript' || language === 'python');
+  const canStepLR = !definition && language === 'javascript';
 
+  // Restart the step-through whenever the code changes underneath it
   useEffect(() => {
-    if (code) {
-      setTokens(tokenizeCode(code));
+    setStep(0);
+    setPlaying(false);
+  }, [stepTrace]);
+
+  // Auto-advance while playing
+  useEffect(() => {
+    if (!playing || !stepTrace) return;
+    if (step >= stepTrace.steps.length) {
+      setPlaying(false);
+      return;
     }
-  }, [code, tokenizeCode]);
+    const timer = setTimeout(() => setStep((s) => s + 1), Math.round(STEP_MODES[stepMode].delay * durationFactor));
+    return () => clearTimeout(timer);
+  }, [playing, step, stepTrace, stepMode, durationFactor]);
+
+  const stepping = !!stepMode && !!stepTrace && !isCompiling && stages[currentStage]?.id === STEP_MODES[stepMode].stage;
+  const lexStepping = stepping && stepMode === 'lexical';
+  const parseStepping = stepping && stepMode === 'syntax';
+  const lrStepping = stepping && stepMode === 'lr';
+
+  const toggleStepMode = (mode) => {
+    setStepMode((m) => (m === mode ? null : mode));
+    setPlaying(false);
+  };
+
+  // Prev/Next/Restart drive the lexer or parser while stepping, otherwise the stage flow
+  const handleControl = (action) => {
+    if (stepping) {
+      if (action === 'prev') setStep((s) => Math.max(s - 1, 0));
+      else if (action === 'next') setStep((s) => Math.min(s + 1, stepTrace.steps.length));
+      else if (action === 'restart') { setStep(0); setPlaying(false); }
+      else if (action === 'play') {
+        if (step >= stepTrace.steps.length) setStep(0);
+        setPlaying((p) => !p);
+      }
+      return;
+    }
+    // Between compilations Prev/Next also walk through the stages shown here
+    if ((animationPhase === 'idle' || animationPhase === 'failed') && (action === 'prev' || action === 'next')) {
+      setCurrentStage((s) => Math.min(Math.max(s + (action === 'next' ? 1 : -1), 0), stages.length - 1));
+    }
+    if (onControl) onControl(action);
+  };
 
   const getStageProgress = () => {
     if (animationPhase === 'idle') return 0;
     if (animationPhase === 'completing') return 100;
+    if (animationPhase === 'failed') return ((syntaxStageIndex + 1) / stages.length) * 100;
     return ((currentStage + 1) / stages.length) * 100;
   };
 
   const currentStageData = stages[currentStage];
+  // The optimization stage shows what the optimizer really did to this code
+  const stageExamples = currentStageData.id === 'optimization' && code && optimized && optimized.changes.length
+    ? optimized.changes.slice(0, 3).map((change) => ({
+      before: change.before,
+      after: change.after || (language === 'python' ? '# removed' : '// removed'),
+      type: change.passes.map((pass) => OPTIMIZATION_PASSES[pass].title).join(' + '),
+    }))
+    : currentStageData.examples;
 
   return (
     <div className="h-full bg-gray-900 flex flex-col overflow-hidden">
@@ -233,6 +311,7 @@ function CompilerAnimation({ code, language, isCompiling, onCompilationComplete,
               <p className="text-sm text-gray-400">
                 {animationPhase === 'idle' ? 'Ready to compile' : 
                  animationPhase === 'completing' ? 'Compilation complete!' :
+                 animationPhase === 'failed' ? 'Compilation stopped: syntax errors' :
                  `Stage ${currentStage + 1} of ${stages.length}`}
               </p>
             </div>
@@ -242,7 +321,7 @@ function CompilerAnimation({ code, language, isCompiling, onCompilationComplete,
           <div className="flex items-center space-x-3">
             <div className="w-32 h-2 bg-gray-700 rounded-full overflow-hidden">
               <motion.div
-                className="h-full bg-gradient-to-r from-blue-500 to-purple-500"
+                className={`h-full bg-gradient-to-r ${animationPhase === 'failed' ? 'from-blue-500 to-red-500' : 'from-blue-500 to-purple-500'}`}
                 initial={{ width: 0 }}
                 animate={{ width: `${getStageProgress()}%` }}
                 transition={{ duration: 0.5 }}
@@ -258,16 +337,25 @@ function CompilerAnimation({ code, language, isCompiling, onCompilationComplete,
       {/* Controls (optional) */}
       {controls && (
         <div className="bg-gray-800 border-b border-gray-700 p-2 flex items-center gap-2 justify-end">
+          {stepping && (
+            <span className="mr-auto text-xs text-gray-400">{STEP_MODES[stepMode].hint}</span>
+          )}
           <button
-            onClick={() => onControl && onControl('prev')}
+            onClick={() => handleControl('prev')}
             className="px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white text-sm"
           >Prev</button>
           <button
-            onClick={() => onControl && onControl('next')}
+            onClick={() => handleControl('next')}
             className="px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white text-sm"
           >Next</button>
+          {stepping && (
+            <button
+              onClick={() => handleControl('play')}
+              className="px-3 py-1 rounded bg-green-600 hover:bg-green-500 text-white text-sm"
+            >{playing ? 'Pause' : 'Play'}</button>
+          )}
           <button
-            onClick={() => onControl && onControl('restart')}
+            onClick={() => handleControl('restart')}
             className="px-3 py-1 rounded bg-blue-600 hover:bg-blue-500 text-white text-sm"
           >Restart</button>
         </div>
@@ -327,7 +415,7 @@ function CompilerAnimation({ code, language, isCompiling, onCompilationComplete,
                       📝 Examples
                     </h4>
                     <div className="space-y-3">
-                      {currentStageData.examples?.map((example, index) => (
+                      {stageExamples?.map((example, index) => (
                         <motion.div
                           key={index}
                           initial={{ opacity: 0, scale: 0.95 }}
@@ -362,13 +450,13 @@ function CompilerAnimation({ code, language, isCompiling, onCompilationComplete,
                             <div className="space-y-2">
                               <div>
                                 <span className="text-gray-400 text-sm">Before:</span>
-                                <code className="block bg-gray-900 text-red-400 p-2 rounded text-sm font-mono">
+                                <code className="block bg-gray-900 text-red-400 p-2 rounded text-sm font-mono whitespace-pre-wrap">
                                   {example.before}
                                 </code>
                               </div>
                               <div>
                                 <span className="text-gray-400 text-sm">After:</span>
-                                <code className="block bg-gray-900 text-green-400 p-2 rounded text-sm font-mono">
+                                <code className="block bg-gray-900 text-green-400 p-2 rounded text-sm font-mono whitespace-pre-wrap">
                                   {example.after}
                                 </code>
                               </div>
@@ -405,29 +493,156 @@ function CompilerAnimation({ code, language, isCompiling, onCompilationComplete,
                 </div>
               </div>
 
+              {/* Character-by-character lexer replay */}
+              {currentStageData.id === 'lexical' && code && !isCompiling && (
+                <div className="flex justify-end">
+                  <button
+                    onClick={() => toggleStepMode('lexical')}
+                    className={`px-3 py-1 rounded text-sm text-white ${lexStepping ? 'bg-purple-600 hover:bg-purple-500' : 'bg-gray-700 hover:bg-gray-600'}`}
+                  >
+                    {lexStepping ? '✖ Leave step mode' : '👣 Step through the lexer'}
+                  </button>
+                </div>
+              )}
+              {lexStepping && (
+                <LexerStepper code={code} steps={stepTrace.steps} tokens={stepTrace.tokens} stepIndex={step} />
+              )}
+
+              {/* Rule-by-rule parser replay */}
+              {currentStageData.id === 'syntax' && code && !isCompiling && (
+                <div className="flex justify-end items-center gap-3">
+                  {!canStepParser && (
+                    <span className="text-xs text-gray-400">The parser walkthrough works for JavaScript and Python</span>
+                  )}
+                  <button
+                    onClick={() => toggleStepMode('syntax')}
+                    disabled={!canStepParser}
+                    className={`px-3 py-1 rounded text-sm text-white ${
+                      parseStepping ? 'bg-purple-600 hover:bg-purple-500' : canStepParser ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-700 opacity-50'
+                    }`}
+                  >
+                    {parseStepping ? '✖ Leave step mode' : '👣 Step through the parser'}
+                  </button>
+                  {advancedMode && (
+                    <button
+                      onClick={() => toggleStepMode('lr')}
+                      disabled={!canStepLR}
+                      title={canStepLR ? 'Parse bottom-up with an LALR(1) or LR(1) table' : 'The shift-reduce parser works for JavaScript'}
+                      className={`px-3 py-1 rounded text-sm text-white ${
+                        lrStepping ? 'bg-purple-600 hover:bg-purple-500' : canStepLR ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-700 opacity-50'
+                      }`}
+                    >
+                      {lrStepping ? '✖ Leave step mode' : '🔽 Shift-reduce (LR) parser'}
+                    </button>
+                  )}
+                </div>
+              )}
+              {parseStepping && <ParserStepper trace={stepTrace} stepIndex={step} />}
+              {lrStepping && <LRStepper trace={stepTrace} stepIndex={step} lalr={lalr} onLalrChange={setLalr} onShowParseTree={onShowParseTree} />}
+
+              {/* Every syntax error, with a red banner when they stopped the compilation */}
+              {currentStageData.id === 'syntax' && syntaxErrors && syntaxErrors.length > 0 && !parseStepping && !lrStepping && (
+                <div className={`rounded-lg p-4 ${animationPhase === 'failed' ? 'bg-red-950 border-2 border-red-500' : 'bg-gray-800'}`}>
+                  <h4 className="text-lg font-semibold text-white mb-1">
+                    {animationPhase === 'failed' ? '❌ Syntax Analysis failed here' : hasSyntaxErrors ? '⚠️ Syntax errors' : '🚧 Not supported yet'}
+                  </h4>
+                  <p className="text-sm text-gray-300 mb-3">
+                    {hasSyntaxErrors
+                      ? `The parser found ${syntaxErrorCount} ${syntaxErrorCount === 1 ? 'problem' : 'problems'}${animationPhase === 'failed' ? ', so the later stages never ran. ' : '. '}`
+                      : 'This code is valid, but the parser skips the parts it doesn\'t handle yet, so they are left out of the later stages. '}
+                    Click one to find it in the editor.
+                  </p>
+                  <SyntaxErrorList errors={syntaxErrors} origin="compiler" className="max-h-64 overflow-auto" />
+                </div>
+              )}
+
+              {/* Scopes and names found by the semantic pass */}
+              {currentStageData.id === 'semantic' && code && !isCompiling && symbols && (
+                <SymbolTablePanel table={symbols} compact />
+              )}
+
+              {/* What the type checker found suspicious; the code still runs */}
+              {currentStageData.id === 'semantic' && code && !isCompiling && typeWarnings.length > 0 && (
+                <div className="bg-gray-800 rounded-lg p-4 space-y-2">
+                  <h4 className="text-lg font-semibold text-white">🧪 Type check</h4>
+                  <ul className="space-y-2 max-h-64 overflow-auto">
+                    {typeWarnings.map((warning) => (
+                      <li key={`${warning.start}-${warning.code}`}>
+                        <button
+                          onClick={() => select({ start: warning.start, end: warning.end }, 'compiler')}
+                          className="w-full p-2 rounded bg-yellow-900 border border-yellow-600 text-left text-sm text-yellow-100 hover:bg-yellow-800"
+                          title="Show in the editor"
+                        >
+                          ⚠️ Line {warning.line}, col {warning.column}: {warning.message}
+                          {warning.hint && <span className="block text-xs text-yellow-200 mt-1">💡 {warning.hint}</span>}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {/* The optimizer's passes run on this code, before and after */}
+              {currentStageData.id === 'optimization' && code && !isCompiling && (
+                <OptimizationDiff code={code} optimized={optimized} language={language} syntaxErrors={syntaxErrors || []} />
+              )}
+
+              {/* Dead stores found by the data-flow analysis: what dead code elimination would remove */}
+              {currentStageData.id === 'optimization' && code && !isCompiling && dataflow && !(syntaxErrors && syntaxErrors.length) && (
+                <div className="bg-gray-800 rounded-lg p-4 space-y-2">
+                  <h4 className="text-lg font-semibold text-white">✂️ Dead stores in your code</h4>
+                  {dataflow.deadStores.length === 0 ? (
+                    <p className="text-sm text-green-300">
+                      None found: liveness analysis shows every value your code stores gets read later.
+                    </p>
+                  ) : (
+                    <>
+                      <p className="text-sm text-gray-300">
+                        No path reads these values before they are replaced or the code ends, so an optimizer can delete the assignments.
+                      </p>
+                      <ul className="space-y-2 max-h-64 overflow-auto">
+                        {dataflow.deadStores.map((store) => (
+                          <li key={store.start}>
+                            <button
+                              onClick={() => select({ start: store.start, end: store.end }, 'compiler')}
+                              className="w-full p-2 rounded bg-red-900 border border-red-500 text-left text-sm text-red-100 hover:bg-red-800"
+                              title="Show in the editor"
+                            >
+                              ✂️ Line {store.line}, col {store.column}: {store.message}
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    </>
+                  )}
+                </div>
+              )}
+
               {/* Token visualization for lexical analysis */}
-              {currentStageData.id === 'lexical' && tokens.length > 0 && (
+              {currentStageData.id === 'lexical' && !lexStepping && tokens.length > 0 && (
                 <div className="bg-gray-800 rounded-lg p-4">
                   <h4 className="text-lg font-semibold text-white mb-3">🎯 Live Tokenization</h4>
-                  <div className="flex flex-wrap gap-2">
-                    {tokens.map((token, index) => (
-                      <motion.div
-                        key={token.id}
-                        initial={{ opacity: 0, scale: 0 }}
-                        animate={{ opacity: 1, scale: 1 }}
-                        transition={{ delay: index * 0.05 }}
-                        className={`px-3 py-1 rounded-full text-sm font-mono ${
-                          token.type === 'keyword' ? 'bg-purple-600 text-white' :
-                          token.type === 'operator' ? 'bg-orange-600 text-white' :
-                          token.type === 'number' ? 'bg-green-600 text-white' :
-                          token.type === 'string' ? 'bg-yellow-600 text-black' :
-                          'bg-blue-600 text-white'
-                        }`}
+                  <motion.div
+                    className="flex flex-wrap gap-2"
+                    initial={{ opacity: 0, scale: 0.95 }}
+                    animate={{ opacity: 1, scale: 1 }}
+                  >
+                    {tokens.slice(0, MAX_TOKEN_CHIPS).map((token, index) => (
+                      <div
+                        key={`${token.start}-${index}`}
+                        title={`${tokenTypeInfo(token.type).label} • Ln ${token.line}, Col ${token.column}`}
+                        className={`px-3 py-1 rounded-full text-sm font-mono ${tokenTypeInfo(token.type).chip}`}
+                        style={tokenStyle(token, 'chip')}
                       >
-                        {token.value}
-                      </motion.div>
+                        {tokenDisplay(token)}
+                      </div>
                     ))}
-                  </div>
+                    {tokens.length > MAX_TOKEN_CHIPS && (
+                      <div className="px-3 py-1 rounded-full text-sm bg-gray-700 text-gray-300">
+                        …and {tokens.length - MAX_TOKEN_CHIPS} more (see the Tokens tab)
+                      </div>
+                    )}
+                  </motion.div>
                 </div>
               )}
             </motion.div>
@@ -0,0 +1,333 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { useSourceSelection } from './components/SourceSelection';
+import { blockAt, blockForLine, instrumentForTrace } from './flow';
+import { layoutFlowGraph, itemLabel, MAX_BLOCK_LINES } from './flow/layout';
+import { runCode } from './runtime/virtualizer';
+import { GRAPH_NODE_STYLE, GRAPH_EDGE_STYLE } from './EnhancedComponents';
+
+/**
+ * Control Flow - how if, while and return steer a program
+ * One graph per function (and one for the main program): basic blocks of
+ * code that always run together, joined by the ways control can go from
+ * one to the next, labeled true/false for tests, next/done for for-each
+ * loops and loop for the jump back to a loop's top. Clicking a block selects
+ * its code in the editor, and the block under the editor's cursor is
+ * outlined. "Trace a run" runs the program, recording the blocks it goes
+ * through, and plays the path back: visited blocks light up, with how many
+ * times each ran, and the graph follows calls into other functions.
+ * Blocks and arrows are drawn in the parse tree's node and edge style.
+ */
+
+const EDGE_COLORS = {
+  true: '#34D399',
+  next: '#34D399',
+  false: '#F87171',
+  done: '#F87171',
+  loop: '#60A5FA',
+  break: '#FBBF24',
+  continue: '#FBBF24',
+  return: '#A78BFA',
+  throw: '#F472B6',
+  plain: GRAPH_EDGE_STYLE.stroke,
+};
+const PLAY_DELAY = 450;
+const NO_VISITS = [];
+
+const FlowGraph = ({ flow, graphId, caretBlock, picked, onPick, visits, current, taken }) => {
+  const layout = useMemo(() => layoutFlowGraph(flow, graphId), [flow, graphId]);
+  const graph = flow.graphs[graphId];
+  const visitedGraph = graph.blocks.some((id) => visits.has(id));
+
+  return (
+    <svg width={layout.width} height={layout.height} className="min-w-full">
+      <defs>
+        {Object.entries(EDGE_COLORS).map(([name, color]) => (
+          <marker key={name} id={`flow-arrow-${name}`} viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill={color} />
+          </marker>
+        ))}
+      </defs>
+
+      {layout.edges.map((edge) => {
+        const color = EDGE_COLORS[edge.label] || EDGE_COLORS.plain;
+        const marker = EDGE_COLORS[edge.label] ? edge.label : 'plain';
+        const hot = taken.has(`${edge.from}-${edge.to}`);
+        return (
+          <g key={`${edge.from}-${edge.to}-${edge.label}`}>
+            <path
+              d={edge.path}
+              stroke={color}
+              strokeWidth={hot ? GRAPH_EDGE_STYLE.flowWidth + 1 : GRAPH_EDGE_STYLE.flowWidth}
+              strokeDasharray={edge.back ? GRAPH_EDGE_STYLE.dash : undefined}
+              fill="none"
+              opacity={taken.size && !hot ? 0.45 : 1}
+              markerEnd={`url(#flow-arrow-${marker})`}
+            />
+            {edge.label && (
+              <text x={edge.labelX} y={edge.labelY} fill={color} className="text-xs font-mono pointer-events-none">
+                {edge.label}
+              </text>
+            )}
+          </g>
+        );
+      })}
+
+      {layout.nodes.map((node) => {
+        const { block } = node;
+        const count = visits.get(block.id) || 0;
+        const isCurrent = current === block.id;
+        const isPicked = picked === block.id;
+        const isCaret = caretBlock === block.id;
+        const left = node.x - node.width / 2;
+        const top = node.y - node.height / 2;
+        if (block.kind !== 'block') {
+          const lit = visitedGraph && (block.kind === 'entry' || current === block.id);
+          return (
+            <g key={block.id}>
+              <circle
+                cx={node.x}
+                cy={node.y}
+                r={node.width / 2}
+                fill={block.kind === 'entry' ? '#065F46' : '#7F1D1D'}
+                stroke={lit ? GRAPH_NODE_STYLE.activeStroke : GRAPH_NODE_STYLE.stroke}
+                strokeWidth={GRAPH_NODE_STYLE.strokeWidth}
+              />
+              <text x={node.x} y={node.y + 4} textAnchor="middle" className={GRAPH_NODE_STYLE.label}>
+                {block.kind === 'entry' ? 'start' : 'end'}
+              </text>
+            </g>
+          );
+        }
+        const lines = block.items.slice(0, MAX_BLOCK_LINES).map(itemLabel);
+        if (block.items.length > MAX_BLOCK_LINES) lines.push(`+ ${block.items.length - MAX_BLOCK_LINES} more`);
+        return (
+          <g
+            key={block.id}
+            className="cursor-pointer"
+            onClick={() => onPick(block)}
+            opacity={block.reachable ? 1 : 0.6}
+          >
+            <motion.rect
+              x={left}
+              y={top}
+              width={node.width}
+              height={node.height}
+              rx={8}
+              fill={isCurrent ? '#2563EB' : count ? '#1E3A8A' : isPicked ? GRAPH_NODE_STYLE.activeFill : GRAPH_NODE_STYLE.fill}
+              stroke={isPicked || isCaret ? '#FBBF24' : count ? GRAPH_NODE_STYLE.activeStroke : GRAPH_NODE_STYLE.stroke}
+              strokeWidth={isPicked || isCaret || isCurrent ? GRAPH_NODE_STYLE.strokeWidth + 1 : GRAPH_NODE_STYLE.strokeWidth}
+              strokeDasharray={block.reachable ? undefined : GRAPH_EDGE_STYLE.dash}
+              animate={{ scale: isCurrent ? 1.05 : 1 }}
+              style={{ transformOrigin: `${node.x}px ${node.y}px` }}
+              whileHover={GRAPH_NODE_STYLE.whileHover}
+              whileTap={GRAPH_NODE_STYLE.whileTap}
+            />
+            {lines.map((line, index) => (
+              <text
+                key={index}
+                x={left + 10}
+                y={top + 10 + (index + 0.75) * layout.lineHeight}
+                className={`text-xs font-mono pointer-events-none ${index === MAX_BLOCK_LINES ? 'fill-gray-400' : 'fill-white'}`}
+              >
+                {line.length * 7 > node.width - 16 ? `${line.slice(0, Math.floor((node.width - 16) / 7) - 1)}…` : line}
+              </text>
+            ))}
+            {count > 0 && (
+              <g className="pointer-events-none">
+                <circle cx={left + node.width} cy={top} r={10} fill="#F59E0B" />
+                <text x={left + node.width} y={top + 4} textAnchor="middle" className="text-xs fill-black font-bold">{count}</text>
+              </g>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+const ControlFlowPanel = ({ flow, code, language, pending = false }) => {
+  const { selection, select } = useSourceSelection();
+  const [graphId, setGraphId] = useState(0);
+  const [picked, setPicked] = useState(null);
+  // A traced run: { status: 'running' | 'done' | 'failed', visits: [block ids], output: [lines] }
+  const [trace, setTrace] = useState(null);
+  const [step, setStep] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const stopRef = useRef(null);
+
+  // New code, new graphs: the old trace and picks no longer fit
+  useEffect(() => {
+    setTrace(null);
+    setPicked(null);
+    setPlaying(false);
+    setGraphId((current) => (flow && current < flow.graphs.length ? current : 0));
+  }, [flow]);
+  useEffect(() => () => stopRef.current && stopRef.current(), []);
+
+  // The block under the editor's cursor, shown in its function's graph
+  const caretBlock = useMemo(() => {
+    if (!flow || !selection || selection.origin !== 'editor') return null;
+    return blockAt(flow, selection.start);
+  }, [flow, selection]);
+  useEffect(() => {
+    if (caretBlock && !trace) setGraphId(caretBlock.graph);
+  }, [caretBlock, trace]);
+
+  // Playback
+  const visits = trace ? trace.visits : NO_VISITS;
+  const current = visits.length ? visits[Math.min(step, visits.length - 1)] : null;
+  useEffect(() => {
+    if (!playing) return undefined;
+    if (step >= visits.length - 1) {
+      setPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => setStep((value) => value + 1), PLAY_DELAY);
+    return () => clearTimeout(timer);
+  }, [playing, step, visits.length]);
+  useEffect(() => {
+    if (current == null || !flow || !flow.blocks[current]) return;
+    const block = flow.blocks[current];
+    setGraphId(block.graph);
+    if (block.start != null) select({ start: block.start, end: block.end }, 'flow');
+  }, [current, flow, select]);
+
+  const counts = useMemo(() => {
+    const seen = new Map();
+    visits.slice(0, step + 1).forEach((id) => seen.set(id, (seen.get(id) || 0) + 1));
+    return seen;
+  }, [visits, step]);
+  const taken = useMemo(() => {
+    const pairs = new Set();
+    for (let index = 1; index <= step && index < visits.length; index += 1) pairs.add(`${visits[index - 1]}-${visits[index]}`);
+    return pairs;
+  }, [visits, step]);
+
+  if (!flow) {
+    return (
+      <div className="bg-gray-800 rounded-lg p-4 text-gray-400 text-sm">
+        Control-flow graphs are drawn for JavaScript and Python code.
+      </div>
+    );
+  }
+
+  const pick = (block) => {
+    setPicked(block.id);
+    if (block.start == null) return;
+    select({ start: block.start, end: block.end, related: block.items.map(({ start, end }) => ({ start, end })) }, 'flow');
+  };
+
+  const runTrace = () => {
+    if (stopRef.current) stopRef.current();
+    const found = [];
+    const output = [];
+    let lastLine = null;
+    setTrace({ status: 'running', visits: found, output });
+    setStep(0);
+    setPlaying(false);
+    const { stop } = runCode(
+      { language, code: language === 'javascript' ? instrumentForTrace(flow, code) : code, trace: true, timeoutMs: 5000 },
+      (event) => {
+        if (event.type === 'visit') {
+          found.push(event.block);
+        } else if (event.type === 'line') {
+          // Python reports lines: a block counts again when its first line runs again
+          const block = blockForLine(flow, event.line);
+          if (block && (block.id !== found[found.length - 1] || event.line === block.line || event.line === lastLine)) found.push(block.id);
+          lastLine = event.line;
+        } else if (event.type === 'stdout' || event.type === 'stderr') {
+          output.push(event.text);
+        } else if (event.type === 'error' || event.type === 'timeout' || event.type === 'done') {
+          if (event.type !== 'done') output.push(event.message || 'The program stopped with an error');
+          setTrace({ status: event.type === 'done' ? 'done' : 'failed', visits: [...found], output: [...output] });
+          setStep(0);
+          setPlaying(found.length > 0);
+        }
+      },
+    );
+    stopRef.current = stop;
+  };
+
+  const graph = flow.graphs[graphId] || flow.graphs[0];
+  const blockCount = graph.blocks.filter((id) => flow.blocks[id].kind === 'block').length;
+  const dead = graph.blocks.filter((id) => !flow.blocks[id].reachable).length;
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="text-white font-bold text-lg">🔀 Control Flow</h3>
+        <button
+          onClick={runTrace}
+          disabled={pending || (trace && trace.status === 'running')}
+          className={`px-3 py-1 rounded text-sm text-white ${pending || (trace && trace.status === 'running') ? 'bg-gray-700 opacity-50' : 'bg-green-600 hover:bg-green-500'}`}
+          title="Run the program and record the blocks it goes through"
+        >
+          {trace && trace.status === 'running' ? '⏳ Running…' : '▶ Trace a run'}
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-1">
+        {flow.graphs.map((candidate) => (
+          <button
+            key={candidate.id}
+            onClick={() => setGraphId(candidate.id)}
+            className={`px-2 py-0.5 rounded text-xs font-mono ${candidate.id === graph.id ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+          >
+            {candidate.kind === 'program' ? '📄' : '⚙️'} {candidate.name}
+          </button>
+        ))}
+      </div>
+
+      <div className="text-xs text-gray-400">
+        {blockCount} {blockCount === 1 ? 'block' : 'blocks'} • {graph.kind === 'program' ? 'the main program' : `function on line ${graph.line}`}
+        {dead > 0 && ` • ${dead} never reached (dashed)`}
+        {' • Dashed arrows go back to the top of a loop.'}
+      </div>
+
+      <div className="bg-gray-900 rounded-lg p-2 overflow-auto max-h-[32rem]">
+        <FlowGraph
+          flow={flow}
+          graphId={graph.id}
+          caretBlock={caretBlock ? caretBlock.id : null}
+          picked={picked}
+          onPick={pick}
+          visits={counts}
+          current={trace && trace.status !== 'running' ? current : null}
+          taken={taken}
+        />
+      </div>
+
+      {trace && trace.status !== 'running' && (
+        <div className="bg-gray-700 rounded p-3 space-y-2">
+          {visits.length > 0 ? (
+            <div className="flex flex-wrap items-center gap-2">
+              <button onClick={() => setPlaying((value) => !value)} className="px-2 py-0.5 rounded bg-gray-800 hover:bg-gray-600 text-white text-sm">
+                {playing ? '⏸' : '▶'}
+              </button>
+              <input
+                type="range"
+                min={0}
+                max={visits.length - 1}
+                value={Math.min(step, visits.length - 1)}
+                onChange={(event) => { setPlaying(false); setStep(Number(event.target.value)); }}
+                className="flex-grow"
+              />
+              <span className="text-xs text-gray-300 whitespace-nowrap">
+                step {Math.min(step, visits.length - 1) + 1} of {visits.length}
+              </span>
+            </div>
+          ) : (
+            <div className="text-sm text-gray-300">The run didn't reach any block.</div>
+          )}
+          {trace.status === 'failed' && <div className="text-xs text-red-300">The run stopped early; the path shows how far it got.</div>}
+          {trace.output.length > 0 && (
+            <pre className="text-xs text-gray-200 bg-gray-900 rounded p-2 max-h-24 overflow-auto whitespace-pre-wrap">{trace.output.join(language === 'python' ? '' : '\n')}</pre>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ControlFlowPanel;
@@ -1,5 +1,10 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { tokenize, tokenTypeInfo, tokenDisplay, tokenStyle, tokenAtOffset, lexicalDiagnostics } from './lexer';
+import { useSourceSelection, rangeMatchesSelection } from './components/SourceSelection';
+import { VirtualList } from './components/VirtualList';
+import { ExportMenu } from './components/ExportMenu';
+import { tokensToCSV, tokensToJSON, readTokensFile, downloadFile } from './export';
 
 /**
  * Enhanced Interactive Compiler Classroom Components
@@ -7,157 +12,167 @@ import { motion, AnimatePresence } from 'framer-motion';
  */
 
 // TokenViewer Component - Real-time tokenization display
-const TokenViewer = ({ code, language = 'javascript' }) => {
-  const [tokens, setTokens] = useState([]);
+// Rows are virtualized so files with thousands of tokens stay responsive.
+// The token stream can be exported as CSV or JSON, and those files opened again.
+const TOKEN_ROW_HEIGHT = 76;
 
-  const performLiveTokenization = useCallback((sourceCode) => {
-    const languageConfig = {
-      javascript: {
-        keywords: ['function', 'const', 'let', 'var', 'if', 'else', 'for', 'while', 'return', 'class', 'import', 'export'],
-        operators: ['=', '+', '-', '*', '/', '==', '===', '!=', '!==', '<', '>', '<=', '>=', '&&', '||', '!'],
-        delimiters: ['(', ')', '{', '}', '[', ']', ';', ',', '.']
-      },
-      python: {
-        keywords: ['def', 'class', 'if', 'else', 'elif', 'for', 'while', 'return', 'import', 'from', 'as', 'try', 'except'],
-        operators: ['=', '+', '-', '*', '/', '//', '%', '**', '==', '!=', '<', '>', '<=', '>=', 'and', 'or', 'not'],
-        delimiters: ['(', ')', '[', ']', ':', ',', '.']
-      },
-      java: {
-        keywords: ['public', 'private', 'class', 'interface', 'if', 'else', 'for', 'while', 'return', 'import', 'package'],
-        operators: ['=', '+', '-', '*', '/', '==', '!=', '<', '>', '<=', '>=', '&&', '||', '!'],
-        delimiters: ['(', ')', '{', '}', '[', ']', ';', ',', '.']
-      },
-      cpp: {
-        keywords: ['int', 'float', 'double', 'char', 'if', 'else', 'for', 'while', 'return', 'class', 'public', 'private'],
-        operators: ['=', '+', '-', '*', '/', '==', '!=', '<', '>', '<=', '>=', '&&', '||', '!'],
-        delimiters: ['(', ')', '{', '}', '[', ']', ';', ',', '.']
-      },
-      c: {
-        keywords: ['int', 'float', 'double', 'char', 'if', 'else', 'for', 'while', 'return', 'struct', 'typedef'],
-        operators: ['=', '+', '-', '*', '/', '==', '!=', '<', '>', '<=', '>=', '&&', '||', '!'],
-        delimiters: ['(', ')', '{', '}', '[', ']', ';', ',', '.']
-      }
-    };
+// definition: user-defined language (from the Language Designer) when language is 'custom'
+const TokenViewer = ({ code, language = 'javascript', definition = null, analysis }) => {
+  // Tokens opened from a file ({ tokens, language, name }) replace the live ones until closed
+  const [imported, setImported] = useState(null);
+  // Tokens and diagnostics normally come from the analysis worker; lex here when used standalone
+  const liveTokens = useMemo(
+    () => (analysis ? analysis.tokens : tokenize(code, language, definition)),
+    [analysis, code, language, definition]
+  );
+  const tokens = imported ? imported.tokens : liveTokens;
+  const errorsByToken = useMemo(
+    () => (imported
+      ? new Map()
+      : new Map((analysis ? analysis.diagnostics : lexicalDiagnostics(liveTokens, language, definition)).map(d => [d.tokenIndex, d]))),
+    [imported, analysis, liveTokens, language, definition]
+  );
+  const { selection, select } = useSourceSelection();
+  const languageName = definition ? definition.name : language;
 
-    const config = languageConfig[language] || languageConfig.javascript;
-    const words = sourceCode.split(/(\s+|[^\w\s])/g).filter(word => word.trim());
-    
-    return words.map((word, index) => {
-      const token = {
-        id: index,
-        value: word,
-        position: { start: index, end: index + word.length },
-        line: 1,
-        column: index
-      };
+  // Tokens linked to the current selection: the one under the caret, or all tokens in a range
+  const activeTokens = useMemo(() => {
+    if (!selection || imported) return new Set();
+    if (selection.start === selection.end) {
+      const hit = tokenAtOffset(tokens, selection.start) || tokenAtOffset(tokens, selection.start - 1);
+      return new Set(hit ? [hit.index] : []);
+    }
+    return new Set(tokens.filter(t => t.end > t.start && rangeMatchesSelection(t, selection)).map(t => t.index));
+  }, [tokens, selection, imported]);
 
-      // Advanced token classification
-      if (config.keywords.includes(word)) {
-        token.type = 'keyword';
-        token.category = 'reserved';
-        token.description = 'Reserved language keyword';
-        token.color = 'text-blue-400';
-        token.bgColor = 'bg-blue-900';
-      } else if (config.operators.includes(word)) {
-        token.type = 'operator';
-        token.category = 'symbol';
-        token.description = 'Operator or symbol';
-        token.color = 'text-purple-400';
-        token.bgColor = 'bg-purple-900';
-      } else if (config.delimiters.includes(word)) {
-        token.type = 'delimiter';
-        token.category = 'punctuation';
-        token.description = 'Delimiter or punctuation';
-        token.color = 'text-gray-400';
-        token.bgColor = 'bg-gray-700';
-      } else if (/^\d+(\.\d+)?$/.test(word)) {
-        token.type = 'number';
-        token.category = 'literal';
-        token.description = 'Numeric literal';
-        token.color = 'text-yellow-400';
-        token.bgColor = 'bg-yellow-900';
-      } else if (/^["'].*["']$/.test(word)) {
-        token.type = 'string';
-        token.category = 'literal';
-        token.description = 'String literal';
-        token.color = 'text-green-400';
-        token.bgColor = 'bg-green-900';
-      } else if (/^\/\//.test(word) || /^\/\*/.test(word)) {
-        token.type = 'comment';
-        token.category = 'documentation';
-        token.description = 'Code comment';
-        token.color = 'text-gray-500';
-        token.bgColor = 'bg-gray-800';
-      } else if (/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(word)) {
-        token.type = 'identifier';
-        token.category = 'variable';
-        token.description = 'User-defined identifier';
-        token.color = 'text-cyan-400';
-        token.bgColor = 'bg-cyan-900';
-      } else {
-        token.type = 'unknown';
-        token.category = 'error';
-        token.description = 'Unrecognized token';
-        token.color = 'text-red-400';
-        token.bgColor = 'bg-red-900';
-      }
+  // Keep the linked row visible when the selection comes from another panel
+  const scrollToIndex = useMemo(() => {
+    if (!selection || selection.origin === 'tokens' || !activeTokens.size) return null;
+    return activeTokens.values().next().value;
+  }, [selection, activeTokens]);
 
-      return token;
+  const stats = useMemo(() => {
+    const counts = { keyword: 0, identifier: 0, operator: 0, literal: 0 };
+    tokens.forEach(t => {
+      if (t.type in counts) counts[t.type] += 1;
+      else if (tokenTypeInfo(t.type).category === 'literal') counts.literal += 1;
     });
-  }, [language]);
+    return counts;
+  }, [tokens]);
 
-  useEffect(() => {
-    if (code) {
-      setTokens(performLiveTokenization(code));
-    }
-  }, [code, performLiveTokenization]);
+  const renderToken = (token) => {
+    const info = tokenTypeInfo(token.type);
+    const isActive = activeTokens.has(token.index);
+    const error = errorsByToken.get(token.index);
+    return (
+      <div className="pb-2 h-full">
+        <div
+          data-active={isActive}
+          onClick={() => !imported && select({ start: token.start, end: token.end }, 'tokens')}
+          className={`flex items-center p-2 h-full rounded cursor-pointer overflow-hidden ${error ? 'bg-red-900' : info.bgColor} border ${
+            isActive ? 'border-blue-400 ring-2 ring-blue-400' : error ? 'border-red-500' : 'border-opacity-30'
+          }`}
+          style={{ marginLeft: (token.depth || 0) * 16 }}
+        >
+          <div className={`font-mono text-sm font-bold ${info.color} min-w-[80px] max-w-[40%] truncate`} style={tokenStyle(token)} title={token.value}>
+            {info.category === 'layout' ? tokenDisplay(token) : `"${token.value}"`}
+          </div>
+          <div className="flex-1 min-w-0 ml-3">
+            <div className="text-xs text-gray-300 uppercase">{token.type}{error ? ' • error' : ''}</div>
+            <div className="text-xs text-gray-500 truncate">{token.detail || info.description}</div>
+            {error && (
+              <div className="text-xs text-red-300 truncate" title={`${error.message} ${error.hint}`}>⚠️ {error.message} 💡 {error.hint}</div>
+            )}
+          </div>
+          <div className="text-xs text-gray-400 ml-2 whitespace-nowrap" title={`Offsets ${token.start}–${token.end}`}>
+            Ln {token.line}, Col {token.column}
+          </div>
+        </div>
+      </div>
+    );
+  };
 
   return (
     <div className="bg-gray-800 rounded-lg p-4 h-full overflow-y-auto">
       <div className="flex justify-between items-center mb-4">
         <h3 className="text-white font-bold text-lg">Live Tokenization</h3>
-        <div className="text-sm text-gray-400">
-          {tokens.length} tokens • {language.toUpperCase()}
+        <div className="flex items-center gap-2 text-sm text-gray-400">
+          {analysis && analysis.pending && <span className="text-xs text-blue-300">⏳ updating…</span>}
+          {errorsByToken.size > 0 ? (
+            <button
+              onClick={() => {
+                const first = errorsByToken.values().next().value;
+                select({ start: first.start, end: first.end }, 'tokens');
+              }}
+              className="px-2 py-0.5 rounded-full bg-red-600 text-white text-xs font-bold"
+              title="Jump to the first problem"
+            >
+              ⚠️ {errorsByToken.size} {errorsByToken.size === 1 ? 'error' : 'errors'}
+            </button>
+          ) : (
+            <span className="px-2 py-0.5 rounded-full bg-green-700 text-white text-xs">✓ no errors</span>
+          )}
+          <span
+            title={analysis && analysis.relexed
+              ? `Last edit re-read characters ${analysis.relexed.from}–${analysis.relexed.to} and reused ${analysis.relexed.reusedTokens} tokens (${analysis.elapsed} ms)`
+              : undefined}
+          >
+            {tokens.length} tokens • {(imported ? imported.language || 'file' : languageName).toUpperCase()}
+          </span>
+          <ExportMenu
+            items={[
+              {
+                id: 'csv',
+                label: '📊 Tokens as CSV',
+                hint: 'Opens in any spreadsheet',
+                run: () => downloadFile('tokens.csv', tokensToCSV(tokens), 'text/csv'),
+              },
+              {
+                id: 'json',
+                label: '🧾 Tokens as JSON',
+                hint: 'Types, values and positions',
+                run: () => downloadFile('tokens.json', tokensToJSON(tokens, { language: imported ? imported.language : languageName }), 'application/json'),
+              },
+            ]}
+            onImport={(text, name) => setImported({ ...readTokensFile(text), name })}
+            importAccept=".csv,.json,text/csv,application/json"
+            importLabel="📂 Open saved tokens…"
+          />
         </div>
       </div>
+
+      {imported && (
+        <div className="mb-3 p-2 rounded bg-blue-900 border border-blue-500 flex flex-wrap items-center justify-between gap-2 text-sm text-blue-100">
+          <span>📂 Showing the tokens in {imported.name}, not the code in the editor.</span>
+          <button onClick={() => setImported(null)} className="px-2 py-0.5 rounded bg-blue-700 hover:bg-blue-600 text-white">
+            Back to my code
+          </button>
+        </div>
+      )}
       
-      <div className="space-y-2 max-h-96 overflow-y-auto">
-        {tokens.map((token, index) => (
-          <motion.div
-            key={`${token.id}-${index}`}
-            initial={{ opacity: 0, x: -10 }}
-            animate={{ opacity: 1, x: 0 }}
-            transition={{ delay: index * 0.05, duration: 0.3 }}
-            className={`flex items-center p-2 rounded ${token.bgColor} border border-opacity-30`}
-          >
-            <div className={`font-mono text-sm font-bold ${token.color} min-w-[80px]`}>
-              "{token.value}"
-            </div>
-            <div className="flex-1 ml-3">
-              <div className="text-xs text-gray-300 uppercase">{token.type}</div>
-              <div className="text-xs text-gray-500">{token.description}</div>
-            </div>
-            <div className="text-xs text-gray-400">
-              {token.position.start}:{token.position.end}
-            </div>
-          </motion.div>
-        ))}
-      </div>
+      {language === 'python' && (
+        <div className="mb-3 p-2 rounded bg-gray-900 text-xs text-gray-300">
+          🐍 Python uses indentation to group code: <span className="text-emerald-300">INDENT</span> opens a block,{' '}
+          <span className="text-rose-300">DEDENT</span> closes it and <span className="text-pink-300">NEWLINE</span> ends each statement.
+        </div>
+      )}
+
+      <VirtualList
+        items={tokens}
+        rowHeight={TOKEN_ROW_HEIGHT}
+        height={384}
+        scrollToIndex={scrollToIndex}
+        renderRow={renderToken}
+      />
 
       {/* Token Statistics */}
       <div className="mt-4 pt-4 border-t border-gray-700">
         <h4 className="text-white font-semibold mb-2">Statistics</h4>
         <div className="grid grid-cols-2 gap-2 text-xs">
           {['keyword', 'identifier', 'operator', 'literal'].map(type => {
-            const count = tokens.filter(t => 
-              (t.type === 'keyword' && type === 'keyword') ||
-              (t.type === 'identifier' && type === 'identifier') ||
-              (t.type === 'operator' && type === 'operator') ||
-              (['string', 'number'].includes(t.type) && type === 'literal')
-            ).length;
             return (
               <div key={type} className="bg-gray-700 p-2 rounded text-center">
-                <div className="text-white font-bold">{count}</div>
+                <div className="text-white font-bold">{stats[type]}</div>
                 <div className="text-gray-400 capitalize">{type}s</div>
               </div>
             );
@@ -169,13 +184,16 @@ const TokenViewer = ({ code, language = 'javascript' }) => {
 };
 
 // StageTimeline Component - Interactive progress bar
-const StageTimeline = ({ stages, currentStage, onStageClick, isPlaying }) => {
+// failedStage is the index the last compilation stopped at (null when it didn't fail)
+const StageTimeline = ({ stages, currentStage, onStageClick, isPlaying, failedStage = null }) => {
+  const failed = failedStage !== null && failedStage !== undefined;
+  const stageName = (stage) => (typeof stage === 'string' ? stage : stage.title?.replace(/🔤|🌳|🧠|⚡|🔧|🎯/g, '').trim());
   return (
     <div className="bg-gray-800 p-4 rounded-lg">
       <div className="flex justify-between items-center mb-4">
         <h3 className="text-white font-bold">Compilation Pipeline</h3>
-        <div className="text-sm text-gray-400">
-          Stage {currentStage + 1} of {stages.length}
+        <div className={`text-sm ${failed ? 'text-red-300' : 'text-gray-400'}`}>
+          {failed ? `Stopped at stage ${failedStage + 1} of ${stages.length}` : `Stage ${currentStage + 1} of ${stages.length}`}
         </div>
       </div>
       
@@ -186,7 +204,11 @@ const StageTimeline = ({ stages, currentStage, onStageClick, isPlaying }) => {
             onClick={() => onStageClick(index)}
             disabled={isPlaying}
             className={`flex-1 h-16 rounded-lg border-2 transition-all duration-300 ${
-              index === currentStage 
+              failed && index === failedStage
+                ? 'bg-red-700 border-red-400 text-white shadow-lg scale-105'
+                : failed && index > failedStage
+                ? 'bg-gray-800 border-gray-700 text-gray-500 hover:bg-gray-700'
+                : index === currentStage 
                 ? 'bg-blue-600 border-blue-400 text-white shadow-lg scale-105' 
                 : index < currentStage
                 ? 'bg-green-600 border-green-400 text-white hover:scale-105'
@@ -201,7 +223,7 @@ const StageTimeline = ({ stages, currentStage, onStageClick, isPlaying }) => {
                 }
               </span>
               <span className="text-xs font-medium text-center leading-tight">
-                {typeof stage === 'string' ? stage : stage.title?.replace(/🔤|🌳|🧠|⚡|🔧|🎯/g, '').trim()}
+                {failed && index === failedStage ? `${stageName(stage)} failed here` : stageName(stage)}
               </span>
               {index === currentStage && isPlaying && (
                 <motion.div
@@ -218,9 +240,9 @@ const StageTimeline = ({ stages, currentStage, onStageClick, isPlaying }) => {
       {/* Progress Bar */}
       <div className="mt-4 bg-gray-700 rounded-full h-2">
         <motion.div
-          className="bg-gradient-to-r from-blue-500 to-green-500 h-2 rounded-full"
+          className={`bg-gradient-to-r ${failed ? 'from-green-500 to-red-500' : 'from-blue-500 to-green-500'} h-2 rounded-full`}
           initial={{ width: '0%' }}
-          animate={{ width: `${((currentStage + 1) / stages.length) * 100}%` }}
+          animate={{ width: `${(((failed ? failedStage : currentStage) + 1) / stages.length) * 100}%` }}
           transition={{ duration: 0.5 }}
         />
       </div>
@@ -293,6 +315,27 @@ const LanguageSelector = ({ selectedLanguage, onLanguageChange, languages }) =>
   );
 };
 
+// Node and edge look of the SVG graphs: ParseTree, CompilerWorkers and the
+// control-flow graphs draw their nodes and connections with these
+const GRAPH_NODE_STYLE = {
+  fill: '#374151',
+  hoverFill: '#6B7280',
+  activeFill: '#3B82F6',
+  stroke: '#6B7280',
+  activeStroke: '#60A5FA',
+  strokeWidth: 2,
+  label: 'text-xs fill-white font-medium pointer-events-none',
+  whileHover: { scale: 1.1 },
+  whileTap: { scale: 0.95 },
+};
+const GRAPH_EDGE_STYLE = {
+  stroke: '#6B7280',
+  strokeWidth: 1,
+  flowStroke: '#4B5563',
+  flowWidth: 2,
+  dash: '5,5',
+};
+
 // ParseTree Component - Interactive SVG-based parse tree
 const ParseTree = ({ parseData, onNodeClick, selectedNode }) => {
   const [hoveredNode, setHoveredNode] = useState(null);
@@ -353,8 +396,8 @@ const ParseTree = ({ parseData, onNodeClick, selectedNode }) => {
               y1={p.y + 20}
               x2={c.x}
               y2={c.y - 20}
-              stroke="#6B7280"
-              strokeWidth={1}
+              stroke={GRAPH_EDGE_STYLE.stroke}
+              strokeWidth={GRAPH_EDGE_STYLE.strokeWidth}
             />
           );
         })
@@ -375,21 +418,21 @@ const ParseTree = ({ parseData, onNodeClick, selectedNode }) => {
               cx={pos.x}
               cy={pos.y}
               r={20}
-              fill={isSelected ? '#3B82F6' : isHovered ? '#6B7280' : '#374151'}
-              stroke={isSelected ? '#60A5FA' : '#6B7280'}
-              strokeWidth={2}
+              fill={isSelected ? GRAPH_NODE_STYLE.activeFill : isHovered ? GRAPH_NODE_STYLE.hoverFill : GRAPH_NODE_STYLE.fill}
+              stroke={isSelected ? GRAPH_NODE_STYLE.activeStroke : GRAPH_NODE_STYLE.stroke}
+              strokeWidth={GRAPH_NODE_STYLE.strokeWidth}
               className="cursor-pointer"
               onClick={() => onNodeClick && onNodeClick(node)}
               onMouseEnter={() => setHoveredNode(node)}
               onMouseLeave={() => setHoveredNode(null)}
-              whileHover={{ scale: 1.1 }}
-              whileTap={{ scale: 0.95 }}
+              whileHover={GRAPH_NODE_STYLE.whileHover}
+              whileTap={GRAPH_NODE_STYLE.whileTap}
             />
             <text
               x={pos.x}
               y={pos.y + 5}
               textAnchor="middle"
-              className="text-xs fill-white font-medium pointer-events-none"
+              className={GRAPH_NODE_STYLE.label}
             >
               {String(node.label).substring(0, 12)}
             </text>
@@ -454,17 +497,17 @@ const CompilerWorkers = ({ currentStage, isPlaying }) => {
           {/* Connection lines */}
           <path
             d="M 50,100 L 200,100 L 350,100 L 500,100 L 350,200 L 200,200"
-            stroke="#4B5563"
-            strokeWidth="2"
+            stroke={GRAPH_EDGE_STYLE.flowStroke}
+            strokeWidth={GRAPH_EDGE_STYLE.flowWidth}
             fill="none"
-            strokeDasharray="5,5"
+            strokeDasharray={GRAPH_EDGE_STYLE.dash}
           />
           
           {/* Data flow animation */}
           {isPlaying && (
             <motion.circle
               r="4"
-              fill="#3B82F6"
+              fill={GRAPH_NODE_STYLE.activeFill}
               initial={{ offsetDistance: '0%' }}
               animate={{ offsetDistance: '100%' }}
               transition={{ duration: 3, repeat: Infinity, ease: 'linear' }}
@@ -506,4 +549,4 @@ const CompilerWorkers = ({ currentStage, isPlaying }) => {
   );
 };
 
-export { TokenViewer, StageTimeline, LanguageSelector, ParseTree, CompilerWorkers };
+export { TokenViewer, StageTimeline, LanguageSelector, ParseTree, CompilerWorkers, GRAPH_NODE_STYLE, GRAPH_EDGE_STYLE };
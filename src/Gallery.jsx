@@ -31,9 +31,9 @@ export default function Gallery() {
       <h2 className="text-lg font-semibold">Public Snippets</h2>
       <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-4">
         {snippets.map((s) => (
-          <a key={s.id} href={`/?snippet=${s.id}&tab=pythonlab`} className="block bg-gray-800 border border-gray-700 rounded p-3 hover:border-blue-500">
+          <a key={s.id} href={`/?snippet=${s.id}&tab=${s.meta?.languageDefinition ? 'tokens' : 'pythonlab'}`} className="block bg-gray-800 border border-gray-700 rounded p-3 hover:border-blue-500">
             <div className="text-xs text-gray-400">{new Date(s.createdAt).toLocaleString()}</div>
-            <div className="text-sm mt-1 font-medium">{s.language?.toUpperCase() || 'PYTHON'}</div>
+            <div className="text-sm mt-1 font-medium">{s.meta?.languageDefinition ? '🧪 CUSTOM LANGUAGE' : s.language?.toUpperCase() || 'PYTHON'}</div>
             <pre className="mt-2 text-xs text-gray-300 max-h-24 overflow-hidden whitespace-pre-wrap">{(s.code || '').slice(0, 400)}</pre>
           </a>
         ))}
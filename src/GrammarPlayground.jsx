@@ -0,0 +1,289 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { ParseTree } from './EnhancedComponents';
+import { buildGrammar, parseWithGrammar, parseTreeData, EMPTY, END_OF_INPUT } from './grammar';
+
+/**
+ * Grammar Playground - design a grammar and watch it parse
+ * Write a small context-free grammar in BNF or EBNF next to an input string.
+ * A parser is built from the grammar on the spot (Earley, so any grammar
+ * works), the concrete parse tree is drawn, and the grammar's FIRST and
+ * FOLLOW sets, left recursion and ambiguities are reported alongside.
+ */
+
+export const EXAMPLE_GRAMMARS = [
+  {
+    name: 'Arithmetic',
+    grammar: `# Each level of rules is one level of precedence
+expr   ::= expr "+" term | expr "-" term | term
+term   ::= term "*" factor | term "/" factor | factor
+factor ::= "(" expr ")" | NUMBER`,
+    input: '1 + 2 * (3 - 4)',
+  },
+  {
+    name: 'Ambiguous math',
+    grammar: `# One rule for everything: which operator goes first?
+e ::= e "+" e | e "*" e | NUMBER`,
+    input: '1 + 2 * 3',
+  },
+  {
+    name: 'Dangling else',
+    grammar: `stmt ::= "if" NAME "then" stmt
+       | "if" NAME "then" stmt "else" stmt
+       | NAME "=" NUMBER`,
+    input: 'if a then if b then x = 1 else x = 2',
+  },
+  {
+    name: 'Lists (EBNF)',
+    grammar: `list  ::= "[" [ item { "," item } ] "]"
+item  ::= NUMBER | STRING | list`,
+    input: '[1, "two", [3, 4], []]',
+  },
+];
+
+const readSaved = (key, fallback) => {
+  try { return localStorage.getItem(key) ?? fallback; } catch (_) { return fallback; }
+};
+
+const showTerminal = (key) => {
+  if (key === EMPTY) return 'ε';
+  if (key === END_OF_INPUT) return '$ (end)';
+  return key;
+};
+
+const TerminalChips = ({ keys }) => (
+  <div className="flex flex-wrap gap-1">
+    {keys.length === 0 && <span className="text-gray-500">—</span>}
+    {keys.map((key) => (
+      <span key={key} className="px-1.5 rounded bg-gray-700 text-gray-100 font-mono">{showTerminal(key)}</span>
+    ))}
+  </div>
+);
+
+const GrammarPlayground = () => {
+  const [grammarText, setGrammarText] = useState(() => readSaved('grammarText', EXAMPLE_GRAMMARS[0].grammar));
+  const [input, setInput] = useState(() => readSaved('grammarInput', EXAMPLE_GRAMMARS[0].input));
+  const [treeIndex, setTreeIndex] = useState(0);
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem('grammarText', grammarText);
+      localStorage.setItem('grammarInput', input);
+    } catch (_) {}
+  }, [grammarText, input]);
+
+  const built = useMemo(() => buildGrammar(grammarText), [grammarText]);
+  const result = useMemo(() => (built.grammar ? parseWithGrammar(built, input) : null), [built, input]);
+
+  useEffect(() => {
+    setTreeIndex(0);
+    setSelectedId(null);
+  }, [result]);
+
+  const { nodes, ambiguities } = useMemo(
+    () => (result ? parseTreeData(built.grammar, result.tokens, result.tree(treeIndex)) : { nodes: [], ambiguities: [] }),
+    [built, result, treeIndex],
+  );
+  const selectedNode = nodes.find((node) => node.id === selectedId) || null;
+  const highlight = selectedNode && selectedNode.start != null
+    ? selectedNode
+    : result && result.error ? result.error : null;
+
+  const loadExample = (example) => {
+    setGrammarText(example.grammar);
+    setInput(example.input);
+  };
+
+  const { grammar, analysis } = built;
+  const userNames = grammar ? grammar.nonterminals.filter((name) => !grammar.isHelper(name)) : [];
+  const treeCount = result ? result.count : 0;
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="text-white font-bold text-lg">📐 Grammar Playground</h3>
+        <div className="flex flex-wrap gap-2">
+          {EXAMPLE_GRAMMARS.map((example) => (
+            <button
+              key={example.name}
+              onClick={() => loadExample(example)}
+              className="px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white text-sm"
+            >
+              ✨ {example.name}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-5 gap-4">
+        <div className="xl:col-span-2 flex flex-col gap-3">
+          <p className="text-xs text-gray-400">
+            One rule per name: <span className="font-mono">name ::= ... | ...</span>. Quote the exact text to match
+            (<span className="font-mono">"+"</span>), or use <span className="font-mono">NUMBER</span>,{' '}
+            <span className="font-mono">NAME</span>, <span className="font-mono">STRING</span> or a{' '}
+            <span className="font-mono">/regex/</span>. EBNF extras: <span className="font-mono">( )</span> groups,{' '}
+            <span className="font-mono">[ ]</span> or <span className="font-mono">?</span> optional,{' '}
+            <span className="font-mono">{'{ }'}</span> or <span className="font-mono">*</span> repeat,{' '}
+            <span className="font-mono">+</span> one or more. The first rule is where parsing starts.
+          </p>
+          <textarea
+            value={grammarText}
+            onChange={(e) => setGrammarText(e.target.value)}
+            spellCheck={false}
+            placeholder='greeting ::= "hello" NAME'
+            className="w-full h-56 bg-gray-900 text-gray-100 font-mono text-xs rounded p-2 border border-gray-700 focus:border-blue-500 outline-none"
+          />
+          {built.errors.length > 0 && (
+            <ul className="text-xs text-red-300 space-y-1">
+              {built.errors.map((error) => <li key={error}>⚠️ {error}</li>)}
+            </ul>
+          )}
+
+          <label className="text-sm text-gray-300" htmlFor="grammar-input">Input to parse</label>
+          <textarea
+            id="grammar-input"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            spellCheck={false}
+            className="w-full h-16 bg-gray-900 text-gray-100 font-mono text-sm rounded p-2 border border-gray-700 focus:border-blue-500 outline-none"
+          />
+          {highlight && (
+            <pre className="bg-gray-900 rounded p-2 text-sm font-mono text-gray-300 whitespace-pre-wrap">
+              {input.slice(0, highlight.start)}
+              <mark className={`${selectedNode ? 'bg-blue-600' : 'bg-red-700'} text-white rounded`}>
+                {input.slice(highlight.start, highlight.end) || ' '}
+              </mark>
+              {input.slice(highlight.end)}
+            </pre>
+          )}
+        </div>
+
+        <div className="xl:col-span-3 flex flex-col gap-3">
+          {result && (
+            <div className={`rounded p-3 text-sm ${result.error ? 'bg-red-900' : treeCount > 1 || result.cyclic ? 'bg-yellow-900' : 'bg-green-900'}`}>
+              {result.error ? (
+                <>
+                  <div className="text-white">❌ {result.error.message}</div>
+                  {result.error.hint && <div className="text-xs text-red-200 mt-1">💡 {result.error.hint}</div>}
+                </>
+              ) : (
+                <>
+                  <div className="flex flex-wrap items-center justify-between gap-2 text-white">
+                    <span>
+                      {treeCount > 1
+                        ? `⚠️ Ambiguous: this input has ${result.saturated ? 'over a million' : treeCount} different parse trees`
+                        : '✓ The input matches the grammar in exactly one way'}
+                    </span>
+                    {treeCount > 1 && (
+                      <span className="flex items-center gap-2">
+                        <button
+                          onClick={() => setTreeIndex((i) => Math.max(0, i - 1))}
+                          disabled={treeIndex === 0}
+                          className="px-2 rounded bg-gray-700 disabled:opacity-40"
+                        >
+                          ◀
+                        </button>
+                        Tree {treeIndex + 1} of {result.saturated ? `${treeCount}+` : treeCount}
+                        <button
+                          onClick={() => setTreeIndex((i) => Math.min(treeCount - 1, i + 1))}
+                          disabled={treeIndex >= treeCount - 1}
+                          className="px-2 rounded bg-gray-700 disabled:opacity-40"
+                        >
+                          ▶
+                        </button>
+                      </span>
+                    )}
+                  </div>
+                  {result.cyclic && (
+                    <div className="text-xs text-yellow-200 mt-1">
+                      💡 A rule here can turn into itself without matching anything, so there are endless more trees. Only the ones without such loops are shown.
+                    </div>
+                  )}
+                  {ambiguities.length > 0 && (
+                    <ul className="text-xs text-yellow-100 mt-2 space-y-1">
+                      {ambiguities.map((spot) => (
+                        <li key={spot.id}>
+                          <button className="underline decoration-dotted text-left" onClick={() => setSelectedId(spot.id)}>
+                            {spot.name} over “{spot.start == null ? '' : input.slice(spot.start, spot.end)}”
+                          </button>{' '}
+                          could also have been built another way (this tree uses {spot.name} ::= {spot.rule}).
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+
+          {nodes.length > 0 && (
+            <ParseTree
+              parseData={nodes}
+              onNodeClick={(node) => setSelectedId(node.id === selectedId ? null : node.id)}
+              selectedNode={selectedNode}
+            />
+          )}
+        </div>
+      </div>
+
+      {analysis && (
+        <div className="grid grid-cols-1 xl:grid-cols-5 gap-4">
+          <div className="xl:col-span-3 bg-gray-900 rounded p-3 overflow-auto">
+            <div className="text-gray-300 font-semibold mb-2">FIRST and FOLLOW sets</div>
+            <table className="w-full text-xs text-gray-300">
+              <thead>
+                <tr className="text-left text-gray-400">
+                  <th className="pr-3 pb-1">Rule</th>
+                  <th className="pr-3 pb-1" title="Tokens this rule can start with (ε: it can match nothing)">FIRST</th>
+                  <th className="pb-1" title="Tokens that can come right after this rule">FOLLOW</th>
+                </tr>
+              </thead>
+              <tbody>
+                {userNames.map((name) => (
+                  <tr key={name} className="border-t border-gray-800 align-top">
+                    <td className="pr-3 py-1 font-mono text-white">{name}</td>
+                    <td className="pr-3 py-1"><TerminalChips keys={Array.from(analysis.first.get(name))} /></td>
+                    <td className="py-1"><TerminalChips keys={Array.from(analysis.follow.get(name))} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="xl:col-span-2 bg-gray-900 rounded p-3 text-xs text-gray-300 space-y-2">
+            <div className="text-gray-300 font-semibold text-sm">Grammar check-up</div>
+            {analysis.leftRecursion.length === 0 && analysis.cycles.length === 0 && analysis.warnings.length === 0 && (
+              <div className="text-green-300">✓ No left recursion, loops or unused rules.</div>
+            )}
+            {analysis.leftRecursion.map(({ name, path, direct }) => (
+              <div key={`left-${name}`}>
+                🔁 <span className="font-mono text-white">{name}</span> is {direct ? 'directly' : 'indirectly'} left-recursive:{' '}
+                <span className="font-mono">{path.join(' → ')}</span>
+              </div>
+            ))}
+            {analysis.leftRecursion.length > 0 && (
+              <div className="text-gray-400">
+                💡 This playground copes with it, but a recursive-descent parser (like the ones behind the Parse Tree tab)
+                would call the same rule forever. Rewrite it with repetition, e.g. <span className="font-mono">expr ::= term {'{ "+" term }'}</span>.
+              </div>
+            )}
+            {analysis.cycles.map(({ name, path }) => (
+              <div key={`cycle-${name}`} className="text-yellow-200">
+                ♾️ <span className="font-mono">{name}</span> can turn into itself without matching anything:{' '}
+                <span className="font-mono">{path.join(' → ')}</span>
+              </div>
+            ))}
+            {analysis.warnings.map((warning) => (
+              <div key={warning} className="text-yellow-200">⚠️ {warning}</div>
+            ))}
+            {result && !result.error && (
+              <div className="text-gray-500">The Earley parser made {result.itemCount} items for {result.tokens.length} tokens.</div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GrammarPlayground;
@@ -0,0 +1,287 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { tokenTypeInfo, tokenDisplay, tokenStyle } from './lexer';
+import { AUGMENTED_START, END_OF_INPUT } from './grammar';
+import ParserTreeGraph from './ParserTreeGraph';
+
+/**
+ * LR Stepper - a bottom-up parser at work
+ * Replays a table-driven shift-reduce parse of the code: the state stack with
+ * the symbols on it, the input still to read, and the action/goto table with
+ * the cell that decided each step. Conflicting cells are marked in red. The
+ * parse tree grows from the leaves up as rules are reduced.
+ */
+
+const STEP_ICONS = { shift: '➡️', reduce: '🔽', accept: '🏁', error: '❌' };
+
+// Terminal keys as written in the code: "+" -> +
+const symbolText = (key) => (key.startsWith('"') ? JSON.parse(key) : key);
+
+const actionText = (action) => {
+  if (action.type === 'shift') return `s${action.state}`;
+  if (action.type === 'reduce') return `r${action.production}`;
+  return 'acc';
+};
+
+const itemText = (tables, { production, dot, lookaheads }) => {
+  const { lhs, rhs } = tables.productions[production];
+  const body = rhs.map(symbolText);
+  body.splice(dot, 0, '•');
+  return `${lhs} ::= ${body.join(' ')}   [${Array.from(lookaheads).map(symbolText).join(' ')}]`;
+};
+
+const describeStep = (step, tables, label) => {
+  if (!step) return 'Press Next or Play to start: the parser begins in state 0 with nothing on the stack.';
+  const cell = `action[${step.state}, ${step.terminal ? symbolText(step.terminal) : '?'}]`;
+  switch (step.kind) {
+    case 'shift':
+      return `Shift: ${cell} = ${actionText(step.action)}, so "${label(step.nodeId)}" moves onto the stack with state ${step.action.state} on top.`;
+    case 'reduce': {
+      const production = tables.productions[step.action.production];
+      const exposed = step.states[step.states.length - 2];
+      return `Reduce: ${cell} = ${actionText(step.action)}. The top ${production.rhs.length} ${production.rhs.length === 1 ? 'symbol matches' : 'symbols match'} `
+        + `${production.lhs} ::= ${production.rhs.map(symbolText).join(' ') || 'ε'}, so they become one ${production.lhs}; `
+        + `goto[${exposed}, ${production.lhs}] = ${step.goto}.`;
+    }
+    case 'accept':
+      return `Accept: ${cell} = acc. The whole input reduced to one ${tables.productions[0].rhs[0]} - the parse tree is complete.`;
+    case 'error':
+      return step.error.message;
+    default:
+      return '';
+  }
+};
+
+const LRStepper = ({ trace, stepIndex, lalr, onLalrChange, onShowParseTree }) => {
+  const rowRef = useRef(null);
+  const { tables, tokens, steps, tree, error } = trace;
+  const step = stepIndex > 0 ? steps[stepIndex - 1] : null;
+  const states = step ? step.states : [0];
+  const symbols = step ? step.symbols : [];
+  const cursor = step ? step.cursor : 0;
+  const top = states[states.length - 1];
+  const nodesById = useMemo(() => new Map(tree ? tree.allNodes.map((node) => [node.id, node]) : []), [tree]);
+  const label = (id) => (nodesById.has(id) ? nodesById.get(id).label : id);
+
+  const nonterminals = useMemo(() => tables.nonterminals.filter((name) => name !== AUGMENTED_START), [tables]);
+  const conflictCells = useMemo(() => new Set(tables.conflicts.map((c) => `${c.state} ${c.terminal}`)), [tables]);
+
+  // The cell the step read, and for a reduce the goto cell it followed
+  const usedAction = step && step.terminal ? `${step.state} ${step.terminal}` : null;
+  const usedGoto = step && step.kind === 'reduce'
+    ? `${step.states[step.states.length - 2]} ${tables.productions[step.action.production].lhs}`
+    : null;
+  const focusRow = step ? step.state : 0;
+
+  const revealed = useMemo(() => {
+    const ids = new Set(steps.slice(0, stepIndex).map((s) => s.nodeId).filter(Boolean));
+    if (stepIndex >= steps.length && tree) ids.add(tree.id);
+    return ids;
+  }, [steps, stepIndex, tree]);
+
+  useEffect(() => {
+    if (rowRef.current && rowRef.current.scrollIntoView) rowRef.current.scrollIntoView({ block: 'nearest' });
+  }, [focusRow]);
+
+  const conflictText = (conflict) => {
+    const choice = conflict.kind === 'shift/reduce' ? 'the parser shifts' : `the parser reduces by rule ${Math.min(...conflict.actions.map((a) => a.production))}`;
+    return `State ${conflict.state} on ${symbolText(conflict.terminal)}: ${conflict.actions.map(actionText).join(' or ')} (${conflict.kind}) - ${choice}.`;
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h4 className="text-lg font-semibold text-white">🔽 Shift-Reduce Parser</h4>
+        <div className="flex items-center gap-3 text-sm">
+          <div className="flex rounded overflow-hidden border border-gray-600" role="group" aria-label="Table kind">
+            {[[true, 'LALR(1)'], [false, 'LR(1)']].map(([kind, name]) => (
+              <button
+                key={name}
+                onClick={() => onLalrChange(kind)}
+                aria-pressed={lalr === kind}
+                className={`px-3 py-1 ${lalr === kind ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+              >
+                {name}
+              </button>
+            ))}
+          </div>
+          <span className="text-gray-400">
+            {tables.states.length} states{lalr ? ` (LR(1) needs ${tables.lr1StateCount})` : ''} • Step {stepIndex} of {steps.length}
+          </span>
+        </div>
+      </div>
+
+      <div className={`rounded p-3 ${step && step.kind === 'error' ? 'bg-red-900' : step && step.kind === 'reduce' ? 'bg-green-800' : 'bg-gray-700'}`}>
+        <div className="text-gray-400 text-sm">What just happened</div>
+        <div className="text-white">{step && STEP_ICONS[step.kind]} {describeStep(step, tables, label)}</div>
+        {step && step.kind === 'error' && <div className="text-xs text-red-200 mt-1">💡 {step.error.hint}</div>}
+        {step && step.conflict && (
+          <div className="text-xs text-red-200 mt-1">⚠️ This cell has a conflict: {conflictText(tables.conflicts.find((c) => c.state === step.state && c.terminal === step.terminal))}</div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        {/* States with the symbols between them, bottom of the stack first */}
+        <div className="bg-gray-900 rounded p-3">
+          <div className="text-gray-400 text-sm mb-2">Stack ({states.length} states)</div>
+          <div className="flex flex-wrap items-center gap-1 font-mono text-xs max-h-32 overflow-auto">
+            {states.map((state, index) => (
+              <React.Fragment key={`${index}-${state}`}>
+                {index > 0 && (
+                  <motion.span
+                    initial={{ opacity: 0, y: -6 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    className={`px-2 py-0.5 rounded ${nodesById.get(symbols[index - 1])?.children.length ? 'bg-green-700' : 'bg-gray-700'} text-white`}
+                  >
+                    {label(symbols[index - 1])}
+                  </motion.span>
+                )}
+                <span className={`px-1.5 py-0.5 rounded ${index === states.length - 1 ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-300'}`}>
+                  {state}
+                </span>
+              </React.Fragment>
+            ))}
+          </div>
+        </div>
+
+        <div className="bg-gray-900 rounded p-3">
+          <div className="text-gray-400 text-sm mb-2">Input still to read ({tokens.length - cursor + 1} with the end marker)</div>
+          <div className="flex flex-wrap gap-1 max-h-32 overflow-auto">
+            {tokens.slice(cursor).map((token, index) => (
+              <span
+                key={`${token.start}-${index}`}
+                className={`px-2 py-0.5 rounded-full text-xs font-mono ${tokenTypeInfo(token.type).chip} ${index === 0 ? 'ring-2 ring-yellow-400' : ''}`}
+                style={tokenStyle(token, 'chip')}
+              >
+                {tokenDisplay(token)}
+              </span>
+            ))}
+            <span className={`px-2 py-0.5 rounded-full text-xs font-mono bg-gray-700 text-white ${cursor >= tokens.length ? 'ring-2 ring-yellow-400' : ''}`}>
+              {END_OF_INPUT}
+            </span>
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-gray-900 rounded p-3 text-xs">
+        <div className="text-gray-400 text-sm mb-1">Items in state {top}</div>
+        <ul className="font-mono text-gray-300 max-h-28 overflow-auto space-y-0.5">
+          {tables.states[top].items.map((item) => (
+            <li key={`${item.production}.${item.dot}`} className={item.dot === tables.productions[item.production].rhs.length ? 'text-green-300' : ''}>
+              {itemText(tables, item)}
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {tables.conflicts.length > 0 && (
+        <div className="rounded p-3 bg-red-950 border border-red-700 text-xs text-red-100 space-y-1">
+          <div className="text-sm font-semibold">⚠️ {tables.conflicts.length} {tables.conflicts.length === 1 ? 'conflict' : 'conflicts'} in the table</div>
+          {tables.conflicts.map((conflict) => (
+            <div key={`${conflict.state}-${conflict.terminal}`}>{conflictText(conflict)}</div>
+          ))}
+          {tables.conflicts.every((conflict) => conflict.terminal === '"else"') && (
+            <div className="text-red-200">
+              💡 The grammar is ambiguous here (the dangling else: which if does an else belong to?). Shifting gives the else to the nearest if, like JavaScript does.
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Action and goto table, the row in use highlighted */}
+      <div className="bg-gray-900 rounded max-h-80 overflow-auto">
+        <table className="text-xs font-mono text-gray-300 border-collapse">
+          <thead className="sticky top-0 bg-gray-800 text-gray-300">
+            <tr>
+              <th className="px-2 py-1 text-left" rowSpan={2}>State</th>
+              <th className="px-2 py-1 border-l border-gray-600" colSpan={tables.terminals.length}>action</th>
+              <th className="px-2 py-1 border-l border-gray-600" colSpan={nonterminals.length}>goto</th>
+            </tr>
+            <tr>
+              {tables.terminals.map((terminal, index) => (
+                <th key={terminal} className={`px-1.5 py-1 ${index === 0 ? 'border-l border-gray-600' : ''} ${step && step.terminal === terminal ? 'text-yellow-300' : ''}`}>
+                  {symbolText(terminal)}
+                </th>
+              ))}
+              {nonterminals.map((name, index) => (
+                <th key={name} className={`px-1.5 py-1 ${index === 0 ? 'border-l border-gray-600' : ''}`}>{name}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {tables.states.map((state) => (
+              <tr
+                key={state.index}
+                ref={state.index === focusRow ? rowRef : null}
+                className={`border-t border-gray-800 ${state.index === focusRow ? 'bg-blue-950' : ''}`}
+              >
+                <td className="px-2 py-0.5 text-gray-400">{state.index}</td>
+                {tables.terminals.map((terminal, index) => {
+                  const key = `${state.index} ${terminal}`;
+                  const actions = tables.action[state.index].get(terminal) || [];
+                  return (
+                    <td
+                      key={terminal}
+                      title={conflictCells.has(key) ? `Conflict: ${actions.map(actionText).join(' or ')}` : undefined}
+                      className={`px-1.5 py-0.5 text-center whitespace-nowrap ${index === 0 ? 'border-l border-gray-700' : ''} ${
+                        key === usedAction ? 'bg-yellow-500 text-black font-bold' : conflictCells.has(key) ? 'bg-red-800 text-white' : ''
+                      }`}
+                    >
+                      {actions.map(actionText).join('/')}
+                    </td>
+                  );
+                })}
+                {nonterminals.map((name, index) => {
+                  const key = `${state.index} ${name}`;
+                  const next = tables.goto[state.index].get(name);
+                  return (
+                    <td
+                      key={name}
+                      className={`px-1.5 py-0.5 text-center ${index === 0 ? 'border-l border-gray-700' : ''} ${key === usedGoto ? 'bg-green-500 text-black font-bold' : ''}`}
+                    >
+                      {next ?? ''}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <details className="bg-gray-900 rounded p-3 text-xs text-gray-300">
+        <summary className="cursor-pointer text-sm text-gray-400">Grammar rules (r1 … r{tables.productions.length - 1})</summary>
+        <ol className="font-mono mt-2 space-y-0.5">
+          {tables.productions.slice(1).map((production) => (
+            <li
+              key={production.index}
+              className={step && step.kind === 'reduce' && step.action.production === production.index ? 'text-green-300' : ''}
+            >
+              r{production.index}: {production.lhs} ::= {production.rhs.map(symbolText).join(' ') || 'ε'}
+            </li>
+          ))}
+        </ol>
+      </details>
+
+      {step && step.kind === 'accept' && onShowParseTree && (
+        <div className="flex justify-end">
+          <button
+            onClick={() => onShowParseTree({ tree, kind: lalr ? 'LALR(1)' : 'LR(1)' })}
+            className="px-3 py-1 rounded text-sm text-white bg-blue-600 hover:bg-blue-500"
+          >
+            🌳 Show this tree in the Parse Tree tab
+          </button>
+        </div>
+      )}
+      {tree ? (
+        <div className="h-96">
+          <ParserTreeGraph tree={tree} revealed={revealed} activeId={step ? step.nodeId || null : null} />
+        </div>
+      ) : (
+        error && <div className="text-sm text-gray-400">Nothing was shifted, so there is no tree yet.</div>
+      )}
+    </div>
+  );
+};
+
+export default LRStepper;
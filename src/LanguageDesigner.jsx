@@ -0,0 +1,133 @@
+import React, { useRef } from 'react';
+import { tokenTypeInfo } from './lexer';
+
+/**
+ * Language Designer - invent a language and watch it being lexed
+ * Side panel of the Tokens tab: paste or upload a JSON language definition
+ * (token rules as regexes with priorities, keywords and colors). While it is
+ * switched on, the Tokens tab and the compiler's lexical stage use it to
+ * tokenize the editor contents. It is saved together with the snippet.
+ */
+
+export const EXAMPLE_LANGUAGE = {
+  definition: `{
+  "name": "RoboScript",
+  "keywords": ["move", "turn", "repeat", "times", "end", "say"],
+  "keywordColor": "#f472b6",
+  "rules": [
+    { "type": "comment", "pattern": "//.*", "color": "#9ca3af", "description": "A note for humans" },
+    { "type": "number", "pattern": "[0-9]+", "color": "#fbbf24" },
+    { "type": "direction", "pattern": "left|right|up|down", "priority": 1, "color": "#34d399", "description": "Which way the robot goes" },
+    { "type": "string", "pattern": "\\"[^\\"\\\\n]*\\"", "color": "#a3e635" },
+    { "type": "identifier", "pattern": "[A-Za-z_][A-Za-z0-9_]*" },
+    { "type": "operator", "pattern": "[-+*/=]" },
+    { "type": "whitespace", "pattern": "\\\\s+", "skip": true }
+  ]
+}`,
+  code: `// Draw a square
+repeat 4 times
+  move 10
+  turn left
+end
+say "done!"`,
+};
+
+const LanguageDesigner = ({ text, onTextChange, enabled, onToggle, definition, errors, onLoadExample, onSave }) => {
+  const fileRef = useRef(null);
+
+  const handleUpload = (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => onTextChange(String(reader.result || ''));
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 h-full flex flex-col gap-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-white font-bold text-lg">🧪 Language Designer</h3>
+        <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={enabled}
+            disabled={!definition}
+            onChange={(e) => onToggle(e.target.checked)}
+          />
+          Use for tokens
+        </label>
+      </div>
+
+      <p className="text-xs text-gray-400">
+        Describe your own language as JSON: each rule has a <span className="font-mono">type</span>, a regex{' '}
+        <span className="font-mono">pattern</span> and an optional <span className="font-mono">priority</span> and{' '}
+        <span className="font-mono">color</span>. The longest match wins; priority breaks ties.
+      </p>
+
+      <textarea
+        value={text}
+        onChange={(e) => onTextChange(e.target.value)}
+        spellCheck={false}
+        placeholder='{ "name": "MyLang", "keywords": [], "rules": [{ "type": "number", "pattern": "[0-9]+" }] }'
+        className="w-full h-64 bg-gray-900 text-gray-100 font-mono text-xs rounded p-2 border border-gray-700 focus:border-blue-500 outline-none"
+      />
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => fileRef.current && fileRef.current.click()}
+          className="px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white text-sm"
+        >
+          📂 Upload JSON
+        </button>
+        <input ref={fileRef} type="file" accept=".json,application/json" className="hidden" onChange={handleUpload} />
+        <button onClick={onLoadExample} className="px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white text-sm">
+          ✨ Example
+        </button>
+        <button
+          onClick={onSave}
+          disabled={!definition}
+          className={`px-3 py-1 rounded text-sm ${definition ? 'bg-blue-600 hover:bg-blue-500 text-white' : 'bg-gray-600 text-gray-400'}`}
+        >
+          💾 Save with snippet
+        </button>
+      </div>
+
+      {text.trim() && errors.length > 0 && (
+        <ul className="text-xs text-red-300 space-y-1">
+          {errors.map((error) => <li key={error}>⚠️ {error}</li>)}
+        </ul>
+      )}
+
+      {definition && (
+        <div className="text-xs text-gray-300">
+          <div className="mb-2">
+            ✓ <span className="font-semibold">{definition.name}</span>: {definition.rules.length} rules, {definition.keywords.length} keywords
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {definition.keywords.length > 0 && (
+              <span
+                className={`px-2 py-0.5 rounded-full ${definition.keywordColor ? '' : tokenTypeInfo('keyword').chip}`}
+                style={definition.keywordColor ? { backgroundColor: definition.keywordColor, color: '#111827' } : undefined}
+              >
+                keyword
+              </span>
+            )}
+            {definition.rules.filter((rule) => !rule.skip).map((rule, index) => (
+              <span
+                key={`${rule.type}-${index}`}
+                className={`px-2 py-0.5 rounded-full ${rule.color ? '' : tokenTypeInfo(rule.type).chip}`}
+                style={rule.color ? { backgroundColor: rule.color, color: '#111827' } : undefined}
+                title={`/${rule.pattern}/${rule.flags} • priority ${rule.priority}`}
+              >
+                {rule.type}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LanguageDesigner;
@@ -0,0 +1,122 @@
+import React, { useEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { tokenTypeInfo, tokenDisplay, tokenStyle } from './lexer';
+
+/**
+ * Lexer Stepper - the "Word Detective" at work
+ * Replays the lexer state machine one character at a time: current state,
+ * characters read for the token being built, and each token as it is emitted.
+ */
+
+const STATE_INFO = {
+  start: { label: 'Start', icon: '🏁' },
+  whitespace: { label: 'Skipping spaces', icon: '␣' },
+  indentation: { label: 'Measuring indentation', icon: '↔️' },
+  identifier: { label: 'In identifier', icon: '🔤' },
+  number: { label: 'In number', icon: '🔢' },
+  string: { label: 'In string', icon: '💬' },
+  comment: { label: 'In comment', icon: '📝' },
+  operator: { label: 'In operator', icon: '➕' },
+  delimiter: { label: 'In punctuation', icon: '🔣' },
+  newline: { label: 'End of line', icon: '⏎' },
+  unknown: { label: 'Unknown character', icon: '❓' },
+};
+
+// States named after the rules of a user-defined language
+const stateInfo = (state) => STATE_INFO[state] || { label: `In ${state}`, icon: '🧩' };
+
+const showChar = (ch) => (ch === ' ' ? '␣' : ch === '\n' ? '⏎' : ch === '\t' ? '⇥' : ch);
+
+const describeStep = (step) => {
+  if (!step) return 'Press Next or Play to start reading the code.';
+  if (step.kind === 'emit') {
+    return `✅ Token finished! Emitted ${tokenTypeInfo(step.token.type).label.toUpperCase()} ${JSON.stringify(tokenDisplay(step.token))}`;
+  }
+  if (step.state === 'whitespace') return `Read ${showChar(step.char)} — spaces only separate words, so skip it`;
+  return `Read "${showChar(step.char)}" — ${stateInfo(step.state).label.toLowerCase()}`;
+};
+
+const LexerStepper = ({ code, steps, tokens, stepIndex }) => {
+  const cursorRef = useRef(null);
+  const step = stepIndex > 0 ? steps[stepIndex - 1] : null;
+  const pos = step ? step.pos : 0;
+  const lexemeStart = step ? (step.kind === 'emit' ? step.pos : step.lexemeStart) : 0;
+  const currentState = step ? step.state : 'start';
+  const emitted = tokens.slice(0, step ? step.tokenCount : 0);
+  const states = ['start', ...Array.from(new Set(steps.map((s) => s.state)))];
+  const source = code || '';
+
+  useEffect(() => {
+    if (cursorRef.current && cursorRef.current.scrollIntoView) {
+      cursorRef.current.scrollIntoView({ block: 'nearest' });
+    }
+  }, [stepIndex]);
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <h4 className="text-lg font-semibold text-white">👣 Lexer Step-Through</h4>
+        <span className="text-sm text-gray-400">Step {stepIndex} of {steps.length}</span>
+      </div>
+
+      {/* State machine */}
+      <div className="flex flex-wrap gap-2">
+        {states.map((state) => {
+          const info = stateInfo(state);
+          const active = state === currentState;
+          return (
+            <motion.div
+              key={state}
+              animate={{ scale: active ? 1.1 : 1 }}
+              className={`px-3 py-1 rounded-full text-sm border ${
+                active ? 'bg-blue-600 border-blue-300 text-white shadow-lg' : 'bg-gray-700 border-gray-600 text-gray-400'
+              }`}
+            >
+              {info.icon} {info.label}
+            </motion.div>
+          );
+        })}
+      </div>
+
+      {/* Source with read / in-progress / unread regions */}
+      <pre className="bg-gray-900 rounded p-3 font-mono text-sm whitespace-pre-wrap max-h-48 overflow-auto">
+        <span className="text-gray-500">{source.slice(0, lexemeStart)}</span>
+        <span className="bg-green-700 text-white">{source.slice(lexemeStart, pos)}</span>
+        <span ref={cursorRef} className="bg-yellow-400 text-black">{source[pos] === '\n' ? '⏎\n' : showChar(source[pos] || ' ')}</span>
+        <span className="text-gray-300">{source.slice(pos + 1)}</span>
+      </pre>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div className="bg-gray-700 rounded p-3">
+          <div className="text-gray-400 text-sm">Characters read for this token</div>
+          <div className="font-mono text-green-300 text-lg min-h-[1.75rem]">
+            {step && step.kind === 'emit' ? '' : source.slice(lexemeStart, pos).split('').map(showChar).join('')}
+          </div>
+        </div>
+        <div className={`rounded p-3 ${step && step.kind === 'emit' ? 'bg-green-800' : 'bg-gray-700'}`}>
+          <div className="text-gray-400 text-sm">What just happened</div>
+          <div className="text-white">{describeStep(step)}</div>
+        </div>
+      </div>
+
+      <div>
+        <div className="text-gray-400 text-sm mb-2">Tokens emitted ({emitted.length})</div>
+        <div className="flex flex-wrap gap-2">
+          {emitted.map((token, index) => (
+            <motion.div
+              key={`${token.start}-${index}`}
+              initial={index === emitted.length - 1 ? { opacity: 0, scale: 0 } : false}
+              animate={{ opacity: 1, scale: 1 }}
+              className={`px-3 py-1 rounded-full text-sm font-mono ${tokenTypeInfo(token.type).chip}`}
+              style={tokenStyle(token, 'chip')}
+            >
+              {tokenDisplay(token)}
+            </motion.div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LexerStepper;
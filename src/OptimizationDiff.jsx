@@ -0,0 +1,112 @@
+import React, { useMemo } from 'react';
+import { useSourceSelection } from './components/SourceSelection';
+import { OPTIMIZATION_PASSES, lineDiff } from './optimizer';
+
+/**
+ * Optimization Diff - the program before and after the optimizer
+ * Lines the user's code up with the optimized code side by side. Every change
+ * is tagged on its first changed line with the passes that made it (hover a
+ * tag for what it did); clicking a changed line selects the original code in
+ * the editor.
+ */
+
+const ROW_STYLES = {
+  same: { left: '', right: '' },
+  removed: { left: 'bg-red-900 bg-opacity-50 text-red-100', right: 'bg-gray-900' },
+  added: { left: 'bg-gray-900', right: 'bg-green-900 bg-opacity-50 text-green-100' },
+  changed: { left: 'bg-red-900 bg-opacity-50 text-red-100', right: 'bg-green-900 bg-opacity-50 text-green-100' },
+};
+
+const OptimizationDiff = ({ code, optimized, language, syntaxErrors = [] }) => {
+  const { select } = useSourceSelection();
+  const rows = useMemo(() => (optimized ? lineDiff(code, optimized.code) : []), [code, optimized]);
+
+  if (!optimized) {
+    return (
+      <div className="bg-gray-800 rounded-lg p-4 text-gray-400 text-sm">
+        {syntaxErrors.length
+          ? 'Fix the syntax errors first: the parser left some of your code out, so optimizing the rest could change what the program does.'
+          : 'The optimizer works on JavaScript and Python code.'}
+      </div>
+    );
+  }
+
+  const { changes } = optimized;
+  // Each change is tagged once, on the first changed line it covers
+  const tagged = new Set();
+  const tagsOn = (line) => changes.filter((change) => {
+    if (tagged.has(change.id) || line < change.line || line > change.endLine) return false;
+    tagged.add(change.id);
+    return true;
+  });
+  const counts = Object.keys(OPTIMIZATION_PASSES)
+    .map((pass) => ({ pass, count: changes.filter((change) => change.passes.includes(pass)).length }))
+    .filter(({ count }) => count);
+  const changeOn = (line) => (line == null ? null : changes.find((change) => line >= change.line && line <= change.endLine) || null);
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h4 className="text-lg font-semibold text-white">⚡ Your code, optimized</h4>
+        <div className="flex flex-wrap gap-2 text-xs">
+          {counts.map(({ pass, count }) => (
+            <span key={pass} className="px-2 py-0.5 rounded bg-gray-700 text-gray-200">
+              {OPTIMIZATION_PASSES[pass].icon} {OPTIMIZATION_PASSES[pass].title}: {count}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {!changes.length ? (
+        <p className="text-sm text-green-300">
+          Nothing to optimize: no constants to fold or propagate, no dead branches, unreachable code, repeated calculations or dead stores.
+        </p>
+      ) : (
+        <div className="max-h-96 overflow-auto rounded border border-gray-700 font-mono text-xs">
+          <table className="w-full border-collapse">
+            <thead className="sticky top-0 bg-gray-900 text-gray-400">
+              <tr>
+                <th className="w-8" />
+                <th className="text-left px-2 py-1 font-normal">Before ({language === 'python' ? 'Python' : 'JavaScript'})</th>
+                <th className="w-8" />
+                <th className="text-left px-2 py-1 font-normal">After</th>
+                <th className="text-left px-2 py-1 font-normal">Pass</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, index) => {
+                const style = ROW_STYLES[row.kind];
+                const leftLine = row.left ? row.left.line : null;
+                const change = row.kind === 'same' ? null : changeOn(leftLine);
+                const tags = change ? tagsOn(leftLine) : [];
+                return (
+                  <tr
+                    key={index}
+                    onClick={change ? () => select({ start: change.start, end: change.end }, 'compiler') : undefined}
+                    className={change ? 'cursor-pointer hover:brightness-125' : ''}
+                    title={change ? 'Show in the editor' : undefined}
+                  >
+                    <td className="px-1 text-right text-gray-500 select-none align-top">{row.left && row.left.line}</td>
+                    <td className={`px-2 whitespace-pre align-top ${style.left}`}>{row.left ? row.left.text : ''}</td>
+                    <td className="px-1 text-right text-gray-500 select-none align-top">{row.right && row.right.line}</td>
+                    <td className={`px-2 whitespace-pre align-top ${style.right}`}>{row.right ? row.right.text : ''}</td>
+                    <td className="px-2 align-top whitespace-nowrap">
+                      {tags.map((tag) => (
+                        <span key={tag.id} title={tag.note} className="mr-1">
+                          {tag.passes.map((pass) => OPTIMIZATION_PASSES[pass].icon).join('')}
+                          <span className="text-gray-400 ml-1">{tag.passes.map((pass) => OPTIMIZATION_PASSES[pass].title).join(' + ')}</span>
+                        </span>
+                      ))}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OptimizationDiff;
@@ -0,0 +1,123 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { tokenTypeInfo, tokenDisplay, tokenStyle } from './lexer';
+import ParserTreeGraph from './ParserTreeGraph';
+
+/**
+ * Parser Stepper - the "Grammar Police" at work
+ * Replays a recursive-descent parse one action at a time: the token cursor,
+ * the stack of grammar rules being tried, and every AST node appearing in the
+ * tree the moment it is built, together with the children it adopts.
+ */
+
+const STEP_ICONS = { enter: '➡️', exit: '↩️', consume: '✅', node: '🌱', error: '❌' };
+
+const describeStep = (step, tokens, nodesById) => {
+  if (!step) return 'Press Next or Play to start parsing the tokens.';
+  const lookahead = tokens[step.cursor];
+  switch (step.kind) {
+    case 'enter':
+      return `Trying the ${step.rule} rule${lookahead ? ` - next token is "${tokenDisplay(lookahead)}"` : ' at the end of the code'}`;
+    case 'consume':
+      return `Matched ${tokenTypeInfo(step.token.type).label.toUpperCase()} "${tokenDisplay(step.token)}" - the cursor moves on`;
+    case 'node': {
+      const node = nodesById.get(step.nodeId);
+      const count = node ? node.children.length : 0;
+      return `Built a ${node ? node.type : 'tree'} node${count ? ` and attached its ${count} ${count === 1 ? 'child' : 'children'}` : ''}`;
+    }
+    case 'exit':
+      return `Finished ${step.rule}${step.stack.length ? ` - back in ${step.stack[step.stack.length - 1]}` : ''}`;
+    case 'error':
+      return step.message;
+    default:
+      return '';
+  }
+};
+
+const ParserStepper = ({ trace, stepIndex }) => {
+  const cursorRef = useRef(null);
+  const { tokens, steps, tree } = trace;
+  const step = stepIndex > 0 ? steps[stepIndex - 1] : null;
+  const cursor = step ? step.cursor : 0;
+  const stack = step ? step.stack : [];
+  const nodesById = useMemo(() => new Map(tree.allNodes.map((node) => [node.id, node])), [tree]);
+
+  // Nodes built so far; a node brings along any untraced descendants (e.g. template parts)
+  const revealed = useMemo(() => {
+    const ids = new Set();
+    const reveal = (id) => {
+      if (ids.has(id)) return;
+      ids.add(id);
+      const node = nodesById.get(id);
+      if (node) node.children.forEach(reveal);
+    };
+    steps.slice(0, stepIndex).forEach((s) => { if (s.kind === 'node' && s.nodeId) reveal(s.nodeId); });
+    return ids;
+  }, [steps, stepIndex, nodesById]);
+
+  useEffect(() => {
+    if (cursorRef.current && cursorRef.current.scrollIntoView) {
+      cursorRef.current.scrollIntoView({ block: 'nearest' });
+    }
+  }, [cursor]);
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <h4 className="text-lg font-semibold text-white">👣 Parser Step-Through</h4>
+        <span className="text-sm text-gray-400">Step {stepIndex} of {steps.length}</span>
+      </div>
+
+      <div className={`rounded p-3 ${step && step.kind === 'error' ? 'bg-red-900' : step && step.kind === 'node' ? 'bg-green-800' : 'bg-gray-700'}`}>
+        <div className="text-gray-400 text-sm">What just happened</div>
+        <div className="text-white">{step && STEP_ICONS[step.kind]} {describeStep(step, tokens, nodesById)}</div>
+        {step && step.hint && <div className="text-xs text-red-200 mt-1">💡 {step.hint}</div>}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        {/* Token stream with the parser's cursor */}
+        <div className="md:col-span-2 bg-gray-900 rounded p-3">
+          <div className="text-gray-400 text-sm mb-2">Tokens ({cursor} of {tokens.length} matched)</div>
+          <div className="flex flex-wrap gap-2 max-h-40 overflow-auto">
+            {tokens.map((token, index) => (
+              <span
+                key={`${token.start}-${index}`}
+                ref={index === cursor ? cursorRef : null}
+                className={`px-2 py-0.5 rounded-full text-xs font-mono ${tokenTypeInfo(token.type).chip} ${
+                  index < cursor ? 'opacity-40' : index === cursor ? 'ring-2 ring-yellow-400' : ''
+                }`}
+                style={tokenStyle(token, 'chip')}
+              >
+                {tokenDisplay(token)}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        {/* Grammar rules currently being parsed, innermost on top */}
+        <div className="bg-gray-900 rounded p-3">
+          <div className="text-gray-400 text-sm mb-2">Rule stack ({stack.length})</div>
+          <div className="flex flex-col gap-1 max-h-40 overflow-auto font-mono text-xs">
+            {stack.length === 0 && <span className="text-gray-500">empty</span>}
+            {stack.slice().reverse().map((rule, index) => (
+              <motion.div
+                key={`${stack.length - index}-${rule}`}
+                initial={index === 0 ? { opacity: 0, x: -10 } : false}
+                animate={{ opacity: 1, x: 0 }}
+                className={`px-2 py-1 rounded ${index === 0 ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300'}`}
+              >
+                {rule}
+              </motion.div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="h-96">
+        <ParserTreeGraph tree={tree} revealed={revealed} activeId={step && step.kind === 'node' ? step.nodeId : null} />
+      </div>
+    </div>
+  );
+};
+
+export default ParserStepper;
@@ -1,155 +1,361 @@
-import React, { useState, useEffect } from 'react';
-import { motion } from 'framer-motion';
+import React, { useState, useMemo, useRef, useEffect, useCallback } from 'react';
+import { AnimatePresence, motion } from 'framer-motion';
+import { tokenize } from './lexer';
+import { parseSource, concreteTree, tidyLayout, nodeColor } from './parser';
+import { useSourceSelection, rangeMatchesSelection } from './components/SourceSelection';
+import { SyntaxErrorList } from './components/SyntaxErrorList';
+import { ExportMenu } from './components/ExportMenu';
+import { treeToJSON, treeToDot, treeToSvg, readTreeFile, downloadFile, svgToPng } from './export';
 
 /**
  * Parser Tree Graph - Live AST Visualization
- * Shows the actual structure of parsed code with 17 children nodes
+ * Shows the full nested syntax tree of the code: JavaScript is parsed into
+ * an ESTree AST and Python into the nodes of its own ast module; other
+ * languages use a line-by-line statement view.
+ * The tree is drawn with a tidy layout and can be zoomed (wheel, pinch or
+ * buttons), dragged around, folded at any node and fitted to the screen; a
+ * minimap shows where the view is once the tree is bigger than it.
+ * The export menu saves the tree as JSON, Graphviz DOT, SVG or PNG; JSON,
+ * DOT and SVG files can be opened again to show a saved tree without its code.
+ * For JavaScript and Python the tree can be switched to the concrete parse
+ * tree (every grammar rule and token); switching back first flashes the nodes
+ * the AST folds away, then shrinks them out while the rest glide into place.
+ * The parser walkthrough passes revealed (ids of the nodes built so far) and
+ * activeId (the node just built) to grow the tree one node at a time, and
+ * the shift-reduce walkthrough can hand over the tree it built (lrTree) to be
+ * shown here in place of the AST until onCloseLRTree.
  */
 
-const ParserTreeGraph = ({ code, onNodeClick, selectedNode }) => {
-  const [treeData, setTreeData] = useState(null);
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 3;
+// Room left around the tree when it is fitted to the screen
+const FIT_PADDING = 16;
+const MINIMAP_WIDTH = 160;
+const MINIMAP_HEIGHT = 110;
+// PNG exports are drawn at twice the screen size so they stay sharp on slides
+const PNG_SCALE = 2;
+// CST -> AST: how long the folded-away nodes flash, then how long nodes take to move
+const FOLD_FLASH_MS = 900;
+const MORPH_MS = 700;
+const FOLDED_FILL = '#374151';
+
+const clampZoom = (k) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, k));
+
+// How many nodes sit below id (shown on a folded node)
+const countDescendants = (id, byId) => {
+  const node = byId.get(id);
+  return node ? node.children.reduce((sum, child) => sum + 1 + countDescendants(child, byId), 0) : 0;
+};
+
+const ParserTreeGraph = ({ code, language = 'javascript', tree, ast = null, syntaxErrors, onNodeClick, selectedNode, revealed = null, activeId = null, lrTree = null, onCloseLRTree }) => {
   const [hoveredNode, setHoveredNode] = useState(null);
+  // A tree opened from a file ({ tree, language, ast, name }) replaces the live one until closed
+  const [imported, setImported] = useState(null);
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  // Pan and zoom: screen = tree * k + (x, y)
+  const [view, setView] = useState({ x: 0, y: 0, k: 1 });
+  const viewRef = useRef(view);
+  viewRef.current = view;
+  const [viewport, setViewport] = useState({ width: 0, height: 0 });
+  const viewportRef = useRef(null);
+  // Pointers currently down on the canvas (two of them pinch-zoom)
+  const pointers = useRef(new Map());
+  // Once the user pans or zooms, tree changes no longer refit the view
+  const userMoved = useRef(false);
+  const { selection, select } = useSourceSelection();
+  // 'ast' or 'cst'; morph is 'folding' (flashing what the AST drops) or 'moving' while switching
+  const [treeKind, setTreeKind] = useState('ast');
+  const [morph, setMorph] = useState(null);
 
+  // The tree normally arrives from the analysis worker; parse here when used standalone
+  const parsed = useMemo(
+    () => (tree ? { tree, errors: syntaxErrors || [] } : parseSource(code, tokenize(code, language), language)),
+    [tree, syntaxErrors, code, language]
+  );
+  // The shift-reduce parse only got here by accepting the code, so it has no errors to show
+  const bottomUp = imported ? null : lrTree;
+  const canShowConcrete = !imported && !bottomUp && !revealed && (language === 'javascript' || language === 'python');
+  const showConcrete = canShowConcrete && treeKind === 'cst';
+  const concrete = useMemo(() => (showConcrete ? concreteTree(code, language) : null), [showConcrete, code, language]);
+  const treeData = imported ? imported.tree : bottomUp ? bottomUp.tree : concrete ? concrete.tree : parsed.tree;
+  const errors = imported || bottomUp ? [] : parsed.errors;
+  const builtNodes = useMemo(() => (treeData ? treeData.allNodes || [treeData] : []), [treeData]);
+  const byId = useMemo(() => new Map(builtNodes.map(node => [node.id, node])), [builtNodes]);
 
-  // Removed default mocked AST generator (replaced by dynamic AST)
-
-  // Replace default mocked tree with auto-generated AST from user input
-  const generateDynamicAST = (sourceCode) => {
-    const trimmed = (sourceCode || '').trim();
-    const root = {
-      id: 'root',
-      type: 'Program',
-      label: 'Program',
-      children: [],
-      level: 0,
-      position: { x: 400, y: 50 },
-      description: trimmed ? 'Root of the program - auto AST from your code' : 'Root of the program - empty',
-      properties: { sourceType: 'script' }
-    };
+  // Positions come from the whole tree, so the walkthrough's nodes appear where they will stay
+  const layout = useMemo(() => tidyLayout(builtNodes, collapsed), [builtNodes, collapsed]);
+  const shownNodes = useMemo(
+    () => layout.visible
+      .filter(id => !revealed || revealed.has(id))
+      .map(id => ({ ...byId.get(id), position: layout.positions.get(id) })),
+    [layout, revealed, byId]
+  );
+  const shownById = useMemo(() => new Map(shownNodes.map(node => [node.id, node])), [shownNodes]);
 
-    if (!trimmed) {
-      return { ...root, allNodes: [root] };
-    }
+  // Deepest node whose source range holds the editor cursor / selected token
+  const linkedNode = useMemo(() => {
+    if (imported || !builtNodes.length || !selection || selection.origin === 'tree') return null;
+    return builtNodes
+      .filter(n => rangeMatchesSelection(n, selection))
+      .sort((a, b) => (b.level - a.level) || ((a.end - a.start) - (b.end - b.start)))[0] || null;
+  }, [imported, builtNodes, selection]);
 
-    // Simple JS-like heuristic parser
-    const lines = trimmed.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
-    const children = [];
-    let idx = 0;
-    const gridPos = () => { const col = idx % 4; const row = Math.floor(idx / 4); idx += 1; return { x: 100 + col * 200, y: 150 + row * 120 }; };
-
-    const addChild = (node) => { children.push(node); root.children.push(node.id); };
-
-    lines.forEach((line, i) => {
-      // function foo(a, b) { ... }
-      const fn = line.match(/^function\s+([A-Za-z_][A-Za-z0-9_]*)\s*\(([^)]*)\)/);
-      if (fn) {
-        const name = fn[1];
-        const params = fn[2].split(',').map(s => s.trim()).filter(Boolean);
-        const pos = gridPos();
-        addChild({ id: `fn_${i}`, type: 'FunctionDeclaration', label: name, children: params.map((p, k) => `param_${i}_${k}`), level: 1, position: pos, description: `Function: ${name}`, properties: { params } });
-        params.forEach((p, k) => children.push({ id: `param_${i}_${k}`, type: 'Identifier', label: p, children: [], level: 2, position: { x: pos.x, y: pos.y + 60 + k * 22 }, description: `Parameter: ${p}`, properties: {} }));
-        return;
-      }
-      // let/const/var name = init;
-      const vd = line.match(/^(let|const|var)\s+([A-Za-z_][A-Za-z0-9_]*)(\s*=\s*(.*?))?;?$/);
-      if (vd) {
-        const kind = vd[1]; const name = vd[2]; const init = vd[4] || null; const pos = gridPos();
-        addChild({ id: `var_${i}`, type: 'VariableDeclaration', label: name, children: init ? [`init_${i}`] : [], level: 1, position: pos, description: `Variable: ${name}`, properties: { kind, init } });
-        if (init) children.push({ id: `init_${i}`, type: 'Init', label: String(init).slice(0, 16), children: [], level: 2, position: { x: pos.x, y: pos.y + 60 }, description: `Initializer: ${init}`, properties: {} });
-        return;
-      }
-      // return expr;
-      const rt = line.match(/^return\s+(.+);?$/);
-      if (rt) { const arg = rt[1]; addChild({ id: `ret_${i}`, type: 'ReturnStatement', label: `return ${arg.slice(0, 16)}`, children: [], level: 1, position: gridPos(), description: `Return: ${arg}`, properties: {} }); return; }
-      // call like foo(x, y)
-      const call = line.match(/^([A-Za-z_][A-Za-z0-9_]*)\s*\((.*)\);?$/);
-      if (call) {
-        const callee = call[1]; const args = call[2].split(',').map(s => s.trim()).filter(Boolean); const pos = gridPos();
-        addChild({ id: `call_${i}`, type: 'CallExpression', label: `${callee}(…)`, children: args.map((a, k) => `arg_${i}_${k}`), level: 1, position: pos, description: `Call: ${callee}`, properties: { args } });
-        args.forEach((a, k) => children.push({ id: `arg_${i}_${k}`, type: 'Argument', label: a.slice(0, 12), children: [], level: 2, position: { x: pos.x, y: pos.y + 60 + k * 20 }, description: `Argument: ${a}`, properties: {} }));
-        return;
-      }
-      // generic expression fallback
-      const asg = line.replace(/[;]+$/, '').trim();
-      if (asg) addChild({ id: `expr_${i}`, type: 'ExpressionStatement', label: asg.slice(0, 16), children: [], level: 1, position: gridPos(), description: `Expression: ${asg}`, properties: {} });
+  const handleNodeClick = useCallback((node) => {
+    if (onNodeClick) onNodeClick(node);
+    if (node.start != null && !imported) select({ start: node.start, end: node.end }, 'tree');
+  }, [onNodeClick, select, imported]);
+
+  const toggleCollapsed = useCallback((id) => {
+    setCollapsed(previous => {
+      const next = new Set(previous);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
     });
+  }, []);
+
+  useEffect(() => {
+    if (!morph) return undefined;
+    const timer = setTimeout(() => {
+      if (morph === 'folding') {
+        setTreeKind('ast');
+        setMorph('moving');
+      } else {
+        setMorph(null);
+      }
+    }, morph === 'folding' ? FOLD_FLASH_MS : MORPH_MS);
+    return () => clearTimeout(timer);
+  }, [morph]);
 
-    return { ...root, allNodes: [root, ...children] };
+  const switchTree = (kind) => {
+    if (kind === treeKind || morph) return;
+    setCollapsed(new Set());
+    userMoved.current = false;
+    if (kind === 'ast') {
+      setMorph('folding');
+    } else {
+      setTreeKind('cst');
+      setMorph('moving');
+    }
   };
 
   useEffect(() => {
-    const ast = generateDynamicAST(code);
-    setTreeData(ast);
-  }, [code]);
-
-  const renderNode = (node, isSelected, isHovered) => {
-    const nodeColors = {
-      Program: '#3B82F6',
-      FunctionDeclaration: '#10B981',
-      VariableDeclaration: '#F59E0B',
-      ExpressionStatement: '#EF4444',
-      ReturnStatement: '#8B5CF6',
-      BinaryExpression: '#06B6D4',
-      default: '#6B7280'
+    const el = viewportRef.current;
+    if (!el) return undefined;
+    const measure = () => setViewport({ width: el.clientWidth, height: el.clientHeight });
+    measure();
+    if (typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(measure);
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const fitToScreen = useCallback(() => {
+    if (!viewport.width || !layout.width) return;
+    const k = clampZoom(Math.min(
+      (viewport.width - FIT_PADDING * 2) / layout.width,
+      (viewport.height - FIT_PADDING * 2) / layout.height,
+      1
+    ));
+    setView({
+      x: (viewport.width - layout.width * k) / 2,
+      y: Math.max(FIT_PADDING, (viewport.height - layout.height * k) / 2),
+      k,
+    });
+  }, [viewport, layout.width, layout.height]);
+
+  useEffect(() => {
+    if (!userMoved.current) fitToScreen();
+  }, [fitToScreen]);
+
+  // Zooms by factor keeping the point (px, py) of the canvas in place
+  const zoomAt = useCallback((px, py, factor) => {
+    userMoved.current = true;
+    setView(({ x, y, k }) => {
+      const next = clampZoom(k * factor);
+      return { x: px - ((px - x) * next) / k, y: py - ((py - y) * next) / k, k: next };
+    });
+  }, []);
+
+  // React's wheel listener is passive, so the page would scroll along
+  useEffect(() => {
+    const el = viewportRef.current;
+    if (!el) return undefined;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const rect = el.getBoundingClientRect();
+      zoomAt(e.clientX - rect.left, e.clientY - rect.top, Math.exp(-e.deltaY * 0.0015));
     };
+    el.addEventListener('wheel', onWheel, { passive: false });
+    return () => el.removeEventListener('wheel', onWheel);
+  }, [zoomAt]);
 
-    const color = nodeColors[node.type] || nodeColors.default;
-    const scale = isSelected ? 1.2 : isHovered ? 1.1 : 1;
+  const handlePointerDown = (e) => {
+    if (e.target.closest && e.target.closest('[data-node]')) return;
+    if (e.currentTarget.setPointerCapture) e.currentTarget.setPointerCapture(e.pointerId);
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  };
 
-    return (
-      <g key={node.id}>
-        <motion.circle
-          cx={node.position.x}
-          cy={node.position.y}
-          r={25}
-          fill={color}
-          stroke={isSelected ? '#FFFFFF' : color}
-          strokeWidth={isSelected ? 3 : 2}
-          className="cursor-pointer"
-          style={{ scale }}
-          onClick={() => onNodeClick(node)}
-          onMouseEnter={() => setHoveredNode(node)}
-          onMouseLeave={() => setHoveredNode(null)}
-          whileHover={{ scale: 1.1 }}
-          whileTap={{ scale: 0.9 }}
-        />
-        
-        <text
-          x={node.position.x}
-          y={node.position.y + 5}
-          textAnchor="middle"
-          className="text-xs fill-white font-bold pointer-events-none"
-        >
-          {node.label.substring(0, 8)}
-        </text>
-        
-        <text
-          x={node.position.x}
-          y={node.position.y + 40}
-          textAnchor="middle"
-          className="text-xs fill-gray-300 pointer-events-none"
-        >
-          {node.type}
-        </text>
-      </g>
-    );
+  const handlePointerMove = (e) => {
+    const previous = pointers.current.get(e.pointerId);
+    if (!previous) return;
+    const current = { x: e.clientX, y: e.clientY };
+    pointers.current.set(e.pointerId, current);
+    userMoved.current = true;
+    if (pointers.current.size === 1) {
+      setView(v => ({ ...v, x: v.x + current.x - previous.x, y: v.y + current.y - previous.y }));
+      return;
+    }
+    // Pinch: zoom by how much the fingers spread, around the point between them
+    const other = Array.from(pointers.current.entries()).find(([id]) => id !== e.pointerId)[1];
+    const before = Math.hypot(previous.x - other.x, previous.y - other.y);
+    const after = Math.hypot(current.x - other.x, current.y - other.y);
+    if (!before) return;
+    const rect = viewportRef.current.getBoundingClientRect();
+    zoomAt((current.x + other.x) / 2 - rect.left, (current.y + other.y) / 2 - rect.top, after / before);
   };
 
-  const renderConnections = (parent, children) => {
-    return children.map(child => (
-      <line
-        key={`${parent.id}-${child.id}`}
-        x1={parent.position.x}
-        y1={parent.position.y + 25}
-        x2={child.position.x}
-        y2={child.position.y - 25}
-        stroke="#4B5563"
-        strokeWidth={1}
-        className="opacity-60"
-      />
-    ));
+  const handlePointerUp = (e) => {
+    pointers.current.delete(e.pointerId);
   };
 
+  const zoomBy = (factor) => zoomAt(viewport.width / 2, viewport.height / 2, factor);
+
+  // Centres the view on a point of the tree
+  const centreOn = useCallback((treeX, treeY) => {
+    userMoved.current = true;
+    setView(v => ({ ...v, x: viewport.width / 2 - treeX * v.k, y: viewport.height / 2 - treeY * v.k }));
+  }, [viewport]);
+
+  // Bring the node under the editor cursor into view when it is off-screen
+  const linkedPosition = linkedNode ? layout.positions.get(linkedNode.id) : null;
+  useEffect(() => {
+    if (!linkedPosition || !viewport.width) return;
+    const { x, y, k } = viewRef.current;
+    const sx = linkedPosition.x * k + x;
+    const sy = linkedPosition.y * k + y;
+    if (sx < 0 || sy < 0 || sx > viewport.width || sy > viewport.height) centreOn(linkedPosition.x, linkedPosition.y);
+  }, [linkedPosition, viewport, centreOn]);
+
+  // Nodes and edges only change with the tree, so panning and zooming don't redraw them.
+  // Nodes are keyed by id, and the CST reuses the AST's ids, so switching
+  // trees moves the nodes both share and fades the others in or out.
+  const treeLayer = useMemo(() => {
+    const duration = morph ? MORPH_MS / 1000 : 0;
+    const renderNode = (node) => {
+      const cstFolded = node.cst?.folded;
+      const color = cstFolded ? FOLDED_FILL : nodeColor(node.properties?.inAst || node.type);
+      const isSelected = selectedNode?.id === node.id;
+      const isHovered = hoveredNode?.id === node.id;
+      const isLinked = linkedNode?.id === node.id;
+      const isActive = activeId === node.id;
+      const isFolded = collapsed.has(node.id);
+      const isFlashing = cstFolded && morph === 'folding';
+      const scale = isSelected || isLinked || isActive ? 1.2 : isHovered ? 1.1 : 1;
+      const { x, y } = node.position;
+
+      return (
+        <motion.g
+          key={node.id}
+          data-node={node.id}
+          initial={{ opacity: 0, x, y }}
+          animate={{ opacity: 1, x, y }}
+          exit={{ opacity: 0, scale: 0.2 }}
+          transition={{ duration }}
+        >
+          <motion.circle
+            cx={0}
+            cy={0}
+            r={25}
+            fill={color}
+            stroke={isSelected ? '#FFFFFF' : isActive ? '#22C55E' : isLinked ? '#FACC15' : cstFolded ? '#9CA3AF' : color}
+            strokeWidth={isSelected || isLinked || isActive ? 3 : 2}
+            strokeDasharray={cstFolded ? '5 4' : undefined}
+            className="cursor-pointer"
+            style={{ scale }}
+            onClick={() => handleNodeClick(node)}
+            onDoubleClick={() => node.children.length && toggleCollapsed(node.id)}
+            onMouseEnter={() => setHoveredNode(node)}
+            onMouseLeave={() => setHoveredNode(null)}
+            whileHover={{ scale: 1.1 }}
+            whileTap={{ scale: 0.9 }}
+          />
+          {isFlashing && (
+            <motion.circle
+              r={31}
+              fill="none"
+              stroke="#EF4444"
+              strokeWidth={3}
+              className="pointer-events-none"
+              initial={{ opacity: 0 }}
+              animate={{ opacity: [0, 1, 0.3, 1] }}
+              transition={{ duration: FOLD_FLASH_MS / 1000 }}
+            />
+          )}
+
+          <text
+            y={5}
+            textAnchor="middle"
+            className="text-xs fill-white font-bold pointer-events-none"
+          >
+            {node.label.substring(0, 8)}
+          </text>
+
+          <text
+            y={40}
+            textAnchor="middle"
+            className={`text-xs pointer-events-none ${cstFolded ? 'fill-gray-500' : 'fill-gray-300'}`}
+          >
+            {node.type}
+          </text>
+
+          {node.children.length > 0 && (
+            <g className="cursor-pointer" onClick={() => toggleCollapsed(node.id)}>
+              <title>{isFolded ? `Show the ${countDescendants(node.id, byId)} nodes inside` : 'Fold this subtree'}</title>
+              <circle cx={22} cy={-22} r={8} fill="#1F2937" stroke={isFolded ? '#FACC15' : '#9CA3AF'} />
+              <text x={22} y={-18} textAnchor="middle" className="text-xs fill-white pointer-events-none">
+                {isFolded ? '+' : '−'}
+              </text>
+            </g>
+          )}
+          {isFolded && (
+            <text y={56} textAnchor="middle" className="text-xs fill-yellow-300 pointer-events-none">
+              +{countDescendants(node.id, byId)} hidden
+            </text>
+          )}
+        </motion.g>
+      );
+    };
+
+    // Edges that are new after a switch wait for their nodes to arrive
+    const edges = shownNodes.flatMap(parent => parent.children
+      .map(id => shownById.get(id))
+      .filter(Boolean)
+      .map(child => {
+        const ends = { x1: parent.position.x, y1: parent.position.y + 25, x2: child.position.x, y2: child.position.y - 25 };
+        return (
+          <motion.line
+            key={`${parent.id}-${child.id}`}
+            initial={{ ...ends, opacity: 0 }}
+            animate={{ ...ends, opacity: 0.6 }}
+            transition={{ duration, opacity: { duration: duration / 2, delay: duration } }}
+            stroke={parent.id === activeId ? '#22C55E' : '#4B5563'}
+            strokeWidth={1}
+            strokeDasharray={child.cst?.folded ? '4 4' : undefined}
+          />
+        );
+      }));
+
+    return (
+      <>
+        {edges}
+        <AnimatePresence initial={false}>
+          {shownNodes.map(renderNode)}
+        </AnimatePresence>
+      </>
+    );
+  }, [shownNodes, shownById, byId, collapsed, selectedNode, hoveredNode, linkedNode, activeId, morph, handleNodeClick, toggleCollapsed]);
+
   if (!treeData) {
     return (
       <div className="bg-gray-800 rounded-lg p-4 h-full flex items-center justify-center">
@@ -158,73 +364,258 @@ const ParserTreeGraph = ({ code, onNodeClick, selectedNode }) => {
     );
   }
 
-  const rootNode = treeData;
-  const childNodes = treeData.allNodes?.filter(node => node.level === 1) || [];
+  const showMinimap = viewport.width > 0
+    && (layout.width * view.k > viewport.width || layout.height * view.k > viewport.height);
+  const minimapScale = Math.min(MINIMAP_WIDTH / layout.width, MINIMAP_HEIGHT / layout.height);
+  // The part of the tree on screen, in tree units (all of it before the canvas is measured)
+  const visibleArea = viewport.width
+    ? { x: -view.x / view.k, y: -view.y / view.k, width: viewport.width / view.k, height: viewport.height / view.k }
+    : { x: 0, y: 0, width: layout.width, height: layout.height };
+  const pixelScale = viewport.width ? view.k : 1;
+  const treeLanguage = imported ? imported.language : language;
+  const treeAst = imported ? imported.ast : concrete || bottomUp ? null : ast || parsed.ast || null;
+  const treeJSON = () => treeToJSON(treeData, { language: treeLanguage, ast: treeAst });
+  const exportItems = [
+    {
+      id: 'json',
+      label: concrete || bottomUp ? '🧾 Parse tree as JSON' : '🧾 AST as JSON',
+      hint: 'Every node with its source location',
+      run: () => downloadFile('parse-tree.json', treeJSON(), 'application/json'),
+    },
+    {
+      id: 'dot',
+      label: '🕸️ Graphviz DOT',
+      hint: 'Lay it out again with dot -Tpdf',
+      run: () => downloadFile('parse-tree.dot', treeToDot(treeData), 'text/vnd.graphviz'),
+    },
+    {
+      id: 'svg',
+      label: '🖼️ SVG of this view',
+      hint: 'Sharp at any size, opens again as a tree',
+      run: () => downloadFile('parse-tree.svg', treeToSvg(shownNodes, visibleArea, treeJSON(), pixelScale), 'image/svg+xml'),
+    },
+    {
+      id: 'png',
+      label: '📷 PNG of this view',
+      hint: 'For slides and worksheets',
+      run: async () => {
+        const svg = treeToSvg(shownNodes, visibleArea, null, pixelScale * PNG_SCALE);
+        const png = await svgToPng(
+          svg,
+          Math.round(visibleArea.width * pixelScale * PNG_SCALE),
+          Math.round(visibleArea.height * pixelScale * PNG_SCALE)
+        );
+        downloadFile('parse-tree.png', png);
+      },
+    },
+  ];
+  const openTreeFile = (text, name) => {
+    setImported({ ...readTreeFile(text), name });
+    setCollapsed(new Set());
+    userMoved.current = false;
+  };
+
+  const minimapJump = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    centreOn((e.clientX - rect.left) / minimapScale, (e.clientY - rect.top) / minimapScale);
+  };
 
   return (
     <div className="bg-gray-800 rounded-lg p-4 h-full flex flex-col">
-      <div className="flex justify-between items-center mb-4">
-        <h3 className="text-white font-bold text-lg">Parser Tree - Live AST</h3>
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+        <h3 className="text-white font-bold text-lg">
+          {bottomUp ? `Parser Tree - ${bottomUp.kind} Parse Tree` : concrete ? 'Parser Tree - Concrete Parse Tree' : 'Parser Tree - Live AST'}
+        </h3>
         <div className="text-sm text-gray-400">
-          {childNodes.length} children nodes
+          {revealed
+            ? `${shownNodes.length} of ${builtNodes.length} nodes built`
+            : `${builtNodes.length} nodes • ${Math.max(...builtNodes.map(node => node.level)) + 1} levels`}
         </div>
       </div>
-      
-      <div className="flex-grow bg-gray-900 rounded-lg p-4 overflow-auto">
-        <svg 
-          width="800" 
-          height="600" 
-          className="w-full"
-          viewBox={`0 0 800 600`}
-        >
-          {/* Render connections */}
-          {renderConnections(rootNode, childNodes)}
-          
-          {/* Render root node */}
-          {renderNode(rootNode, selectedNode?.id === rootNode.id, hoveredNode?.id === rootNode.id)}
-          
-          {/* Render child nodes */}
-          {childNodes.map(child => 
-            renderNode(
-              child, 
-              selectedNode?.id === child.id, 
-              hoveredNode?.id === child.id
-            )
+
+      {imported && (
+        <div className="mb-3 p-2 rounded bg-blue-900 border border-blue-500 flex flex-wrap items-center justify-between gap-2 text-sm text-blue-100">
+          <span>📂 Showing {imported.name}{imported.language ? ` (${imported.language})` : ''}, not the code in the editor.</span>
+          <button onClick={() => { setImported(null); setCollapsed(new Set()); userMoved.current = false; }} className="px-2 py-0.5 rounded bg-blue-700 hover:bg-blue-600 text-white">
+            Back to my code
+          </button>
+        </div>
+      )}
+
+      {bottomUp && (
+        <div className="mb-3 p-2 rounded bg-green-900 border border-green-500 flex flex-wrap items-center justify-between gap-2 text-sm text-green-100">
+          <span>🔽 Showing the tree the {bottomUp.kind} shift-reduce parser built bottom-up, one reduce at a time, from the code in the editor.</span>
+          {onCloseLRTree && (
+            <button onClick={() => { onCloseLRTree(); setCollapsed(new Set()); userMoved.current = false; }} className="px-2 py-0.5 rounded bg-green-700 hover:bg-green-600 text-white">
+              Back to the AST
+            </button>
           )}
+        </div>
+      )}
+
+      {canShowConcrete && (
+        <div className="mb-3 flex flex-wrap items-center gap-2 text-sm">
+          <div className="flex rounded overflow-hidden border border-gray-600" role="group" aria-label="Tree to show">
+            {[['ast', '🌳 AST'], ['cst', '🪵 Parse tree (CST)']].map(([kind, label]) => (
+              <button
+                key={kind}
+                onClick={() => switchTree(kind)}
+                disabled={!!morph}
+                aria-pressed={treeKind === kind}
+                className={`px-3 py-1 ${treeKind === kind ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'} disabled:cursor-wait`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {morph === 'folding' && (
+            <span className="text-red-300">Folding away the dashed nodes…</span>
+          )}
+          {concrete && !morph && (
+            <span className="text-gray-300">
+              {concrete.folded.rules + concrete.folded.tokens} of {concrete.total} nodes (dashed) are folded away in the AST:
+              {' '}{concrete.folded.tokens} punctuation, keyword and layout tokens and {concrete.folded.rules} rules that only pass their parts on.
+            </span>
+          )}
+        </div>
+      )}
+
+      {errors.length > 0 && (
+        <div className="mb-3 max-h-48 overflow-auto">
+          <SyntaxErrorList errors={errors} />
+          <p className="text-xs text-gray-300 mt-1">
+            The parser skipped ahead to the next statement after each problem, so statements with errors are left out of the tree.
+          </p>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+        <button onClick={() => zoomBy(1.25)} className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white" title="Zoom in">＋</button>
+        <button onClick={() => zoomBy(0.8)} className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white" title="Zoom out">－</button>
+        <button
+          onClick={() => { userMoved.current = false; fitToScreen(); }}
+          className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white"
+        >
+          ⤢ Fit to screen
+        </button>
+        {collapsed.size > 0 && (
+          <button onClick={() => setCollapsed(new Set())} className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white">
+            Unfold all
+          </button>
+        )}
+        <span className="text-gray-400">{Math.round(view.k * 100)}%</span>
+        <span className="ml-auto text-xs text-gray-500">Drag to move, scroll or pinch to zoom, − folds a subtree</span>
+        {!revealed && (
+          <ExportMenu items={exportItems} onImport={openTreeFile} importAccept=".json,.dot,.gv,.svg" importLabel="📂 Open a saved tree…" />
+        )}
+      </div>
+
+      <div
+        ref={viewportRef}
+        className="flex-grow relative bg-gray-900 rounded-lg overflow-hidden min-h-[240px] cursor-grab active:cursor-grabbing"
+        style={{ touchAction: 'none' }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        <svg width="100%" height="100%" className="absolute inset-0">
+          <g
+            style={{
+              transform: `translate(${view.x}px, ${view.y}px) scale(${view.k})`,
+              transition: morph === 'moving' ? `transform ${MORPH_MS}ms ease-in-out` : 'none',
+            }}
+          >
+            {treeLayer}
+          </g>
         </svg>
+
+        {showMinimap && (
+          <svg
+            width={layout.width * minimapScale}
+            height={layout.height * minimapScale}
+            className="absolute bottom-2 right-2 bg-gray-800 border border-gray-600 rounded cursor-pointer opacity-90"
+            onPointerDown={(e) => { e.stopPropagation(); minimapJump(e); }}
+            onPointerMove={(e) => { if (e.buttons) minimapJump(e); }}
+          >
+            {shownNodes.map(node => (
+              <circle
+                key={node.id}
+                cx={node.position.x * minimapScale}
+                cy={node.position.y * minimapScale}
+                r={Math.max(1.5, 25 * minimapScale)}
+                fill={node.cst?.folded ? FOLDED_FILL : nodeColor(node.properties?.inAst || node.type)}
+              />
+            ))}
+            <rect
+              x={(-view.x / view.k) * minimapScale}
+              y={(-view.y / view.k) * minimapScale}
+              width={(viewport.width / view.k) * minimapScale}
+              height={(viewport.height / view.k) * minimapScale}
+              fill="none"
+              stroke="#FACC15"
+              strokeWidth={1.5}
+            />
+          </svg>
+        )}
       </div>
       
       {/* Node details panel */}
-      {(selectedNode || hoveredNode) && (
+      {(selectedNode || hoveredNode || linkedNode) && (
         <motion.div
           initial={{ opacity: 0, y: 10 }}
           animate={{ opacity: 1, y: 0 }}
           className="mt-4 p-4 bg-gray-700 rounded-lg"
         >
           <h4 className="text-white font-semibold mb-2">
-            {(selectedNode || hoveredNode).label}
+            {(selectedNode || hoveredNode || linkedNode).label}
           </h4>
           <div className="grid grid-cols-2 gap-2 text-sm">
             <div>
               <span className="text-gray-400">Type:</span>
-              <span className="text-white ml-2">{(selectedNode || hoveredNode).type}</span>
+              <span className="text-white ml-2">{(selectedNode || hoveredNode || linkedNode).type}</span>
             </div>
             <div>
               <span className="text-gray-400">Level:</span>
-              <span className="text-white ml-2">{(selectedNode || hoveredNode).level}</span>
+              <span className="text-white ml-2">{(selectedNode || hoveredNode || linkedNode).level}</span>
             </div>
             <div>
               <span className="text-gray-400">Children:</span>
-              <span className="text-white ml-2">{(selectedNode || hoveredNode).children?.length || 0}</span>
+              <span className="text-white ml-2">{(selectedNode || hoveredNode || linkedNode).children?.length || 0}</span>
             </div>
             <div>
               <span className="text-gray-400">ID:</span>
-              <span className="text-white ml-2">{(selectedNode || hoveredNode).id}</span>
+              <span className="text-white ml-2">{(selectedNode || hoveredNode || linkedNode).id}</span>
             </div>
+            {(selectedNode || hoveredNode || linkedNode).loc && (
+              <div>
+                <span className="text-gray-400">Lines:</span>
+                <span className="text-white ml-2">
+                  {(selectedNode || hoveredNode || linkedNode).loc.start.line}
+                  {(selectedNode || hoveredNode || linkedNode).loc.end.line !== (selectedNode || hoveredNode || linkedNode).loc.start.line
+                    && `–${(selectedNode || hoveredNode || linkedNode).loc.end.line}`}
+                </span>
+              </div>
+            )}
+            {(selectedNode || hoveredNode || linkedNode).properties?.inferredType && (
+              <div className="col-span-2">
+                <span className="text-gray-400">Value type:</span>
+                <span className="text-yellow-300 font-mono ml-2">{(selectedNode || hoveredNode || linkedNode).properties.inferredType}</span>
+              </div>
+            )}
           </div>
           <p className="text-gray-300 text-sm mt-2">
-            {(selectedNode || hoveredNode).description}
+            {(selectedNode || hoveredNode || linkedNode).description}
           </p>
+          {Object.keys((selectedNode || hoveredNode || linkedNode).properties || {}).some((key) => key !== 'inferredType') && (
+            <div className="flex flex-wrap gap-2 mt-2 text-xs font-mono">
+              {Object.entries((selectedNode || hoveredNode || linkedNode).properties).filter(([key]) => key !== 'inferredType').map(([key, value]) => (
+                <span key={key} className="px-2 py-0.5 rounded bg-gray-800 text-gray-300">
+                  {key}: {typeof value === 'object' ? JSON.stringify(value) : String(value)}
+                </span>
+              ))}
+            </div>
+          )}
         </motion.div>
       )}
     </div>
@@ -0,0 +1,355 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { motion } from 'framer-motion';
+import { tokenTypeInfo, tokenDisplay, tokenStyle } from './lexer';
+import { prattParse, evaluateSteps, expressionNames, formatValue, POWER_TABLE, PREFIX_POWER } from './parser';
+import { useSourceSelection } from './components/SourceSelection';
+import ParserTreeGraph from './ParserTreeGraph';
+
+/**
+ * Precedence Explorer - who gets the 3 in 2 + 3 * 4?
+ * Parses one expression (typed in, or taken from the editor selection) with a
+ * Pratt parser and replays its binding decisions: each operator's binding
+ * power, the operators still waiting for their right side, and the tree
+ * growing as operators claim their operands. Then the tree is worked out
+ * from the leaves up, one calculation at a time.
+ */
+
+export const EXAMPLE_EXPRESSIONS = ['2 + 3 * 4', '(2 + 3) * 4', '8 - 2 - 1', '2 ** 3 ** 2', '(-2) ** 2', 'x * 2 + 1 > 10 && x < 9'];
+
+// Play speed for both phases
+const STEP_DELAY = 900;
+const STEP_ICONS = { operand: '🔢', prefix: '➖', open: '🔓', close: '🔒', bind: '🧲', stop: '✋', build: '🌱', done: '🏁', error: '❌' };
+
+const quote = (token) => `"${token.value}"`;
+
+const describeStep = (step, snippet) => {
+  if (!step) return 'Press Next or Play to watch the parser decide which operator gets each number.';
+  const by = step.by;
+  switch (step.kind) {
+    case 'operand':
+      return `Read ${snippet(step.nodeId)}. It can't be worked out yet: first the parser checks which operator it belongs to.`;
+    case 'prefix':
+      return `${quote(step.token)} is a sign here: it belongs to whatever comes right after it (binding power ${PREFIX_POWER}).`;
+    case 'open':
+      return '"(" starts a fresh expression: inside the brackets nothing outside can grab anything.';
+    case 'close':
+      return `")" closes the bracket: ${snippet(step.nodeId)} is now one operand.`;
+    case 'bind':
+      if (!by || !by.power) return `${quote(step.token)} (power ${step.power}) takes ${snippet(step.nodeId)} as its left side - no other operator wants it.`;
+      if (step.power === by.power) return `${quote(step.token)} goes right to left, so it takes ${snippet(step.nodeId)} before the ${quote(by.token)} waiting before it.`;
+      return `${quote(step.token)} (power ${step.power}) binds tighter than ${quote(by.token)} (power ${by.power}), so it grabs ${snippet(step.nodeId)} first.`;
+    case 'stop':
+      return step.power === by.power
+        ? `${quote(step.token)} is as strong as ${quote(by.token)} (power ${step.power}) and they go left to right, so ${quote(by.token)} gets ${snippet(step.nodeId)}.`
+        : `${quote(step.token)} (power ${step.power}) is weaker than ${quote(by.token)} (power ${by.power}), so ${quote(by.token)} gets ${snippet(step.nodeId)} and ${quote(step.token)} waits.`;
+    case 'build':
+      return `Built ${snippet(step.nodeId)}: it is one operand from now on.`;
+    case 'done':
+      return `Done! The operator at the top of the tree, ${snippet(step.nodeId)}, is worked out last.`;
+    case 'error':
+      return step.message;
+    default:
+      return '';
+  }
+};
+
+const readSelection = (code, selection) => (
+  code && selection && selection.origin === 'editor' && selection.end > selection.start
+    ? code.slice(selection.start, selection.end).trim()
+    : ''
+);
+
+const PrecedenceExplorer = ({ code = '' }) => {
+  const { selection } = useSourceSelection();
+  const selectedText = readSelection(code, selection);
+  const [expression, setExpression] = useState(() => selectedText || EXAMPLE_EXPRESSIONS[0]);
+  const [values, setValues] = useState({});
+  // 'parse' replays the binding decisions, 'evaluate' works the tree out
+  const [phase, setPhase] = useState('parse');
+  const [step, setStep] = useState(0);
+  const [playing, setPlaying] = useState(false);
+
+  const parsed = useMemo(() => prattParse(expression), [expression]);
+  const names = useMemo(() => (parsed.ast ? expressionNames(parsed.ast) : []), [parsed]);
+  const numbers = useMemo(
+    () => Object.fromEntries(names.map((name) => [name, values[name] === '' || values[name] == null ? NaN : Number(values[name])])),
+    [names, values]
+  );
+  const evaluation = useMemo(() => (parsed.ast ? evaluateSteps(parsed.ast, numbers) : null), [parsed, numbers]);
+  const steps = useMemo(
+    () => (phase === 'parse' ? parsed.steps : evaluation ? evaluation.steps : []),
+    [phase, parsed, evaluation]
+  );
+  const current = step > 0 ? steps[step - 1] : null;
+
+  useEffect(() => {
+    setPhase('parse');
+    setStep(0);
+    setPlaying(false);
+  }, [parsed]);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    if (step >= steps.length) {
+      setPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => setStep((s) => s + 1), STEP_DELAY);
+    return () => clearTimeout(timer);
+  }, [playing, step, steps.length]);
+
+  const nodesById = useMemo(
+    () => new Map(parsed.tree ? parsed.tree.allNodes.map((node) => [node.id, node]) : []),
+    [parsed]
+  );
+  const snippet = (id) => {
+    const node = nodesById.get(id);
+    return node ? `"${expression.slice(node.start, node.end).replace(/\s+/g, ' ')}"` : 'it';
+  };
+
+  // Nodes on show: the ones built so far while parsing, all of them while evaluating
+  const revealed = useMemo(() => {
+    if (phase === 'evaluate') return new Set(nodesById.keys());
+    return new Set(parsed.steps.slice(0, step).map((s) => (s.kind === 'operand' || s.kind === 'build' ? s.nodeId : null)).filter(Boolean));
+  }, [phase, parsed, step, nodesById]);
+
+  // While evaluating, worked-out nodes show their value. Source ranges are
+  // left out: they point into the expression here, not into the editor.
+  const shownTree = useMemo(() => {
+    if (!parsed.tree) return null;
+    const worked = new Map(phase === 'evaluate' ? steps.slice(0, step).map((s) => [s.nodeId, formatValue(s.value)]) : []);
+    const allNodes = parsed.tree.allNodes.map((node) => ({
+      ...node,
+      label: worked.has(node.id) ? `=${worked.get(node.id)}` : node.label,
+      start: null,
+      end: null,
+    }));
+    return { ...allNodes[0], allNodes, width: parsed.tree.width, height: parsed.tree.height };
+  }, [parsed, phase, steps, step]);
+
+  const cursor = phase === 'parse' && current ? current.cursor : phase === 'parse' ? 0 : parsed.tokens.length;
+  const waiting = phase === 'parse' && current ? current.waiting : [];
+  const waitingTokens = new Set(waiting.map((entry) => entry.token));
+  const activeOperator = phase === 'parse' && current && current.token ? current.token.value : null;
+  const activePower = phase === 'parse' && current ? current.power : null;
+
+  const startPhase = (next) => {
+    setPhase(next);
+    setStep(0);
+    setPlaying(false);
+  };
+
+  const control = (action) => {
+    if (action === 'prev') setStep((s) => Math.max(s - 1, 0));
+    else if (action === 'next') setStep((s) => Math.min(s + 1, steps.length));
+    else if (action === 'restart') { setStep(0); setPlaying(false); }
+    else if (action === 'play') {
+      if (step >= steps.length) setStep(0);
+      setPlaying((p) => !p);
+    }
+  };
+
+  const parseFinished = phase === 'parse' && step >= parsed.steps.length && !!parsed.ast;
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="text-white font-bold text-lg">🧮 Precedence Explorer</h3>
+        <div className="flex flex-wrap gap-2">
+          {EXAMPLE_EXPRESSIONS.map((example) => (
+            <button
+              key={example}
+              onClick={() => setExpression(example)}
+              className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white text-sm font-mono"
+            >
+              {example}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="text-sm text-gray-300" htmlFor="precedence-expression">Expression</label>
+        <input
+          id="precedence-expression"
+          value={expression}
+          onChange={(e) => setExpression(e.target.value)}
+          spellCheck={false}
+          className="flex-grow min-w-[12rem] bg-gray-900 text-gray-100 font-mono rounded px-2 py-1 border border-gray-700 focus:border-blue-500 outline-none"
+        />
+        <button
+          onClick={() => setExpression(selectedText)}
+          disabled={!selectedText}
+          title={selectedText ? `Use "${selectedText}"` : 'Select an expression in the editor first'}
+          className="px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white text-sm disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          📋 Use editor selection
+        </button>
+      </div>
+
+      {names.length > 0 && (
+        <div className="flex flex-wrap items-center gap-3 text-sm text-gray-300">
+          {names.map((name) => (
+            <label key={name} className="flex items-center gap-1 font-mono">
+              {name} =
+              <input
+                type="number"
+                value={values[name] ?? ''}
+                onChange={(e) => setValues((v) => ({ ...v, [name]: e.target.value }))}
+                className="w-20 bg-gray-900 text-gray-100 rounded px-1 border border-gray-700 focus:border-blue-500 outline-none"
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-4">
+        <div className="lg:col-span-3 space-y-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <div className="flex rounded overflow-hidden border border-gray-600 text-sm" role="group" aria-label="Phase">
+              <button
+                onClick={() => startPhase('parse')}
+                aria-pressed={phase === 'parse'}
+                className={`px-3 py-1 ${phase === 'parse' ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+              >
+                1. Build the tree
+              </button>
+              <button
+                onClick={() => startPhase('evaluate')}
+                disabled={!evaluation}
+                aria-pressed={phase === 'evaluate'}
+                className={`px-3 py-1 ${phase === 'evaluate' ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'} disabled:opacity-40`}
+              >
+                2. Work it out
+              </button>
+            </div>
+            <span className="text-sm text-gray-400">Step {step} of {steps.length}</span>
+            <span className="ml-auto flex gap-2">
+              <button onClick={() => control('prev')} className="px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white text-sm">Prev</button>
+              <button onClick={() => control('next')} className="px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white text-sm">Next</button>
+              <button onClick={() => control('play')} className="px-3 py-1 rounded bg-green-600 hover:bg-green-500 text-white text-sm">
+                {playing ? 'Pause' : 'Play'}
+              </button>
+              <button onClick={() => control('restart')} className="px-3 py-1 rounded bg-blue-600 hover:bg-blue-500 text-white text-sm">Restart</button>
+            </span>
+          </div>
+
+          {phase === 'parse' ? (
+            <div className={`rounded p-3 ${current && current.kind === 'error' ? 'bg-red-900' : current && current.kind === 'build' ? 'bg-green-800' : 'bg-gray-700'}`}>
+              <div className="text-gray-400 text-sm">What the parser decided</div>
+              <div className="text-white">{current && STEP_ICONS[current.kind]} {describeStep(current, snippet)}</div>
+              {current && current.hint && <div className="text-xs text-red-200 mt-1">💡 {current.hint}</div>}
+              {parseFinished && (
+                <button onClick={() => startPhase('evaluate')} className="mt-2 px-3 py-1 rounded bg-blue-600 hover:bg-blue-500 text-white text-sm">
+                  Now work it out ▶
+                </button>
+              )}
+            </div>
+          ) : (
+            <div className="rounded p-3 bg-gray-700">
+              <div className="text-gray-400 text-sm">Working it out from the bottom of the tree up</div>
+              {evaluation.error ? (
+                <div className="text-yellow-200">⚠️ {evaluation.error}</div>
+              ) : (
+                <div className="text-white">
+                  {current ? `🧮 ${current.text}` : 'Each operator can only be worked out once both of its sides have a value.'}
+                  {step === steps.length && (
+                    <span className="ml-2 font-bold text-green-300">Answer: {formatValue(evaluation.value)}</span>
+                  )}
+                </div>
+              )}
+              {step > 0 && (
+                <ol className="mt-2 text-xs font-mono text-gray-300 space-y-0.5 list-decimal list-inside">
+                  {steps.slice(0, step).map((s) => (
+                    <li key={s.nodeId}>{s.text}</li>
+                  ))}
+                </ol>
+              )}
+            </div>
+          )}
+
+          {/* Tokens: the parser's cursor, and operators still waiting for their right side */}
+          <div className="bg-gray-900 rounded p-3">
+            <div className="flex flex-wrap gap-2">
+              {parsed.tokens.map((token, index) => (
+                <span
+                  key={`${token.start}-${index}`}
+                  className={`px-2 py-0.5 rounded-full text-sm font-mono ${tokenTypeInfo(token.type).chip} ${
+                    current && current.token === token ? 'ring-2 ring-yellow-400'
+                      : waitingTokens.has(token) ? 'ring-2 ring-blue-400'
+                        : index < cursor ? 'opacity-40' : ''
+                  }`}
+                  style={tokenStyle(token, 'chip')}
+                >
+                  {tokenDisplay(token)}
+                </span>
+              ))}
+            </div>
+            {phase === 'parse' && (
+              <div className="mt-2 text-xs text-gray-400 flex flex-wrap items-center gap-2">
+                Waiting for their right side:
+                {waiting.length === 0 && <span className="text-gray-500">nothing</span>}
+                {waiting.map((entry, index) => (
+                  <motion.span
+                    key={`${entry.token.start}-${index}`}
+                    initial={{ opacity: 0, y: -4 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    className="px-2 py-0.5 rounded bg-blue-900 text-blue-100 font-mono"
+                  >
+                    {entry.token.value}{entry.power ? ` (${entry.power})` : ''}
+                  </motion.span>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {parsed.error && (!current || current.kind !== 'error') && (
+            <div className="text-sm text-red-300">❌ {parsed.error.message}</div>
+          )}
+
+          <div className="h-96">
+            {shownTree ? (
+              <ParserTreeGraph
+                tree={shownTree}
+                revealed={revealed}
+                activeId={current && current.nodeId ? current.nodeId : null}
+              />
+            ) : (
+              <div className="h-full bg-gray-900 rounded-lg flex items-center justify-center text-gray-400 text-sm">
+                Fix the expression to see its tree.
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Binding powers, strongest first */}
+        <div className="bg-gray-900 rounded p-3 text-sm">
+          <div className="text-gray-300 font-semibold mb-2">Binding power</div>
+          <p className="text-xs text-gray-400 mb-2">The stronger an operator binds, the sooner it grabs the operands next to it.</p>
+          <table className="w-full text-gray-300">
+            <tbody>
+              <tr className={`border-t border-gray-800 ${current && current.kind === 'prefix' ? 'bg-yellow-900' : ''}`}>
+                <td className="py-1 pr-2 text-right text-gray-400">{PREFIX_POWER}</td>
+                <td className="py-1 font-mono">-x +x !x</td>
+              </tr>
+              {POWER_TABLE.map((level) => (
+                <tr
+                  key={level.power}
+                  className={`border-t border-gray-800 ${activePower === level.power && level.operators.includes(activeOperator) ? 'bg-yellow-900' : ''}`}
+                >
+                  <td className="py-1 pr-2 text-right text-gray-400">{level.power}</td>
+                  <td className="py-1 font-mono">
+                    {level.operators.join(' ')}
+                    {level.rightToLeft && <span className="ml-1 text-xs text-gray-500">right to left</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PrecedenceExplorer;
@@ -0,0 +1,236 @@
+import React, { useMemo, useState } from 'react';
+import { useSourceSelection } from './components/SourceSelection';
+import { itemLabel } from './flow/layout';
+
+/**
+ * SSA Form - every variable assigned exactly once
+ * Advanced mode's view of static single assignment form: each function's
+ * code next to its SSA version, where every assignment makes a new version
+ * of its variable (x₁, x₂, ...) and a φ at the top of a block picks the
+ * version that matches the way control came in. Picking a φ explains why it
+ * sits where it does, from the dominance frontiers in the table below.
+ */
+
+const SUBSCRIPTS = '₀₁₂₃₄₅₆₇₈₉';
+const subscript = (version) => String(version).split('').map((digit) => SUBSCRIPTS[digit]).join('');
+const versioned = (name, version) => `${name}${subscript(version)}`;
+const clip = (text) => (text.length > 28 ? `${text.slice(0, 27)}…` : text);
+const phiText = (phi) => `${versioned(phi.name, phi.version)} = φ(${phi.args.map((arg) => versioned(phi.name, arg.version)).join(', ')})`;
+
+// How a block is called in the explanations
+const blockLabel = (flow, id) => {
+  const block = flow.blocks[id];
+  if (block.kind === 'entry') return 'the start';
+  if (block.kind === 'exit') return 'the end';
+  return block.items.length ? `line ${block.line} (${clip(itemLabel(block.items[0]))})` : `line ${block.line}`;
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+const lineOf = (code, offset) => code.slice(0, offset).split('\n').length;
+
+const SSAPanel = ({ flow, dataflow, ssa, code }) => {
+  const { select } = useSourceSelection();
+  const [graphId, setGraphId] = useState(0);
+  const [pickedPhi, setPickedPhi] = useState(null);
+
+  const graphInfo = ssa && (ssa.graphs[graphId] || ssa.graphs[0]);
+  const graph = graphInfo && flow.graphs[graphInfo.graph];
+
+  // Lines of the function, with its renamed names and the φs above the lines their blocks start on
+  const rows = useMemo(() => {
+    if (!graph) return [];
+    const lines = String(code || '').split('\n');
+    const first = graph.kind === 'program' ? 1 : graph.line;
+    const last = graph.kind === 'program' ? lines.length : lineOf(code, graph.end);
+    const offsets = [0];
+    lines.forEach((line) => offsets.push(offsets[offsets.length - 1] + line.length + 1));
+    // Lines of other functions inside this one belong to their own graphs
+    const nested = flow.graphs.filter((other) => other.kind === 'function' && other.id !== graph.id && other.start >= graph.start && other.end <= graph.end);
+    const renamed = [
+      ...dataflow.definitions.map((definition) => ({ item: definition, version: ssa.definitions[definition.id], write: true })),
+      ...dataflow.uses.map((use, index) => ({ item: use, version: ssa.uses[index], write: false })),
+    ].filter(({ item, version }) => item.graph === graph.id && version != null).sort((a, b) => a.item.start - b.item.start);
+    const phisAt = new Map();
+    ssa.phis.filter((phi) => phi.graph === graph.id).forEach((phi) => {
+      const { line } = flow.blocks[phi.block];
+      phisAt.set(line, (phisAt.get(line) || []).concat(phi));
+    });
+
+    const result = [];
+    for (let line = first; line <= last; line += 1) {
+      (phisAt.get(line) || []).forEach((phi) => result.push({ phi }));
+      const start = offsets[line - 1];
+      const text = lines[line - 1] || '';
+      const pieces = [];
+      let at = start;
+      renamed.filter(({ item }) => item.line === line).forEach(({ item, version, write }) => {
+        if (item.start < at) return;
+        pieces.push({ text: code.slice(at, item.start) });
+        pieces.push({ text: versioned(item.name, version), write, version });
+        at = item.end;
+      });
+      pieces.push({ text: code.slice(at, start + text.length) });
+      const elsewhere = nested.some((other) => line >= other.line && line <= lineOf(code, other.end));
+      result.push({ line, text, pieces, elsewhere });
+    }
+    return result;
+  }, [code, flow, dataflow, ssa, graph]);
+
+  if (!ssa || !flow || !dataflow) {
+    return (
+      <div className="bg-gray-800 rounded-lg p-4 text-gray-400 text-sm">
+        SSA form is built for JavaScript and Python code.
+      </div>
+    );
+  }
+
+  const phis = ssa.phis.filter((phi) => phi.graph === graphInfo.graph);
+  const phi = phis.find((candidate) => candidate.id === pickedPhi) || phis[0] || null;
+  const dominates = (a, b) => {
+    for (let runner = b; runner != null; runner = graphInfo.idom[runner]) {
+      if (runner === a) return true;
+    }
+    return false;
+  };
+  const pick = (candidate) => {
+    setPickedPhi(candidate.id);
+    const block = flow.blocks[candidate.block];
+    if (block.start != null) select({ start: block.start, end: block.end }, 'ssa');
+  };
+
+  // Why a φ sits in its block: each block whose frontier put it there
+  const reasons = phi ? phi.sources.map((source) => {
+    const ways = phi.args.map((arg) => arg.from);
+    const through = ways.find((from) => dominates(source, from));
+    const others = ways.filter((from) => !dominates(source, from));
+    const assigned = ssa.phis.find((other) => other.block === source && other.symbol === phi.symbol);
+    const own = dataflow.definitions.filter((definition) => definition.block === source && definition.symbol === phi.symbol);
+    const what = own.length
+      ? `assigns ${phi.name} (${versioned(phi.name, ssa.definitions[own[own.length - 1].id])})`
+      : `has a φ of its own for ${phi.name} (${versioned(phi.name, assigned ? assigned.version : 0)})`;
+    const join = blockLabel(flow, phi.block);
+    const way = through === source ? `leads straight into ${join}` : `dominates ${blockLabel(flow, through)}, which leads into ${join}`;
+    return {
+      source,
+      text: `${capitalize(blockLabel(flow, source))} ${what}. It ${way}, but it doesn't dominate ${join} itself: control can also get there from ${others.map((from) => blockLabel(flow, from)).join(' or ')}. So ${join} is in the dominance frontier of ${blockLabel(flow, source)}.`,
+    };
+  }) : [];
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 space-y-3">
+      <div>
+        <h3 className="text-white font-bold text-lg">🧬 SSA Form</h3>
+        <p className="text-sm text-gray-300">
+          In static single assignment form every variable is assigned exactly once: each assignment makes a new version
+          ({versioned('x', 1)}, {versioned('x', 2)}, ...). Where different versions can arrive, a φ (phi) at the top of the block picks
+          the one matching the way control came in. {versioned('x', 0)} is a variable before anything assigns it.
+        </p>
+      </div>
+
+      <div className="flex flex-wrap gap-1">
+        {ssa.graphs.map((candidate) => (
+          <button
+            key={candidate.graph}
+            onClick={() => { setGraphId(candidate.graph); setPickedPhi(null); }}
+            className={`px-2 py-0.5 rounded text-xs font-mono ${candidate.graph === graphInfo.graph ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+          >
+            {flow.graphs[candidate.graph].kind === 'program' ? '📄' : '⚙️'} {candidate.name}
+          </button>
+        ))}
+      </div>
+
+      {graphInfo.shared.length > 0 && (
+        <div className="text-xs text-gray-400">
+          {graphInfo.shared.join(', ')} {graphInfo.shared.length === 1 ? 'is' : 'are'} shared with other functions, so {graphInfo.shared.length === 1 ? 'it keeps its name' : 'they keep their names'}: any call could change {graphInfo.shared.length === 1 ? 'it' : 'them'}.
+        </div>
+      )}
+
+      <div className="bg-gray-900 rounded-lg overflow-auto max-h-96 font-mono text-xs">
+        <table className="w-full border-collapse">
+          <thead className="sticky top-0 bg-gray-900 text-gray-400">
+            <tr>
+              <th className="w-8" />
+              <th className="text-left px-2 py-1 font-normal">Your code</th>
+              <th className="text-left px-2 py-1 font-normal">SSA form</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (row.phi ? (
+              <tr
+                key={`phi-${row.phi.id}`}
+                onClick={() => pick(row.phi)}
+                className={`cursor-pointer ${phi && phi.id === row.phi.id ? 'bg-purple-900' : 'hover:bg-gray-800'}`}
+                title="Why is this φ here?"
+              >
+                <td />
+                <td />
+                <td className="px-2 whitespace-pre text-purple-300">{phiText(row.phi)}</td>
+              </tr>
+            ) : (
+              <tr key={`line-${row.line}`} className={row.elsewhere ? 'opacity-40' : ''}>
+                <td className="px-1 text-right text-gray-500 select-none align-top">{row.line}</td>
+                <td className="px-2 whitespace-pre text-gray-300 align-top">{row.text}</td>
+                <td className="px-2 whitespace-pre text-gray-200 align-top">
+                  {row.pieces.map((piece, pieceIndex) => (piece.version == null ? piece.text : (
+                    <span key={pieceIndex} className={piece.write ? 'text-amber-300' : piece.version === 0 ? 'text-red-300' : 'text-teal-300'}>
+                      {piece.text}
+                    </span>
+                  )))}
+                </td>
+              </tr>
+            )))}
+          </tbody>
+        </table>
+      </div>
+
+      {phi ? (
+        <div className="bg-gray-700 rounded p-3 space-y-2 text-sm text-gray-200">
+          <div className="font-semibold text-white">
+            Why <span className="font-mono text-purple-300">{phiText(phi)}</span> is at {blockLabel(flow, phi.block)}
+          </div>
+          <ul className="list-disc pl-5 space-y-1">
+            {phi.args.map((arg) => (
+              <li key={arg.from}>
+                Coming from {blockLabel(flow, arg.from)}, {phi.name} is <span className="font-mono">{versioned(phi.name, arg.version)}</span>.
+              </li>
+            ))}
+          </ul>
+          {reasons.map((reason) => <p key={reason.source}>{reason.text}</p>)}
+          <p className="text-gray-300">
+            A block's dominance frontier is where its say over control ends: the first blocks it doesn't dominate but one of its
+            paths runs into. That is exactly where its {phi.name} can meet another one, so that is where the φ goes. {phi.name} is
+            still read after this point, so the φ is kept.
+          </p>
+        </div>
+      ) : (
+        <div className="text-sm text-gray-400">
+          No φ needed here: wherever a variable is read, only one of its versions can arrive.
+        </div>
+      )}
+
+      <details className="text-xs text-gray-300">
+        <summary className="cursor-pointer text-gray-200">Dominators and dominance frontiers</summary>
+        <table className="mt-2 w-full border-collapse">
+          <thead className="text-gray-400">
+            <tr>
+              <th className="text-left px-2 py-1 font-normal">Block</th>
+              <th className="text-left px-2 py-1 font-normal">Immediate dominator</th>
+              <th className="text-left px-2 py-1 font-normal">Dominance frontier</th>
+            </tr>
+          </thead>
+          <tbody>
+            {graphInfo.blocks.map((id) => (
+              <tr key={id} className={phi && phi.sources.includes(id) ? 'bg-purple-900' : ''}>
+                <td className="px-2 py-0.5">{blockLabel(flow, id)}</td>
+                <td className="px-2 py-0.5">{graphInfo.idom[id] == null ? '—' : blockLabel(flow, graphInfo.idom[id])}</td>
+                <td className="px-2 py-0.5">{(graphInfo.frontiers[id] || []).map((other) => blockLabel(flow, other)).join(', ') || '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </details>
+    </div>
+  );
+};
+
+export default SSAPanel;
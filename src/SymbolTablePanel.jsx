@@ -0,0 +1,216 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { motion } from 'framer-motion';
+import { useSourceSelection } from './components/SourceSelection';
+import { occurrenceAt, lookupPath, symbolRanges } from './semantic';
+
+/**
+ * Symbol Table - which x is this?
+ * Shows the scopes the semantic pass found, nested the way they are in the
+ * code, with every name declared in each: its kind, where it is declared and
+ * how often it is used. Put the cursor on a name in the editor (or pick one
+ * here) to see the scopes searched to resolve it; the editor highlights its
+ * declaration and all its uses. compact drops the details for the semantic
+ * stage of the compiler animation.
+ */
+
+const SCOPE_STYLES = {
+  builtins: { icon: '🧰', border: 'border-gray-500' },
+  global: { icon: '🌍', border: 'border-blue-500' },
+  function: { icon: '⚙️', border: 'border-purple-500' },
+  block: { icon: '📦', border: 'border-yellow-500' },
+  class: { icon: '🏛️', border: 'border-pink-500' },
+  comprehension: { icon: '🔁', border: 'border-teal-500' },
+};
+
+const KIND_COLORS = {
+  parameter: 'bg-purple-700',
+  function: 'bg-blue-700',
+  class: 'bg-pink-700',
+  import: 'bg-teal-700',
+  builtin: 'bg-gray-600',
+  'implicit global': 'bg-red-700',
+};
+
+const LANGUAGE_NOTES = {
+  javascript: 'var belongs to the whole function, let and const to the { block } they are in. A name is looked up from the inside out.',
+  python: 'Names are looked up in LEGB order: Local, Enclosing functions, Global (the module), then Built-ins. Class bodies are skipped from inside methods.',
+};
+
+const UNRESOLVED_NOTES = {
+  javascript: 'Reading one of these throws a ReferenceError when that line runs.',
+  python: 'Using one of these raises a NameError when that line runs.',
+};
+
+const scopeTitle = (scope) => (scope.kind === 'function' || scope.kind === 'class' ? `${scope.kind} ${scope.name}` : scope.name);
+
+const SymbolTablePanel = ({ table, compact = false }) => {
+  const { selection, select } = useSourceSelection();
+  // The name being looked at: a symbol and the occurrence of it in focus
+  const [focus, setFocus] = useState(null);
+
+  // Follow the cursor in the editor
+  useEffect(() => {
+    if (!table || !selection || selection.origin !== 'editor') return;
+    const occurrence = occurrenceAt(table, selection.start);
+    if (occurrence) setFocus({ symbolId: occurrence.symbol ? occurrence.symbol.id : null, range: occurrence.range });
+  }, [selection, table]);
+
+  // A new table (the code changed) may not have the focused name any more
+  useEffect(() => {
+    setFocus((current) => (current && table && (current.symbolId == null || table.symbols[current.symbolId]) ? current : null));
+  }, [table]);
+
+  const focused = focus && focus.symbolId != null && table ? table.symbols[focus.symbolId] : null;
+  const path = useMemo(() => {
+    if (!table || !focus || !focus.range || focus.range.scope == null) return [];
+    return lookupPath(table, focus.range, focused);
+  }, [table, focus, focused]);
+  const pathState = new Map(path.map((entry) => [entry.scope.id, entry]));
+
+  // Scopes without names anywhere inside (an empty if block) are left out
+  const hasNames = useMemo(() => {
+    const memo = new Map();
+    const check = (scope) => {
+      if (!memo.has(scope.id)) memo.set(scope.id, scope.symbols.length > 0 || scope.children.some((id) => check(table.scopes[id])));
+      return memo.get(scope.id);
+    };
+    return table ? check : () => false;
+  }, [table]);
+
+  if (!table) {
+    return (
+      <div className="bg-gray-800 rounded-lg p-4 text-gray-400 text-sm">
+        The symbol table is built for JavaScript and Python code.
+      </div>
+    );
+  }
+
+  const pickSymbol = (symbol, range = symbol.declaration || symbol.references[0]) => {
+    setFocus({ symbolId: symbol.id, range });
+    if (range) select({ start: range.start, end: range.end, related: symbolRanges(symbol) }, 'symbols');
+  };
+  const pickUnresolved = (reference) => {
+    setFocus({ symbolId: null, range: reference });
+    select({ start: reference.start, end: reference.end }, 'symbols');
+  };
+
+  const renderScope = (scope) => {
+    const style = SCOPE_STYLES[scope.kind] || SCOPE_STYLES.block;
+    const onPath = pathState.get(scope.id);
+    const ring = !onPath ? '' : onPath.found ? 'ring-2 ring-green-400' : onPath.skipped ? 'ring-1 ring-gray-600' : 'ring-1 ring-red-400';
+    return (
+      <div key={scope.id} className={`border-l-4 ${style.border} bg-gray-900 bg-opacity-60 rounded p-2 space-y-1 ${ring}`}>
+        <div className="flex items-center justify-between text-xs text-gray-400">
+          <span className="font-semibold text-gray-200">{style.icon} {scopeTitle(scope)}</span>
+          <span>{scope.line ? `line ${scope.line}` : 'from the language'}</span>
+        </div>
+        {scope.symbols.map((id) => {
+          const symbol = table.symbols[id];
+          const writes = symbol.references.filter((reference) => reference.write).length;
+          const active = focused && focused.id === id;
+          return (
+            <motion.button
+              key={id}
+              layout
+              onClick={() => pickSymbol(symbol)}
+              className={`w-full flex items-center gap-2 px-2 py-0.5 rounded text-left text-sm ${active ? 'bg-green-800' : 'hover:bg-gray-700'}`}
+            >
+              <span className="font-mono text-white">{symbol.name}</span>
+              <span className={`px-1.5 rounded text-xs text-white ${KIND_COLORS[symbol.kind] || 'bg-gray-700'}`}>{symbol.kind}</span>
+              <span className="ml-auto text-xs text-gray-400 whitespace-nowrap">
+                {symbol.declaration ? `line ${symbol.declaration.line}` : 'built-in'}
+                {' • '}
+                {symbol.references.length} {symbol.references.length === 1 ? 'use' : 'uses'}
+                {writes ? ` (${writes} assigned)` : ''}
+              </span>
+            </motion.button>
+          );
+        })}
+        {scope.children.map((id) => table.scopes[id]).filter(hasNames).map(renderScope)}
+      </div>
+    );
+  };
+
+  const roots = table.scopes.filter((scope) => scope.parent == null);
+  const outermost = roots.flatMap((scope) => (scope.symbols.length ? [scope] : scope.children.map((id) => table.scopes[id])));
+  const describeFocus = () => {
+    if (!focus) return compact ? null : 'Put the cursor on a name in the editor, or pick one above, to see how it is found.';
+    const name = focused ? focused.name : focus.range.name;
+    if (!focus.range || focus.range.scope == null) return `${name} is declared here, in ${scopeTitle(table.scopes[focused.scope])}.`;
+    const from = scopeTitle(table.scopes[focus.range.scope]);
+    if (!focused) return `${name} is used in ${from}, but no scope declares it.`;
+    const where = focused.declaration ? `declared on line ${focused.declaration.line}` : 'a built-in';
+    return `${name} on line ${focus.range.line} is ${focus.range.write ? 'assigned' : 'read'} in ${from} and resolves to the ${focused.kind} in ${scopeTitle(table.scopes[focused.scope])} (${where}).`;
+  };
+  const focusText = describeFocus();
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="text-white font-bold text-lg">📚 Symbol Table</h3>
+        <span className="text-sm text-gray-400">
+          {table.scopes.length - 1} scopes • {table.symbols.length} names • {table.unresolved.length} unresolved
+        </span>
+      </div>
+      {!compact && <p className="text-sm text-gray-300">{LANGUAGE_NOTES[table.language]}</p>}
+
+      <div className={`space-y-2 ${compact ? 'max-h-72 overflow-auto' : ''}`}>
+        {outermost.filter(hasNames).map(renderScope)}
+        {!table.symbols.length && <div className="text-sm text-gray-400">No names are declared or used yet.</div>}
+      </div>
+
+      {focusText && (
+        <div className="bg-gray-700 rounded p-3 space-y-2">
+          <div className="text-white text-sm">🔎 {focusText}</div>
+          {path.length > 0 && (
+            <div className="flex flex-wrap items-center gap-1 text-xs">
+              {path.map(({ scope, found, skipped }, index) => (
+                <React.Fragment key={scope.id}>
+                  {index > 0 && <span className="text-gray-400">→</span>}
+                  <span
+                    className={`px-2 py-0.5 rounded ${found ? 'bg-green-600 text-white' : skipped ? 'bg-gray-800 text-gray-500 line-through' : 'bg-gray-800 text-gray-300'}`}
+                    title={found ? 'Found here' : skipped ? 'Not searched' : 'Not declared here'}
+                  >
+                    {SCOPE_STYLES[scope.kind].icon} {scopeTitle(scope)} {found ? '✓' : skipped ? '' : '✗'}
+                  </span>
+                </React.Fragment>
+              ))}
+            </div>
+          )}
+          {!compact && focused && (
+            <div className="flex flex-wrap gap-1 text-xs">
+              {symbolRanges(focused).map((range) => (
+                <button
+                  key={range.start}
+                  onClick={() => pickSymbol(focused, range)}
+                  className={`px-2 py-0.5 rounded font-mono ${focus.range && focus.range.start === range.start ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-600'}`}
+                >
+                  {range === focused.declaration ? 'declared' : range.write ? 'assigned' : 'read'} {range.line}:{range.column + 1}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {table.unresolved.length > 0 && (
+        <div className="bg-red-900 bg-opacity-40 border border-red-700 rounded p-3 space-y-1">
+          <div className="text-sm text-red-200">⚠️ Not declared in any scope. {UNRESOLVED_NOTES[table.language]}</div>
+          <div className="flex flex-wrap gap-1">
+            {table.unresolved.map((reference) => (
+              <button
+                key={reference.start}
+                onClick={() => pickUnresolved(reference)}
+                className="px-2 py-0.5 rounded bg-red-800 hover:bg-red-700 text-white text-xs font-mono"
+              >
+                {reference.name} (line {reference.line})
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SymbolTablePanel;
@@ -0,0 +1,90 @@
+import React from 'react';
+
+const ARROW_COLOR = '#f472b6';
+
+/**
+ * Def-use arrows - drawn over the Monaco editor while a variable use is hovered
+ * One arrow from each assignment that can reach the use, dashed when it is in
+ * another function. Positions come from the editor, so the parent re-renders
+ * this on every scroll.
+ */
+export function DefUseArrows({ editor, dataflow, use }) {
+  const model = editor && editor.getModel();
+  if (!model || !dataflow || !use) return null;
+  // Middle of a name, in pixels from the editor's top left corner
+  const anchor = ({ start, end }) => {
+    const from = editor.getScrolledVisiblePosition(model.getPositionAt(start));
+    const to = editor.getScrolledVisiblePosition(model.getPositionAt(end));
+    if (!from || !to) return null;
+    return { x: (from.left + (to.top === from.top ? to.left : from.left)) / 2, y: from.top + from.height / 2 };
+  };
+  const target = anchor(use);
+  if (!target) return null;
+  const arrows = use.reaching.map((id) => dataflow.definitions[id]).map((definition) => {
+    const source = anchor(definition);
+    if (!source) return null;
+    // Bow out to the left, further for longer arrows
+    const bend = Math.min(source.x, target.x) - 24 - Math.abs(target.y - source.y) * 0.15;
+    return {
+      id: definition.id,
+      dashed: definition.graph !== use.graph,
+      path: `M ${source.x} ${source.y + 6} C ${bend} ${source.y + 6} ${bend} ${target.y - 6} ${target.x - 4} ${target.y - 6}`,
+    };
+  }).filter(Boolean);
+
+  return (
+    <svg className="absolute inset-0 w-full h-full pointer-events-none z-10" aria-hidden="true">
+      <defs>
+        <marker id="def-use-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+          <path d="M 0 0 L 10 5 L 0 10 z" fill={ARROW_COLOR} />
+        </marker>
+      </defs>
+      {arrows.map((arrow) => (
+        <path
+          key={arrow.id}
+          d={arrow.path}
+          fill="none"
+          stroke={ARROW_COLOR}
+          strokeWidth="2"
+          strokeDasharray={arrow.dashed ? '5 4' : undefined}
+          markerEnd="url(#def-use-arrow)"
+          opacity="0.85"
+        />
+      ))}
+    </svg>
+  );
+}
+
+/**
+ * Live Variables Gutter - a column beside the editor listing, for each
+ * statement line, the variables whose current value is still going to be read.
+ * Lines holding a dead store are marked red.
+ */
+export function LiveVariablesGutter({ editor, dataflow, lineHeight }) {
+  if (!editor || !dataflow) return null;
+  const scrollTop = editor.getScrollTop();
+  const dead = new Map();
+  dataflow.deadStores.forEach((store) => dead.set(store.line, (dead.get(store.line) || []).concat(store)));
+
+  return (
+    <div className="relative w-40 flex-shrink-0 overflow-hidden bg-editor-sidebar border-l border-gray-700 font-mono text-xs">
+      {dataflow.lines.map(({ line, live }) => {
+        const stores = dead.get(line) || [];
+        const top = editor.getTopForLineNumber(line) - scrollTop;
+        return (
+          <div
+            key={line}
+            className={`absolute left-0 right-0 px-2 truncate ${stores.length ? 'text-red-300' : live.length ? 'text-teal-300' : 'text-gray-500'}`}
+            style={{ top, height: lineHeight, lineHeight: `${lineHeight}px` }}
+            title={[
+              live.length ? `Live after line ${line}: ${live.join(', ')}` : `Nothing is live after line ${line}`,
+              ...stores.map((store) => `✂️ ${store.message}`),
+            ].join('\n')}
+          >
+            {stores.length > 0 && '✂️ '}{live.length ? live.join(', ') : '∅'}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+import React, { useRef, useState } from 'react';
+import { AnimatePresence, motion } from 'framer-motion';
+import { useToasts } from './Toasts';
+import { readTextFile } from '../export';
+
+/**
+ * Export Menu - download what a panel shows, or open a saved file again
+ * items are { id, label, hint, run }; run may return a promise, and anything
+ * it throws is shown as a toast. onImport(text, fileName) gets the chosen
+ * file's text and throws an Error with a readable message when it can't use it.
+ */
+export function ExportMenu({ items, onImport = null, importAccept = '', importLabel = '📂 Open a saved file…' }) {
+  const [open, setOpen] = useState(false);
+  const fileRef = useRef(null);
+  const { push } = useToasts();
+
+  const runItem = async (item) => {
+    setOpen(false);
+    try {
+      await item.run();
+    } catch (error) {
+      push({ type: 'error', message: error.message || 'Export failed.' });
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onImport(await readTextFile(file), file.name);
+      push({ type: 'success', message: `Opened ${file.name}` });
+    } catch (error) {
+      push({ type: 'error', message: error.message, ttl: 5000 });
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen((o) => !o)}
+        className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white text-sm"
+        aria-haspopup="menu"
+        aria-expanded={open}
+      >
+        ⬇ Export
+      </button>
+      {onImport && (
+        <input ref={fileRef} type="file" accept={importAccept} className="hidden" onChange={handleFile} />
+      )}
+      <AnimatePresence>
+        {open && (
+          <motion.div
+            role="menu"
+            initial={{ opacity: 0, y: -6 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -6 }}
+            className="absolute right-0 mt-1 w-60 bg-gray-700 border border-gray-600 rounded-lg shadow-lg z-20 overflow-hidden"
+          >
+            {items.map((item) => (
+              <button
+                key={item.id}
+                role="menuitem"
+                onClick={() => runItem(item)}
+                className="w-full text-left px-3 py-2 hover:bg-gray-600 text-white text-sm"
+              >
+                {item.label}
+                {item.hint && <span className="block text-xs text-gray-400">{item.hint}</span>}
+              </button>
+            ))}
+            {onImport && (
+              <button
+                role="menuitem"
+                onClick={() => { setOpen(false); if (fileRef.current) fileRef.current.click(); }}
+                className="w-full text-left px-3 py-2 hover:bg-gray-600 text-white text-sm border-t border-gray-600"
+              >
+                {importLabel}
+              </button>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+export default ExportMenu;
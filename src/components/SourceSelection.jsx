@@ -0,0 +1,51 @@
+import React, { createContext, useCallback, useContext, useMemo, useState } from 'react';
+
+// Shared selection channel between the editor and the panels that show
+// pieces of the source (token chips, tree nodes, ...).
+// A selection is a source range in character offsets plus the panel it came
+// from, so each panel can react to the others without echoing its own clicks.
+//   { start, end, origin: 'editor' | 'tokens' | 'tree' | ..., related }
+// related optionally lists more ranges that belong with it, like the other
+// uses of a name picked in the symbol table, for the editor to highlight too.
+
+const SelectionCtx = createContext(null);
+
+export function SourceSelectionProvider({ children }) {
+  const [selection, setSelection] = useState(null);
+
+  const select = useCallback((range, origin) => {
+    if (!range || range.start == null) {
+      setSelection(null);
+      return;
+    }
+    const end = range.end == null ? range.start : range.end;
+    const related = range.related || null;
+    setSelection((prev) => (
+      prev && prev.start === range.start && prev.end === end && prev.origin === origin && prev.related === related
+        ? prev
+        : { start: range.start, end, origin, related }
+    ));
+  }, []);
+
+  const clear = useCallback(() => setSelection(null), []);
+
+  const api = useMemo(() => ({ selection, select, clear }), [selection, select, clear]);
+
+  return <SelectionCtx.Provider value={api}>{children}</SelectionCtx.Provider>;
+}
+
+export function useSourceSelection() {
+  const ctx = useContext(SelectionCtx);
+  if (!ctx) throw new Error('useSourceSelection must be used within SourceSelectionProvider');
+  return ctx;
+}
+
+// True when the [start, end) range of an item overlaps the selection.
+// A caret (empty selection) matches the item it sits in or right after.
+export function rangeMatchesSelection(item, selection) {
+  if (!item || !selection || item.start == null) return false;
+  if (selection.start === selection.end) {
+    return selection.start >= item.start && selection.start <= item.end;
+  }
+  return item.start < selection.end && item.end > selection.start;
+}
@@ -0,0 +1,49 @@
+import React from 'react';
+import { useSourceSelection } from './SourceSelection';
+
+const STYLES = {
+  error: {
+    icon: '⚠️', button: 'bg-red-900 border-red-500 text-red-100 hover:bg-red-800', detail: 'text-red-200', hint: 'text-red-300',
+  },
+  unsupported: {
+    icon: '🚧', button: 'bg-slate-800 border-slate-500 text-slate-100 hover:bg-slate-700', detail: 'text-slate-300', hint: 'text-slate-300',
+  },
+};
+
+/**
+ * Syntax Error List - every problem the parser found, in reading order
+ * Each entry shows where it is, what the parser wanted and what it got,
+ * plus a plain-language hint; clicking one selects that spot in the editor.
+ * Valid code the parser doesn't handle yet is listed in grey, not red.
+ */
+export function SyntaxErrorList({ errors, origin = 'tree', className = '' }) {
+  const { select } = useSourceSelection();
+  if (!errors || !errors.length) return null;
+
+  return (
+    <ul className={`space-y-2 ${className}`}>
+      {errors.map((error) => {
+        const style = STYLES[error.severity] || STYLES.error;
+        return (
+          <li key={`${error.start}-${error.message}`}>
+            <button
+              onClick={() => select({ start: error.start, end: error.end }, origin)}
+              className={`w-full p-2 rounded border text-left text-sm ${style.button}`}
+              title="Show in the editor"
+            >
+              {style.icon} Line {error.line}, col {error.column}: {error.message}
+              {error.expected && (
+                <span className={`block text-xs mt-1 font-mono ${style.detail}`}>
+                  expected {error.expected}{error.found ? ` • found ${error.found}` : ''}
+                </span>
+              )}
+              {error.hint && <span className={`block text-xs mt-1 ${style.hint}`}>💡 {error.hint}</span>}
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default SyntaxErrorList;
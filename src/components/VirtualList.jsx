@@ -0,0 +1,45 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+/**
+ * Virtual List - renders only the rows currently on screen
+ * Every row has the same height, so the visible slice is plain arithmetic
+ * and lists with thousands of rows (long token streams) scroll smoothly.
+ * scrollToIndex brings a row into view whenever it changes.
+ */
+export function VirtualList({ items, rowHeight, height, overscan = 6, renderRow, scrollToIndex = null, className = '' }) {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const viewHeight = Math.min(height, items.length * rowHeight);
+
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el || scrollToIndex == null || scrollToIndex < 0) return;
+    const top = scrollToIndex * rowHeight;
+    if (top < el.scrollTop) el.scrollTop = top;
+    else if (top + rowHeight > el.scrollTop + viewHeight) el.scrollTop = top + rowHeight - viewHeight;
+  }, [scrollToIndex, rowHeight, viewHeight]);
+
+  const first = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const last = Math.min(items.length, Math.ceil((scrollTop + viewHeight) / rowHeight) + overscan);
+  const rows = [];
+  for (let index = first; index < last; index += 1) {
+    rows.push(
+      <div key={index} style={{ position: 'absolute', top: index * rowHeight, left: 0, right: 0, height: rowHeight }}>
+        {renderRow(items[index], index)}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      className={`overflow-y-auto ${className}`}
+      style={{ height: viewHeight }}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+    >
+      <div style={{ position: 'relative', height: items.length * rowHeight }}>
+        {rows}
+      </div>
+    </div>
+  );
+}
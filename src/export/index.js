@@ -0,0 +1,8 @@
+// Exporting parse trees and token streams to files (and opening them again).
+//   downloadFile('tree.dot', treeToDot(tree), 'text/vnd.graphviz');
+//   const { tree } = readTreeFile(text);   // throws Error with a readable message
+//   const { tokens } = readTokensFile(text);
+
+export { TREE_FORMAT, treeToJSON, treeToDot, treeToSvg, readTreeFile } from './tree';
+export { TOKENS_FORMAT, tokensToJSON, tokensToCSV, readTokensFile } from './tokens';
+export { downloadFile, svgToPng, readTextFile } from './files';
@@ -0,0 +1,107 @@
+// Token stream files: CSV for spreadsheets, JSON for everything else, and
+// reading either back into tokens the Tokens tab can show.
+
+export const TOKENS_FORMAT = 'compiler-classroom-tokens';
+const TOKENS_VERSION = 1;
+
+const TOKEN_COLUMNS = ['index', 'type', 'value', 'line', 'column', 'endLine', 'endColumn', 'start', 'end'];
+const NUMBER_COLUMNS = TOKEN_COLUMNS.filter((column) => column !== 'type' && column !== 'value');
+
+const pick = (token) => TOKEN_COLUMNS.reduce((kept, column) => {
+  kept[column] = token[column];
+  return kept;
+}, {});
+
+export function tokensToJSON(tokens, { language = null } = {}) {
+  return JSON.stringify({ format: TOKENS_FORMAT, version: TOKENS_VERSION, language, tokens: tokens.map(pick) }, null, 2);
+}
+
+const csvField = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function tokensToCSV(tokens) {
+  const rows = [TOKEN_COLUMNS, ...tokens.map((token) => TOKEN_COLUMNS.map((column) => token[column]))];
+  return `${rows.map((row) => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+// CSV text -> rows of fields; quoted fields may hold commas, quotes and newlines
+const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error('A quoted value in the CSV file is never closed.');
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Every token needs a type, a value and whole-number positions
+const checkTokens = (tokens) => {
+  if (!Array.isArray(tokens) || !tokens.length) throw new Error('The file has no tokens in it.');
+  return tokens.map((token, index) => {
+    if (!token || typeof token.type !== 'string' || !token.type) throw new Error(`Token ${index + 1} has no type.`);
+    const checked = { ...token, value: token.value == null ? '' : String(token.value), index };
+    NUMBER_COLUMNS.filter((column) => column !== 'index').forEach((column) => {
+      const number = Number(token[column]);
+      if (!Number.isInteger(number) || number < 0) throw new Error(`Token ${index + 1} has no valid ${column}.`);
+      checked[column] = number;
+    });
+    return checked;
+  });
+};
+
+const readCSV = (text) => {
+  const [header, ...rows] = parseCSV(text).filter((row) => row.some((field) => field !== ''));
+  const missing = TOKEN_COLUMNS.filter((column) => column !== 'index' && !(header || []).includes(column));
+  if (missing.length) throw new Error(`The CSV file needs the columns ${missing.join(', ')} in its first row.`);
+  const tokens = rows.map((row) => header.reduce((token, column, i) => {
+    token[column] = row[i];
+    return token;
+  }, {}));
+  return { tokens: checkTokens(tokens), language: null };
+};
+
+// { tokens, language } from a JSON or CSV file made by the functions above
+export function readTokensFile(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed.startsWith('{')) return readCSV(trimmed);
+  let data;
+  try {
+    data = JSON.parse(trimmed);
+  } catch (error) {
+    throw new Error(`This isn't valid JSON: ${error.message}`);
+  }
+  if (!data || data.format !== TOKENS_FORMAT) throw new Error('This JSON file isn\'t a token list exported from the Tokens tab.');
+  return { tokens: checkTokens(data.tokens), language: data.language || null };
+}
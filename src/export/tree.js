@@ -0,0 +1,203 @@
+// Parse tree files for worksheets and slides, and reading them back in.
+//   treeToJSON(tree, { language, ast })  - the nodes with source locations (and the AST itself)
+//   treeToDot(tree)                      - Graphviz DOT
+//   treeToSvg(nodes, view, data)         - a standalone picture of what is on screen
+//   readTreeFile(text)                   - any of the above back into a tree for ParserTreeGraph
+// tree is the { ...root, allNodes } object ParserTreeGraph draws.
+
+import { layoutTree, nodeColor } from '../parser';
+
+export const TREE_FORMAT = 'compiler-classroom-tree';
+const TREE_VERSION = 1;
+
+// Node fields worth keeping; positions are recomputed when a file is opened
+const NODE_FIELDS = ['id', 'type', 'label', 'children', 'level', 'description', 'properties', 'start', 'end', 'loc'];
+
+const pick = (node) => NODE_FIELDS.reduce((kept, field) => {
+  if (node[field] !== undefined) kept[field] = node[field];
+  return kept;
+}, {});
+
+const treeNodes = (tree) => tree.allNodes || [tree];
+
+export function treeToJSON(tree, { language = null, ast = null } = {}) {
+  return JSON.stringify({
+    format: TREE_FORMAT,
+    version: TREE_VERSION,
+    language,
+    nodes: treeNodes(tree).map(pick),
+    ast,
+  }, null, 2);
+}
+
+const dotString = (text) => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+
+// One box per node ("Type" over its label) and one arrow per child, labelled
+// with the field of the parent it sits in. src_start/src_end keep the source
+// range (Graphviz ignores attributes it doesn't know).
+export function treeToDot(tree) {
+  const nodes = treeNodes(tree);
+  const lines = [
+    'digraph AST {',
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica", fontcolor="white"];',
+    '  edge [fontname="Helvetica", fontsize=10, color="#4B5563"];',
+  ];
+  nodes.forEach((node) => {
+    const attributes = [
+      `label=${dotString(node.label && node.label !== node.type ? `${node.type}\n${node.label}` : node.type)}`,
+      `fillcolor=${dotString(nodeColor(node.type))}`,
+    ];
+    if (node.description) attributes.push(`tooltip=${dotString(node.description)}`);
+    if (node.start != null) attributes.push(`src_start=${node.start}`, `src_end=${node.end}`);
+    lines.push(`  ${dotString(node.id)} [${attributes.join(', ')}];`);
+  });
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  nodes.forEach((node) => node.children.forEach((childId) => {
+    const role = byId.get(childId)?.properties?.role;
+    lines.push(`  ${dotString(node.id)} -> ${dotString(childId)}${role ? ` [label=${dotString(role)}]` : ''};`);
+  }));
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+const xml = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// nodes: the nodes on screen with their positions; view: { x, y, width, height }
+// of the tree area shown, drawn at width x height pixels (scale = pixels per
+// tree unit). data, when given, is a treeToJSON() string kept in the file's
+// <metadata> so the picture can be opened again as a tree.
+export function treeToSvg(nodes, view, data = null, scale = 1) {
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const width = Math.round(view.width * scale);
+  const height = Math.round(view.height * scale);
+  const edges = nodes.flatMap((parent) => parent.children
+    .map((id) => byId.get(id))
+    .filter(Boolean)
+    .map((child) => `<line x1="${parent.position.x}" y1="${parent.position.y + 25}" x2="${child.position.x}" y2="${child.position.y - 25}" stroke="#4B5563" stroke-opacity="0.6"/>`));
+  const bubbles = nodes.map(({ type, label, position: { x, y } }) => [
+    `<circle cx="${x}" cy="${y}" r="25" fill="${nodeColor(type)}"/>`,
+    `<text x="${x}" y="${y + 5}" text-anchor="middle" font-size="12" font-weight="bold" fill="#FFFFFF">${xml(String(label).substring(0, 8))}</text>`,
+    `<text x="${x}" y="${y + 40}" text-anchor="middle" font-size="12" fill="#D1D5DB">${xml(type)}</text>`,
+  ].join(''));
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${view.x} ${view.y} ${view.width} ${view.height}" font-family="Helvetica, Arial, sans-serif">`,
+    data ? `<metadata id="${TREE_FORMAT}">${xml(data)}</metadata>` : '',
+    `<rect x="${view.x}" y="${view.y}" width="${view.width}" height="${view.height}" fill="#111827"/>`,
+    ...edges,
+    ...bubbles,
+    '</svg>',
+  ].filter(Boolean).join('\n');
+}
+
+// Checks the nodes of an opened file and turns them into a drawable tree:
+// ids must be unique, children must exist, and the first node is the root
+const buildTree = (rawNodes) => {
+  if (!Array.isArray(rawNodes) || !rawNodes.length) throw new Error('The file has no tree nodes in it.');
+  const seen = new Set();
+  const nodes = rawNodes.map((raw, index) => {
+    if (!raw || typeof raw !== 'object' || typeof raw.type !== 'string') {
+      throw new Error(`Node ${index + 1} in the file has no type.`);
+    }
+    const id = raw.id != null ? String(raw.id) : `n${index}`;
+    if (seen.has(id)) throw new Error(`The file has two nodes called "${id}".`);
+    seen.add(id);
+    return {
+      ...raw,
+      id,
+      label: raw.label != null ? String(raw.label) : raw.type,
+      children: Array.isArray(raw.children) ? raw.children.map(String) : [],
+      description: raw.description || raw.type,
+      properties: raw.properties && typeof raw.properties === 'object' ? raw.properties : {},
+      position: { x: 0, y: 0 },
+    };
+  });
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  nodes.forEach((node) => node.children.forEach((childId) => {
+    if (!byId.has(childId)) throw new Error(`Node "${node.id}" points to a child "${childId}" that isn't in the file.`);
+  }));
+
+  // Levels are recounted from the root; nodes it can't reach are dropped
+  const root = nodes[0];
+  const reached = new Set();
+  const visit = (node, level) => {
+    if (reached.has(node.id)) throw new Error(`Node "${node.id}" has more than one parent, so this isn't a tree.`);
+    reached.add(node.id);
+    node.level = level;
+    node.children.forEach((childId) => visit(byId.get(childId), level + 1));
+  };
+  visit(root, 0);
+  const allNodes = nodes.filter((node) => reached.has(node.id));
+  const { width, height } = layoutTree(allNodes);
+  return { ...root, allNodes, width, height };
+};
+
+const readJSON = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`This isn't valid JSON: ${error.message}`);
+  }
+  if (!data || data.format !== TREE_FORMAT) throw new Error('This JSON file isn\'t a parse tree exported from the Parse Tree tab.');
+  return { tree: buildTree(data.nodes), language: data.language || null, ast: data.ast || null };
+};
+
+const unquoteDot = (text) => text.slice(1, -1).replace(/\\(["\\n])/g, (_, escaped) => (escaped === 'n' ? '\n' : escaped));
+
+// Reads the DOT written by treeToDot (node statements, then edges)
+const readDot = (text) => {
+  const quoted = '"(?:[^"\\\\]|\\\\.)*"';
+  const nodes = [];
+  const byId = new Map();
+  text.split('\n').forEach((line) => {
+    const edge = line.match(new RegExp(`^\\s*(${quoted})\\s*->\\s*(${quoted})`));
+    if (edge) {
+      const parent = byId.get(unquoteDot(edge[1]));
+      const child = byId.get(unquoteDot(edge[2]));
+      if (!parent || !child) throw new Error('An arrow in the DOT file points to a node that isn\'t declared.');
+      parent.children.push(child.id);
+      const role = line.match(new RegExp(`\\[label=(${quoted})\\]`));
+      if (role) child.properties.role = unquoteDot(role[1]);
+      return;
+    }
+    const node = line.match(new RegExp(`^\\s*(${quoted})\\s*\\[(.*)\\];\\s*$`));
+    if (!node) return;
+    const attributes = {};
+    node[2].replace(new RegExp(`(\\w+)=(${quoted}|[\\w.-]+)`, 'g'), (_, key, value) => {
+      attributes[key] = value.startsWith('"') ? unquoteDot(value) : value;
+      return '';
+    });
+    const [type, ...label] = (attributes.label || 'Node').split('\n');
+    const entry = {
+      id: unquoteDot(node[1]),
+      type,
+      label: label.length ? label.join(' ') : type,
+      children: [],
+      description: attributes.tooltip,
+      properties: {},
+    };
+    if (attributes.src_start != null) {
+      entry.start = Number(attributes.src_start);
+      entry.end = Number(attributes.src_end);
+    }
+    nodes.push(entry);
+    byId.set(entry.id, entry);
+  });
+  return { tree: buildTree(nodes), language: null, ast: null };
+};
+
+const unescapeXml = (text) => text
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+
+// { tree, language, ast } from a JSON, DOT or SVG file made by the functions above
+export function readTreeFile(text) {
+  const trimmed = String(text || '').trim();
+  if (trimmed.startsWith('{')) return readJSON(trimmed);
+  if (/^(strict\s+)?digraph\b/.test(trimmed)) return readDot(trimmed);
+  if (trimmed.startsWith('<')) {
+    const metadata = trimmed.match(new RegExp(`<metadata id="${TREE_FORMAT}">([\\s\\S]*?)</metadata>`));
+    if (!metadata) throw new Error('This SVG has no tree inside. Only pictures exported from the Parse Tree tab can be opened.');
+    return readJSON(unescapeXml(metadata[1]));
+  }
+  throw new Error('Open a .json, .dot or .svg file exported from the Parse Tree tab.');
+}
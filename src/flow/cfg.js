@@ -0,0 +1,163 @@
+// Control-flow graph bookkeeping shared by the language builders. A builder
+// walks one function body (or the top level of the program) at a time,
+// appending code to the current basic block and starting a new block
+// wherever control can branch or join: the test of an if or a loop, the
+// body of each branch, the code after a loop, and so on.
+//
+// The result is plain data, so it can come back from the analysis worker:
+//   { language,
+//     graphs: [{ id, name, kind: 'program' | 'function', start, end, line,
+//                entry, exit, blocks: [block ids] }],
+//     blocks: [{ id, graph, kind: 'entry' | 'exit' | 'block', items: [item],
+//                probe, start, end, line, endLine, reachable }],
+//     edges:  [{ from, to, label }] }
+// An item is one piece of code in a block, a statement or the test, update
+// or loop variable of a loop: { kind, type, start, end, line, endLine, text,
+// lone }. lone marks a statement that is the whole body of an if or loop
+// without braces. probe is where instrument.js puts the call that reports
+// the block as visited: { start, end, how: 'statement' | 'expression' |
+// 'body', lone }. Edge labels are null (fall through), 'true' and 'false'
+// (the two ways out of a test), 'next' and 'done' (a for-each loop), 'loop'
+// (back to the top of a loop), 'break', 'continue', 'return' and 'throw'.
+// Block and graph ids are indexes into blocks and graphs.
+
+import { createLocator } from '../parser/shared';
+
+// Longest item text kept for labels
+const MAX_TEXT = 60;
+
+export function createFlowBuilder(source, language) {
+  const text = String(source || '');
+  const { locAt } = createLocator(text);
+  const graphs = [];
+  const blocks = [];
+  const edges = [];
+
+  const newBlock = (graph, kind = 'block') => {
+    const block = { id: blocks.length, graph: graph.id, kind, items: [], probe: null, start: null, end: null, line: null, endLine: null, reachable: false };
+    blocks.push(block);
+    graph.blocks.push(block.id);
+    return block;
+  };
+
+  const openGraph = (name, kind, node) => {
+    const graph = {
+      id: graphs.length,
+      name,
+      kind,
+      start: node.start,
+      end: node.end,
+      line: locAt(node.start).line,
+      entry: null,
+      exit: null,
+      blocks: [],
+    };
+    graphs.push(graph);
+    graph.entry = newBlock(graph, 'entry').id;
+    graph.exit = newBlock(graph, 'exit').id;
+    return graph;
+  };
+
+  // probe, when given, overrides where a trace probe for the block goes
+  // (see instrument.js); by default it is the first item added
+  const add = (block, node, kind = 'statement', { lone = false, probe = null } = {}) => {
+    if (!block || !node) return;
+    // The first line of the code, which is all of it for most items
+    const lines = text.slice(node.start, node.end).split('\n');
+    const code = `${lines[0].trim()}${lines.length > 1 ? ' …' : ''}`;
+    if (!block.probe) block.probe = probe || { start: node.start, end: node.end, how: kind === 'statement' ? 'statement' : 'expression', lone };
+    block.items.push({
+      kind,
+      type: node.type,
+      start: node.start,
+      end: node.end,
+      line: locAt(node.start).line,
+      endLine: locAt(Math.max(node.start, node.end - 1)).line,
+      text: code.length > MAX_TEXT ? `${code.slice(0, MAX_TEXT - 1)}…` : code,
+      lone,
+    });
+  };
+
+  const edge = (from, to, label = null) => {
+    if (!from || !to) return;
+    if (edges.some((existing) => existing.from === from.id && existing.to === to.id && existing.label === label)) return;
+    edges.push({ from: from.id, to: to.id, label });
+  };
+
+  // An empty block that only falls through to the next one is dropped, and
+  // the edges into it go straight on (keeping their labels). An empty block
+  // that stays is drawn as "(nothing)", like the body of while (x) {}.
+  const dropEmptyBlocks = () => {
+    blocks.forEach((block) => {
+      if (block.kind !== 'block' || block.items.length) return;
+      const out = edges.filter((candidate) => candidate.from === block.id);
+      if (out.length !== 1 || out[0].label || out[0].to === block.id) return;
+      const [{ to }] = out;
+      // Two edges between the same blocks would be drawn on top of each other
+      const into = edges.filter((candidate) => candidate.to === block.id);
+      if (into.some((link) => edges.some((other) => other.from === link.from && other.to === to))) return;
+      edges.forEach((candidate) => {
+        if (candidate.to === block.id) candidate.to = to;
+      });
+      edges.splice(edges.indexOf(out[0]), 1);
+      block.dropped = true;
+    });
+  };
+
+  const finish = () => {
+    dropEmptyBlocks();
+    // Renumber what is left so ids stay indexes
+    const kept = blocks.filter((block) => !block.dropped);
+    const ids = new Map(kept.map((block, index) => [block.id, index]));
+    const result = kept.map((block) => {
+      const { dropped, ...fields } = block;
+      const { items } = fields;
+      return {
+        ...fields,
+        id: ids.get(block.id),
+        start: items.length ? items[0].start : null,
+        end: items.length ? items[items.length - 1].end : null,
+        line: items.length ? items[0].line : null,
+        endLine: items.length ? Math.max(...items.map((item) => item.endLine)) : null,
+      };
+    });
+    const links = edges
+      .filter((link) => ids.has(link.from) && ids.has(link.to))
+      .map((link) => ({ ...link, from: ids.get(link.from), to: ids.get(link.to) }));
+    graphs.forEach((graph) => {
+      graph.blocks = graph.blocks.filter((id) => ids.has(id)).map((id) => ids.get(id));
+      graph.entry = ids.get(graph.entry);
+      graph.exit = ids.get(graph.exit);
+      // Blocks the entry can get to
+      const stack = [graph.entry];
+      while (stack.length) {
+        const block = result[stack.pop()];
+        if (!block.reachable) {
+          block.reachable = true;
+          links.forEach((link) => { if (link.from === block.id) stack.push(link.to); });
+        }
+      }
+    });
+    return { language, graphs, blocks: result, edges: links };
+  };
+
+  return { graphs, blocks, openGraph, newBlock, add, edge, finish };
+}
+
+// Edges out of a block and into it
+export const successors = (flow, id) => flow.edges.filter((link) => link.from === id);
+export const predecessors = (flow, id) => flow.edges.filter((link) => link.to === id);
+
+// The block whose code covers offset, innermost function first
+export function blockAt(flow, offset) {
+  if (!flow) return null;
+  let found = null;
+  flow.blocks.forEach((block) => {
+    block.items.forEach((item) => {
+      if (offset >= item.start && offset <= item.end && (!found || item.end - item.start < found.size)) {
+        found = { block, size: item.end - item.start };
+      }
+    });
+  });
+  return found ? found.block : null;
+}
@@ -0,0 +1,279 @@
+// Data-flow analysis on the control-flow graphs, the classic pair of
+// iterative passes:
+//   - reaching definitions, forwards: which assignments a use of a variable
+//     may get its value from, along some path through the graph
+//   - liveness, backwards: which variables still get read later on, at the
+//     end of every statement
+// and what they show together: dead stores, assignments whose value no path
+// ever reads. That is what an optimizer's dead code elimination removes.
+//
+// Only a function's own variables are followed, in the graph of that
+// function. One that a function inside it also uses (or a lambda, a class
+// body or a comprehension) may be read or changed by any call, so it gets no
+// liveness or dead stores, and a use of it can get its value from any
+// assignment to it. Functions and classes themselves are left out too.
+//
+// The result is plain data, so it can come back from the analysis worker:
+//   { definitions: [{ id, name, symbol, graph, block, order, start, end, line, column, parameter }],
+//     uses: [{ name, symbol, graph, block, order, start, end, line, column, reaching: [definition ids], outside }],
+//     lines: [{ line, graph, live: [names] }],
+//     liveIn: [[symbol ids] for each block],
+//     shared: [symbol ids],
+//     deadStores: [diagnostic] }
+// Positions are ranges as in the symbol table (column 0-based). order
+// numbers the definitions and uses of a block in the order they happen
+// (x = x + 1 reads x before it assigns it). outside is true for a use in a
+// function other than the variable's own. lines says which variables are
+// live after the statements of each line, and liveIn which ones are live
+// where each block starts. shared lists the variables other functions use
+// too, which get no liveness. Dead stores use the lexer's diagnostic shape
+// with source 'dataflow'.
+
+import { createLocator } from '../parser/shared';
+import { nodeChildren } from '../parser/astGraph';
+import { javascriptEffects } from './javascript';
+import { pythonEffects } from './python';
+
+const EFFECTS = {
+  javascript: javascriptEffects,
+  python: pythonEffects,
+};
+
+const UNTRACKED_KINDS = new Set(['function', 'class', 'builtin']);
+
+export function analyzeDataFlow(flow, ast, table, source) {
+  const effects = flow && EFFECTS[flow.language];
+  if (!effects || !ast || !table) return null;
+  const { locAt } = createLocator(String(source || ''));
+  const { scopes, symbols } = table;
+  const program = flow.graphs.find((graph) => graph.kind === 'program');
+
+  // The graph whose code a scope is part of; null for lambdas, class bodies
+  // and comprehensions, which have no graph of their own
+  const graphOfScope = (id) => {
+    let scope = scopes[id];
+    while (scope.kind === 'block') scope = scopes[scope.parent];
+    if (scope.kind === 'global') return program ? program.id : null;
+    if (scope.kind !== 'function') return null;
+    const graph = flow.graphs.find((candidate) => candidate.kind === 'function' && candidate.start === scope.start);
+    return graph ? graph.id : null;
+  };
+  const home = new Map();
+  const captured = new Set();
+  symbols.forEach((symbol) => {
+    if (UNTRACKED_KINDS.has(symbol.kind)) return;
+    const graph = graphOfScope(symbol.scope);
+    if (graph == null) return;
+    home.set(symbol.id, graph);
+    if (symbol.references.some((reference) => graphOfScope(reference.scope) !== graph)) captured.add(symbol.id);
+  });
+
+  // Where each name's symbol is, by the offset it starts at
+  const symbolAt = new Map();
+  symbols.forEach((symbol) => {
+    if (!home.has(symbol.id)) return;
+    if (symbol.declaration) symbolAt.set(symbol.declaration.start, symbol);
+    symbol.references.forEach((reference) => symbolAt.set(reference.start, symbol));
+  });
+
+  // The AST node of each item
+  const nodes = new Map();
+  const collect = (node) => {
+    nodes.set(`${node.type}:${node.start}:${node.end}`, node);
+    nodeChildren(node).forEach((child) => collect(child.node));
+  };
+  collect(ast);
+
+  const range = ({ start, end }) => ({ start, end, ...locAt(start) });
+  const definitions = [];
+  const defsOf = new Map(symbols.map((symbol) => [symbol.id, []]));
+  const readSomewhere = new Set();
+  // block id -> [{ item, events: [{ how, symbol, def, start, end }] }], in order
+  const steps = flow.blocks.map(() => []);
+
+  // Next order number in each block
+  const counters = flow.blocks.map(() => 0);
+  const define = (symbol, block, spot, parameter, order) => {
+    const definition = { id: definitions.length, name: symbol.name, symbol: symbol.id, graph: block.graph, block: block.id, order, ...range(spot), parameter };
+    definitions.push(definition);
+    defsOf.get(symbol.id).push(definition.id);
+    return definition.id;
+  };
+
+  // Parameters get their values as the function starts
+  flow.graphs.forEach((graph) => {
+    const events = symbols
+      .filter((symbol) => symbol.kind === 'parameter' && home.get(symbol.id) === graph.id && symbol.declaration)
+      .map((symbol) => {
+        const order = counters[graph.entry];
+        counters[graph.entry] += 1;
+        return { how: 'def', symbol: symbol.id, order, def: define(symbol, flow.blocks[graph.entry], symbol.declaration, true, order), ...symbol.declaration };
+      });
+    if (events.length) steps[graph.entry].push({ item: null, events });
+  });
+  flow.blocks.forEach((head) => {
+    head.items.forEach((item) => {
+      const node = nodes.get(`${item.type}:${item.start}:${item.end}`);
+      if (!node) return;
+      // A for loop's variable gets its next value on the way into the body:
+      // when the loop is done (or never runs) it keeps the value it had
+      const into = item.kind === 'next' && flow.edges.find((link) => link.from === head.id && link.label === 'next');
+      const block = into ? flow.blocks[into.to] : head;
+      const events = [];
+      effects(node, item.kind, (name, how) => {
+        const symbol = symbolAt.get(name.start);
+        if (!symbol) return;
+        if (home.get(symbol.id) !== block.graph) captured.add(symbol.id);
+        if (how === 'use') readSomewhere.add(symbol.id);
+        const order = counters[block.id];
+        counters[block.id] += 1;
+        events.push({ how, symbol: symbol.id, order, def: how === 'def' ? define(symbol, block, name, false, order) : null, start: name.start, end: name.end });
+      }, source);
+      steps[block.id].push({ item, events });
+    });
+  });
+
+  const into = flow.blocks.map(() => []);
+  const outOf = flow.blocks.map(() => []);
+  flow.edges.forEach((link) => {
+    into[link.to].push(link.from);
+    outOf[link.from].push(link.to);
+  });
+
+  // Reaching definitions: run each block over the definitions reaching its
+  // start until nothing changes. The sets only grow, so comparing sizes is
+  // enough to see a change.
+  const reachIn = flow.blocks.map(() => new Set());
+  const reachOut = flow.blocks.map(() => new Set());
+  const forward = (id, reaching, onUse) => {
+    const current = new Set(reaching);
+    steps[id].forEach(({ events }) => events.forEach((event) => {
+      if (event.how === 'use') {
+        if (onUse) onUse(event, defsOf.get(event.symbol).filter((def) => current.has(def)));
+        return;
+      }
+      defsOf.get(event.symbol).forEach((def) => current.delete(def));
+      current.add(event.def);
+    }));
+    return current;
+  };
+  // One round over every block; true when some block's result changed
+  const reachRound = () => flow.blocks.reduce((changed, block) => {
+    const reaching = new Set();
+    into[block.id].forEach((from) => reachOut[from].forEach((def) => reaching.add(def)));
+    reachIn[block.id] = reaching;
+    const out = forward(block.id, reaching, null);
+    if (out.size === reachOut[block.id].size) return changed;
+    reachOut[block.id] = out;
+    return true;
+  }, false);
+  while (reachRound());
+  const uses = [];
+  flow.blocks.forEach((block) => {
+    forward(block.id, reachIn[block.id], (event, reaching) => {
+      const symbol = symbols[event.symbol];
+      const outside = home.get(symbol.id) !== block.graph;
+      // A variable other functions share can get its value from any of them
+      const shared = defsOf.get(symbol.id).filter((def) => captured.has(symbol.id) && definitions[def].graph !== block.graph);
+      uses.push({
+        name: symbol.name,
+        symbol: symbol.id,
+        graph: block.graph,
+        block: block.id,
+        order: event.order,
+        ...range(event),
+        reaching: outside ? defsOf.get(symbol.id).slice() : reaching.concat(shared),
+        outside,
+      });
+    });
+  });
+
+  // Liveness, the same way backwards from each function's exit, for the
+  // variables no other function touches
+  const followed = (event) => !captured.has(event.symbol);
+  const liveIn = flow.blocks.map(() => new Set());
+  const liveOut = flow.blocks.map(() => new Set());
+  // Runs a step backwards over live, calling onDef(event, live) before each assignment
+  const backward = ({ events }, live, onDef) => {
+    for (let index = events.length - 1; index >= 0; index -= 1) {
+      const event = events[index];
+      if (!followed(event)) continue;
+      if (event.how === 'def') {
+        if (onDef) onDef(event, live);
+        live.delete(event.symbol);
+      } else {
+        live.add(event.symbol);
+      }
+    }
+  };
+  const liveRound = () => flow.blocks.slice().reverse().reduce((changed, block) => {
+    const live = new Set();
+    outOf[block.id].forEach((to) => liveIn[to].forEach((symbol) => live.add(symbol)));
+    liveOut[block.id] = new Set(live);
+    steps[block.id].slice().reverse().forEach((step) => backward(step, live, null));
+    if (live.size === liveIn[block.id].size) return changed;
+    liveIn[block.id] = live;
+    return true;
+  }, false);
+  while (liveRound());
+
+  // Live variables after each item, and the assignments nothing reads
+  const lineItems = new Map();
+  const deadStores = [];
+  // A line shows its last statement, or the loop variable a for loop sets
+  const shownBefore = (item, other) => {
+    if ((item.kind === 'next') !== (other.kind === 'next')) return item.kind === 'next';
+    return item.start > other.start;
+  };
+  const names = (live) => Array.from(live).sort((a, b) => a - b).map((id) => symbols[id].name);
+  flow.blocks.forEach((block) => {
+    const live = new Set(liveOut[block.id]);
+    steps[block.id].slice().reverse().forEach((step) => {
+      const { item } = step;
+      if (item) {
+        const shown = lineItems.get(item.line);
+        if (!shown || shownBefore(item, shown.item)) {
+          lineItems.set(item.line, { item, graph: block.graph, live: names(live) });
+        }
+      }
+      backward(step, live, (event, after) => {
+        if (after.has(event.symbol) || !item || item.kind === 'next' || !block.reachable || !readSomewhere.has(event.symbol)) return;
+        const { name } = symbols[event.symbol];
+        const from = locAt(event.start);
+        const until = locAt(event.end);
+        deadStores.push({
+          severity: 'warning',
+          source: 'dataflow',
+          code: 'dead-store',
+          message: `The value stored in ${name} here is never read.`,
+          hint: `Every path from here gives ${name} a new value or ends before reading it, so an optimizer would drop this assignment.`,
+          start: event.start,
+          end: event.end,
+          line: from.line,
+          column: from.column + 1,
+          endLine: until.line,
+          endColumn: until.column + 1,
+        });
+      });
+    });
+  });
+  deadStores.sort((a, b) => a.start - b.start);
+  const lines = Array.from(lineItems.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([line, { graph, live }]) => ({ line, graph, live }));
+
+  return {
+    definitions,
+    uses: uses.sort((a, b) => a.start - b.start),
+    lines,
+    liveIn: liveIn.map((live) => Array.from(live).sort((a, b) => a - b)),
+    shared: Array.from(captured).sort((a, b) => a - b),
+    deadStores,
+  };
+}
+
+// The use of a variable at offset, if there is one
+export function variableUseAt(dataflow, offset) {
+  if (!dataflow) return null;
+  return dataflow.uses.find((use) => offset >= use.start && offset <= use.end) || null;
+}
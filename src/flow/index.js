@@ -0,0 +1,24 @@
+// Control-flow entry point. buildControlFlow() makes the control-flow graphs
+// of the code's language from the parser's AST (see cfg.js for their
+// shape), or returns null for languages without a parser.
+// analyzeDataFlow() (dataflow.js) then runs reaching definitions and
+// liveness over them, and buildSSA() (ssa.js) puts each function in static
+// single assignment form.
+
+import { javascriptFlow } from './javascript';
+import { pythonFlow } from './python';
+
+export { successors, predecessors, blockAt } from './cfg';
+export { analyzeDataFlow, variableUseAt } from './dataflow';
+export { buildSSA } from './ssa';
+export { TRACE_PROBE, instrumentForTrace, blockForLine } from './instrument';
+
+const BUILDERS = {
+  javascript: javascriptFlow,
+  python: pythonFlow,
+};
+
+export function buildControlFlow(ast, source, language) {
+  const build = BUILDERS[language];
+  return build && ast ? build(ast, source) : null;
+}
@@ -0,0 +1,56 @@
+// Execution tracing for the control-flow graph. JavaScript code is run with
+// a call to TRACE_PROBE(block id) added where each block starts (the sandbox
+// defines the probe and reports every call), in the place cfg.js recorded
+// for it: before a statement, wrapped around a statement that is the whole
+// body of an if or loop, inside the { of a loop body, or around a test as
+//   if ((__visitBlock(3), count > 10)) ...
+// Python is traced by line instead (the worker uses sys.settrace), and
+// blockForLine() maps each reported line back to its block.
+
+export const TRACE_PROBE = '__visitBlock';
+
+export function instrumentForTrace(flow, source) {
+  const text = String(source || '');
+  // { at, text, closing }: closing text at an offset goes before opening text
+  const insertions = [];
+  flow.blocks.forEach((block) => {
+    const { probe } = block;
+    if (!probe || !block.reachable) return;
+    const call = `${TRACE_PROBE}(${block.id})`;
+    if (probe.how === 'expression') {
+      insertions.push({ at: probe.start, text: `(${call}, `, closing: false });
+      insertions.push({ at: probe.end, text: ')', closing: true });
+    } else if (probe.how === 'body') {
+      insertions.push({ at: probe.start + 1, text: ` ${call};`, closing: false });
+    } else if (probe.lone) {
+      insertions.push({ at: probe.start, text: `{ ${call}; `, closing: false });
+      insertions.push({ at: probe.end, text: ' }', closing: true });
+    } else {
+      insertions.push({ at: probe.start, text: `${call}; `, closing: false });
+    }
+  });
+  insertions.sort((a, b) => a.at - b.at || Number(b.closing) - Number(a.closing));
+  let code = '';
+  let from = 0;
+  insertions.forEach(({ at, text: inserted }) => {
+    code += text.slice(from, at) + inserted;
+    from = at;
+  });
+  return code + text.slice(from);
+}
+
+// The block a traced Python line belongs to. A line holding several
+// blocks' code (if x: y = 1) counts as the test's block, and the line of a
+// for loop as the loop's block, which it comes back to on every round.
+export function blockForLine(flow, line) {
+  if (!flow) return null;
+  let found = null;
+  flow.blocks.forEach((block) => {
+    block.items.forEach((item) => {
+      if (item.line !== line) return;
+      const strong = item.kind === 'test' || item.kind === 'next';
+      if (!found || (strong && !found.strong)) found = { block, strong };
+    });
+  });
+  return found ? found.block : null;
+}
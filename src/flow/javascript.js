@@ -0,0 +1,308 @@
+// Control-flow graphs for JavaScript: one for the top level of the program
+// and one for every function in it, nested ones included. if, while,
+// do-while, for, for-in and for-of start new blocks; return and throw go to
+// the function's exit, break and continue to the end or the top of the
+// innermost loop. Code after them gets a block no edge leads to.
+// javascriptEffects() lists what one piece of a block reads and writes, for
+// the data-flow analysis in dataflow.js.
+
+import { nodeChildren } from '../parser/astGraph';
+import { createFlowBuilder } from './cfg';
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+const SKIPPED_KEYS = new Set(['type', 'loc', 'start', 'end']);
+
+const paramName = (param) => {
+  if (param.type === 'Identifier') return param.name;
+  if (param.type === 'AssignmentPattern') return paramName(param.left);
+  if (param.type === 'RestElement') return `...${paramName(param.argument)}`;
+  return '…';
+};
+
+export function javascriptFlow(ast, source) {
+  const { blocks, openGraph, newBlock, add, edge, finish } = createFlowBuilder(source, 'javascript');
+  // Functions waiting for a graph of their own: [{ node, name }]
+  const pending = [];
+
+  // Functions written inside code that is in a block get graphs of their
+  // own; const square = (x) => ... is named after its variable
+  const collectFunctions = (node, name = null) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach((child) => collectFunctions(child));
+      return;
+    }
+    if (FUNCTION_TYPES.has(node.type)) {
+      pending.push({ node, name: node.id ? node.id.name : name });
+      return;
+    }
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier') {
+      collectFunctions(node.init, node.id.name);
+      return;
+    }
+    if (node.type === 'AssignmentExpression' && node.left.type === 'Identifier') {
+      collectFunctions(node.right, node.left.name);
+      collectFunctions(node.left);
+      return;
+    }
+    Object.keys(node).forEach((key) => {
+      const child = node[key];
+      if (!SKIPPED_KEYS.has(key) && child && typeof child === 'object') collectFunctions(child);
+    });
+  };
+
+  const build = (graph, body) => {
+    const exit = blocks[graph.exit];
+    // Innermost loop first: { top, after } where continue and break go
+    const loops = [];
+    let current = newBlock(graph);
+    edge(blocks[graph.entry], current);
+
+    // The block code goes into; after return and the like that is a new
+    // block nothing leads to
+    const open = () => {
+      if (!current) current = newBlock(graph);
+      return current;
+    };
+    const item = (node, kind, options) => {
+      add(open(), node, kind, options);
+      collectFunctions(node);
+    };
+    const inLoop = (top, after, work) => {
+      loops.unshift({ top, after });
+      work();
+      loops.shift();
+    };
+
+    let statement;
+    // The body of an if or a loop: a { block } or a single statement
+    const branch = (node) => statement(node, node.type !== 'BlockStatement');
+
+    statement = (node, lone = false) => {
+      switch (node.type) {
+        case 'BlockStatement':
+          node.body.forEach((child) => statement(child));
+          return;
+        case 'EmptyStatement':
+          return;
+        case 'FunctionDeclaration':
+          add(open(), node, 'statement', { lone });
+          pending.push({ node, name: node.id ? node.id.name : null });
+          return;
+        case 'IfStatement': {
+          item(node.test, 'test');
+          const test = current;
+          current = newBlock(graph);
+          edge(test, current, 'true');
+          branch(node.consequent);
+          const thenEnd = current;
+          let elseEnd = null;
+          if (node.alternate) {
+            current = newBlock(graph);
+            edge(test, current, 'false');
+            branch(node.alternate);
+            elseEnd = current;
+            if (!thenEnd && !elseEnd) {
+              current = null;
+              return;
+            }
+          }
+          current = newBlock(graph);
+          edge(thenEnd, current);
+          if (node.alternate) edge(elseEnd, current);
+          else edge(test, current, 'false');
+          return;
+        }
+        case 'WhileStatement': {
+          const before = open();
+          const top = newBlock(graph);
+          edge(before, top);
+          add(top, node.test, 'test');
+          collectFunctions(node.test);
+          const after = newBlock(graph);
+          inLoop(top, after, () => {
+            current = newBlock(graph);
+            edge(top, current, 'true');
+            branch(node.body);
+            edge(current, top, 'loop');
+          });
+          edge(top, after, 'false');
+          current = after;
+          return;
+        }
+        case 'DoWhileStatement': {
+          const before = open();
+          const body = newBlock(graph);
+          edge(before, body);
+          const test = newBlock(graph);
+          const after = newBlock(graph);
+          inLoop(test, after, () => {
+            current = body;
+            branch(node.body);
+            edge(current, test);
+          });
+          add(test, node.test, 'test');
+          collectFunctions(node.test);
+          edge(test, body, 'true');
+          edge(test, after, 'false');
+          current = after;
+          return;
+        }
+        case 'ForStatement': {
+          const before = open();
+          if (node.init) {
+            // A declaration in the head can't hold a probe, so it goes before the loop
+            add(before, node.init, 'init', { probe: { start: node.start, end: node.end, how: 'statement', lone } });
+            collectFunctions(node.init);
+          }
+          const top = newBlock(graph);
+          edge(before, top);
+          if (node.test) {
+            add(top, node.test, 'test');
+            collectFunctions(node.test);
+          }
+          const update = newBlock(graph);
+          if (node.update) {
+            add(update, node.update, 'update');
+            collectFunctions(node.update);
+          }
+          const after = newBlock(graph);
+          inLoop(update, after, () => {
+            current = newBlock(graph);
+            edge(top, current, node.test ? 'true' : null);
+            branch(node.body);
+            edge(current, update);
+          });
+          edge(update, top, 'loop');
+          if (node.test) edge(top, after, 'false');
+          current = after;
+          return;
+        }
+        case 'ForInStatement':
+        case 'ForOfStatement': {
+          item(node.right, 'iterable');
+          const before = current;
+          const top = newBlock(graph);
+          edge(before, top);
+          // The loop variable gets its next value where the body starts
+          const inside = node.body.type === 'BlockStatement';
+          add(top, node.left, 'next', { probe: { start: node.body.start, end: node.body.end, how: inside ? 'body' : 'statement', lone: !inside } });
+          const after = newBlock(graph);
+          inLoop(top, after, () => {
+            current = newBlock(graph);
+            edge(top, current, 'next');
+            branch(node.body);
+            edge(current, top, 'loop');
+          });
+          edge(top, after, 'done');
+          current = after;
+          return;
+        }
+        case 'ReturnStatement':
+        case 'ThrowStatement':
+          item(node, 'statement', { lone });
+          edge(current, exit, node.type === 'ReturnStatement' ? 'return' : 'throw');
+          current = null;
+          return;
+        case 'BreakStatement':
+        case 'ContinueStatement': {
+          item(node, 'statement', { lone });
+          const [loop] = loops;
+          if (loop) edge(current, node.type === 'BreakStatement' ? loop.after : loop.top, node.type === 'BreakStatement' ? 'break' : 'continue');
+          current = null;
+          return;
+        }
+        default:
+          item(node, 'statement', { lone });
+      }
+    };
+
+    body.forEach((child) => statement(child));
+    edge(current, exit);
+  };
+
+  build(openGraph('main program', 'program', ast), ast.body);
+  // Functions found while building are added to the end, so nested ones get done too
+  for (let index = 0; index < pending.length; index += 1) {
+    const { node, name } = pending[index];
+    const label = `${name || (node.type === 'ArrowFunctionExpression' ? 'arrow function' : 'anonymous function')}(${node.params.map(paramName).join(', ')})`;
+    const graph = openGraph(label, 'function', node);
+    if (node.body.type === 'BlockStatement') {
+      build(graph, node.body.body);
+    } else {
+      // (x) => x * x: one block that gives back its expression
+      const block = newBlock(graph);
+      edge(blocks[graph.entry], block);
+      add(block, node.body, 'return');
+      collectFunctions(node.body);
+      edge(block, blocks[graph.exit], 'return');
+    }
+  }
+  return finish();
+}
+
+// The names an item reads ('use') and assigns ('def'), passed to emit in
+// the order they happen: x = x + 1 reads x before it writes it. kind is the
+// item's kind, so the loop variable of a for-of counts as assigned. A
+// declaration without a value (let x;) assigns nothing, and functions
+// written inside the item are skipped, since their code runs later.
+export function javascriptEffects(node, kind, emit) {
+  let visit;
+  const assign = (target) => {
+    if (!target) return;
+    if (target.type === 'Identifier') emit(target, 'def');
+    else if (target.type === 'AssignmentPattern') {
+      visit(target.right);
+      assign(target.left);
+    } else if (target.type === 'RestElement') assign(target.argument);
+    else visit(target);
+  };
+
+  visit = (current) => {
+    if (!current) return;
+    switch (current.type) {
+      case 'Identifier':
+        emit(current, 'use');
+        return;
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        return;
+      case 'VariableDeclaration':
+        current.declarations.forEach((declarator) => {
+          visit(declarator.init);
+          if (declarator.init || kind === 'next') assign(declarator.id);
+        });
+        return;
+      case 'AssignmentExpression':
+        // x += 1 reads x first; a.b = 1 reads a
+        if (current.operator !== '=' || current.left.type !== 'Identifier') visit(current.left);
+        visit(current.right);
+        if (current.left.type === 'Identifier') assign(current.left);
+        return;
+      case 'UpdateExpression':
+        visit(current.argument);
+        if (current.argument.type === 'Identifier') assign(current.argument);
+        return;
+      case 'MemberExpression':
+        visit(current.object);
+        if (current.computed) visit(current.property);
+        return;
+      case 'Property':
+        if (current.computed) visit(current.key);
+        visit(current.value);
+        return;
+      case 'LabeledStatement':
+        visit(current.body);
+        return;
+      case 'BreakStatement':
+      case 'ContinueStatement':
+        return;
+      default:
+        nodeChildren(current).forEach((child) => visit(child.node));
+    }
+  };
+
+  if (kind === 'next' && node.type !== 'VariableDeclaration') assign(node);
+  else visit(node);
+}
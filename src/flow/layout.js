@@ -0,0 +1,169 @@
+// Layered drawing of one control-flow graph, top to bottom. Blocks are
+// ranked by the longest path from the entry, leaving out the edges that go
+// back to the top of a loop, so code that runs later is always lower down
+// and the exit is at the bottom. Each row is ordered by where its blocks'
+// predecessors are, so branches spread out under their test. Forward edges
+// are curves from the bottom of a block to the top of the next; edges going
+// back up run in lanes on the right, one lane each.
+
+const CHAR_WIDTH = 7;
+const LINE_HEIGHT = 16;
+const PADDING = 10;
+const MIN_WIDTH = 90;
+const MAX_WIDTH = 320;
+const TERMINAL_SIZE = 40;
+const EMPTY_SIZE = 22;
+const ROW_GAP = 46;
+const COLUMN_GAP = 30;
+const LANE_GAP = 14;
+const MARGIN = 24;
+// Items listed in a block before "+ n more"
+export const MAX_BLOCK_LINES = 5;
+
+// The text shown for an item of a block
+export function itemLabel(item) {
+  switch (item.kind) {
+    case 'test': return `${item.text} ?`;
+    case 'next': return `next ${item.text}`;
+    case 'iterable': return `loop over ${item.text}`;
+    case 'return': return `return ${item.text}`;
+    default: return item.text;
+  }
+}
+
+const blockSize = (block) => {
+  if (block.kind !== 'block') return { width: TERMINAL_SIZE, height: TERMINAL_SIZE };
+  if (!block.items.length) return { width: EMPTY_SIZE, height: EMPTY_SIZE };
+  const shown = block.items.slice(0, MAX_BLOCK_LINES).map(itemLabel);
+  if (block.items.length > MAX_BLOCK_LINES) shown.push(`+ ${block.items.length - MAX_BLOCK_LINES} more`);
+  const longest = Math.max(...shown.map((line) => line.length));
+  return {
+    width: Math.min(MAX_WIDTH, Math.max(MIN_WIDTH, longest * CHAR_WIDTH + PADDING * 2)),
+    height: shown.length * LINE_HEIGHT + PADDING,
+  };
+};
+
+export function layoutFlowGraph(flow, graphId) {
+  const graph = flow.graphs[graphId];
+  const ids = graph.blocks;
+  const inGraph = new Set(ids);
+  const links = flow.edges.filter((link) => inGraph.has(link.from));
+  const out = new Map(ids.map((id) => [id, links.filter((link) => link.from === id)]));
+
+  // Depth-first from the entry: an edge to a block still being explored goes back up
+  const state = new Map();
+  const back = new Set();
+  const explore = (id, found) => {
+    state.set(id, 'open');
+    out.get(id).forEach((link) => {
+      if (state.get(link.to) === 'open') back.add(link);
+      else if (!state.has(link.to)) explore(link.to, found);
+    });
+    state.set(id, 'done');
+    found.unshift(id);
+  };
+  const order = [];
+  explore(graph.entry, order);
+  // Blocks no edge leads to (code after a return), in source order
+  ids.forEach((id) => {
+    if (state.has(id) || id === graph.exit) return;
+    const found = [];
+    explore(id, found);
+    order.push(...found);
+  });
+  if (!state.has(graph.exit)) order.push(graph.exit);
+
+  const rank = new Map();
+  order.forEach((id) => {
+    if (id === graph.exit) return;
+    const block = flow.blocks[id];
+    const forward = links.filter((link) => link.to === id && !back.has(link) && rank.has(link.from));
+    if (forward.length) rank.set(id, Math.max(...forward.map((link) => rank.get(link.from) + 1)));
+    else if (id === graph.entry) rank.set(id, 0);
+    else {
+      // Unreachable: just below the reachable code written before it
+      const before = ids.filter((other) => rank.has(other) && flow.blocks[other].start != null && flow.blocks[other].start < block.start);
+      rank.set(id, before.length ? Math.max(...before.map((other) => rank.get(other))) + 1 : 1);
+    }
+  });
+  rank.set(graph.exit, Math.max(0, ...rank.values()) + 1);
+
+  // Rows, placed top-down
+  const rows = [];
+  order.forEach((id) => {
+    const row = rank.get(id);
+    if (!rows[row]) rows[row] = [];
+    rows[row].push(id);
+  });
+  const nodes = new Map();
+  let y = MARGIN;
+  rows.forEach((row) => {
+    if (!row) return;
+    const placed = row.map((id, index) => {
+      const parents = links.filter((link) => link.to === id && !back.has(link) && nodes.has(link.from)).map((link) => nodes.get(link.from));
+      const want = parents.length ? parents.reduce((sum, parent) => sum + parent.x, 0) / parents.length : 0;
+      return { id, want, index, ...blockSize(flow.blocks[id]) };
+    }).sort((a, b) => a.want - b.want || a.index - b.index);
+    // Spread around the wanted centres without overlapping
+    let right = -Infinity;
+    placed.forEach((entry) => {
+      const x = Math.max(entry.want, right + COLUMN_GAP + entry.width / 2);
+      right = x + entry.width / 2;
+      entry.x = x;
+    });
+    // then shift the row back by how far it had to move on average
+    const shift = (placed.reduce((sum, entry) => sum + entry.want, 0) - placed.reduce((sum, entry) => sum + entry.x, 0)) / placed.length;
+    const height = Math.max(...placed.map((entry) => entry.height));
+    placed.forEach((entry) => {
+      nodes.set(entry.id, { id: entry.id, block: flow.blocks[entry.id], x: entry.x + shift, y: y + height / 2, width: entry.width, height: entry.height });
+    });
+    y += height + ROW_GAP;
+  });
+
+  // Move everything right of the margin
+  const all = Array.from(nodes.values());
+  const left = Math.min(...all.map((node) => node.x - node.width / 2));
+  all.forEach((node) => { node.x += MARGIN - left; });
+  let width = Math.max(...all.map((node) => node.x + node.width / 2)) + MARGIN;
+
+  const edges = [];
+  let lanes = 0;
+  links.forEach((link) => {
+    const from = nodes.get(link.from);
+    const to = nodes.get(link.to);
+    if (!from || !to) return;
+    if (back.has(link)) {
+      // Out of the right side, up a lane and into the right side of the target
+      const top = Math.min(from.y, to.y);
+      const bottom = Math.max(from.y, to.y);
+      const widest = Math.max(...all.filter((node) => node.y >= top && node.y <= bottom).map((node) => node.x + node.width / 2));
+      const lane = widest + COLUMN_GAP + lanes * LANE_GAP;
+      lanes += 1;
+      const x1 = from.x + from.width / 2;
+      const x2 = to.x + to.width / 2;
+      edges.push({
+        ...link,
+        back: true,
+        path: `M ${x1} ${from.y} L ${lane - 6} ${from.y} Q ${lane} ${from.y} ${lane} ${from.y - 6} L ${lane} ${to.y + 6} Q ${lane} ${to.y} ${lane - 6} ${to.y} L ${x2 + 2} ${to.y}`,
+        labelX: lane + 4,
+        labelY: (from.y + to.y) / 2,
+      });
+      width = Math.max(width, lane + MARGIN * 2);
+      return;
+    }
+    const x1 = from.x;
+    const y1 = from.y + from.height / 2;
+    const x2 = to.x;
+    const y2 = to.y - to.height / 2 - 2;
+    const bend = Math.max(20, (y2 - y1) / 2);
+    edges.push({
+      ...link,
+      back: false,
+      path: `M ${x1} ${y1} C ${x1} ${y1 + bend} ${x2} ${y2 - bend} ${x2} ${y2}`,
+      labelX: x1 + (x2 - x1) * 0.25 + 4,
+      labelY: y1 + 14,
+    });
+  });
+
+  return { nodes: all, edges, width, height: y - ROW_GAP + MARGIN, lineHeight: LINE_HEIGHT, padding: PADDING };
+}
@@ -0,0 +1,233 @@
+// Control-flow graphs for Python: one for the module and one for every
+// def, methods included (named Class.method). if/elif/else, while and for
+// start new blocks; the else of a loop runs when its test fails or it runs
+// out of items, but not after a break. return and raise go to the
+// function's exit. Lambdas are single expressions and get no graph.
+// pythonEffects() lists what one piece of a block reads and writes, for the
+// data-flow analysis in dataflow.js.
+
+import { nodeChildren } from '../parser/astGraph';
+import { findName } from '../semantic/scopes';
+import { createFlowBuilder } from './cfg';
+
+const paramNames = (args) => [
+  ...args.posonlyargs.map((arg) => arg.arg),
+  ...args.args.map((arg) => arg.arg),
+  ...(args.vararg ? [`*${args.vararg.arg}`] : []),
+  ...args.kwonlyargs.map((arg) => arg.arg),
+  ...(args.kwarg ? [`**${args.kwarg.arg}`] : []),
+];
+
+export function pythonFlow(ast, source) {
+  const { blocks, openGraph, newBlock, add, edge, finish } = createFlowBuilder(source, 'python');
+  // defs waiting for a graph of their own: [{ node, name }]
+  const pending = [];
+
+  // The defs of a class body, with the classes nested in it
+  const collectMethods = (node, prefix) => {
+    node.body.forEach((child) => {
+      if (child.type === 'FunctionDef') pending.push({ node: child, name: `${prefix}.${child.name}` });
+      else if (child.type === 'ClassDef') collectMethods(child, `${prefix}.${child.name}`);
+    });
+  };
+
+  const build = (graph, body) => {
+    const exit = blocks[graph.exit];
+    const loops = [];
+    let current = newBlock(graph);
+    edge(blocks[graph.entry], current);
+
+    const open = () => {
+      if (!current) current = newBlock(graph);
+      return current;
+    };
+    const inLoop = (top, after, work) => {
+      loops.unshift({ top, after });
+      work();
+      loops.shift();
+    };
+
+    let statements;
+    // A loop's else runs when it ends by itself; then both go on to after
+    const loopElse = (top, orelse, label, after) => {
+      if (!orelse.length) {
+        edge(top, after, label);
+        return;
+      }
+      current = newBlock(graph);
+      edge(top, current, label);
+      statements(orelse);
+      edge(current, after);
+    };
+
+    const statement = (node) => {
+      switch (node.type) {
+        case 'FunctionDef':
+          add(open(), node);
+          pending.push({ node, name: node.name });
+          return;
+        case 'ClassDef':
+          add(open(), node);
+          collectMethods(node, node.name);
+          return;
+        case 'If': {
+          add(open(), node.test, 'test');
+          const test = current;
+          current = newBlock(graph);
+          edge(test, current, 'true');
+          statements(node.body);
+          const thenEnd = current;
+          let elseEnd = null;
+          if (node.orelse.length) {
+            current = newBlock(graph);
+            edge(test, current, 'false');
+            statements(node.orelse);
+            elseEnd = current;
+            if (!thenEnd && !elseEnd) {
+              current = null;
+              return;
+            }
+          }
+          current = newBlock(graph);
+          edge(thenEnd, current);
+          if (node.orelse.length) edge(elseEnd, current);
+          else edge(test, current, 'false');
+          return;
+        }
+        case 'While': {
+          const before = open();
+          const top = newBlock(graph);
+          edge(before, top);
+          add(top, node.test, 'test');
+          const after = newBlock(graph);
+          inLoop(top, after, () => {
+            current = newBlock(graph);
+            edge(top, current, 'true');
+            statements(node.body);
+            edge(current, top, 'loop');
+          });
+          loopElse(top, node.orelse, 'false', after);
+          current = after;
+          return;
+        }
+        case 'For': {
+          add(open(), node.iter, 'iterable');
+          const before = current;
+          const top = newBlock(graph);
+          edge(before, top);
+          add(top, node.target, 'next');
+          const after = newBlock(graph);
+          inLoop(top, after, () => {
+            current = newBlock(graph);
+            edge(top, current, 'next');
+            statements(node.body);
+            edge(current, top, 'loop');
+          });
+          loopElse(top, node.orelse, 'done', after);
+          current = after;
+          return;
+        }
+        case 'Return':
+        case 'Raise':
+          add(open(), node);
+          edge(current, exit, node.type === 'Return' ? 'return' : 'throw');
+          current = null;
+          return;
+        case 'Break':
+        case 'Continue': {
+          add(open(), node);
+          const [loop] = loops;
+          if (loop) edge(current, node.type === 'Break' ? loop.after : loop.top, node.type === 'Break' ? 'break' : 'continue');
+          current = null;
+          return;
+        }
+        default:
+          add(open(), node);
+      }
+    };
+    statements = (list) => list.forEach(statement);
+
+    statements(body);
+    edge(current, exit);
+  };
+
+  build(openGraph('main program', 'program', ast), ast.body);
+  for (let index = 0; index < pending.length; index += 1) {
+    const { node, name } = pending[index];
+    build(openGraph(`${name}(${paramNames(node.args).join(', ')})`, 'function', node), node.body);
+  }
+  return finish();
+}
+
+// The names an item reads ('use') and assigns ('def'), passed to emit in
+// the order they happen: the value of x = y runs before x is assigned, and
+// x += 1 reads x first. The target of a for loop (kind 'next') is assigned.
+// def and lambda only run their defaults now; their bodies run later. A
+// class body runs right away, so the names it reads count. def, class and
+// import assign the names they bind, found in source.
+export function pythonEffects(node, kind, emit, source = '') {
+  const text = String(source || '');
+  let visit;
+  const assign = (target) => {
+    if (!target) return;
+    if (target.type === 'Name') emit(target, 'def');
+    else if (target.type === 'Tuple' || target.type === 'List') target.elts.forEach(assign);
+    else if (target.type === 'Starred') assign(target.value);
+    else visit(target);
+  };
+
+  visit = (current) => {
+    if (!current) return;
+    switch (current.type) {
+      case 'Name':
+        emit(current, current.ctx === 'Load' ? 'use' : 'def');
+        return;
+      case 'FunctionDef':
+        [current.decorator_list, current.args.defaults, current.args.kw_defaults].forEach((list) => list.forEach(visit));
+        emit(findName(text, current.name, current.start + 3, current.end), 'def');
+        return;
+      case 'ClassDef':
+        nodeChildren(current).forEach((child) => visit(child.node));
+        emit(findName(text, current.name, current.start + 5, current.end), 'def');
+        return;
+      case 'Import':
+      case 'ImportFrom':
+        current.names.forEach((alias) => {
+          if (alias.name === '*') return;
+          emit(alias.asname
+            ? findName(text, alias.asname, alias.start + alias.name.length, alias.end)
+            : findName(text, alias.name.split('.')[0], alias.start, alias.end), 'def');
+        });
+        return;
+      case 'Lambda':
+        [current.args.defaults, current.args.kw_defaults].forEach((list) => list.forEach(visit));
+        return;
+      case 'Assign':
+        visit(current.value);
+        current.targets.forEach(assign);
+        return;
+      case 'AugAssign':
+        if (current.target.type === 'Name') emit(current.target, 'use');
+        else visit(current.target);
+        visit(current.value);
+        if (current.target.type === 'Name') assign(current.target);
+        return;
+      case 'AnnAssign':
+        visit(current.value);
+        if (current.value) assign(current.target);
+        return;
+      case 'NamedExpr':
+        visit(current.value);
+        assign(current.target);
+        return;
+      case 'Global':
+      case 'Nonlocal':
+        return;
+      default:
+        nodeChildren(current).forEach((child) => visit(child.node));
+    }
+  };
+
+  if (kind === 'next') assign(node);
+  else visit(node);
+}
@@ -0,0 +1,183 @@
+// Static single assignment form, built from the control-flow graphs and the
+// data-flow analysis the textbook way (Cytron et al.):
+//   1. dominators: block A dominates block B when every path from the
+//      function's start to B goes through A; B's immediate dominator is the
+//      closest one (Cooper, Harvey and Kennedy's iterative algorithm)
+//   2. dominance frontiers: the frontier of A is where A's dominance stops,
+//      the blocks B where A dominates a predecessor of B but not B itself
+//      (or B is A, round a loop). A value assigned in A can meet a different
+//      one there.
+//   3. φ placement: every block in the frontier of a block that assigns x
+//      gets x = φ(...), and since a φ assigns x too, so does every block in
+//      its frontier, until nothing changes. A φ is only kept where x is live,
+//      so nothing below reads a value no one looks at (pruned SSA).
+//   4. renaming: every assignment and every φ gives its variable a new
+//      version (x₁, x₂, ... in the order they come in the code), and a use
+//      reads the version assigned last before it in its block, or by the
+//      block's φ, or at the end of its closest dominator that assigns it.
+//      x₀ is the value a variable has before anything assigns it.
+// Variables other functions use too (see shared in dataflow.js) keep their
+// names: any call could change them.
+//
+// The result is plain data, so it can come back from the analysis worker:
+//   { graphs: [{ graph, name, blocks: [block ids], idom: { block: block }, frontiers: { block: [block ids] },
+//                variables: [names], shared: [names] }],
+//     phis: [{ id, graph, block, name, symbol, version, args: [{ from, version }], sources: [block ids] }],
+//     definitions: [version or null, by definition id],
+//     uses: [version or null, as dataflow.uses] }
+// blocks are the reachable blocks of a graph, start first. A φ's args list
+// the version coming in from each predecessor block, and sources the blocks
+// whose frontier put it there.
+
+export function buildSSA(flow, dataflow) {
+  if (!flow || !dataflow) return null;
+  const shared = new Set(dataflow.shared);
+  const phis = [];
+  const definitionVersions = dataflow.definitions.map(() => null);
+  const useVersions = dataflow.uses.map(() => null);
+
+  const graphs = flow.graphs.map((graph) => {
+    const inGraph = new Set(graph.blocks.filter((id) => flow.blocks[id].reachable));
+    const into = new Map(Array.from(inGraph, (id) => [id, []]));
+    const outOf = new Map(Array.from(inGraph, (id) => [id, []]));
+    flow.edges.forEach((link) => {
+      if (!inGraph.has(link.from) || !inGraph.has(link.to)) return;
+      if (!into.get(link.to).includes(link.from)) into.get(link.to).push(link.from);
+      if (!outOf.get(link.from).includes(link.to)) outOf.get(link.from).push(link.to);
+    });
+
+    // Reverse postorder from the start: every block comes before the blocks
+    // it leads to, loops aside
+    const postorder = [];
+    const seen = new Set();
+    const visit = (id) => {
+      seen.add(id);
+      outOf.get(id).forEach((next) => { if (!seen.has(next)) visit(next); });
+      postorder.push(id);
+    };
+    visit(graph.entry);
+    const order = postorder.slice().reverse();
+    const rank = new Map(order.map((id, index) => [id, index]));
+
+    // 1. Immediate dominators
+    const idom = new Map([[graph.entry, graph.entry]]);
+    const intersect = (a, b) => {
+      let x = a;
+      let y = b;
+      while (x !== y) {
+        while (rank.get(x) > rank.get(y)) x = idom.get(x);
+        while (rank.get(y) > rank.get(x)) y = idom.get(y);
+      }
+      return x;
+    };
+    const dominatorRound = () => order.slice(1).reduce((changed, id) => {
+      const done = into.get(id).filter((from) => idom.has(from));
+      const closest = done.slice(1).reduce(intersect, done[0]);
+      if (idom.get(id) === closest) return changed;
+      idom.set(id, closest);
+      return true;
+    }, false);
+    while (dominatorRound());
+
+    // 2. Dominance frontiers: walk up from each predecessor of a join until
+    // reaching the join's immediate dominator
+    const frontiers = new Map(order.map((id) => [id, []]));
+    order.forEach((id) => {
+      if (into.get(id).length < 2) return;
+      into.get(id).forEach((from) => {
+        let runner = from;
+        while (runner !== idom.get(id)) {
+          if (!frontiers.get(runner).includes(id)) frontiers.get(runner).push(id);
+          runner = idom.get(runner);
+        }
+      });
+    });
+
+    // The variables of this function, with their assignments and uses
+    const definitions = dataflow.definitions.filter((definition) => definition.graph === graph.id && inGraph.has(definition.block));
+    const uses = dataflow.uses.filter((use) => use.graph === graph.id && inGraph.has(use.block) && !use.outside);
+    const variables = new Map();
+    definitions.concat(uses).forEach((item) => {
+      if (shared.has(item.symbol) || variables.has(item.symbol)) return;
+      variables.set(item.symbol, { name: item.name, definitions: [], phis: new Map() });
+    });
+    definitions.forEach((definition) => {
+      if (variables.has(definition.symbol)) variables.get(definition.symbol).definitions.push(definition);
+    });
+
+    // 3. φ placement, kept where the variable is live
+    variables.forEach((variable, symbol) => {
+      const work = Array.from(new Set(variable.definitions.map((definition) => definition.block)));
+      const sources = new Map();
+      while (work.length) {
+        const id = work.shift();
+        frontiers.get(id).forEach((join) => {
+          if (!sources.has(join)) {
+            sources.set(join, []);
+            // A φ assigns the variable too
+            if (!work.includes(join)) work.push(join);
+          }
+          if (id !== join && !sources.get(join).includes(id)) sources.get(join).push(id);
+        });
+      }
+      sources.forEach((from, join) => {
+        if (!dataflow.liveIn[join].includes(symbol)) return;
+        const phi = { id: phis.length, graph: graph.id, block: join, name: variable.name, symbol, version: null, args: [], sources: from };
+        phis.push(phi);
+        variable.phis.set(join, phi);
+      });
+    });
+
+    // 4. Versions in the order the code gives them: a φ where its block starts
+    const startOf = (id) => (flow.blocks[id].start == null ? Infinity : flow.blocks[id].start);
+    variables.forEach((variable) => {
+      const named = [
+        ...variable.definitions.map((definition) => ({ start: definition.start, order: definition.order, definition })),
+        ...Array.from(variable.phis.values()).map((phi) => ({ start: startOf(phi.block), order: -1, phi })),
+      ].sort((a, b) => a.start - b.start || a.order - b.order);
+      named.forEach((item, index) => {
+        if (item.phi) item.phi.version = index + 1;
+        else definitionVersions[item.definition.id] = index + 1;
+      });
+    });
+
+    // The version a variable has at the end of a block, or before order in it
+    const lastIn = (variable, id, before) => {
+      const candidates = variable.definitions.filter((definition) => definition.block === id && (before == null || definition.order < before));
+      if (candidates.length) return definitionVersions[candidates.reduce((a, b) => (b.order > a.order ? b : a)).id];
+      return variable.phis.has(id) ? variable.phis.get(id).version : null;
+    };
+    const reaching = (variable, id, before) => {
+      const own = lastIn(variable, id, before);
+      if (own != null) return own;
+      for (let runner = id; runner !== graph.entry;) {
+        runner = idom.get(runner);
+        const version = lastIn(variable, runner, null);
+        if (version != null) return version;
+      }
+      return 0;
+    };
+    variables.forEach((variable) => {
+      variable.phis.forEach((phi) => {
+        phi.args = into.get(phi.block).map((from) => ({ from, version: reaching(variable, from, null) }));
+      });
+    });
+    dataflow.uses.forEach((use, index) => {
+      if (use.graph === graph.id && inGraph.has(use.block) && !use.outside && variables.has(use.symbol)) {
+        useVersions[index] = reaching(variables.get(use.symbol), use.block, use.order);
+      }
+    });
+
+    return {
+      graph: graph.id,
+      name: graph.name,
+      blocks: order.slice().sort((a, b) => (a === graph.entry ? -1 : b === graph.entry ? 1 : startOf(a) - startOf(b))),
+      idom: Object.fromEntries(Array.from(idom.entries()).filter(([id]) => id !== graph.entry)),
+      frontiers: Object.fromEntries(Array.from(frontiers.entries()).filter(([, list]) => list.length)),
+      variables: Array.from(variables.values()).map((variable) => variable.name),
+      shared: Array.from(new Set(definitions.concat(uses).filter((item) => shared.has(item.symbol)).map((item) => item.name))),
+    };
+  });
+
+  return { graphs, phis, definitions: definitionVersions, uses: useVersions };
+}
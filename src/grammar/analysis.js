@@ -0,0 +1,178 @@
+// Grammar facts shown next to the playground's parse tree: which rules can
+// match nothing, FIRST and FOLLOW sets, left recursion and a few common
+// mistakes. Sets hold terminal keys; EMPTY marks "can match nothing" in FIRST
+// and END_OF_INPUT the end of the input in FOLLOW.
+
+export const EMPTY = 'ε';
+export const END_OF_INPUT = '$';
+
+// Calls step() again for as long as it reports a change
+const untilStable = (step) => {
+  let changed = step();
+  while (changed) changed = step();
+};
+
+// Nonterminals with a rule whose every symbol passes accepts(symbol, marked so far)
+const markRules = (grammar, accepts) => {
+  const marked = new Set();
+  untilStable(() => grammar.rules.reduce((changed, rule) => {
+    if (marked.has(rule.lhs) || !rule.rhs.every((symbol) => accepts(symbol, marked))) return changed;
+    marked.add(rule.lhs);
+    return true;
+  }, false));
+  return marked;
+};
+
+export function nullableSymbols(grammar) {
+  return markRules(grammar, (symbol, nullable) => nullable.has(symbol));
+}
+
+// FIRST of a sequence of symbols, given the FIRST sets found so far
+export const firstOfSequence = (grammar, first, nullable, symbols) => {
+  const result = new Set();
+  for (let i = 0; i < symbols.length; i += 1) {
+    const symbol = symbols[i];
+    if (grammar.isTerminal(symbol)) {
+      result.add(symbol);
+      return result;
+    }
+    (first.get(symbol) || []).forEach((terminal) => { if (terminal !== EMPTY) result.add(terminal); });
+    if (!nullable.has(symbol)) return result;
+  }
+  result.add(EMPTY);
+  return result;
+};
+
+const addAll = (target, values) => {
+  let changed = false;
+  values.forEach((value) => {
+    if (!target.has(value)) {
+      target.add(value);
+      changed = true;
+    }
+  });
+  return changed;
+};
+
+export function firstSets(grammar, nullable) {
+  const first = new Map(grammar.nonterminals.map((name) => [name, new Set()]));
+  untilStable(() => grammar.rules.reduce(
+    (changed, rule) => addAll(first.get(rule.lhs), firstOfSequence(grammar, first, nullable, rule.rhs)) || changed,
+    false,
+  ));
+  return first;
+}
+
+export function followSets(grammar, nullable, first) {
+  const follow = new Map(grammar.nonterminals.map((name) => [name, new Set()]));
+  follow.get(grammar.start).add(END_OF_INPUT);
+  untilStable(() => grammar.rules.reduce((changed, rule) => rule.rhs.reduce((grew, symbol, i) => {
+    if (grammar.isTerminal(symbol)) return grew;
+    const rest = firstOfSequence(grammar, first, nullable, rule.rhs.slice(i + 1));
+    const target = follow.get(symbol);
+    const fromRest = addAll(target, Array.from(rest).filter((terminal) => terminal !== EMPTY));
+    const fromLhs = rest.has(EMPTY) && addAll(target, follow.get(rule.lhs));
+    return fromRest || fromLhs || grew;
+  }, changed), false));
+  return follow;
+}
+
+// Shortest path of rule uses from `from` back to itself, following edges(name)
+const findCycle = (from, edges) => {
+  const previous = new Map();
+  const queue = [from];
+  while (queue.length) {
+    const name = queue.shift();
+    for (const next of edges(name)) {
+      if (next === from) {
+        const path = [name];
+        while (path[0] !== from) path.unshift(previous.get(path[0]));
+        return [...path, from];
+      }
+      if (!previous.has(next)) {
+        previous.set(next, name);
+        queue.push(next);
+      }
+    }
+  }
+  return null;
+};
+
+// Nonterminals a rule's body can start with (everything before them can match nothing)
+const leftCorners = (grammar, nullable, name) => {
+  const corners = new Set();
+  grammar.byLhs.get(name).forEach((index) => {
+    for (const symbol of grammar.rules[index].rhs) {
+      if (grammar.isTerminal(symbol)) break;
+      corners.add(symbol);
+      if (!nullable.has(symbol)) break;
+    }
+  });
+  return corners;
+};
+
+// Nonterminals that can be a rule's whole match (everything around them can match nothing)
+const unitChildren = (grammar, nullable, name) => {
+  const children = new Set();
+  grammar.byLhs.get(name).forEach((index) => {
+    const { rhs } = grammar.rules[index];
+    rhs.forEach((symbol, i) => {
+      if (!grammar.isTerminal(symbol) && rhs.every((other, j) => j === i || nullable.has(other))) children.add(symbol);
+    });
+  });
+  return children;
+};
+
+// Everything the playground reports about a grammar:
+//   { nullable, first, follow, leftRecursion, cycles, warnings }
+// leftRecursion is [{ name, path, direct }] and cycles (a rule that can turn
+// into itself while matching nothing else) [{ name, path }], with helper rules
+// left out of the paths; warnings are plain sentences.
+export function analyzeGrammar(grammar) {
+  const nullable = nullableSymbols(grammar);
+  const first = firstSets(grammar, nullable);
+  const follow = followSets(grammar, nullable, first);
+  const userNames = grammar.nonterminals.filter((name) => !grammar.isHelper(name));
+  const visiblePath = (path) => path.filter((name, i) => i === 0 || i === path.length - 1 || !grammar.isHelper(name));
+
+  const cornerCache = new Map();
+  const corners = (name) => {
+    if (!cornerCache.has(name)) cornerCache.set(name, leftCorners(grammar, nullable, name));
+    return cornerCache.get(name);
+  };
+  const leftRecursion = [];
+  const cycles = [];
+  userNames.forEach((name) => {
+    const path = findCycle(name, corners);
+    if (path) {
+      const shown = visiblePath(path);
+      leftRecursion.push({ name, path: shown, direct: shown.length === 2 });
+    }
+    const loop = findCycle(name, (other) => unitChildren(grammar, nullable, other));
+    if (loop) cycles.push({ name, path: visiblePath(loop) });
+  });
+
+  const warnings = [];
+  const reachable = new Set([grammar.start]);
+  const pending = [grammar.start];
+  while (pending.length) {
+    grammar.byLhs.get(pending.pop()).forEach((index) => {
+      grammar.rules[index].rhs.forEach((symbol) => {
+        if (!grammar.isTerminal(symbol) && !reachable.has(symbol)) {
+          reachable.add(symbol);
+          pending.push(symbol);
+        }
+      });
+    });
+  }
+  userNames.filter((name) => !reachable.has(name)).forEach((name) => {
+    warnings.push(`${name} is never used: nothing reachable from ${grammar.start} mentions it.`);
+  });
+
+  const productive = markRules(grammar, (symbol, marked) => grammar.isTerminal(symbol) || marked.has(symbol));
+  userNames.filter((name) => !productive.has(name)).forEach((name) => {
+    warnings.push(`${name} can never finish matching: each of its alternatives needs another rule that never finishes. Give it an alternative that ends.`);
+  });
+
+  return { nullable, first, follow, leftRecursion, cycles, warnings };
+}
@@ -0,0 +1,336 @@
+// Reads the grammars typed into the Grammar playground. BNF and EBNF are both
+// accepted:
+//   expr   ::= expr "+" term | term
+//   term   ::= term "*" factor | factor
+//   factor ::= "(" expr ")" | NUMBER
+// A rule is a name, then ::= (or -> or =), then alternatives separated by |.
+// Names may also be written <like-this>. Terminals are quoted text ("+" or
+// 'if'), regexes (/[a-z]+/) or the built-ins NUMBER, NAME and STRING.
+// EBNF extras: ( ... ) groups, [ ... ] or x? is optional, { ... } or x* repeats
+// zero or more times and x+ one or more times. An empty alternative or ε
+// matches nothing. # and // start comments; a rule may end with ;.
+// The first rule is the start symbol.
+//
+// EBNF is rewritten into plain BNF with helper rules (marked helper: true),
+// which the parse tree later flattens away again. Right-hand sides are lists
+// of symbol strings: a nonterminal's name or a terminal's key, which is its
+// quoted text ("+"), its regex (/[a-z]+/) or the built-in's name.
+
+export const BUILTIN_TERMINALS = {
+  NUMBER: { pattern: '[0-9]+(?:\\.[0-9]+)?', description: 'a number like 42 or 3.14' },
+  NAME: { pattern: '[A-Za-z_][A-Za-z0-9_]*', description: 'a name like x or total_2' },
+  STRING: { pattern: '"[^"\\n]*"|\'[^\'\\n]*\'', description: 'text in quotes like "hi"' },
+};
+
+const DEFINE = /::=|->|=/y;
+const NAME = /<[A-Za-z_][\w-]*>|[A-Za-z_][\w-]*/y;
+const PUNCT = '|()[]{}*+?;';
+
+class GrammarSyntaxError extends Error {
+  constructor(message, line) {
+    super(`Line ${line}: ${message}`);
+    this.name = 'GrammarSyntaxError';
+  }
+}
+
+const lineOf = (text, offset) => text.slice(0, offset).split('\n').length;
+
+const tokenizeGrammar = (text) => {
+  const tokens = [];
+  let pos = 0;
+  const sticky = (regex) => {
+    regex.lastIndex = pos;
+    const match = regex.exec(text);
+    return match ? match[0] : null;
+  };
+  while (pos < text.length) {
+    const ch = text[pos];
+    const start = pos;
+    if (/\s/.test(ch)) {
+      pos += 1;
+    } else if (ch === '#' || text.startsWith('//', pos)) {
+      while (pos < text.length && text[pos] !== '\n') pos += 1;
+    } else if (ch === '"' || ch === "'") {
+      let value = '';
+      pos += 1;
+      while (pos < text.length && text[pos] !== ch && text[pos] !== '\n') {
+        if (text[pos] === '\\' && pos + 1 < text.length) {
+          const escaped = text[pos + 1];
+          value += { n: '\n', t: '\t' }[escaped] || escaped;
+          pos += 2;
+        } else {
+          value += text[pos];
+          pos += 1;
+        }
+      }
+      if (text[pos] !== ch) {
+        throw new GrammarSyntaxError(`The text starting with ${ch} is missing its closing ${ch}.`, lineOf(text, start));
+      }
+      pos += 1;
+      tokens.push({ type: value ? 'literal' : 'epsilon', value, start, end: pos });
+    } else if (ch === '/') {
+      let value = '';
+      pos += 1;
+      while (pos < text.length && text[pos] !== '/' && text[pos] !== '\n') {
+        if (text[pos] === '\\' && pos + 1 < text.length) {
+          value += text.slice(pos, pos + 2);
+          pos += 2;
+        } else {
+          value += text[pos];
+          pos += 1;
+        }
+      }
+      if (text[pos] !== '/') {
+        throw new GrammarSyntaxError('The regex starting with / is missing its closing /.', lineOf(text, start));
+      }
+      pos += 1;
+      tokens.push({ type: 'regex', value, start, end: pos });
+    } else if (ch === 'ε') {
+      pos += 1;
+      tokens.push({ type: 'epsilon', value: ch, start, end: pos });
+    } else if (sticky(DEFINE)) {
+      const value = sticky(DEFINE);
+      pos += value.length;
+      tokens.push({ type: 'define', value, start, end: pos });
+    } else if (sticky(NAME)) {
+      const value = sticky(NAME);
+      pos += value.length;
+      const name = value.replace(/^<|>$/g, '');
+      tokens.push({ type: name === 'epsilon' ? 'epsilon' : 'name', value: name, start, end: pos });
+    } else if (PUNCT.includes(ch)) {
+      pos += 1;
+      tokens.push({ type: ch, value: ch, start, end: pos });
+    } else {
+      throw new GrammarSyntaxError(`"${ch}" can't be used here. Put terminals in quotes, like "${ch}".`, lineOf(text, start));
+    }
+  }
+  tokens.push({ type: 'eof', value: '', start: text.length, end: text.length });
+  return tokens;
+};
+
+// Grammar text -> an EBNF syntax tree: [{ name, line, alternatives }], where
+// each alternative is { items, start, end } and an item is
+//   { kind: 'symbol', token } | { kind: 'group' | 'optional' | 'repeat' | 'repeat1', alternatives }
+const parseRules = (text, tokens) => {
+  let pos = 0;
+  const peek = (offset = 0) => tokens[Math.min(pos + offset, tokens.length - 1)];
+  const fail = (message, token = peek()) => {
+    throw new GrammarSyntaxError(message, lineOf(text, token.start));
+  };
+  const atRuleStart = () => peek().type === 'name' && peek(1).type === 'define';
+
+  const CLOSERS = { '(': ')', '[': ']', '{': '}' };
+  const KINDS = { '(': 'group', '[': 'optional', '{': 'repeat' };
+
+
+  const parseItem = () => {
+    const token = peek();
+    let item;
+    if (token.type === 'name' || token.type === 'literal' || token.type === 'regex') {
+      pos += 1;
+      item = { kind: 'symbol', token };
+    } else if (CLOSERS[token.type]) {
+      pos += 1;
+      const alternatives = parseAlternatives();
+      if (peek().type !== CLOSERS[token.type]) {
+        fail(`The ${token.type} opened here is never closed - add a ${CLOSERS[token.type]}.`, token);
+      }
+      pos += 1;
+      item = { kind: KINDS[token.type], alternatives };
+    } else {
+      return null;
+    }
+    while (['*', '+', '?'].includes(peek().type)) {
+      const kind = { '*': 'repeat', '+': 'repeat1', '?': 'optional' }[peek().type];
+      pos += 1;
+      item = { kind, alternatives: [{ items: [item] }] };
+    }
+    return item;
+  };
+
+  const parseSequence = () => {
+    const items = [];
+    const start = peek().start;
+    let end = start;
+    for (;;) {
+      if (atRuleStart()) break;
+      if (peek().type === 'epsilon') {
+        end = peek().end;
+        pos += 1;
+        continue;
+      }
+      const item = parseItem();
+      if (!item) break;
+      items.push(item);
+      end = tokens[pos - 1].end;
+    }
+    return { items, start, end };
+  };
+
+  const parseAlternatives = () => {
+    const alternatives = [parseSequence()];
+    while (peek().type === '|') {
+      pos += 1;
+      alternatives.push(parseSequence());
+    }
+    return alternatives;
+  };
+
+  const rules = [];
+  while (peek().type !== 'eof') {
+    const token = peek();
+    if (token.type === ';') {
+      pos += 1;
+      continue;
+    }
+    if (!atRuleStart()) {
+      if (token.type === 'name') fail(`Expected ::= after "${token.value}" to start its rule.`);
+      fail(`Every rule must start with a name and ::=, like: expr ::= ... (found "${token.value}").`);
+    }
+    pos += 2;
+    const alternatives = parseAlternatives();
+    const next = peek();
+    if (next.type !== 'eof' && next.type !== ';' && !atRuleStart()) {
+      const closer = Object.values(CLOSERS).includes(next.type);
+      fail(closer ? `There is an extra ${next.type} with nothing to close.` : `"${next.value}" can't be used here.`);
+    }
+    rules.push({ name: token.value, line: lineOf(text, token.start), alternatives });
+  }
+  return rules;
+};
+
+const compileRegex = (pattern) => new RegExp(pattern, 'y');
+
+// Checks a grammar and turns it into plain BNF:
+//   { grammar: { start, nonterminals, rules, byLhs, terminals } | null, errors: string[] }
+// rules are { index, lhs, rhs: [symbol], helper, text } where text is the
+// alternative as the user wrote it, and terminals maps each terminal's key to
+// { key, kind: 'literal' | 'regex' | 'builtin', value, regex, description }.
+export function parseGrammar(text) {
+  let rules;
+  try {
+    rules = parseRules(text, tokenizeGrammar(text));
+  } catch (e) {
+    if (e instanceof GrammarSyntaxError) return { grammar: null, errors: [e.message] };
+    throw e;
+  }
+  if (rules.length === 0) {
+    return { grammar: null, errors: ['Write at least one rule, like: greeting ::= "hello" NAME'] };
+  }
+
+  const errors = [];
+  const defined = new Map();
+  rules.forEach((rule) => {
+    if (defined.has(rule.name)) {
+      defined.get(rule.name).alternatives.push(...rule.alternatives);
+    } else {
+      defined.set(rule.name, rule);
+    }
+  });
+
+  const terminals = new Map();
+  const bnf = [];
+  const byLhs = new Map();
+  const nonterminals = Array.from(defined.keys());
+  nonterminals.forEach((name) => byLhs.set(name, []));
+  const helperCounts = new Map();
+
+  const addRule = (lhs, rhs, helper, ruleText) => {
+    const rule = { index: bnf.length, lhs, rhs, helper, text: ruleText };
+    bnf.push(rule);
+    byLhs.get(lhs).push(rule.index);
+  };
+
+  const newHelper = (owner, kind) => {
+    const count = (helperCounts.get(owner) || 0) + 1;
+    helperCounts.set(owner, count);
+    const name = `${owner}.${kind}${count}`;
+    nonterminals.push(name);
+    byLhs.set(name, []);
+    return name;
+  };
+
+  const symbolFor = (token, line) => {
+    if (token.type === 'literal') {
+      const key = JSON.stringify(token.value);
+      if (!terminals.has(key)) {
+        const escaped = token.value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        terminals.set(key, { key, kind: 'literal', value: token.value, regex: compileRegex(escaped), description: `exactly ${key}` });
+      }
+      return key;
+    }
+    if (token.type === 'regex') {
+      const key = `/${token.value}/`;
+      if (!terminals.has(key)) {
+        let regex = null;
+        try {
+          regex = compileRegex(token.value);
+          if (new RegExp(`^(?:${token.value})$`).test('')) {
+            errors.push(`Line ${line}: the regex ${key} can match nothing at all - make it need at least one character (use + instead of *).`);
+          }
+        } catch (e) {
+          errors.push(`Line ${line}: the regex ${key} has a mistake: ${String(e.message).replace(/^Invalid regular expression: (\/.*\/\w*: )?/, '')}`);
+        }
+        terminals.set(key, { key, kind: 'regex', value: token.value, regex, description: `text matching ${key}` });
+      }
+      return key;
+    }
+    if (defined.has(token.value)) return token.value;
+    const builtin = BUILTIN_TERMINALS[token.value];
+    if (builtin) {
+      if (!terminals.has(token.value)) {
+        terminals.set(token.value, {
+          key: token.value, kind: 'builtin', value: token.value, regex: compileRegex(builtin.pattern), description: builtin.description,
+        });
+      }
+      return token.value;
+    }
+    errors.push(`Line ${line}: "${token.value}" is used but has no rule. Add a rule for it, or put it in quotes if you meant the text "${token.value}".`);
+    return token.value;
+  };
+
+  // EBNF item -> the symbol standing for it, adding helper rules as needed
+  const lowerItem = (owner, item, line) => {
+    if (item.kind === 'symbol') return symbolFor(item.token, line);
+    const alternatives = item.alternatives.map((alt) => lowerAlternative(owner, alt, line));
+    if (item.kind === 'group' && alternatives.length === 1 && alternatives[0].length === 1) return alternatives[0][0];
+    const helper = newHelper(owner, item.kind === 'repeat1' ? 'repeat' : item.kind);
+    if (item.kind === 'group' || item.kind === 'optional') {
+      alternatives.forEach((rhs) => addRule(helper, rhs, true, ''));
+      if (item.kind === 'optional') addRule(helper, [], true, '');
+      return helper;
+    }
+    let body = alternatives[0];
+    if (alternatives.length > 1) {
+      const group = newHelper(owner, 'group');
+      alternatives.forEach((rhs) => addRule(group, rhs, true, ''));
+      body = [group];
+    }
+    // Right recursion keeps the helpers from looking left-recursive
+    addRule(helper, [...body, helper], true, '');
+    addRule(helper, item.kind === 'repeat' ? [] : body, true, '');
+    return helper;
+  };
+  const lowerAlternative = (owner, alt, line) => alt.items.map((item) => lowerItem(owner, item, line));
+
+  defined.forEach((rule) => {
+    rule.alternatives.forEach((alt) => {
+      const rhs = lowerAlternative(rule.name, alt, rule.line);
+      addRule(rule.name, rhs, false, text.slice(alt.start, alt.end).replace(/\s+/g, ' ').trim() || 'ε');
+    });
+  });
+
+  if (errors.length) return { grammar: null, errors };
+  return {
+    grammar: {
+      start: rules[0].name,
+      nonterminals,
+      rules: bnf,
+      byLhs,
+      terminals,
+      isTerminal: (symbol) => terminals.has(symbol),
+      isHelper: (symbol) => !defined.has(symbol) && byLhs.has(symbol),
+    },
+    errors: [],
+  };
+}
@@ -0,0 +1,261 @@
+// Earley parsing for the Grammar playground. Unlike the hand-written parsers
+// it works with any context-free grammar, including left-recursive and
+// ambiguous ones, so it can show every tree an input has.
+//
+// The input is first split into tokens with the grammar's own terminals:
+// spaces between tokens are skipped, the longest match wins and quoted text
+// beats regexes and built-ins of the same length (so "if" is a keyword, not a
+// NAME). Then the Earley sets are built, and trees are read back out of them:
+// counting the ways each symbol can match each stretch of tokens also lets
+// tree(n) build the n-th of those trees directly.
+
+const MAX_INPUT_TOKENS = 200;
+const MAX_COUNT = 1000000;
+
+const saturate = (n) => Math.min(n, MAX_COUNT);
+
+export const terminalList = (keys, limit = 8) => {
+  const shown = keys.slice(0, limit);
+  if (keys.length > limit) shown.push('…');
+  if (shown.length < 2) return shown.join('');
+  return `${shown.slice(0, -1).join(', ')} or ${shown[shown.length - 1]}`;
+};
+
+// Text -> { tokens: [{ index, value, start, end, terminals: [key] }], error }
+export function scanInput(grammar, text) {
+  const tokens = [];
+  const terminals = Array.from(grammar.terminals.values());
+  let pos = 0;
+  while (pos < text.length) {
+    if (/\s/.test(text[pos])) {
+      pos += 1;
+      continue;
+    }
+    let best = 0;
+    let matches = [];
+    for (const terminal of terminals) {
+      terminal.regex.lastIndex = pos;
+      const match = terminal.regex.exec(text);
+      const length = match ? match[0].length : 0;
+      if (length && length > best) {
+        best = length;
+        matches = [terminal];
+      } else if (length && length === best) {
+        matches.push(terminal);
+      }
+    }
+    if (!best) {
+      return {
+        tokens,
+        error: {
+          message: `No terminal in the grammar matches "${text[pos]}".`,
+          hint: `Add "${text[pos]}" to a rule, or remove it from the input.`,
+          start: pos,
+          end: pos + 1,
+        },
+      };
+    }
+    if (matches.some((terminal) => terminal.kind === 'literal')) {
+      matches = matches.filter((terminal) => terminal.kind === 'literal');
+    }
+    tokens.push({
+      index: tokens.length,
+      value: text.slice(pos, pos + best),
+      start: pos,
+      end: pos + best,
+      terminals: matches.map((terminal) => terminal.key),
+    });
+    pos += best;
+    if (tokens.length > MAX_INPUT_TOKENS) {
+      return {
+        tokens,
+        error: {
+          message: `The input is too long for the playground (more than ${MAX_INPUT_TOKENS} tokens).`,
+          hint: 'Try a shorter example.',
+          start: pos,
+          end: pos,
+        },
+      };
+    }
+  }
+  return { tokens, error: null };
+}
+
+// Builds the Earley sets for tokens and reads the parse forest out of them:
+//   { accepted, error, itemCount, count, saturated, cyclic, tree(n) }
+// count is the number of trees (capped at a million, then saturated is set)
+// and cyclic means some trees were left out because a rule can turn into
+// itself. tree(n) returns the n-th tree as
+//   { symbol, rule, start, end, children, ambiguous } for a nonterminal over tokens start..end
+//   { symbol, token } for a matched token
+// where ambiguous means the same stretch could also have been matched another way.
+export function earleyParse(grammar, nullable, tokens) {
+  const { rules, byLhs } = grammar;
+  const n = tokens.length;
+  const sets = Array.from({ length: n + 1 }, () => ({ items: [], keys: new Set() }));
+
+  const add = (j, rule, dot, origin) => {
+    const key = `${rule}:${dot}:${origin}`;
+    if (sets[j].keys.has(key)) return;
+    sets[j].keys.add(key);
+    sets[j].items.push({ rule, dot, origin });
+  };
+
+  byLhs.get(grammar.start).forEach((rule) => add(0, rule, 0, 0));
+  let reached = 0;
+  for (let j = 0; j <= n; j += 1) {
+    const { items } = sets[j];
+    if (!items.length) break;
+    reached = j;
+    for (let k = 0; k < items.length; k += 1) {
+      const { rule, dot, origin } = items[k];
+      const { rhs, lhs } = rules[rule];
+      if (dot < rhs.length) {
+        const symbol = rhs[dot];
+        if (grammar.isTerminal(symbol)) {
+          if (j < n && tokens[j].terminals.includes(symbol)) add(j + 1, rule, dot + 1, origin);
+        } else {
+          byLhs.get(symbol).forEach((predicted) => add(j, predicted, 0, j));
+          // Aycock & Horspool: a rule that can match nothing is also skipped right away
+          if (nullable.has(symbol)) add(j, rule, dot + 1, origin);
+        }
+      } else {
+        sets[origin].items.forEach((waiting) => {
+          if (rules[waiting.rule].rhs[waiting.dot] === lhs) add(j, waiting.rule, waiting.dot + 1, waiting.origin);
+        });
+      }
+    }
+  }
+
+  const itemCount = sets.reduce((sum, set) => sum + set.items.length, 0);
+  const completed = sets.map((set) => {
+    const byStart = new Map();
+    set.items.forEach(({ rule, dot, origin }) => {
+      if (dot !== rules[rule].rhs.length) return;
+      const key = `${rules[rule].lhs}@${origin}`;
+      if (!byStart.has(key)) byStart.set(key, []);
+      byStart.get(key).push(rule);
+    });
+    return byStart;
+  });
+  const accepted = (completed[n].get(`${grammar.start}@0`) || []).length > 0;
+
+  if (!accepted) {
+    const expected = [];
+    sets[reached].items.forEach(({ rule, dot }) => {
+      const symbol = rules[rule].rhs[dot];
+      if (symbol !== undefined && grammar.isTerminal(symbol) && !expected.includes(symbol)) expected.push(symbol);
+    });
+    const token = tokens[reached];
+    const wanted = expected.length ? `Expected ${terminalList(expected)}.` : '';
+    const error = token
+      ? {
+        message: `Didn't expect "${token.value}" here. ${wanted}`.trim(),
+        hint: `The input matches the grammar up to "${token.value}" but no rule can continue with it.`,
+        expected,
+        start: token.start,
+        end: token.end,
+      }
+      : {
+        message: `The input ended too early. ${wanted}`.trim(),
+        hint: n ? `Every token matched, but ${grammar.start} isn't finished yet.` : `The input is empty, and ${grammar.start} can't match nothing.`,
+        expected,
+        start: n ? tokens[n - 1].end : 0,
+        end: n ? tokens[n - 1].end : 0,
+      };
+    return { accepted, error, itemCount, count: 0, saturated: false, cyclic: false, tree: () => null };
+  }
+
+  // Every count is worked out once and remembered together with the parts it
+  // was made of, { total, parts }, so building a tree follows exactly the
+  // choices that were counted. A count that needs itself (a rule that can turn
+  // into itself) sees 0 there, which leaves the endless trees out.
+  let cyclic = false;
+  const memo = new Map();
+  const inProgress = new Set();
+  const remember = (key, compute) => {
+    if (memo.has(key)) return memo.get(key);
+    if (inProgress.has(key)) {
+      cyclic = true;
+      return { total: 0, parts: [] };
+    }
+    inProgress.add(key);
+    const parts = compute().filter((part) => part.ways);
+    inProgress.delete(key);
+    const entry = { total: parts.reduce((sum, part) => saturate(sum + part.ways), 0), parts };
+    memo.set(key, entry);
+    return entry;
+  };
+
+  // Ways rules[rule].rhs from position k can match tokens i..j, split by where
+  // symbol k ends: parts are { end, ways, after }
+  const sequenceWays = (rule, k, i, j) => {
+    const { rhs } = rules[rule];
+    if (k === rhs.length) return { total: i === j ? 1 : 0, parts: [] };
+    const symbol = rhs[k];
+    return remember(`${rule}:${k}:${i}:${j}`, () => {
+      if (grammar.isTerminal(symbol)) {
+        const after = i < j && tokens[i].terminals.includes(symbol) ? sequenceWays(rule, k + 1, i + 1, j).total : 0;
+        return [{ end: i + 1, ways: after, after }];
+      }
+      const parts = [];
+      for (let m = i; m <= j; m += 1) {
+        // The rest is checked first so a left-recursive rule never asks about its own stretch
+        if (completed[m].has(`${symbol}@${i}`)) {
+          const after = sequenceWays(rule, k + 1, m, j).total;
+          const child = after ? symbolWays(symbol, i, m).total : 0;
+          parts.push({ end: m, ways: saturate(child * after), after });
+        }
+      }
+      return parts;
+    });
+  };
+
+  // Ways symbol can match tokens i..j, split by rule: parts are { rule, ways }
+  const symbolWays = (symbol, i, j) => remember(`${symbol}:${i}:${j}`, () => (
+    (completed[j].get(`${symbol}@${i}`) || []).map((rule) => ({ rule, ways: sequenceWays(rule, 0, i, j).total }))
+  ));
+
+  // The children of the nth way rules[rule].rhs from position k matches tokens i..j
+  const buildSequence = (rule, k, i, j, nth) => {
+    const { rhs } = rules[rule];
+    if (k === rhs.length) return [];
+    const symbol = rhs[k];
+    let rest = nth;
+    for (const part of sequenceWays(rule, k, i, j).parts) {
+      if (rest < part.ways) {
+        const node = grammar.isTerminal(symbol)
+          ? { symbol, token: tokens[i] }
+          : buildNode(symbol, i, part.end, Math.floor(rest / part.after));
+        return [node, ...buildSequence(rule, k + 1, part.end, j, rest % part.after)];
+      }
+      rest -= part.ways;
+    }
+    return [];
+  };
+
+  const buildNode = (symbol, i, j, nth) => {
+    const { total, parts } = symbolWays(symbol, i, j);
+    let rest = nth;
+    for (const { rule, ways } of parts) {
+      if (rest < ways) {
+        const children = buildSequence(rule, 0, i, j, rest);
+        const used = children.reduce((product, child) => (child.token ? product : product * symbolWays(child.symbol, child.start, child.end).total), 1);
+        return { symbol, rule, start: i, end: j, children, ambiguous: total > used };
+      }
+      rest -= ways;
+    }
+    return null;
+  };
+
+  const { total } = symbolWays(grammar.start, 0, n);
+  return {
+    accepted,
+    error: null,
+    itemCount,
+    count: total,
+    saturated: total >= MAX_COUNT,
+    cyclic,
+    tree: (nth) => buildNode(grammar.start, 0, n, Math.max(0, Math.min(nth, total - 1))),
+  };
+}
@@ -0,0 +1,95 @@
+// Grammar playground entry point: read a BNF/EBNF grammar, report what is
+// known about it, and parse inputs with it.
+//   const built = buildGrammar(text);            // { grammar, errors, analysis }
+//   const result = parseWithGrammar(built, input); // { tokens, error, count, ... }
+//   const { nodes, ambiguities } = parseTreeData(built.grammar, result.tokens, result.tree(0));
+// nodes is the { id, parent, children, label } list the ParseTree component draws.
+// The shift-reduce walkthrough builds LR tables for a grammar instead:
+//   const tables = buildLRTables(built.grammar, built.analysis, { lalr: true });
+//   const { steps, nodes, root, error } = lrParse(tables, tokens);
+
+import { parseGrammar } from './bnf';
+import { analyzeGrammar } from './analysis';
+import { scanInput, earleyParse } from './earley';
+
+export { BUILTIN_TERMINALS } from './bnf';
+export { EMPTY, END_OF_INPUT } from './analysis';
+export { terminalList } from './earley';
+export { AUGMENTED_START, buildLRTables, lrParse, chosenAction } from './lr';
+
+export function buildGrammar(text) {
+  const { grammar, errors } = parseGrammar(text);
+  return { grammar, errors, analysis: grammar ? analyzeGrammar(grammar) : null };
+}
+
+// { tokens, error, accepted, count, saturated, cyclic, itemCount, tree(n) }
+// error is { message, hint, start, end } with offsets into input
+export function parseWithGrammar({ grammar, analysis }, input) {
+  const { tokens, error } = scanInput(grammar, input);
+  if (error) {
+    return { tokens, error, accepted: false, count: 0, saturated: false, cyclic: false, itemCount: 0, tree: () => null };
+  }
+  return { tokens, ...earleyParse(grammar, analysis.nullable, tokens) };
+}
+
+// Earley tree -> ParseTree nodes. Helper rules made for EBNF are flattened
+// into their parents, nonterminals that matched nothing get an ε leaf, and
+// every place where the input could also have been matched differently is
+// listed in ambiguities as { id, name, rule, start, end }. start and end are
+// offsets into the input (null where nothing was matched).
+export function parseTreeData(grammar, tokens, tree) {
+  const nodes = [];
+  const ambiguities = [];
+  if (!tree) return { nodes, ambiguities };
+
+  const addNode = (fields, parent, level) => {
+    const node = { id: `g${nodes.length}`, parent: parent ? parent.id : null, children: [], level, ...fields };
+    nodes.push(node);
+    if (parent) parent.children.push(node.id);
+    return node;
+  };
+
+  // Adds the children of an Earley node to parent, looking through helpers;
+  // returns true when any of them (or a helper on the way) was ambiguous
+  const addChildren = (earleyNode, parent, level) => earleyNode.children.reduce((ambiguous, child) => {
+    if (child.token) {
+      addNode({
+        label: child.token.value,
+        type: 'terminal',
+        description: `Token "${child.token.value}" matched by ${child.symbol}`,
+        start: child.token.start,
+        end: child.token.end,
+      }, parent, level);
+      return ambiguous;
+    }
+    if (grammar.isHelper(child.symbol)) return addChildren(child, parent, level) || child.ambiguous || ambiguous;
+    addRuleNode(child, parent, level);
+    return ambiguous;
+  }, false);
+
+  const addRuleNode = (earleyNode, parent, level) => {
+    const rule = grammar.rules[earleyNode.rule];
+    const node = addNode({
+      label: earleyNode.symbol,
+      type: 'rule',
+      description: `${earleyNode.symbol} ::= ${rule.text}`,
+      start: null,
+      end: null,
+    }, parent, level);
+    const ambiguous = addChildren(earleyNode, node, level + 1) || earleyNode.ambiguous;
+    if (!node.children.length) {
+      addNode({ label: 'ε', type: 'empty', description: `${earleyNode.symbol} matched nothing here` }, node, level + 1);
+    }
+    if (earleyNode.end > earleyNode.start) {
+      node.start = tokens[earleyNode.start].start;
+      node.end = tokens[earleyNode.end - 1].end;
+    }
+    if (ambiguous) {
+      ambiguities.push({ id: node.id, name: earleyNode.symbol, rule: rule.text, start: node.start, end: node.end });
+    }
+    return node;
+  };
+
+  addRuleNode(tree, null, 0);
+  return { nodes, ambiguities };
+}
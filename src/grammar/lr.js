@@ -0,0 +1,248 @@
+// LR parsing for the shift-reduce walkthrough: the LR(1) item sets of a
+// grammar, optionally merged into LALR(1) states, their action and goto
+// tables, and a table-driven parse that records every shift and reduce.
+//
+// Productions are numbered like in a textbook: production 0 is the added
+// START' ::= start, and production i is grammar.rules[i - 1]. An item is
+// { production, dot, lookaheads } (the items of a state that differ only in
+// their lookahead are shown as one). Actions are
+//   { type: 'shift', state } | { type: 'reduce', production } | { type: 'accept' }
+// and a table cell with more than one of them is a conflict. The parse then
+// prefers shifting, and the earlier production among reductions, like yacc.
+
+import { EMPTY, END_OF_INPUT, firstOfSequence } from './analysis';
+
+export const AUGMENTED_START = "START'";
+// Parses stop after this many steps (only a cyclic grammar gets there)
+const MAX_STEPS = 20000;
+
+const coreKey = (item) => `${item.production}.${item.dot}`;
+const itemKey = (item) => `${item.production}.${item.dot}.${item.lookahead}`;
+
+// Items with the same production and dot share one entry with all their lookaheads
+const groupItems = (items) => {
+  const groups = new Map();
+  items.forEach((item) => {
+    const key = coreKey(item);
+    if (!groups.has(key)) groups.set(key, { production: item.production, dot: item.dot, lookaheads: new Set() });
+    groups.get(key).lookaheads.add(item.lookahead);
+  });
+  return Array.from(groups.values());
+};
+
+const addAction = (row, terminal, action) => {
+  if (!row.has(terminal)) row.set(terminal, []);
+  const cell = row.get(terminal);
+  const same = cell.some((other) => other.type === action.type && other.state === action.state && other.production === action.production);
+  if (!same) cell.push(action);
+};
+
+// grammar from parseGrammar, analysis from analyzeGrammar. Returns
+//   { lalr, productions, states: [{ index, kernel, items, symbol }], terminals,
+//     nonterminals, action: [Map terminal -> [action]], goto: [Map name -> state],
+//     conflicts: [{ state, terminal, kind, actions }], lr1StateCount }
+// symbol is the symbol every way into the state reads last (null for state 0).
+export function buildLRTables(grammar, analysis, { lalr = true } = {}) {
+  const { nullable, first } = analysis;
+  const productions = [
+    { index: 0, lhs: AUGMENTED_START, rhs: [grammar.start], text: grammar.start },
+    ...grammar.rules.map((rule) => ({ index: rule.index + 1, lhs: rule.lhs, rhs: rule.rhs, text: rule.text })),
+  ];
+  const isTerminal = (symbol) => grammar.isTerminal(symbol);
+
+  // What can follow the symbol after the dot, apart from the item's own lookahead
+  const restCache = new Map();
+  const restAfter = (production, dot) => {
+    const key = `${production}.${dot}`;
+    if (!restCache.has(key)) {
+      const rest = firstOfSequence(grammar, first, nullable, productions[production].rhs.slice(dot + 1));
+      restCache.set(key, { terminals: Array.from(rest).filter((terminal) => terminal !== EMPTY), passesOn: rest.has(EMPTY) });
+    }
+    return restCache.get(key);
+  };
+
+  const closure = (kernel) => {
+    const items = kernel.slice();
+    const seen = new Set(items.map(itemKey));
+    for (let i = 0; i < items.length; i += 1) {
+      const { production, dot, lookahead } = items[i];
+      const symbol = productions[production].rhs[dot];
+      if (symbol === undefined || isTerminal(symbol)) continue;
+      const rest = restAfter(production, dot);
+      const lookaheads = rest.passesOn ? [...rest.terminals, lookahead] : rest.terminals;
+      grammar.byLhs.get(symbol).forEach((ruleIndex) => {
+        lookaheads.forEach((next) => {
+          const item = { production: ruleIndex + 1, dot: 0, lookahead: next };
+          const key = itemKey(item);
+          if (seen.has(key)) return;
+          seen.add(key);
+          items.push(item);
+        });
+      });
+    }
+    return items;
+  };
+
+  // Canonical LR(1) collection
+  const lr1 = [];
+  const byKernel = new Map();
+  const addState = (kernel, symbol) => {
+    const key = kernel.map(itemKey).sort().join(' ');
+    if (byKernel.has(key)) return byKernel.get(key);
+    const index = lr1.length;
+    byKernel.set(key, index);
+    lr1.push({ kernel, items: closure(kernel), symbol, transitions: new Map() });
+    return index;
+  };
+  addState([{ production: 0, dot: 0, lookahead: END_OF_INPUT }], null);
+  for (let i = 0; i < lr1.length; i += 1) {
+    const moves = new Map();
+    lr1[i].items.forEach((item) => {
+      const symbol = productions[item.production].rhs[item.dot];
+      if (symbol === undefined) return;
+      if (!moves.has(symbol)) moves.set(symbol, []);
+      moves.get(symbol).push({ ...item, dot: item.dot + 1 });
+    });
+    moves.forEach((kernel, symbol) => lr1[i].transitions.set(symbol, addState(kernel, symbol)));
+  }
+
+  // LALR(1): states with the same items apart from lookaheads become one
+  const merged = new Map();
+  const target = lr1.map((state) => {
+    if (!lalr) return null;
+    const key = Array.from(new Set(state.kernel.map(coreKey))).sort().join(' ');
+    if (!merged.has(key)) merged.set(key, merged.size);
+    return merged.get(key);
+  });
+  const stateOf = (index) => (lalr ? target[index] : index);
+  const count = lalr ? merged.size : lr1.length;
+  const raw = Array.from({ length: count }, () => ({ kernel: [], items: [], symbol: null, transitions: new Map() }));
+  lr1.forEach((state, index) => {
+    const into = raw[stateOf(index)];
+    into.kernel.push(...state.kernel);
+    into.items.push(...state.items);
+    into.symbol = state.symbol;
+    state.transitions.forEach((next, symbol) => into.transitions.set(symbol, stateOf(next)));
+  });
+
+  const action = raw.map(() => new Map());
+  const gotoTable = raw.map(() => new Map());
+  raw.forEach((state, index) => {
+    state.items.forEach(({ production, dot, lookahead }) => {
+      const symbol = productions[production].rhs[dot];
+      if (symbol !== undefined) {
+        if (isTerminal(symbol)) addAction(action[index], symbol, { type: 'shift', state: state.transitions.get(symbol) });
+      } else if (production === 0) {
+        addAction(action[index], END_OF_INPUT, { type: 'accept' });
+      } else {
+        addAction(action[index], lookahead, { type: 'reduce', production });
+      }
+    });
+    state.transitions.forEach((next, symbol) => {
+      if (!isTerminal(symbol)) gotoTable[index].set(symbol, next);
+    });
+  });
+
+  const conflicts = [];
+  action.forEach((row, state) => row.forEach((actions, terminal) => {
+    if (actions.length < 2) return;
+    const kind = actions.some((entry) => entry.type === 'shift') ? 'shift/reduce' : 'reduce/reduce';
+    conflicts.push({ state, terminal, kind, actions });
+  }));
+
+  return {
+    lalr,
+    productions,
+    states: raw.map((state, index) => ({
+      index,
+      kernel: groupItems(state.kernel),
+      items: groupItems(state.items),
+      symbol: state.symbol,
+    })),
+    terminals: [...grammar.terminals.keys(), END_OF_INPUT],
+    nonterminals: grammar.nonterminals.slice(),
+    action,
+    goto: gotoTable,
+    conflicts,
+    lr1StateCount: lr1.length,
+  };
+}
+
+// The action a parser driven by the table takes in a cell
+export const chosenAction = (actions) => actions.find((entry) => entry.type === 'shift')
+  || actions.slice().sort((a, b) => (a.production || 0) - (b.production || 0))[0];
+
+// Runs the tables over tokens ([{ value, start, end, terminals: [key] }], as
+// from scanInput). Returns { steps, nodes, root, error }:
+//   steps: [{ kind: 'shift' | 'reduce' | 'accept' | 'error', state, terminal,
+//             action, conflict, nodeId, goto, states, symbols, cursor }]
+//   states and symbols are the stacks after the step (symbols as node ids),
+//   cursor the number of tokens shifted so far.
+//   nodes: Map id -> { id, symbol, production, token, children, start, end }
+//   error: { message, expected, start, end } when the input doesn't fit
+export function lrParse(tables, tokens) {
+  const states = [0];
+  const symbols = [];
+  const nodes = new Map();
+  const steps = [];
+  let cursor = 0;
+  const record = (step) => steps.push({ ...step, states: states.slice(), symbols: symbols.slice(), cursor });
+  const addNode = (fields) => {
+    const node = { id: `s${nodes.size + 1}`, children: [], production: null, token: null, ...fields };
+    nodes.set(node.id, node);
+    return node;
+  };
+
+  while (steps.length < MAX_STEPS) {
+    const token = tokens[cursor] || null;
+    const state = states[states.length - 1];
+    const row = tables.action[state];
+    const terminal = token ? token.terminals.find((key) => row.has(key)) || token.terminals[0] : END_OF_INPUT;
+    const actions = row.get(terminal) || [];
+    if (!actions.length) {
+      const expected = Array.from(row.keys());
+      const end = token ? token.end : (tokens.length ? tokens[tokens.length - 1].end : 0);
+      const error = {
+        message: token ? `State ${state} has no action for "${token.value}".` : `State ${state} can't stop at the end of the input.`,
+        expected,
+        start: token ? token.start : end,
+        end: token ? token.end : end,
+      };
+      record({ kind: 'error', state, terminal, error });
+      return { steps, nodes, root: null, error };
+    }
+
+    const chosen = chosenAction(actions);
+    const conflict = actions.length > 1;
+    if (chosen.type === 'accept') {
+      record({ kind: 'accept', state, terminal, action: chosen, conflict, nodeId: symbols[0] });
+      return { steps, nodes, root: symbols[0], error: null };
+    }
+    if (chosen.type === 'shift') {
+      const node = addNode({ symbol: terminal, token, start: token.start, end: token.end });
+      symbols.push(node.id);
+      states.push(chosen.state);
+      cursor += 1;
+      record({ kind: 'shift', state, terminal, action: chosen, conflict, nodeId: node.id });
+    } else {
+      const production = tables.productions[chosen.production];
+      const children = production.rhs.length ? symbols.splice(-production.rhs.length) : [];
+      if (production.rhs.length) states.splice(-production.rhs.length);
+      const parts = children.map((id) => nodes.get(id)).filter((child) => child.start != null);
+      const node = addNode({
+        symbol: production.lhs,
+        production: production.index,
+        children,
+        start: parts.length ? parts[0].start : null,
+        end: parts.length ? parts[parts.length - 1].end : null,
+      });
+      const next = tables.goto[states[states.length - 1]].get(production.lhs);
+      symbols.push(node.id);
+      states.push(next);
+      record({ kind: 'reduce', state, terminal, action: chosen, conflict, nodeId: node.id, goto: next });
+    }
+  }
+  const error = { message: `The parse took more than ${MAX_STEPS} steps, so it was stopped.`, expected: [], start: 0, end: 0 };
+  record({ kind: 'error', state: states[states.length - 1], terminal: null, error });
+  return { steps, nodes, root: null, error };
+}
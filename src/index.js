@@ -4,6 +4,7 @@ import './index.css';
 import App from './App';
 import ErrorBoundary from './ErrorBoundary';
 import { ToastProvider } from './components/Toasts';
+import { SourceSelectionProvider } from './components/SourceSelection';
 
 // ────────────────────────────────────────────────────────────────────────────────
 // Suppress the “ResizeObserver loop completed with undelivered notifications” warning
@@ -90,7 +91,9 @@ root.render(
   <React.StrictMode>
     <ErrorBoundary>
       <ToastProvider>
-        <App />
+        <SourceSelectionProvider>
+          <App />
+        </SourceSelectionProvider>
       </ToastProvider>
     </ErrorBoundary>
   </React.StrictMode>
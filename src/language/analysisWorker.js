@@ -0,0 +1,26 @@
+/* eslint-disable no-restricted-globals */
+// Analysis Worker: lexes and parses the editor contents off the main thread.
+// Keeps the previous lex state so each edit only re-lexes the changed lines.
+// Protocol:
+// Host -> Worker:
+//   { type: 'analyze', token, requestId, code, language, definition? }
+// Worker -> Host (echoes token and requestId):
+//   { type: 'result', token, requestId, result }
+//   { type: 'error', token, requestId, message }
+
+import { analyzeSource } from './analyze';
+
+let lexState = null;
+
+self.onmessage = (e) => {
+  const msg = e.data || {};
+  if (msg.type !== 'analyze') return;
+  try {
+    const analysis = analyzeSource(lexState, msg.code || '', msg.language, msg.definition || null);
+    lexState = analysis.lexState;
+    self.postMessage({ type: 'result', token: msg.token, requestId: msg.requestId, result: analysis.result });
+  } catch (err) {
+    lexState = null;
+    self.postMessage({ type: 'error', token: msg.token, requestId: msg.requestId, message: String(err && err.message ? err.message : err) });
+  }
+};
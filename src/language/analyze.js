@@ -0,0 +1,61 @@
+// One analysis pass over the editor contents: tokens (re-lexed incrementally
+// from the previous pass), lexical diagnostics, the AST, the Parse Tree data,
+// the symbol table, type warnings and lint findings of the semantic passes,
+// the control-flow graphs with their data-flow analysis and SSA form, and
+// the optimized program. Lint, dead stores and the optimizer are left out
+// while the code has syntax errors.
+// Shared by the analysis worker and the main-thread fallback so both
+// produce exactly the same result shape:
+//   { language, tokens, diagnostics, ast, tree, syntaxErrors, symbols, typeWarnings, lint, flow, dataflow, ssa, optimized, relexed, elapsed }
+// definition is the parsed user-defined language when language is 'custom'.
+
+import { updateLexState, lexicalDiagnostics } from '../lexer';
+import { parseSource } from '../parser';
+import { buildSymbolTable, inferTypes, lintProgram } from '../semantic';
+import { buildControlFlow, analyzeDataFlow, buildSSA } from '../flow';
+import { optimizeProgram } from '../optimizer';
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+export function analyzeSource(previousLexState, code, language, definition = null) {
+  const started = now();
+  const lexState = updateLexState(previousLexState, code, language, definition);
+  let symbols = null;
+  let typeWarnings = [];
+  let lint = [];
+  let flow = null;
+  let dataflow = null;
+  let ssa = null;
+  let optimized = null;
+  const parsed = parseSource(lexState.source, lexState.tokens, language, (ast, errors) => {
+    // Error recovery leaves statements out of the AST, so nothing is judged,
+    // removed or rewritten unless the whole program parsed
+    const complete = !errors.length;
+    symbols = buildSymbolTable(ast, lexState.source, language);
+    typeWarnings = inferTypes(ast, lexState.source, language, symbols);
+    lint = complete ? lintProgram(ast, lexState.source, language, symbols) : [];
+    flow = buildControlFlow(ast, lexState.source, language);
+    dataflow = analyzeDataFlow(flow, ast, symbols, lexState.source);
+    ssa = buildSSA(flow, dataflow);
+    if (!complete) dataflow = { ...dataflow, deadStores: [] };
+    optimized = complete ? optimizeProgram(ast, lexState.source, language, { symbols, dataflow }) : null;
+  });
+  const result = {
+    language,
+    tokens: lexState.tokens,
+    diagnostics: lexicalDiagnostics(lexState.tokens, language, definition),
+    ast: parsed.ast,
+    tree: parsed.tree,
+    syntaxErrors: parsed.errors,
+    symbols,
+    typeWarnings,
+    lint,
+    flow,
+    dataflow,
+    ssa,
+    optimized,
+    relexed: lexState.relexed,
+  };
+  result.elapsed = Math.round(now() - started);
+  return { lexState, result };
+}
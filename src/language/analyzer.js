@@ -0,0 +1,75 @@
+// Wrapper around the analysis worker. analyze() resolves with the result of
+// analyzeSource(); when Web Workers are unavailable (or the worker fails to
+// start) the same analysis runs on the main thread instead.
+
+import { analyzeSource } from './analyze';
+
+export class CodeAnalyzer {
+  constructor() {
+    this.worker = null;
+    this.workerFailed = false;
+    this.pending = new Map();
+    this.lexState = null; // main-thread fallback only
+    this.nextId = 0;
+
+    // Random token to tie messages to this analyzer instance
+    this.token = `${Math.random().toString(36).slice(2)}.${Date.now()}`;
+  }
+
+  ensureWorker() {
+    if (this.worker || this.workerFailed) return;
+    if (typeof Worker === 'undefined') {
+      this.workerFailed = true;
+      return;
+    }
+    try {
+      this.worker = new Worker(new URL('./analysisWorker.js', import.meta.url), { type: 'module' });
+    } catch (_) {
+      this.workerFailed = true;
+      return;
+    }
+
+    this.worker.onmessage = (e) => {
+      const msg = e.data || {};
+      if (msg.token !== this.token) return;
+      const request = this.pending.get(msg.requestId);
+      if (!request) return;
+      this.pending.delete(msg.requestId);
+      if (msg.type === 'result') request.resolve(msg.result);
+      else request.reject(new Error(msg.message || 'Analysis failed'));
+    };
+
+    // A worker that cannot load: answer everything still waiting on the main thread
+    this.worker.onerror = () => {
+      this.worker.terminate();
+      this.worker = null;
+      this.workerFailed = true;
+      const waiting = Array.from(this.pending.values());
+      this.pending.clear();
+      waiting.forEach((request) => request.resolve(this.analyzeHere(request.code, request.language, request.definition)));
+    };
+  }
+
+  analyzeHere(code, language, definition) {
+    const analysis = analyzeSource(this.lexState, code, language, definition);
+    this.lexState = analysis.lexState;
+    return analysis.result;
+  }
+
+  analyze(code, language, definition = null) {
+    this.ensureWorker();
+    if (!this.worker) return Promise.resolve(this.analyzeHere(code, language, definition));
+    this.nextId += 1;
+    const requestId = this.nextId;
+    return new Promise((resolve, reject) => {
+      this.pending.set(requestId, { resolve, reject, code, language, definition });
+      this.worker.postMessage({ type: 'analyze', token: this.token, requestId, code, language, definition });
+    });
+  }
+
+  dispose() {
+    try { this.worker && this.worker.terminate(); } catch (_) {}
+    this.worker = null;
+    this.pending.clear();
+  }
+}
@@ -0,0 +1,48 @@
+// React hook that keeps an up-to-date analysis of the editor contents.
+// The first result is computed right away so panels never start empty;
+// after that edits are debounced and analyzed in the worker, and answers
+// to requests that a newer edit has already superseded are dropped.
+// Pass { definition } with language 'custom' to lex a user-defined language.
+
+import { useEffect, useRef, useState } from 'react';
+import { analyzeSource } from './analyze';
+import { CodeAnalyzer } from './analyzer';
+
+export const ANALYSIS_DEBOUNCE_MS = 150;
+
+export function useCodeAnalysis(code, language, { delay = ANALYSIS_DEBOUNCE_MS, definition = null } = {}) {
+  const [analysis, setAnalysis] = useState(() => ({ ...analyzeSource(null, code, language, definition).result, pending: false }));
+  const analyzerRef = useRef(null);
+  const latestRef = useRef(0);
+  const languageRef = useRef(language);
+  const definitionRef = useRef(definition);
+
+  useEffect(() => {
+    const analyzer = new CodeAnalyzer();
+    analyzerRef.current = analyzer;
+    return () => analyzer.dispose();
+  }, []);
+
+  useEffect(() => {
+    latestRef.current += 1;
+    const requestNumber = latestRef.current;
+    // Switching language re-analyzes immediately; typing waits for a pause
+    const wait = languageRef.current === language && definitionRef.current === definition ? delay : 0;
+    languageRef.current = language;
+    definitionRef.current = definition;
+    setAnalysis((current) => (current.pending ? current : { ...current, pending: true }));
+
+    const timer = setTimeout(() => {
+      analyzerRef.current.analyze(code, language, definition)
+        .then((result) => {
+          if (requestNumber === latestRef.current) setAnalysis({ ...result, pending: false });
+        })
+        .catch(() => {
+          if (requestNumber === latestRef.current) setAnalysis((current) => ({ ...current, pending: false }));
+        });
+    }, wait);
+    return () => clearTimeout(timer);
+  }, [code, language, definition, delay]);
+
+  return analysis;
+}
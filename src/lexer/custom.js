@@ -0,0 +1,143 @@
+// User-defined languages for the Tokens tab.
+// A definition is plain JSON, so a class can invent a toy language:
+//   {
+//     "name": "RoboScript",
+//     "keywords": ["move", "turn"],
+//     "keywordColor": "#f472b6",
+//     "rules": [
+//       { "type": "number", "pattern": "[0-9]+", "color": "#fbbf24" },
+//       { "type": "direction", "pattern": "left|right", "priority": 1 },
+//       { "type": "identifier", "pattern": "[a-z]+" },
+//       { "type": "whitespace", "pattern": "\\s+", "skip": true }
+//     ]
+//   }
+// At every position each rule is tried: the longest match wins and a higher
+// priority breaks ties (then the earlier rule). Words matched by an
+// "identifier" rule that are in the keyword list become keywords.
+// Characters no rule matches become unknown tokens, reported as errors.
+
+const TYPE_NAME = /^[A-Za-z][\w-]*$/;
+const ALLOWED_FLAGS = /^[imsu]*$/;
+
+const describe = (rule, index) => `Rule ${index + 1}${typeof rule.type === 'string' && rule.type ? ` ("${rule.type}")` : ''}`;
+
+// Check a definition and return a clean copy that is safe to send to the worker.
+// Problems are reported in plain words: { definition: object | null, errors: string[] }
+export function parseLanguageDefinition(text) {
+  let raw;
+  try {
+    raw = typeof text === 'string' ? JSON.parse(text) : text;
+  } catch (e) {
+    return { definition: null, errors: [`This isn't valid JSON: ${e.message}`] };
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { definition: null, errors: ['The definition must be a JSON object like { "name": ..., "rules": [...] }.'] };
+  }
+
+  const errors = [];
+  const keywords = raw.keywords === undefined ? [] : raw.keywords;
+  if (!Array.isArray(keywords) || keywords.some((k) => typeof k !== 'string' || !k)) {
+    errors.push('"keywords" must be a list of words, like ["move", "turn"].');
+  }
+  if (!Array.isArray(raw.rules) || raw.rules.length === 0) {
+    errors.push('Add a "rules" list with at least one token rule.');
+  }
+
+  const rules = (Array.isArray(raw.rules) ? raw.rules : []).map((rule, index) => {
+    const name = describe(rule || {}, index);
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${name} must be an object with a "type" and a "pattern".`);
+      return null;
+    }
+    if (typeof rule.type !== 'string' || !TYPE_NAME.test(rule.type)) {
+      errors.push(`${name} needs a "type" name made of letters, digits, - or _ (for example "number").`);
+    }
+    if (rule.priority !== undefined && typeof rule.priority !== 'number') {
+      errors.push(`${name}: "priority" must be a number.`);
+    }
+    const flags = rule.flags === undefined ? '' : rule.flags;
+    if (typeof flags !== 'string' || !ALLOWED_FLAGS.test(flags)) {
+      errors.push(`${name}: "flags" may only use the letters i, m, s and u.`);
+      return null;
+    }
+    if (typeof rule.pattern !== 'string' || !rule.pattern) {
+      errors.push(`${name} needs a "pattern" (a regular expression written as a string).`);
+      return null;
+    }
+    try {
+      if (new RegExp(`^(?:${rule.pattern})$`, flags).test('')) {
+        errors.push(`${name} can match nothing at all — make sure it needs at least one character (use + instead of *).`);
+      }
+    } catch (e) {
+      errors.push(`${name}: the pattern has a mistake: ${String(e.message).replace(/^Invalid regular expression: (\/.*\/\w*: )?/, '')}`);
+    }
+    return {
+      type: rule.type,
+      pattern: rule.pattern,
+      flags,
+      priority: typeof rule.priority === 'number' ? rule.priority : 0,
+      color: typeof rule.color === 'string' ? rule.color : null,
+      description: typeof rule.description === 'string' ? rule.description : null,
+      skip: rule.skip === true,
+    };
+  });
+
+  if (errors.length) return { definition: null, errors };
+  return {
+    definition: {
+      name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : 'My Language',
+      caseSensitive: raw.caseSensitive !== false,
+      keywords: keywords.slice(),
+      keywordColor: typeof raw.keywordColor === 'string' ? raw.keywordColor : null,
+      rules,
+    },
+    errors: [],
+  };
+}
+
+export function tokenizeCustom(scanner, definition) {
+  const caseSensitive = definition.caseSensitive !== false;
+  const keywords = new Set(definition.keywords.map((k) => (caseSensitive ? k : k.toLowerCase())));
+  const rules = definition.rules.map((rule) => ({ ...rule, regex: new RegExp(rule.pattern, `${rule.flags}y`) }));
+
+  while (!scanner.done) {
+    // Rules are tried afresh at every position, so nothing carries over between lines
+    if (scanner.checkpoint(() => null)) return scanner.tokens;
+
+    let best = null;
+    rules.forEach((rule) => {
+      rule.regex.lastIndex = scanner.pos;
+      const match = rule.regex.exec(scanner.source);
+      const length = match ? match[0].length : 0;
+      if (length && (!best || length > best.length || (length === best.length && rule.priority > best.rule.priority))) {
+        best = { rule, length };
+      }
+    });
+
+    scanner.begin();
+    if (!best) {
+      scanner.enter('unknown');
+      scanner.advance();
+      scanner.emit('unknown');
+      continue;
+    }
+
+    const { rule, length } = best;
+    scanner.enter(rule.type);
+    const value = scanner.advanceBy(length);
+    if (rule.skip) {
+      scanner.mark = null;
+      continue;
+    }
+    if (rule.type === 'identifier' && keywords.has(caseSensitive ? value : value.toLowerCase())) {
+      scanner.emit('keyword', { detail: `Keyword of ${definition.name}`, color: definition.keywordColor || undefined });
+    } else {
+      scanner.emit(rule.type, {
+        detail: rule.description || `Matched by the "${rule.type}" rule`,
+        color: rule.color || undefined,
+      });
+    }
+  }
+
+  return scanner.tokens;
+}
@@ -0,0 +1,112 @@
+// Lexical error diagnostics with kid-friendly wording.
+// Lexers only flag suspicious tokens (unknown characters, unterminated
+// strings/comments, bad indentation); this module turns those flags and
+// malformed number literals into diagnostics shaped like:
+//   { severity, message, hint, code, source, start, end, line, column, endLine, endColumn, tokenIndex }
+// The same shape is used for every diagnostic shown as an editor marker.
+
+const LANGUAGE_NAMES = { javascript: 'JavaScript', python: 'Python', java: 'Java', cpp: 'C++', c: 'C' };
+
+const NUMBER_PATTERNS = {
+  javascript: /^(?:0[xX][0-9a-fA-F](?:_?[0-9a-fA-F])*n?|0[oO][0-7](?:_?[0-7])*n?|0[bB][01](?:_?[01])*n?|(?:(?:0|[1-9](?:_?\d)*)\.?(?:\d(?:_?\d)*)?|\.\d(?:_?\d)*)(?:[eE][+-]?\d(?:_?\d)*)?|(?:0|[1-9](?:_?\d)*)n)$/,
+  python: /^(?:0[xX](?:_?[0-9a-fA-F])+|0[oO](?:_?[0-7])+|0[bB](?:_?[01])+|(?:(?:[1-9](?:_?\d)*|0(?:_?0)*)|(?:\d(?:_?\d)*)?\.\d(?:_?\d)*|\d(?:_?\d)*\.)(?:[eE][+-]?\d(?:_?\d)*)?[jJ]?|\d(?:_?\d)*(?:[eE][+-]?\d(?:_?\d)*[jJ]?|[jJ]))$/,
+  // User-defined languages decide for themselves what a number looks like
+  custom: null,
+  default: /^(?:0[xX][0-9a-fA-F](?:'?[0-9a-fA-F])*|0[bB][01](?:'?[01])*|(?:\d(?:'?\d)*\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)[uUlLfF]*$/,
+};
+
+const numberHint = (value, language) => {
+  if (/_$|__|_\.|\._/.test(value)) return 'Underscores must sit between two digits, like 1_000.';
+  if (/^0[xX]$|^0[oO]$|^0[bB]$/.test(value)) return 'Write at least one digit after the 0x / 0o / 0b prefix, like 0x1F.';
+  if (language === 'python' && /^0\d/.test(value) && !/^0+$/.test(value)) return 'Python numbers can\'t start with 0 — write 7 instead of 07 (or 0o7 for octal).';
+  if ((value.match(/\./g) || []).length > 1) return 'A number can only have one decimal point.';
+  if (/[A-Za-z_$]/.test(value.replace(/^0[xXoObB]/, ''))) return 'Numbers can\'t have letters stuck to them — add a space or an operator between them.';
+  return 'Check the digits: only 0-9 (and one decimal point) belong in a number.';
+};
+
+// Ask the browser's own regex engine whether a regex literal is valid
+const regexProblem = (token) => {
+  try {
+    new RegExp(token.body, token.flags); // eslint-disable-line no-new
+    return null;
+  } catch (e) {
+    return String(e.message || e).replace(/^Invalid regular expression: (\/.*\/\w*: )?/, '');
+  }
+};
+
+const fromToken = (token, fields) => ({
+  severity: 'error',
+  source: 'lexer',
+  start: token.start,
+  end: token.end,
+  line: token.line,
+  column: token.column,
+  endLine: token.endLine,
+  endColumn: token.endColumn,
+  tokenIndex: token.index,
+  ...fields,
+});
+
+export function lexicalDiagnostics(tokens, language = 'javascript', definition = null) {
+  const languageName = definition ? definition.name : LANGUAGE_NAMES[language] || 'this language';
+  const numberPattern = language in NUMBER_PATTERNS ? NUMBER_PATTERNS[language] : NUMBER_PATTERNS.default;
+  const diagnostics = [];
+
+  tokens.forEach((token) => {
+    if (token.type === 'unknown') {
+      diagnostics.push(fromToken(token, {
+        code: 'stray-character',
+        message: `The character "${token.value}" doesn't mean anything in ${languageName}.`,
+        hint: 'Remove it, or put it inside quotes if it is part of some text.',
+      }));
+    } else if (token.type === 'string' && token.unterminated) {
+      const quote = token.triple ? token.value.match(/"""|'''/)[0] : (token.value.match(/["'`]/) || ['"'])[0];
+      diagnostics.push(fromToken(token, {
+        code: 'unterminated-string',
+        message: 'This string never ends — did you forget a closing quote?',
+        hint: `Add ${quote} at the end of the text.`,
+      }));
+    } else if (token.type === 'template' && token.unterminated) {
+      diagnostics.push(fromToken(token, {
+        code: 'unterminated-template',
+        message: 'This template string never ends — did you forget the closing backtick `?',
+        hint: 'Add ` at the end of the text (and a } after every ${).',
+      }));
+    } else if (token.type === 'regex' && token.unterminated) {
+      diagnostics.push(fromToken(token, {
+        code: 'unterminated-regex',
+        message: 'This pattern (regular expression) never ends — it needs a closing /.',
+        hint: 'If you meant to divide, put a number or variable on both sides of the /.',
+      }));
+    } else if (token.type === 'regex' && regexProblem(token)) {
+      diagnostics.push(fromToken(token, {
+        code: 'bad-regex',
+        message: `This pattern has a mistake: ${regexProblem(token)}`,
+        hint: 'Check the brackets and special characters inside the slashes.',
+      }));
+    } else if (token.type === 'comment' && token.unterminated) {
+      diagnostics.push(fromToken(token, {
+        code: 'unterminated-comment',
+        message: 'This comment never ends — did you forget the closing */ ?',
+        hint: 'Add */ where the comment should stop, or the rest of your code is ignored.',
+      }));
+    } else if (token.type === 'number' && numberPattern && !numberPattern.test(token.value)) {
+      diagnostics.push(fromToken(token, {
+        code: 'bad-number',
+        message: `"${token.value}" isn't a number the computer understands.`,
+        hint: numberHint(token.value, language),
+      }));
+    } else if (token.type === 'dedent' && token.invalid) {
+      diagnostics.push(fromToken(token, {
+        code: 'bad-indentation',
+        message: 'This line\'s indentation doesn\'t line up with the lines above it.',
+        hint: 'Use exactly the same number of spaces as the block you want to go back to.',
+        // Zero-width token: underline the first character of the line instead
+        end: token.start + 1,
+        endColumn: token.column + 1,
+      }));
+    }
+  });
+
+  return diagnostics;
+}
@@ -0,0 +1,89 @@
+// Table-driven lexer for C-family languages (and the fallback for anything
+// without a dedicated lexer). Keywords, operators, comments and quote
+// characters come from the language table in ./languages.js.
+
+import { isDigit, isIdentifierStart, isIdentifierPart, isWhitespace } from './scanner';
+
+export function tokenizeGeneric(scanner, table) {
+  const keywords = new Set(table.keywords);
+  const symbols = [
+    ...table.operators.map((value) => ({ value, type: 'operator' })),
+    ...table.delimiters.map((value) => ({ value, type: 'delimiter' })),
+  ].sort((a, b) => b.value.length - a.value.length);
+
+  const identStart = (ch) => isIdentifierStart(ch) || (table.dollarIdentifiers && ch === '$');
+  const identPart = (ch) => isIdentifierPart(ch) || (table.dollarIdentifiers && ch === '$');
+
+  while (!scanner.done) {
+    // Nothing carries over between lines, so every checkpoint is stateless
+    if (scanner.checkpoint(() => null)) return scanner.tokens;
+    const ch = scanner.peek();
+
+    if (isWhitespace(ch)) {
+      if (scanner.state !== 'whitespace') scanner.enter('whitespace');
+      scanner.advance();
+      continue;
+    }
+
+    scanner.begin();
+
+    if (table.lineComment && scanner.startsWith(table.lineComment)) {
+      scanner.enter('comment');
+      scanner.advanceWhile((c) => c !== '\n');
+      scanner.emit('comment');
+      continue;
+    }
+
+    if (table.blockComment && scanner.startsWith(table.blockComment[0])) {
+      const [open, close] = table.blockComment;
+      scanner.enter('comment');
+      scanner.advanceBy(open.length);
+      while (!scanner.done && !scanner.startsWith(close)) scanner.advance();
+      const terminated = scanner.startsWith(close);
+      scanner.advanceBy(close.length);
+      scanner.emit('comment', terminated ? {} : { unterminated: true });
+      continue;
+    }
+
+    if (table.quotes.includes(ch)) {
+      scanner.enter('string');
+      scanner.advance();
+      while (!scanner.done && scanner.peek() !== ch && (ch === '`' || scanner.peek() !== '\n')) {
+        if (scanner.peek() === '\\') scanner.advance();
+        scanner.advance();
+      }
+      const terminated = scanner.peek() === ch;
+      if (terminated) scanner.advance();
+      scanner.emit('string', terminated ? {} : { unterminated: true });
+      continue;
+    }
+
+    if (isDigit(ch) || (ch === '.' && isDigit(scanner.peek(1)))) {
+      scanner.enter('number');
+      scanner.advanceWhile((c) => isIdentifierPart(c) || c === '.');
+      scanner.emit('number');
+      continue;
+    }
+
+    if (identStart(ch)) {
+      scanner.enter('identifier');
+      const word = scanner.advanceWhile(identPart);
+      scanner.emit(keywords.has(word) ? 'keyword' : 'identifier');
+      continue;
+    }
+
+    const symbol = symbols.find((s) => scanner.startsWith(s.value));
+    if (symbol) {
+      scanner.enter(symbol.type);
+      scanner.advanceBy(symbol.value.length);
+      scanner.emit(symbol.type);
+      continue;
+    }
+
+    scanner.enter('unknown');
+    scanner.advance();
+    scanner.emit('unknown');
+  }
+
+  return scanner.tokens;
+}
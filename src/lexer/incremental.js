@@ -0,0 +1,138 @@
+// Incremental re-lexing for large files.
+// A lex state keeps the tokens plus a checkpoint at every line start the
+// lexer passed through ({ pos, line, tokenCount, state }). After an edit we
+// resume from the last checkpoint before the change and stop as soon as we
+// reach a checkpoint after it whose lexer state matches the old one at the
+// same (shifted) place: from there on the old tokens are still right, so
+// they are reused with their offsets and line numbers moved.
+
+import { Scanner } from './scanner';
+import { runLexer } from './run';
+
+const countLines = (text) => {
+  let count = 0;
+  for (let i = 0; i < text.length; i += 1) if (text[i] === '\n') count += 1;
+  return count;
+};
+
+// Index of the last checkpoint with pos < offset (checkpoints are sorted by pos)
+const checkpointBefore = (checkpoints, offset) => {
+  let lo = 0;
+  let hi = checkpoints.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (checkpoints[mid].pos < offset) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+};
+
+// Lexing with a different user-defined language invalidates everything
+const definitionKey = (definition) => (definition ? JSON.stringify(definition) : '');
+
+export function createLexState(source, language = 'javascript', definition = null) {
+  const text = String(source || '');
+  const scanner = new Scanner(text);
+  const tokens = runLexer(scanner, language, null, definition);
+  return {
+    source: text,
+    language,
+    definition,
+    definitionKey: definitionKey(definition),
+    tokens,
+    checkpoints: scanner.checkpoints,
+    relexed: { from: 0, to: text.length, reusedTokens: 0 },
+  };
+}
+
+export function updateLexState(previous, source, language = 'javascript', definition = null) {
+  const text = String(source || '');
+  if (!previous || previous.language !== language || previous.definitionKey !== definitionKey(definition)) {
+    return createLexState(text, language, definition);
+  }
+  if (previous.source === text) return previous;
+
+  const oldText = previous.source;
+  const maxShared = Math.min(oldText.length, text.length);
+  let prefix = 0;
+  while (prefix < maxShared && oldText[prefix] === text[prefix]) prefix += 1;
+  let suffix = 0;
+  while (suffix < maxShared - prefix && oldText[oldText.length - 1 - suffix] === text[text.length - 1 - suffix]) suffix += 1;
+
+  const resumeIndex = checkpointBefore(previous.checkpoints, prefix);
+  if (resumeIndex < 0) return createLexState(text, language, definition);
+  const resume = previous.checkpoints[resumeIndex];
+
+  const delta = text.length - oldText.length;
+  const newChangeEnd = text.length - suffix;
+  const lineDelta = countLines(text.slice(prefix, newChangeEnd)) - countLines(oldText.slice(prefix, oldText.length - suffix));
+  let matchIndex = -1;
+
+  const scanner = new Scanner(text, {
+    resume: {
+      pos: resume.pos,
+      line: resume.line,
+      tokens: previous.tokens.slice(0, resume.tokenCount),
+      checkpoints: previous.checkpoints.slice(0, resumeIndex + 1),
+    },
+    // Stop at the first line start past the edit where the lexer is in the same state as before
+    shouldStop: (checkpoint) => {
+      if (checkpoint.pos < newChangeEnd) return false;
+      const index = checkpointBefore(previous.checkpoints, checkpoint.pos - delta + 1);
+      const old = previous.checkpoints[index];
+      if (!old || old.pos !== checkpoint.pos - delta || old.line + lineDelta !== checkpoint.line) return false;
+      if (JSON.stringify(old.state) !== JSON.stringify(checkpoint.state)) return false;
+      matchIndex = index;
+      return true;
+    },
+  });
+  runLexer(scanner, language, resume.state, definition);
+
+  const tokens = scanner.tokens;
+  const checkpoints = scanner.checkpoints;
+  let reusedTokens = 0;
+
+  if (scanner.stopped) {
+    const old = previous.checkpoints[matchIndex];
+    const indexDelta = scanner.stopped.tokenCount - old.tokenCount;
+    const unchanged = delta === 0 && lineDelta === 0 && indexDelta === 0;
+    for (let i = old.tokenCount; i < previous.tokens.length; i += 1) {
+      const token = previous.tokens[i];
+      tokens.push(unchanged ? token : {
+        ...token,
+        index: token.index + indexDelta,
+        start: token.start + delta,
+        end: token.end + delta,
+        line: token.line + lineDelta,
+        endLine: token.endLine + lineDelta,
+      });
+    }
+    for (let i = matchIndex; i < previous.checkpoints.length; i += 1) {
+      const checkpoint = previous.checkpoints[i];
+      checkpoints.push({
+        ...checkpoint,
+        pos: checkpoint.pos + delta,
+        line: checkpoint.line + lineDelta,
+        tokenCount: checkpoint.tokenCount + indexDelta,
+      });
+    }
+    reusedTokens = resume.tokenCount + previous.tokens.length - old.tokenCount;
+  } else {
+    reusedTokens = resume.tokenCount;
+  }
+
+  return {
+    source: text,
+    language,
+    definition,
+    definitionKey: previous.definitionKey,
+    tokens,
+    checkpoints,
+    relexed: { from: resume.pos, to: scanner.stopped ? scanner.stopped.pos : text.length, reusedTokens },
+  };
+}
@@ -0,0 +1,62 @@
+// Shared lexer entry point. Every panel that shows tokens (Tokens tab,
+// Compiler animation, Parse Tree) goes through tokenize() so they all see
+// the same token stream for the code in the editor.
+
+import { Scanner } from './scanner';
+import { runLexer } from './run';
+
+export { TOKEN_TYPES, tokenTypeInfo, tokenDisplay, tokenStyle } from './tokenTypes';
+export { lexicalDiagnostics } from './diagnostics';
+export { createLexState, updateLexState } from './incremental';
+export { parseLanguageDefinition } from './custom';
+
+// definition: parsed user-defined language, used when language is 'custom'
+export function tokenize(source, language = 'javascript', definition = null) {
+  return runLexer(new Scanner(source || ''), language, null, definition);
+}
+
+// Replay the lexer one character at a time for the step-through view.
+// Each step is either a consumed character or an emitted token:
+//   { kind: 'consume' | 'emit', state, char?, token?, pos, lexemeStart, tokenCount }
+// pos is the cursor after the step; [lexemeStart, pos) is the text read so far
+// for the token being built.
+export function lexerSteps(source, language = 'javascript', definition = null) {
+  const scanner = new Scanner(source || '', { trace: true });
+  const tokens = runLexer(scanner, language, null, definition);
+  const steps = [];
+  let state = 'start';
+  let lexemeStart = 0;
+  let tokenCount = 0;
+  scanner.trace.forEach((ev) => {
+    if (ev.kind === 'state') {
+      state = ev.state;
+      lexemeStart = ev.pos;
+    } else if (ev.kind === 'char') {
+      steps.push({ kind: 'consume', state, char: ev.ch, pos: ev.pos + 1, lexemeStart, tokenCount });
+    } else if (ev.kind === 'emit') {
+      tokenCount += 1;
+      steps.push({ kind: 'emit', state, token: ev.token, pos: ev.token.end, lexemeStart: ev.token.start, tokenCount });
+      lexemeStart = ev.token.end;
+    }
+  });
+  return { tokens, steps };
+}
+
+// Tokens that carry meaning for the parser (comments and layout tokens dropped).
+export function significantTokens(tokens) {
+  return tokens.filter((t) => t.type !== 'comment' && t.type !== 'newline' && t.type !== 'indent' && t.type !== 'dedent');
+}
+
+// Find the token covering a source offset (binary search; tokens are sorted by start).
+export function tokenAtOffset(tokens, offset) {
+  let lo = 0;
+  let hi = tokens.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    const t = tokens[mid];
+    if (offset < t.start) hi = mid - 1;
+    else if (offset >= t.end) lo = mid + 1;
+    else return t;
+  }
+  return null;
+}
@@ -0,0 +1,301 @@
+// JavaScript lexer covering the ES2022 lexical grammar:
+//   - line/block comments and a leading #! hashbang
+//   - template literals split into head/middle/tail parts around ${ … }
+//     so the interpolated expressions are tokenized like any other code
+//   - regular expression literals, telling `/` (divide) from `/re/` by the
+//     token that comes before it
+//   - all ES2022 punctuators (=>, ?., ??, **=, &&=, ...) and private #names
+//   - numbers with _ separators, hex/octal/binary, exponents and BigInt
+
+import { isDigit } from './scanner';
+import { getLanguageTable } from './languages';
+
+const ID_START = /[\p{ID_Start}$_]/u;
+const ID_PART = /[\p{ID_Continue}$\u200C\u200D]/u;
+const LINE_TERMINATOR = /[\n\r\u2028\u2029]/;
+
+// After these keywords an expression starts, so `/` begins a regex and `{` an object
+const EXPRESSION_KEYWORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'yield', 'await', 'extends']);
+// After these a value has just ended, so `/` means division
+const VALUE_KEYWORDS = new Set(['this', 'super', 'true', 'false', 'null']);
+const HEADER_KEYWORDS = new Set(['if', 'while', 'for', 'with']);
+
+const isIdStart = (ch) => !!ch && ID_START.test(ch);
+const isIdPart = (ch) => !!ch && ID_PART.test(ch);
+
+export function tokenizeJavaScript(scanner, initialState = null) {
+  const table = getLanguageTable('javascript');
+  const keywords = new Set(table.keywords);
+  const punctuators = [
+    ...table.operators.map((value) => ({ value, type: 'operator' })),
+    ...table.delimiters.map((value) => ({ value, type: 'delimiter' })),
+  ].sort((a, b) => b.value.length - a.value.length);
+
+  // Lexical context: can a regex start here, and what did each open bracket belong to?
+  let regexAllowed = initialState ? initialState.regexAllowed : true;
+  let previous = initialState ? initialState.previous : null;
+  const braces = initialState ? [...initialState.braces] : []; // 'block' | 'object' | 'template'
+  const parens = initialState ? [...initialState.parens] : []; // true when the paren holds an if/while/for/with header
+
+  const snapshot = () => ({
+    regexAllowed,
+    previous: previous && { type: previous.type, value: previous.value },
+    braces: [...braces],
+    parens: [...parens],
+  });
+
+  const significant = (token) => {
+    const { type, value } = token;
+    if (type === 'identifier' || type === 'number' || type === 'string' || type === 'regex') {
+      regexAllowed = false;
+    } else if (type === 'template') {
+      regexAllowed = token.templatePart === 'head' || token.templatePart === 'middle';
+    } else if (type === 'keyword') {
+      regexAllowed = !VALUE_KEYWORDS.has(value);
+    } else if (value === ')') {
+      regexAllowed = parens.pop() === true;
+    } else if (value === ']') {
+      regexAllowed = false;
+    } else if (value === '}') {
+      regexAllowed = braces.pop() === 'block';
+    } else if (value === '++' || value === '--') {
+      // prefix (operand expected) keeps regexAllowed; postfix leaves it false
+    } else {
+      regexAllowed = value !== '.' && value !== '?.';
+    }
+    previous = token;
+    return token;
+  };
+
+  const braceKind = () => {
+    if (!previous) return 'block';
+    if (previous.type === 'keyword') return EXPRESSION_KEYWORDS.has(previous.value) ? 'object' : 'block';
+    if ([';', '{', '}', ')', '=>'].includes(previous.value)) return 'block';
+    return 'object';
+  };
+
+  const readTemplatePart = (opening) => {
+    scanner.enter('template');
+    scanner.advance(); // ` or }
+    while (!scanner.done) {
+      const ch = scanner.peek();
+      if (ch === '\\') {
+        scanner.advanceBy(2);
+        continue;
+      }
+      if (ch === '`') {
+        scanner.advance();
+        const part = opening ? 'full' : 'tail';
+        return significant(scanner.emit('template', {
+          templatePart: part,
+          detail: part === 'full' ? 'Template literal (backtick string)' : 'Template end: text after the last placeholder',
+        }));
+      }
+      if (ch === '$' && scanner.peek(1) === '{') {
+        scanner.advanceBy(2);
+        braces.push('template');
+        const part = opening ? 'head' : 'middle';
+        return significant(scanner.emit('template', {
+          templatePart: part,
+          detail: part === 'head' ? 'Template start: text before the first placeholder' : 'Template middle: text between two placeholders',
+        }));
+      }
+      scanner.advance();
+    }
+    return significant(scanner.emit('template', { templatePart: opening ? 'full' : 'tail', unterminated: true }));
+  };
+
+  const readRegex = () => {
+    scanner.enter('regex');
+    scanner.advance(); // opening /
+    let inClass = false;
+    let terminated = false;
+    while (!scanner.done && !LINE_TERMINATOR.test(scanner.peek())) {
+      const ch = scanner.peek();
+      if (ch === '\\') {
+        scanner.advance();
+        if (!scanner.done && !LINE_TERMINATOR.test(scanner.peek())) scanner.advance();
+        continue;
+      }
+      if (ch === '[') inClass = true;
+      else if (ch === ']') inClass = false;
+      else if (ch === '/' && !inClass) {
+        scanner.advance();
+        terminated = true;
+        break;
+      }
+      scanner.advance();
+    }
+    const bodyEnd = scanner.pos - (terminated ? 1 : 0);
+    const body = scanner.source.slice(scanner.mark.start + 1, bodyEnd);
+    const flags = terminated ? scanner.advanceWhile(isIdPart) : '';
+    return significant(scanner.emit('regex', {
+      body,
+      flags,
+      detail: `Regular expression${flags ? ` with flags "${flags}"` : ''}`,
+      ...(terminated ? {} : { unterminated: true }),
+    }));
+  };
+
+  const readString = (quote) => {
+    scanner.enter('string');
+    scanner.advance();
+    let terminated = false;
+    while (!scanner.done) {
+      const ch = scanner.peek();
+      if (ch === quote) {
+        scanner.advance();
+        terminated = true;
+        break;
+      }
+      if (ch === '\n' || ch === '\r') break;
+      if (ch === '\\') {
+        scanner.advance();
+        if (scanner.peek() === '\r' && scanner.peek(1) === '\n') scanner.advance();
+      }
+      scanner.advance();
+    }
+    return significant(scanner.emit('string', terminated ? {} : { unterminated: true }));
+  };
+
+  const readNumber = () => {
+    scanner.enter('number');
+    let detail = 'Decimal number';
+    const radix = scanner.peek() === '0' && /[xXoObB]/.test(scanner.peek(1)) ? scanner.peek(1).toLowerCase() : null;
+    if (radix) {
+      scanner.advanceBy(2);
+      scanner.advanceWhile((c) => /[0-9a-fA-F_]/.test(c));
+      detail = { x: 'Hexadecimal number', o: 'Octal number', b: 'Binary number' }[radix];
+    } else {
+      scanner.advanceWhile((c) => isDigit(c) || c === '_');
+      if (scanner.peek() === '.') {
+        scanner.advance();
+        scanner.advanceWhile((c) => isDigit(c) || c === '_');
+      }
+      if (/[eE]/.test(scanner.peek()) && (isDigit(scanner.peek(1)) || (/[+-]/.test(scanner.peek(1)) && isDigit(scanner.peek(2))))) {
+        scanner.advanceBy(/[+-]/.test(scanner.peek(1)) ? 2 : 1);
+        scanner.advanceWhile((c) => isDigit(c) || c === '_');
+        detail = 'Number in scientific notation';
+      }
+    }
+    if (scanner.peek() === 'n') {
+      scanner.advance();
+      detail = 'BigInt (whole number of any size)';
+    }
+    // Letters glued onto a number (e.g. 3px) stay in the token so they can be reported
+    scanner.advanceWhile(isIdPart);
+    if (scanner.source.slice(scanner.mark.start, scanner.pos).includes('_')) detail += ' with _ digit separators';
+    return significant(scanner.emit('number', { detail }));
+  };
+
+  const readIdentifier = (isPrivate) => {
+    scanner.enter('identifier');
+    if (isPrivate) scanner.advance();
+    while (!scanner.done) {
+      if (scanner.peek() === '\\' && scanner.peek(1) === 'u') {
+        scanner.advanceBy(2);
+        if (scanner.peek() === '{') scanner.advanceWhile((c) => c !== '}' && !LINE_TERMINATOR.test(c));
+        scanner.advanceWhile((c) => /[0-9a-fA-F}]/.test(c));
+        continue;
+      }
+      if (!isIdPart(scanner.peek())) break;
+      scanner.advance();
+    }
+    const word = scanner.source.slice(scanner.mark.start, scanner.pos);
+    if (isPrivate) return significant(scanner.emit('identifier', { detail: 'Private class field (#name)' }));
+    // obj.if is a property name, not a keyword
+    const isKeyword = keywords.has(word) && !(previous && (previous.value === '.' || previous.value === '?.'));
+    return significant(scanner.emit(isKeyword ? 'keyword' : 'identifier'));
+  };
+
+  // #! line at the very top (node scripts)
+  if (scanner.pos === 0 && scanner.startsWith('#!')) {
+    scanner.begin();
+    scanner.enter('comment');
+    scanner.advanceWhile((c) => !LINE_TERMINATOR.test(c));
+    scanner.emit('comment', { detail: 'Hashbang line' });
+  }
+
+  while (!scanner.done) {
+    if (scanner.checkpoint(snapshot)) return scanner.tokens;
+    const ch = scanner.peek();
+
+    if (/\s/.test(ch) || ch === '\uFEFF') {
+      if (scanner.state !== 'whitespace') scanner.enter('whitespace');
+      scanner.advance();
+      continue;
+    }
+
+    scanner.begin();
+
+    if (scanner.startsWith('//')) {
+      scanner.enter('comment');
+      scanner.advanceWhile((c) => !LINE_TERMINATOR.test(c));
+      scanner.emit('comment');
+      continue;
+    }
+
+    if (scanner.startsWith('/*')) {
+      scanner.enter('comment');
+      scanner.advanceBy(2);
+      while (!scanner.done && !scanner.startsWith('*/')) scanner.advance();
+      const terminated = scanner.startsWith('*/');
+      scanner.advanceBy(2);
+      scanner.emit('comment', terminated ? {} : { unterminated: true });
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      readString(ch);
+      continue;
+    }
+
+    if (ch === '`') {
+      readTemplatePart(true);
+      continue;
+    }
+
+    if (ch === '}' && braces[braces.length - 1] === 'template') {
+      braces.pop();
+      readTemplatePart(false);
+      continue;
+    }
+
+    if (ch === '/' && regexAllowed) {
+      readRegex();
+      continue;
+    }
+
+    if (isDigit(ch) || (ch === '.' && isDigit(scanner.peek(1)))) {
+      readNumber();
+      continue;
+    }
+
+    if (isIdStart(ch) || (ch === '\\' && scanner.peek(1) === 'u')) {
+      readIdentifier(false);
+      continue;
+    }
+
+    if (ch === '#' && isIdStart(scanner.peek(1))) {
+      readIdentifier(true);
+      continue;
+    }
+
+    // `a?.5:b` is a conditional with .5, not optional chaining
+    const symbol = punctuators.find((s) => scanner.startsWith(s.value) && !(s.value === '?.' && isDigit(scanner.peek(2))));
+    if (symbol) {
+      scanner.enter(symbol.type);
+      if (symbol.value === '{') braces.push(braceKind());
+      if (symbol.value === '(') parens.push(!!previous && previous.type === 'keyword' && HEADER_KEYWORDS.has(previous.value));
+      scanner.advanceBy(symbol.value.length);
+      significant(scanner.emit(symbol.type));
+      continue;
+    }
+
+    scanner.enter('unknown');
+    scanner.advance();
+    significant(scanner.emit('unknown'));
+  }
+
+  return scanner.tokens;
+}
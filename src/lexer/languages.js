@@ -0,0 +1,57 @@
+// Lexical tables for every language the editor supports.
+// Operators are matched longest-first, so their order here does not matter.
+
+const cFamilyDelimiters = ['(', ')', '{', '}', '[', ']', ';', ',', '.'];
+
+export const languageTables = {
+  javascript: {
+    // ES2022 reserved words, literals and the contextual keywords students meet
+    keywords: ['await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do', 'else', 'enum', 'export', 'extends', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'new', 'return', 'super', 'switch', 'this', 'throw', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield', 'let', 'static', 'async', 'of', 'true', 'false', 'null'],
+    operators: ['=', '+', '-', '*', '/', '%', '**', '++', '--', '==', '===', '!=', '!==', '<', '>', '<=', '>=', '&&', '||', '??', '!', '~', '&', '|', '^', '<<', '>>', '>>>', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=', '&&=', '||=', '??=', '=>', '?', '?.', ':', '...'],
+    delimiters: cFamilyDelimiters,
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    quotes: ['"', "'", '`'],
+    dollarIdentifiers: true,
+  },
+  python: {
+    keywords: ['def', 'class', 'if', 'else', 'elif', 'for', 'while', 'return', 'import', 'from', 'as', 'try', 'except', 'finally', 'raise', 'with', 'pass', 'break', 'continue', 'lambda', 'global', 'nonlocal', 'in', 'is', 'and', 'or', 'not', 'True', 'False', 'None', 'yield', 'assert', 'del'],
+    operators: ['=', '+', '-', '*', '/', '//', '%', '**', '==', '!=', '<', '>', '<=', '>=', '+=', '-=', '*=', '/=', '//=', '%=', '**=', '&', '|', '^', '~', '<<', '>>', '@', '->', ':='],
+    delimiters: ['(', ')', '[', ']', '{', '}', ':', ',', '.', ';'],
+    lineComment: '#',
+    blockComment: null,
+    quotes: ['"', "'"],
+    dollarIdentifiers: false,
+  },
+  java: {
+    keywords: ['public', 'private', 'protected', 'static', 'final', 'abstract', 'class', 'interface', 'extends', 'implements', 'new', 'this', 'super', 'void', 'int', 'long', 'double', 'float', 'boolean', 'char', 'byte', 'short', 'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'break', 'continue', 'return', 'try', 'catch', 'finally', 'throw', 'throws', 'import', 'package', 'true', 'false', 'null'],
+    operators: ['=', '+', '-', '*', '/', '%', '==', '!=', '<', '>', '<=', '>=', '&&', '||', '!', '++', '--', '+=', '-=', '*=', '/=', '?', ':', '&', '|', '^', '~', '<<', '>>', '>>>', '->'],
+    delimiters: [...cFamilyDelimiters, '@'],
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    quotes: ['"', "'"],
+    dollarIdentifiers: true,
+  },
+  cpp: {
+    keywords: ['int', 'long', 'short', 'float', 'double', 'char', 'bool', 'void', 'auto', 'const', 'static', 'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'break', 'continue', 'return', 'class', 'struct', 'public', 'private', 'protected', 'namespace', 'using', 'new', 'delete', 'this', 'true', 'false', 'nullptr', 'template', 'typename'],
+    operators: ['=', '+', '-', '*', '/', '%', '==', '!=', '<', '>', '<=', '>=', '&&', '||', '!', '++', '--', '+=', '-=', '*=', '/=', '<<', '>>', '->', '::', '?', ':', '&', '|', '^', '~'],
+    delimiters: [...cFamilyDelimiters, '#'],
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    quotes: ['"', "'"],
+    dollarIdentifiers: false,
+  },
+  c: {
+    keywords: ['int', 'long', 'short', 'float', 'double', 'char', 'void', 'const', 'static', 'unsigned', 'signed', 'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'break', 'continue', 'return', 'struct', 'typedef', 'enum', 'union', 'sizeof'],
+    operators: ['=', '+', '-', '*', '/', '%', '==', '!=', '<', '>', '<=', '>=', '&&', '||', '!', '++', '--', '+=', '-=', '*=', '/=', '<<', '>>', '->', '?', ':', '&', '|', '^', '~'],
+    delimiters: [...cFamilyDelimiters, '#'],
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    quotes: ['"', "'"],
+    dollarIdentifiers: false,
+  },
+};
+
+export function getLanguageTable(language) {
+  return languageTables[language] || languageTables.javascript;
+}
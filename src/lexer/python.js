@@ -0,0 +1,246 @@
+// Indentation-aware Python lexer.
+// Follows the rules of CPython's tokenizer closely enough for teaching:
+//   - NEWLINE ends a logical line (not emitted for blank/comment-only lines
+//     or inside brackets, where lines are joined implicitly)
+//   - INDENT/DEDENT are emitted when the leading whitespace of a logical
+//     line grows or shrinks, so blocks are visible in the token stream
+//   - string prefixes (r, b, u, f and combinations), triple quotes, f-strings
+//   - numeric literals with underscores, hex/octal/binary, exponents, imaginary
+
+import { isDigit, isIdentifierStart, isIdentifierPart } from './scanner';
+import { getLanguageTable } from './languages';
+
+const TAB_SIZE = 8;
+const STRING_PREFIX = /^(?:r|u|f|b|br|rb|fr|rf)$/i;
+const WORD_OPERATORS = new Set(['and', 'or', 'not', 'in', 'is']);
+
+const isHex = (ch) => /[0-9a-fA-F_]/.test(ch);
+
+export function tokenizePython(scanner, initialState = null) {
+  const table = getLanguageTable('python');
+  const keywords = new Set(table.keywords);
+  const symbols = [
+    ...table.operators.map((value) => ({ value, type: 'operator' })),
+    ...table.delimiters.map((value) => ({ value, type: 'delimiter' })),
+  ].sort((a, b) => b.value.length - a.value.length);
+
+  const indents = initialState ? [...initialState.indents] : [0];
+  let bracketDepth = initialState ? initialState.bracketDepth : 0;
+  let atLineStart = initialState ? initialState.atLineStart : true;
+  let lineHasContent = initialState ? initialState.lineHasContent : false;
+
+  const snapshot = () => ({ indents: [...indents], bracketDepth, atLineStart, lineHasContent });
+
+  const depth = () => indents.length - 1;
+  const emit = (type, extra = {}) => scanner.emit(type, { depth: depth(), ...extra });
+
+  const readIndentation = () => {
+    scanner.begin();
+    scanner.enter('indentation');
+    let width = 0;
+    while (scanner.peek() === ' ' || scanner.peek() === '\t' || scanner.peek() === '\f') {
+      const ch = scanner.advance();
+      width = ch === '\t' ? (Math.floor(width / TAB_SIZE) + 1) * TAB_SIZE : ch === ' ' ? width + 1 : 0;
+    }
+    const next = scanner.peek();
+    // Blank and comment-only lines never change the indentation level
+    if (next === '\n' || next === '\r' || next === '#' || scanner.done) {
+      scanner.mark = null;
+      return;
+    }
+    const top = indents[indents.length - 1];
+    if (width > top) {
+      indents.push(width);
+      emit('indent', { detail: `Block starts: indented to ${width} spaces` });
+    } else {
+      scanner.mark = null;
+      while (width < indents[indents.length - 1]) {
+        indents.pop();
+        scanner.begin();
+        emit('dedent', { detail: `Block ends: back to ${indents[indents.length - 1]} spaces` });
+      }
+      if (width !== indents[indents.length - 1]) {
+        scanner.begin();
+        emit('dedent', { detail: 'Indentation does not line up with any outer block', invalid: true });
+      }
+    }
+  };
+
+  const readString = (prefix) => {
+    const quote = scanner.peek();
+    const triple = scanner.startsWith(quote.repeat(3));
+    const closing = triple ? quote.repeat(3) : quote;
+    scanner.enter('string');
+    const raw = /r/i.test(prefix);
+    const isF = /f/i.test(prefix);
+    scanner.advanceBy(closing.length);
+    let terminated = false;
+    let placeholders = 0;
+    while (!scanner.done) {
+      if (scanner.startsWith(closing)) {
+        scanner.advanceBy(closing.length);
+        terminated = true;
+        break;
+      }
+      const ch = scanner.peek();
+      if (ch === '\n' && !triple) break;
+      if (ch === '\\') {
+        scanner.advance();
+        if (!scanner.done && (!raw || scanner.peek() === quote || scanner.peek() === '\\')) scanner.advance();
+        continue;
+      }
+      if (isF && ch === '{') {
+        if (scanner.peek(1) === '{') scanner.advance();
+        else placeholders += 1;
+      }
+      scanner.advance();
+    }
+    const kind = [
+      isF ? 'f-string' : /b/i.test(prefix) ? 'Bytes literal' : 'String literal',
+      triple ? '(triple-quoted, may span lines)' : '',
+      raw ? '(raw: backslashes kept as-is)' : '',
+      isF ? `with ${placeholders} {…} placeholder${placeholders === 1 ? '' : 's'}` : '',
+    ].filter(Boolean).join(' ');
+    emit('string', { detail: kind, fstring: isF, triple, ...(terminated ? {} : { unterminated: true }) });
+  };
+
+  const readNumber = () => {
+    scanner.enter('number');
+    let detail = 'Integer';
+    const radix = scanner.peek() === '0' && /[xXoObB]/.test(scanner.peek(1)) ? scanner.peek(1).toLowerCase() : null;
+    if (radix) {
+      scanner.advanceBy(2);
+      const digit = radix === 'x' ? isHex : radix === 'o' ? (c) => /[0-7_]/.test(c) : (c) => /[01_]/.test(c);
+      scanner.advanceWhile(digit);
+      detail = { x: 'Hexadecimal integer', o: 'Octal integer', b: 'Binary integer' }[radix];
+    } else {
+      scanner.advanceWhile((c) => isDigit(c) || c === '_');
+      if (scanner.peek() === '.' && scanner.peek(1) !== '.') {
+        scanner.advance();
+        scanner.advanceWhile((c) => isDigit(c) || c === '_');
+        detail = 'Floating-point number';
+      }
+      if (/[eE]/.test(scanner.peek()) && (isDigit(scanner.peek(1)) || (/[+-]/.test(scanner.peek(1)) && isDigit(scanner.peek(2))))) {
+        scanner.advanceBy(/[+-]/.test(scanner.peek(1)) ? 2 : 1);
+        scanner.advanceWhile((c) => isDigit(c) || c === '_');
+        detail = 'Floating-point number (scientific notation)';
+      }
+      if (/[jJ]/.test(scanner.peek())) {
+        scanner.advance();
+        detail = 'Imaginary number';
+      }
+    }
+    // Letters glued onto a number (e.g. 12abc) stay part of the same token
+    scanner.advanceWhile(isIdentifierPart);
+    const value = scanner.source.slice(scanner.mark.start, scanner.pos);
+    if (value.includes('_')) detail += ' with _ digit separators';
+    emit('number', { detail });
+  };
+
+  while (!scanner.done) {
+    if (scanner.checkpoint(snapshot)) return scanner.tokens;
+    if (atLineStart) {
+      atLineStart = false;
+      if (bracketDepth === 0) {
+        lineHasContent = false;
+        readIndentation();
+      }
+      continue;
+    }
+
+    const ch = scanner.peek();
+
+    if (ch === '\n') {
+      if (bracketDepth === 0 && lineHasContent) {
+        scanner.begin();
+        scanner.enter('newline');
+        scanner.advance();
+        emit('newline', { detail: 'End of a logical line' });
+      } else {
+        scanner.enter('whitespace');
+        scanner.advance();
+      }
+      atLineStart = true;
+      continue;
+    }
+
+    if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\f') {
+      if (scanner.state !== 'whitespace') scanner.enter('whitespace');
+      scanner.advance();
+      continue;
+    }
+
+    // Explicit line joining with a trailing backslash
+    if (ch === '\\' && (scanner.peek(1) === '\n' || (scanner.peek(1) === '\r' && scanner.peek(2) === '\n'))) {
+      scanner.enter('whitespace');
+      scanner.advanceBy(scanner.peek(1) === '\r' ? 3 : 2);
+      continue;
+    }
+
+    scanner.begin();
+
+    if (ch === '#') {
+      scanner.enter('comment');
+      scanner.advanceWhile((c) => c !== '\n');
+      emit('comment');
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      lineHasContent = true;
+      readString('');
+      continue;
+    }
+
+    if (isDigit(ch) || (ch === '.' && isDigit(scanner.peek(1)))) {
+      lineHasContent = true;
+      readNumber();
+      continue;
+    }
+
+    if (isIdentifierStart(ch)) {
+      lineHasContent = true;
+      scanner.enter('identifier');
+      const word = scanner.advanceWhile(isIdentifierPart);
+      if (STRING_PREFIX.test(word) && (scanner.peek() === '"' || scanner.peek() === "'")) {
+        readString(word);
+      } else if (keywords.has(word)) {
+        emit('keyword', WORD_OPERATORS.has(word) ? { detail: 'Keyword used as an operator' } : {});
+      } else {
+        emit('identifier');
+      }
+      continue;
+    }
+
+    const symbol = symbols.find((s) => scanner.startsWith(s.value));
+    if (symbol) {
+      lineHasContent = true;
+      scanner.enter(symbol.type);
+      if ('([{'.includes(symbol.value)) bracketDepth += 1;
+      if (')]}'.includes(symbol.value)) bracketDepth = Math.max(0, bracketDepth - 1);
+      scanner.advanceBy(symbol.value.length);
+      emit(symbol.type);
+      continue;
+    }
+
+    lineHasContent = true;
+    scanner.enter('unknown');
+    scanner.advance();
+    emit('unknown');
+  }
+
+  // Close the last logical line and any open blocks
+  if (lineHasContent) {
+    scanner.begin();
+    scanner.enter('newline');
+    emit('newline', { detail: 'End of a logical line' });
+  }
+  while (indents.length > 1) {
+    indents.pop();
+    scanner.begin();
+    scanner.enter('indentation');
+    emit('dedent', { detail: `Block ends: back to ${indents[indents.length - 1]} spaces` });
+  }
+
+  return scanner.tokens;
+}
@@ -0,0 +1,16 @@
+// Picks the lexer for a language. initialState is a checkpoint snapshot
+// when resuming mid-file (see ./incremental.js); definition is the parsed
+// user-defined language used when language is 'custom' (see ./custom.js).
+
+import { getLanguageTable } from './languages';
+import { tokenizeGeneric } from './generic';
+import { tokenizePython } from './python';
+import { tokenizeJavaScript } from './javascript';
+import { tokenizeCustom } from './custom';
+
+export function runLexer(scanner, language, initialState = null, definition = null) {
+  if (language === 'custom' && definition) return tokenizeCustom(scanner, definition);
+  if (language === 'python') return tokenizePython(scanner, initialState);
+  if (language === 'javascript') return tokenizeJavaScript(scanner, initialState);
+  return tokenizeGeneric(scanner, getLanguageTable(language));
+}
@@ -0,0 +1,118 @@
+// Character-level cursor used by the lexers.
+// Tracks offset, line and column as it advances so every token carries
+// exact source positions without a second pass over the text.
+// With { trace: true } it also records every state change, consumed
+// character and emitted token, which the step-through lexer view replays.
+// Lexers call checkpoint() at the top of their main loop; the snapshots
+// taken at line starts let ./incremental.js resume lexing mid-file.
+
+export class Scanner {
+  constructor(source, options = {}) {
+    const resume = options.resume || null;
+    this.source = String(source || '');
+    this.pos = resume ? resume.pos : 0;
+    this.line = resume ? resume.line : 1;
+    this.column = 1;
+    this.tokens = resume ? resume.tokens : [];
+    this.checkpoints = resume ? resume.checkpoints : [];
+    this.shouldStop = options.shouldStop || null;
+    this.stopped = null;
+    this.mark = null;
+    this.state = 'start';
+    this.trace = options.trace ? [] : null;
+  }
+
+  // Record the lexer state at the start of a line. snapshot() must return a
+  // plain copy of everything the lexer needs to carry on from here.
+  // Returns true when shouldStop() accepts the checkpoint: the lexer then
+  // stops immediately (the caller splices in the rest of the old tokens).
+  checkpoint(snapshot) {
+    if (this.pos > 0 && this.source[this.pos - 1] !== '\n') return false;
+    const last = this.checkpoints[this.checkpoints.length - 1];
+    if (last && last.pos === this.pos) return false;
+    const checkpoint = { pos: this.pos, line: this.line, tokenCount: this.tokens.length, state: snapshot() };
+    if (this.shouldStop && this.shouldStop(checkpoint)) {
+      this.stopped = checkpoint;
+      return true;
+    }
+    this.checkpoints.push(checkpoint);
+    return false;
+  }
+
+  // Switch the lexer state machine (identifier, number, string, ...).
+  enter(state) {
+    this.state = state;
+    if (this.trace) this.trace.push({ kind: 'state', state, pos: this.mark ? this.mark.start : this.pos });
+  }
+
+  get done() {
+    return this.pos >= this.source.length;
+  }
+
+  peek(offset = 0) {
+    return this.source[this.pos + offset] || '';
+  }
+
+  startsWith(text) {
+    return this.source.startsWith(text, this.pos);
+  }
+
+  advance() {
+    const ch = this.source[this.pos];
+    if (ch === undefined) return '';
+    if (this.trace) this.trace.push({ kind: 'char', ch, pos: this.pos, state: this.state });
+    this.pos += 1;
+    if (ch === '\n') {
+      this.line += 1;
+      this.column = 1;
+    } else {
+      this.column += 1;
+    }
+    return ch;
+  }
+
+  advanceBy(count) {
+    let text = '';
+    for (let i = 0; i < count && !this.done; i += 1) text += this.advance();
+    return text;
+  }
+
+  // Consume characters while the predicate holds; returns the consumed text.
+  advanceWhile(predicate) {
+    let text = '';
+    while (!this.done && predicate(this.peek(), this.pos)) text += this.advance();
+    return text;
+  }
+
+  // Remember where the current token begins.
+  begin() {
+    this.mark = { start: this.pos, line: this.line, column: this.column };
+    return this.mark;
+  }
+
+  // Emit a token spanning from the last begin() to the current position.
+  emit(type, extra = {}) {
+    const mark = this.mark || { start: this.pos, line: this.line, column: this.column };
+    const token = {
+      index: this.tokens.length,
+      type,
+      value: this.source.slice(mark.start, this.pos),
+      start: mark.start,
+      end: this.pos,
+      line: mark.line,
+      column: mark.column,
+      endLine: this.line,
+      endColumn: this.column,
+      ...extra,
+    };
+    this.tokens.push(token);
+    this.mark = null;
+    if (this.trace) this.trace.push({ kind: 'emit', token, state: this.state });
+    return token;
+  }
+}
+
+export const isDigit = (ch) => ch >= '0' && ch <= '9';
+export const isIdentifierStart = (ch) => /[A-Za-z_\u00C0-\uFFFF]/.test(ch);
+export const isIdentifierPart = (ch) => /[A-Za-z0-9_\u00C0-\uFFFF]/.test(ch);
+export const isWhitespace = (ch) => ch === ' ' || ch === '\t' || ch === '\r' || ch === '\n' || ch === '\f' || ch === '\v';
@@ -0,0 +1,139 @@
+// Token type taxonomy shared by every panel (Tokens tab, Compiler animation, Parse Tree).
+// Each lexer emits tokens shaped like:
+//   { index, type, value, start, end, line, column, endLine, endColumn }
+// start/end are character offsets into the source (end exclusive);
+// line/column are 1-based so they map directly onto Monaco positions.
+
+export const TOKEN_TYPES = {
+  keyword: {
+    label: 'Keyword',
+    category: 'reserved',
+    description: 'Reserved language keyword',
+    color: 'text-blue-400',
+    bgColor: 'bg-blue-900',
+    chip: 'bg-purple-600 text-white',
+  },
+  identifier: {
+    label: 'Identifier',
+    category: 'variable',
+    description: 'User-defined identifier',
+    color: 'text-cyan-400',
+    bgColor: 'bg-cyan-900',
+    chip: 'bg-blue-600 text-white',
+  },
+  number: {
+    label: 'Number',
+    category: 'literal',
+    description: 'Numeric literal',
+    color: 'text-yellow-400',
+    bgColor: 'bg-yellow-900',
+    chip: 'bg-green-600 text-white',
+  },
+  string: {
+    label: 'String',
+    category: 'literal',
+    description: 'String literal',
+    color: 'text-green-400',
+    bgColor: 'bg-green-900',
+    chip: 'bg-yellow-600 text-black',
+  },
+  template: {
+    label: 'Template',
+    category: 'literal',
+    description: 'Template literal (backtick string with placeholders)',
+    color: 'text-lime-400',
+    bgColor: 'bg-lime-900',
+    chip: 'bg-lime-600 text-black',
+  },
+  regex: {
+    label: 'Regex',
+    category: 'literal',
+    description: 'Regular expression pattern',
+    color: 'text-red-300',
+    bgColor: 'bg-red-950',
+    chip: 'bg-red-400 text-black',
+  },
+  operator: {
+    label: 'Operator',
+    category: 'symbol',
+    description: 'Operator or symbol',
+    color: 'text-purple-400',
+    bgColor: 'bg-purple-900',
+    chip: 'bg-orange-600 text-white',
+  },
+  delimiter: {
+    label: 'Delimiter',
+    category: 'punctuation',
+    description: 'Delimiter or punctuation',
+    color: 'text-gray-400',
+    bgColor: 'bg-gray-700',
+    chip: 'bg-gray-600 text-white',
+  },
+  comment: {
+    label: 'Comment',
+    category: 'documentation',
+    description: 'Code comment',
+    color: 'text-gray-500',
+    bgColor: 'bg-gray-800',
+    chip: 'bg-gray-700 text-gray-300',
+  },
+  newline: {
+    label: 'Newline',
+    category: 'layout',
+    description: 'End of a statement line',
+    color: 'text-pink-300',
+    bgColor: 'bg-pink-900',
+    chip: 'bg-pink-700 text-white',
+  },
+  indent: {
+    label: 'Indent',
+    category: 'layout',
+    description: 'Start of an indented block',
+    color: 'text-emerald-300',
+    bgColor: 'bg-emerald-900',
+    chip: 'bg-emerald-600 text-white',
+  },
+  dedent: {
+    label: 'Dedent',
+    category: 'layout',
+    description: 'End of an indented block',
+    color: 'text-rose-300',
+    bgColor: 'bg-rose-900',
+    chip: 'bg-rose-600 text-white',
+  },
+  custom: {
+    label: 'Custom',
+    category: 'custom',
+    description: 'Token type from your language definition',
+    color: 'text-gray-100',
+    bgColor: 'bg-gray-700',
+    chip: 'bg-gray-600 text-white',
+  },
+  unknown: {
+    label: 'Unknown',
+    category: 'error',
+    description: 'Unrecognized token',
+    color: 'text-red-400',
+    bgColor: 'bg-red-900',
+    chip: 'bg-red-600 text-white',
+  },
+};
+
+// Types invented in a user-defined language share the neutral "custom" look
+export function tokenTypeInfo(type) {
+  return TOKEN_TYPES[type] || { ...TOKEN_TYPES.custom, label: type || 'Custom' };
+}
+
+// Inline colors for tokens from a user-defined language (rules may set a color)
+export function tokenStyle(token, variant = 'text') {
+  if (!token.color) return undefined;
+  return variant === 'chip' ? { backgroundColor: token.color, color: '#111827' } : { color: token.color };
+}
+
+// Printable text for a token; layout tokens have no visible characters of their own.
+export function tokenDisplay(token) {
+  if (token.type === 'newline') return '⏎ NEWLINE';
+  if (token.type === 'indent') return `→ INDENT (${token.value.length})`;
+  if (token.type === 'dedent') return '← DEDENT';
+  return token.value;
+}
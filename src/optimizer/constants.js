@@ -0,0 +1,37 @@
+// Constant propagation on top of the data-flow analysis (flow/dataflow.js):
+// a variable use has a constant value when every assignment that can reach
+// it gives the variable the same constant. The language optimizer supplies
+// how to find the value an assignment stores (valueOf(definition) returns
+// its AST node, or null for loop variables, parameters, x += 1 and the
+// like), how to work out an expression's constant (evaluate(node, lookup),
+// which calls lookup for the variables in it) and when two constants are
+// the same. A loop that feeds a variable back into itself is never constant.
+
+const PENDING = Symbol('pending');
+
+export function createConstantLookup(dataflow, { valueOf, evaluate, same }) {
+  if (!dataflow) return () => null;
+  const usesAt = new Map(dataflow.uses.map((use) => [use.start, use]));
+  // definition id -> constant, null or PENDING while it is being worked out
+  const known = new Map();
+
+  let lookup;
+  const definitionValue = (id) => {
+    if (known.has(id)) return known.get(id) === PENDING ? null : known.get(id);
+    known.set(id, PENDING);
+    const node = valueOf(dataflow.definitions[id]);
+    const constant = node ? evaluate(node, lookup) : null;
+    known.set(id, constant);
+    return constant;
+  };
+
+  // The constant a name node has where it is used, or null
+  lookup = (node) => {
+    const use = usesAt.get(node.start);
+    if (!use || !use.reaching.length) return null;
+    const values = use.reaching.map(definitionValue);
+    if (values.some((value) => !value)) return null;
+    return values.every((value) => same(value, values[0])) ? values[0] : null;
+  };
+  return lookup;
+}
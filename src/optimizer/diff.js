@@ -0,0 +1,65 @@
+// Line diff of the original and the optimized program, for the side-by-side
+// view: the longest common subsequence of their lines, with a removed line
+// and an added one in the same place paired up as a changed row.
+//   [{ kind: 'same' | 'removed' | 'added' | 'changed', left, right }]
+// left and right are { line, text } on each side, null where a side has no line.
+
+export function lineDiff(before, after) {
+  const left = String(before || '').split('\n');
+  const right = String(after || '').split('\n');
+  // common[i][j]: length of the longest common subsequence of left[i..] and right[j..]
+  const common = Array.from({ length: left.length + 1 }, () => new Array(right.length + 1).fill(0));
+  for (let i = left.length - 1; i >= 0; i -= 1) {
+    for (let j = right.length - 1; j >= 0; j -= 1) {
+      common[i][j] = left[i] === right[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const rows = [];
+  const removed = [];
+  const added = [];
+  // Removed and added lines between two common ones pair up as changed rows
+  // when they start out the same (print(f"{x}") and print("5")); the rest
+  // stay removed or added
+  const similar = (a, b) => {
+    const x = a.text.trim();
+    const y = b.text.trim();
+    let same = 0;
+    while (same < x.length && x[same] === y[same]) same += 1;
+    return same > 0 && same >= Math.min(4, x.length, y.length);
+  };
+  const flush = () => {
+    let next = 0;
+    added.forEach((line) => {
+      const match = removed.findIndex((other, index) => index >= next && similar(other, line));
+      if (match === -1) {
+        rows.push({ kind: 'added', left: null, right: line });
+        return;
+      }
+      removed.slice(next, match).forEach((other) => rows.push({ kind: 'removed', left: other, right: null }));
+      rows.push({ kind: 'changed', left: removed[match], right: line });
+      next = match + 1;
+    });
+    removed.slice(next).forEach((other) => rows.push({ kind: 'removed', left: other, right: null }));
+    removed.length = 0;
+    added.length = 0;
+  };
+  let i = 0;
+  let j = 0;
+  while (i < left.length || j < right.length) {
+    if (i < left.length && j < right.length && left[i] === right[j]) {
+      flush();
+      rows.push({ kind: 'same', left: { line: i + 1, text: left[i] }, right: { line: j + 1, text: right[j] } });
+      i += 1;
+      j += 1;
+    } else if (j >= right.length || (i < left.length && common[i + 1][j] >= common[i][j + 1])) {
+      removed.push({ line: i + 1, text: left[i] });
+      i += 1;
+    } else {
+      added.push({ line: j + 1, text: right[j] });
+      j += 1;
+    }
+  }
+  flush();
+  return rows;
+}
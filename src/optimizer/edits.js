@@ -0,0 +1,136 @@
+// Edit bookkeeping shared by the language optimizers. The passes don't
+// print the program from scratch: every change is an edit to the user's
+// source (replace this range with that text), so the optimized program keeps
+// the user's layout and comments, and only the code a pass touched is
+// printed anew. Edits may not overlap. An edit that covers earlier ones (a
+// statement removed after something inside it was folded) replaces them, and
+// one inside an edit already made is dropped.
+//
+// finish() applies them and returns plain data:
+//   { code, changes: [{ id, passes, note, start, end, line, endLine, before, after }] }
+// passes lists the optimization passes that made the change (see
+// OPTIMIZATION_PASSES in index.js), before is the code the change replaced
+// and after what it became ('' for code that was removed). Several edits can
+// make up one change, like the two ends of an if cut away around the branch
+// that is kept.
+
+import { createLocator } from '../parser/shared';
+
+export function createEditBuilder(source) {
+  const text = String(source || '');
+  const { locAt } = createLocator(text);
+  const edits = [];
+  const changes = [];
+
+  const lineStart = (offset) => text.lastIndexOf('\n', offset - 1) + 1;
+  const lineEnd = (offset) => {
+    const end = text.indexOf('\n', offset);
+    return end === -1 ? text.length : end;
+  };
+  const indentOf = (offset) => text.slice(lineStart(offset)).match(/^[ \t]*/)[0].length;
+
+  // Starts a change; its edits are added with edit()
+  const change = (passes, note, { start, end }) => {
+    const entry = { id: changes.length, passes, note, start, end, line: locAt(start).line, endLine: locAt(Math.max(start, end - 1)).line };
+    changes.push(entry);
+    return entry;
+  };
+
+  const edit = (entry, start, end, replacement) => {
+    if (edits.some((other) => other.start <= start && end <= other.end && other.end > other.start)) return false;
+    if (edits.some((other) => other.start < end && start < other.end && !(start <= other.start && other.end <= end))) return false;
+    for (let index = edits.length - 1; index >= 0; index -= 1) {
+      if (start <= edits[index].start && edits[index].end <= end) edits.splice(index, 1);
+    }
+    edits.push({ start, end, text: replacement, change: entry.id });
+    return true;
+  };
+
+  // Replace a node's code with text, as one change
+  const replace = (node, replacement, passes, note) => {
+    const entry = change(passes, note, node);
+    edit(entry, node.start, node.end, replacement);
+  };
+
+  // Remove a statement, with its whole line when nothing else is on it (and
+  // no other edit takes part of that line)
+  const remove = (node, passes, note) => {
+    const entry = change(passes, note, node);
+    const before = text.slice(lineStart(node.start), node.start);
+    const after = text.slice(node.end, lineEnd(node.end));
+    if (!before.trim() && !after.trim() && edit(entry, lineStart(node.start), Math.min(text.length, lineEnd(node.end) + 1), '')) return;
+    edit(entry, node.start, node.end, '');
+  };
+
+  // Keep only the code from first to last inside node (the branch of an if
+  // that always runs), moved out to where node starts: the code before and
+  // after it is cut, and the lines in between lose the extra indentation
+  const unwrap = (node, first, last, passes, note) => {
+    const entry = change(passes, note, node);
+    edit(entry, node.start, first.start, '');
+    edit(entry, last.end, node.end, '');
+    const extra = indentOf(first.start) - indentOf(node.start);
+    if (extra <= 0) return;
+    for (let at = text.indexOf('\n', first.start) + 1; at > 0 && at < last.end; at = text.indexOf('\n', at) + 1) {
+      const spaces = text.slice(at).match(/^[ \t]*/)[0].length;
+      if (spaces < text.length - at && text[at + spaces] !== '\n') edit(entry, at, at + Math.min(extra, spaces), '');
+    }
+  };
+
+  // True when the code at offset was changed or removed
+  const covered = (offset) => edits.some((item) => item.start <= offset && offset < item.end);
+
+  const removalOf = (node) => edits.find((item) => item.start <= node.start && node.end <= item.end && item.text === '');
+  // True when all of node was removed
+  const removed = (node) => Boolean(removalOf(node));
+
+  // Put replacement where a removed statement was, keeping the line it stood
+  // on: a Python block whose statements all went still needs its pass
+  const fill = (node, replacement) => {
+    const removal = removalOf(node);
+    if (removal && removal.start >= lineStart(node.start)) {
+      removal.text = text.slice(removal.start, node.start) + replacement + text.slice(node.end, removal.end);
+    }
+  };
+
+  const finish = () => {
+    edits.sort((a, b) => a.start - b.start);
+    let code = '';
+    let from = 0;
+    edits.forEach((item) => {
+      code += text.slice(from, item.start) + item.text;
+      from = item.end;
+    });
+    code += text.slice(from);
+    // Only changes with an edit left. before is all the code of the change
+    // (the whole if, not just the parts cut away) and after what it became,
+    // with the changes inside it too.
+    const kept = changes.filter((entry) => edits.some((item) => item.change === entry.id)).sort((a, b) => a.start - b.start);
+    const result = kept.map((entry, id) => {
+      const own = edits.filter((item) => item.change === entry.id);
+      const start = Math.min(entry.start, own[0].start);
+      const end = Math.max(entry.end, own[own.length - 1].end);
+      let after = '';
+      let at = start;
+      edits.filter((item) => start <= item.start && item.end <= end).forEach((item) => {
+        after += text.slice(at, item.start) + item.text;
+        at = item.end;
+      });
+      after += text.slice(at, end);
+      return {
+        id,
+        passes: entry.passes,
+        note: entry.note,
+        start: entry.start,
+        end: entry.end,
+        line: entry.line,
+        endLine: entry.endLine,
+        before: text.slice(start, end).trim(),
+        after: after.trim(),
+      };
+    });
+    return { code, changes: result };
+  };
+
+  return { text, locAt, replace, remove, unwrap, change, edit, covered, removed, fill, finish };
+}
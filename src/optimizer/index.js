@@ -0,0 +1,31 @@
+// Optimizer entry point. optimizeProgram() runs the optimization passes of
+// the code's language over the parser's AST, with the symbol table and the
+// data-flow analysis to say which variables hold constants and which
+// assignments nobody reads. It returns the optimized code and what changed
+// (see edits.js), or null for languages without a parser. lineDiff()
+// (diff.js) lines the two programs up for the before/after view.
+
+import { optimizeJavaScript } from './javascript';
+import { optimizePython } from './python';
+
+export { lineDiff } from './diff';
+
+// The passes, as the changes name them
+export const OPTIMIZATION_PASSES = {
+  'constant-folding': { icon: '🧮', title: 'Constant folding' },
+  'constant-propagation': { icon: '📌', title: 'Constant propagation' },
+  'dead-branch': { icon: '🌿', title: 'Dead branch elimination' },
+  unreachable: { icon: '🚧', title: 'Unreachable code removal' },
+  cse: { icon: '♻️', title: 'Common subexpression elimination' },
+  'dead-store': { icon: '✂️', title: 'Dead store elimination' },
+};
+
+const OPTIMIZERS = {
+  javascript: optimizeJavaScript,
+  python: optimizePython,
+};
+
+export function optimizeProgram(ast, source, language, { symbols = null, dataflow = null } = {}) {
+  const optimize = OPTIMIZERS[language];
+  return optimize && ast ? optimize(ast, source, { symbols, dataflow }) : null;
+}
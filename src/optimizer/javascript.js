@@ -0,0 +1,513 @@
+// Optimization passes for JavaScript, in one walk over the AST:
+//   - constant folding: an expression of constants (2 + 3, `a${1}`,
+//     !true) becomes its value
+//   - constant propagation: a variable every reaching assignment gives the
+//     same constant (from the data-flow analysis) becomes that constant
+//   - dead branch elimination: an if, while or ?: whose test is always true
+//     or always false keeps only the branch that can run
+//   - unreachable code removal: statements after return, throw, break or
+//     continue go (function declarations stay; they are hoisted)
+//   - common subexpression elimination: a calculation a variable already
+//     holds (let area = w * h; ... w * h) reuses the variable, as long as
+//     nothing assigned to w, h or area in between and no function of the
+//     program was called (it could have changed them)
+//   - dead store elimination, at the end: assignments the data-flow analysis
+//     found nobody reads, and variables nothing reads any more once the
+//     other passes are done, when storing them has no side effects
+// Folding follows JavaScript's own rules by doing the operation; results
+// that have no literal to write them with (NaN, Infinity, undefined) are
+// left alone.
+
+import { nodeChildren } from '../parser/astGraph';
+import { createEditBuilder } from './edits';
+import { createConstantLookup } from './constants';
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+const EXITS = { ReturnStatement: 'return', ThrowStatement: 'throw', BreakStatement: 'break', ContinueStatement: 'continue' };
+// Calls that can't change the program's variables: console.log(), Math.max(), ...
+const SAFE_OBJECTS = new Set(['console', 'Math', 'JSON', 'Number', 'String']);
+const SAFE_FUNCTIONS = new Set(['parseInt', 'parseFloat', 'isNaN', 'isFinite', 'String', 'Number', 'Boolean']);
+const VARIABLE_KINDS = new Set(['let', 'const', 'var']);
+// Longest string folding may build
+const MAX_STRING = 500;
+
+const BINARY = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => a % b,
+  '**': (a, b) => a ** b,
+  '===': (a, b) => a === b,
+  '!==': (a, b) => a !== b,
+  // == and != only when no conversion is involved, where they match === and !==
+  '==': (a, b) => (typeof a === typeof b ? a === b : undefined),
+  '!=': (a, b) => (typeof a === typeof b ? a !== b : undefined),
+  '<': (a, b) => a < b,
+  '>': (a, b) => a > b,
+  '<=': (a, b) => a <= b,
+  '>=': (a, b) => a >= b,
+  '&': (a, b) => a & b,
+  '|': (a, b) => a | b,
+  '^': (a, b) => a ^ b,
+  '<<': (a, b) => a << b,
+  '>>': (a, b) => a >> b,
+  '>>>': (a, b) => a >>> b,
+};
+
+const UNARY = {
+  '-': (a) => -a,
+  '+': (a) => +a,
+  '!': (a) => !a,
+  '~': (a) => ~a,
+  typeof: (a) => (a === null ? 'object' : typeof a),
+};
+
+// A constant is { value }, so false and null can be constants too, as long
+// as there is a literal for the value
+const constant = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) && !Object.is(value, -0) ? { value } : null;
+  if (typeof value === 'string') return value.length <= MAX_STRING ? { value } : null;
+  return typeof value === 'boolean' || value === null ? { value } : null;
+};
+
+const literal = ({ value }) => (typeof value === 'string' ? JSON.stringify(value) : String(value));
+
+export function evaluate(node, lookup) {
+  if (!node) return null;
+  const of = (child) => evaluate(child, lookup);
+  switch (node.type) {
+    case 'Literal':
+      return node.regex || node.bigint ? null : constant(node.value);
+    case 'Identifier':
+      return lookup(node);
+    case 'TemplateLiteral': {
+      const parts = node.expressions.map(of);
+      if (parts.some((part) => !part)) return null;
+      return constant(node.quasis.map((quasi, index) => quasi.value.cooked + (index < parts.length ? String(parts[index].value) : '')).join(''));
+    }
+    case 'UnaryExpression': {
+      const operand = UNARY[node.operator] && of(node.argument);
+      return operand ? constant(UNARY[node.operator](operand.value)) : null;
+    }
+    case 'BinaryExpression': {
+      if (!BINARY[node.operator]) return null;
+      const left = of(node.left);
+      const right = left && of(node.right);
+      return right ? constant(BINARY[node.operator](left.value, right.value)) : null;
+    }
+    case 'LogicalExpression': {
+      // The right side only matters when the left one doesn't decide
+      const left = of(node.left);
+      if (!left) return null;
+      if (node.operator === '&&') return left.value ? of(node.right) : left;
+      if (node.operator === '||') return left.value ? left : of(node.right);
+      return left.value === null ? of(node.right) : left;
+    }
+    case 'ConditionalExpression': {
+      const test = of(node.test);
+      return test ? of(test.value ? node.consequent : node.alternate) : null;
+    }
+    default:
+      return null;
+  }
+}
+
+// Expressions with no side effects, whose value may be thrown away
+const pure = (node) => {
+  if (!node) return true;
+  switch (node.type) {
+    case 'Literal':
+    case 'Identifier':
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression':
+      return true;
+    case 'TemplateLiteral':
+      return node.expressions.every(pure);
+    case 'UnaryExpression':
+      return node.operator !== 'delete' && pure(node.argument);
+    case 'BinaryExpression':
+    case 'LogicalExpression':
+      return pure(node.left) && pure(node.right);
+    case 'ConditionalExpression':
+      return pure(node.test) && pure(node.consequent) && pure(node.alternate);
+    case 'ArrayExpression':
+      return node.elements.every((element) => element && element.type !== 'SpreadElement' && pure(element));
+    case 'ObjectExpression':
+      return node.properties.every((property) => property.type === 'Property' && !property.computed && pure(property.value));
+    default:
+      return false;
+  }
+};
+
+// A calculation worth reusing, written the same way whatever the spacing:
+// operators over names and literals. Null for anything else.
+const keyOf = (node) => {
+  if (!node) return null;
+  const part = (child) => {
+    if (child.type === 'Identifier') return child.name;
+    if (child.type === 'Literal' && !child.regex) return child.raw;
+    return keyOf(child);
+  };
+  if (node.type === 'BinaryExpression' || node.type === 'LogicalExpression') {
+    const left = part(node.left);
+    const right = left && part(node.right);
+    return right ? `(${left} ${node.operator} ${right})` : null;
+  }
+  if (node.type === 'UnaryExpression' && UNARY[node.operator] && node.operator !== 'typeof') {
+    const operand = part(node.argument);
+    return operand ? `(${node.operator}${operand})` : null;
+  }
+  return null;
+};
+
+const namesIn = (node, names = new Set()) => {
+  if (node.type === 'Identifier') names.add(node.name);
+  else nodeChildren(node).forEach((child) => namesIn(child.node, names));
+  return names;
+};
+
+// Names a statement or expression may assign, and whether it calls a
+// function of the program; code inside functions written there doesn't run yet
+const effectsOf = (node) => {
+  const assigned = new Set();
+  let calls = false;
+  const walk = (current) => {
+    if (FUNCTION_TYPES.has(current.type)) {
+      if (current.type === 'FunctionDeclaration' && current.id) assigned.add(current.id.name);
+      return;
+    }
+    if (current.type === 'VariableDeclarator' && current.id.type === 'Identifier') assigned.add(current.id.name);
+    if (current.type === 'AssignmentExpression' && current.left.type === 'Identifier') assigned.add(current.left.name);
+    if (current.type === 'UpdateExpression' && current.argument.type === 'Identifier') assigned.add(current.argument.name);
+    if ((current.type === 'ForInStatement' || current.type === 'ForOfStatement') && current.left.type === 'Identifier') assigned.add(current.left.name);
+    if (current.type === 'CallExpression' || current.type === 'NewExpression') {
+      const { callee } = current;
+      const safe = (callee.type === 'Identifier' && SAFE_FUNCTIONS.has(callee.name))
+        || (callee.type === 'MemberExpression' && callee.object.type === 'Identifier' && SAFE_OBJECTS.has(callee.object.name));
+      if (!safe) calls = true;
+    }
+    nodeChildren(current).forEach((child) => walk(child.node));
+  };
+  walk(node);
+  return { assigned, calls };
+};
+
+export function optimizeJavaScript(ast, source, { symbols = null, dataflow = null } = {}) {
+  const { text, replace, remove, unwrap, change, edit, covered, finish } = createEditBuilder(source);
+  const codeOf = (node) => text.slice(node.start, node.end);
+  const clip = (code) => (code.length > 40 ? `${code.slice(0, 39)}…` : code);
+
+  // The statement and the value of each plain assignment, by where its name
+  // starts, and the statements that sit in a list of statements (the only
+  // ones that can simply be deleted)
+  const assignments = new Map();
+  const listed = new Set();
+  const collect = (node, statement) => {
+    const owner = /Statement$|Declaration$/.test(node.type) ? node : statement;
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier') {
+      assignments.set(node.id.start, { value: node.init, statement: owner, declarator: node, expression: null });
+    }
+    if (node.type === 'AssignmentExpression' && node.operator === '=' && node.left.type === 'Identifier') {
+      assignments.set(node.left.start, { value: node.right, statement: owner, declarator: null, expression: node });
+    }
+    if (Array.isArray(node.body)) node.body.forEach((child) => listed.add(child));
+    nodeChildren(node).forEach((child) => collect(child.node, owner));
+  };
+  collect(ast, null);
+
+  const lookup = createConstantLookup(dataflow, {
+    valueOf: (definition) => {
+      const assignment = assignments.get(definition.start);
+      return assignment && assignment.value;
+    },
+    evaluate,
+    same: (a, b) => Object.is(a.value, b.value),
+  });
+
+  // Reused calculations: key -> { name, names }, or null where there are none to reuse
+  const forget = (available, node) => {
+    if (!available) return;
+    const { assigned, calls } = effectsOf(node);
+    if (calls) available.clear();
+    available.forEach((entry, key) => {
+      if (assigned.has(entry.name) || Array.from(entry.names).some((name) => assigned.has(name))) available.delete(key);
+    });
+  };
+  const remember = (available, name, value) => {
+    const key = keyOf(value);
+    if (!available || !key) return;
+    const names = namesIn(value);
+    if (!names.has(name)) available.set(key, { name, names });
+  };
+  // What stays available all through a loop: nothing the loop assigns
+  const throughLoop = (available, node) => {
+    if (!available) return null;
+    const inside = new Map(available);
+    forget(inside, node);
+    return inside;
+  };
+
+  // Names CSE made the code read, which have to stay
+  const reused = new Set();
+
+  // A folded value in place of node, in parentheses where the code around it
+  // would read it differently: a - -5 must not become a--5, nor 5.toFixed()
+  const fold = (node, value, passes, note) => {
+    let folded = literal(value);
+    const before = text[node.start - 1] || '';
+    const after = text.slice(node.end);
+    if ((/^-/.test(folded) && /[-+]/.test(before)) || (/^-/.test(folded) && /^\s*\*\*/.test(after))
+      || (typeof value.value === 'number' && /^\s*\./.test(after))) folded = `(${folded})`;
+    replace(node, folded, passes, note);
+  };
+
+  // Statements that can't simply be deleted (the body of an if without
+  // braces) become an empty block instead
+  const drop = (node, passes, note) => {
+    if (listed.has(node)) remove(node, passes, note);
+    else replace(node, '{}', passes, note);
+  };
+
+  const fn = (node) => {
+    if (node.body.type === 'BlockStatement') statements(node.body.body, new Map());
+    else expression(node.body, new Map());
+  };
+
+  const expression = (node, available) => {
+    if (!node || typeof node !== 'object') return;
+    if (FUNCTION_TYPES.has(node.type)) {
+      fn(node);
+      return;
+    }
+    if (node.type !== 'Literal') {
+      const value = evaluate(node, lookup);
+      const folded = value && literal(value);
+      // -5 is already as short as it gets
+      if (value && folded !== codeOf(node)) {
+        if (node.type === 'Identifier') fold(node, value, ['constant-propagation'], `${node.name} is always ${folded} here`);
+        else {
+          const propagated = namesIn(node).size > 0;
+          fold(node, value, propagated ? ['constant-propagation', 'constant-folding'] : ['constant-folding'], `${clip(codeOf(node))} always works out to ${folded}`);
+        }
+        return;
+      }
+      if (value) return;
+    }
+    const key = available && keyOf(node);
+    if (key && available.has(key)) {
+      const { name } = available.get(key);
+      reused.add(name);
+      replace(node, name, ['cse'], `${name} already holds the value of ${clip(codeOf(node))}`);
+      return;
+    }
+    switch (node.type) {
+      case 'Identifier':
+      case 'Literal':
+        return;
+      case 'MemberExpression':
+        expression(node.object, available);
+        if (node.computed) expression(node.property, available);
+        return;
+      case 'Property': {
+        if (node.computed) expression(node.key, available);
+        const value = node.shorthand ? evaluate(node.value, lookup) : null;
+        // { total } has to be written out as { total: 5 }
+        if (value) replace(node, `${node.key.name}: ${literal(value)}`, ['constant-propagation'], `${node.key.name} is always ${literal(value)} here`);
+        else if (!node.shorthand) expression(node.value, available);
+        return;
+      }
+      case 'AssignmentExpression':
+        if (node.left.type !== 'Identifier') expression(node.left, available);
+        expression(node.right, available);
+        return;
+      case 'UpdateExpression':
+        if (node.argument.type !== 'Identifier') expression(node.argument, available);
+        return;
+      case 'ConditionalExpression': {
+        const test = evaluate(node.test, lookup);
+        if (test) {
+          const kept = test.value ? node.consequent : node.alternate;
+          const entry = change(['dead-branch'], `${clip(codeOf(node.test))} is always ${test.value ? 'true' : 'false'}, so only one side of ? : is needed`, node);
+          edit(entry, node.start, kept.start, '');
+          edit(entry, kept.end, node.end, '');
+          expression(kept, available);
+          return;
+        }
+        nodeChildren(node).forEach((child) => expression(child.node, available));
+        return;
+      }
+      default:
+        nodeChildren(node).forEach((child) => expression(child.node, available));
+    }
+  };
+
+  // The branch of an if that always runs, in place of the whole if
+  const keepBranch = (node, branch, note) => {
+    if (branch.type === 'BlockStatement') {
+      if (!branch.body.length) {
+        drop(node, ['dead-branch'], note);
+        return;
+      }
+      // let and const inside need their braces, or they would clash with names outside
+      const scoped = branch.body.some((child) => child.type === 'VariableDeclaration' && child.kind !== 'var');
+      if (scoped) unwrap(node, branch, branch, ['dead-branch'], note);
+      else unwrap(node, branch.body[0], branch.body[branch.body.length - 1], ['dead-branch'], note);
+      return;
+    }
+    if (branch.type === 'IfStatement') {
+      // else if: only the if is left
+      edit(change(['dead-branch'], note, node), node.start, branch.start, '');
+      return;
+    }
+    unwrap(node, branch, branch, ['dead-branch'], note);
+  };
+
+  const statement = (node, available) => {
+    switch (node.type) {
+      case 'VariableDeclaration':
+        node.declarations.forEach((declarator) => expression(declarator.init, available));
+        forget(available, node);
+        node.declarations.forEach((declarator) => {
+          if (declarator.id.type === 'Identifier' && declarator.init) remember(available, declarator.id.name, declarator.init);
+        });
+        return;
+      case 'ExpressionStatement': {
+        expression(node.expression, available);
+        forget(available, node);
+        const { expression: assignment } = node;
+        if (assignment.type === 'AssignmentExpression' && assignment.operator === '=' && assignment.left.type === 'Identifier') {
+          remember(available, assignment.left.name, assignment.right);
+        }
+        return;
+      }
+      case 'FunctionDeclaration':
+        fn(node);
+        return;
+      case 'ReturnStatement':
+      case 'ThrowStatement':
+        expression(node.argument, available);
+        return;
+      case 'BlockStatement':
+        statements(node.body, available && new Map(available));
+        forget(available, node);
+        return;
+      case 'IfStatement': {
+        const test = evaluate(node.test, lookup);
+        if (test) {
+          const branch = test.value ? node.consequent : node.alternate;
+          const note = `${clip(codeOf(node.test))} is always ${test.value ? 'true' : 'false'}, so only ${test.value ? 'the if branch' : 'the else branch'} can run`;
+          if (!branch) drop(node, ['dead-branch'], `${clip(codeOf(node.test))} is always false, so this if never runs`);
+          else {
+            keepBranch(node, branch, note);
+            statement(branch, available);
+          }
+        } else {
+          expression(node.test, available);
+          statement(node.consequent, available && new Map(available));
+          if (node.alternate) statement(node.alternate, available && new Map(available));
+        }
+        forget(available, node);
+        return;
+      }
+      case 'WhileStatement': {
+        const test = evaluate(node.test, lookup);
+        if (test && !test.value) {
+          drop(node, ['dead-branch'], `${clip(codeOf(node.test))} is always false, so the loop never runs`);
+          return;
+        }
+        const inside = throughLoop(available, node);
+        expression(node.test, inside);
+        statement(node.body, inside);
+        forget(available, node);
+        return;
+      }
+      case 'DoWhileStatement':
+      case 'ForStatement':
+      case 'ForInStatement':
+      case 'ForOfStatement': {
+        if (node.type === 'ForStatement' && node.init) {
+          if (node.init.type === 'VariableDeclaration') node.init.declarations.forEach((declarator) => expression(declarator.init, available));
+          else expression(node.init, available);
+        }
+        if (node.type === 'ForInStatement' || node.type === 'ForOfStatement') expression(node.right, available);
+        const inside = throughLoop(available, node);
+        if (node.type === 'ForStatement') [node.test, node.update].forEach((part) => expression(part, inside));
+        statement(node.body, inside);
+        if (node.type === 'DoWhileStatement') expression(node.test, inside);
+        forget(available, node);
+        return;
+      }
+      default:
+        forget(available, node);
+    }
+  };
+
+  const statements = (list, available) => {
+    let exit = null;
+    list.forEach((node) => {
+      if (exit && node.type !== 'FunctionDeclaration') {
+        remove(node, ['unreachable'], `Nothing after the ${exit} above ever runs`);
+        return;
+      }
+      statement(node, available);
+      if (EXITS[node.type]) exit = EXITS[node.type];
+    });
+  };
+
+  statements(ast.body, new Map());
+
+  // Dead stores: the value is replaced before anything reads it
+  const removable = (assignment) => Boolean(assignment) && listed.has(assignment.statement) && pure(assignment.value) && (
+    (assignment.declarator && assignment.statement.type === 'VariableDeclaration')
+    || (assignment.statement.type === 'ExpressionStatement' && assignment.statement.expression === assignment.expression)
+  );
+  if (dataflow) {
+    dataflow.deadStores.forEach((store) => {
+      const assignment = assignments.get(store.start);
+      if (!removable(assignment) || reused.has(assignment.declarator ? assignment.declarator.id.name : assignment.expression.left.name)) return;
+      const note = `The value stored in ${text.slice(store.start, store.end)} is replaced before anything reads it`;
+      // let x = 1 keeps declaring x: only the value goes
+      if (assignment.declarator) edit(change(['dead-store'], note, assignment.declarator), assignment.declarator.id.end, assignment.declarator.end, '');
+      else remove(assignment.statement, ['dead-store'], note);
+    });
+  }
+
+  // Variables nothing reads any more, now that their uses were replaced or removed
+  if (symbols) {
+    // Declarators to drop -> { statement, note }
+    const dropped = new Map();
+    symbols.symbols.forEach((symbol) => {
+      if (!VARIABLE_KINDS.has(symbol.kind) || !symbol.declaration || reused.has(symbol.name)) return;
+      if (symbol.references.some((reference) => !reference.write && !covered(reference.start))) return;
+      const writes = [symbol.declaration, ...symbol.references.filter((reference) => reference.write)].map((reference) => assignments.get(reference.start));
+      if (!writes.every(removable)) return;
+      const note = symbol.references.some((reference) => !reference.write)
+        ? `Nothing reads ${symbol.name} any more, so storing it can go`
+        : `${symbol.name} is never read, so storing it can go`;
+      writes.forEach((assignment) => {
+        if (assignment.declarator) dropped.set(assignment.declarator, { statement: assignment.statement, note });
+        else remove(assignment.statement, ['dead-store'], note);
+      });
+    });
+    // A declaration goes when all its variables do; otherwise only theirs
+    // do, with their commas: let w = 4, h = 5, area = 20; keeps let area = 20;
+    new Set(Array.from(dropped.values(), (entry) => entry.statement)).forEach((statement) => {
+      const list = statement.declarations;
+      if (list.every((declarator) => dropped.has(declarator))) {
+        remove(statement, ['dead-store'], list.length === 1
+          ? dropped.get(list[0]).note
+          : `Nothing reads ${list.map((declarator) => declarator.id.name).join(' or ')} any more, so storing them can go`);
+        return;
+      }
+      list.forEach((declarator, index) => {
+        if (!dropped.has(declarator)) return;
+        const entry = change(['dead-store'], dropped.get(declarator).note, declarator);
+        if (list.slice(index + 1).some((other) => !dropped.has(other))) edit(entry, declarator.start, list[index + 1].start, '');
+        else edit(entry, list[index - 1].end, declarator.end, '');
+      });
+    });
+  }
+
+  return finish();
+}
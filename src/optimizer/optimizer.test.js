@@ -0,0 +1,81 @@
+import vm from 'vm';
+import { analyzeSource } from '../language/analyze';
+
+const analyze = (code, language) => analyzeSource(null, code, language).result;
+
+// Runs JavaScript with console.log captured and returns the printed lines
+const run = (code) => {
+  const printed = [];
+  vm.runInNewContext(code, { console: { log: (...values) => printed.push(values.map(String).join(' ')) } });
+  return printed;
+};
+
+// The optimized program must print exactly what the original prints
+const expectSameOutput = (code) => {
+  const { optimized, syntaxErrors } = analyze(code, 'javascript');
+  expect(syntaxErrors).toEqual([]);
+  expect(optimized).not.toBeNull();
+  expect(run(optimized.code)).toEqual(run(code));
+  return optimized;
+};
+
+describe('code the parser only partly understood', () => {
+  test.each([
+    ['switch', 'let x = 1; let y = 1; switch (y) { case 1: x = 2; break; } console.log(x);'],
+    ['try', 'let x = 1; try { x = 2; } catch (e) {} console.log(x);'],
+    ['a labeled block', 'let x = 1; done: { x = 2; break done; } console.log(x);'],
+    ['a syntax error', 'let x = 1; x = ; console.log(x);'],
+  ])('JavaScript with %s is not optimized', (_, code) => {
+    const { optimized, dataflow, syntaxErrors } = analyze(code, 'javascript');
+    expect(syntaxErrors.length).toBeGreaterThan(0);
+    expect(optimized).toBeNull();
+    expect(dataflow.deadStores).toEqual([]);
+  });
+
+  test.each([
+    ['with', 'x = 1\nwith ctx() as x:\n    pass\nprint(x)\n'],
+    ['try', 'x = 1\ntry:\n    x = 2\nexcept ValueError:\n    pass\nprint(x)\n'],
+  ])('Python with a %s block is not optimized', (_, code) => {
+    const { optimized, dataflow, syntaxErrors } = analyze(code, 'python');
+    expect(syntaxErrors.length).toBeGreaterThan(0);
+    expect(optimized).toBeNull();
+    expect(dataflow.deadStores).toEqual([]);
+  });
+});
+
+describe('JavaScript output stays the same', () => {
+  test.each([
+    ['a for-of target', 'let x = 1; const items = []; for (x of items) {} console.log(x);'],
+    ['a for-of target that runs', 'let x = 1; const items = [5]; for (x of items) {} console.log(x);'],
+    ['a for-in target', 'let x = 1; const items = {}; for (x in items) {} console.log(x);'],
+    ['several declarators', 'let w = 4, h = 5; w = 6; console.log(w * h);'],
+    ['a dead store among declarators', 'let a = 1, b = 2, c = 3; b = 7; console.log(a + b + c);'],
+    ['folding and propagation', 'const n = 2 * 3; let s = "a" + "b"; console.log(n + 1, s);'],
+    ['a dead branch', 'const debug = false; if (debug) { console.log("debug"); } else { console.log("quiet"); }'],
+    ['a loop that changes a variable', 'let i = 0; let total = 0; while (i < 3) { total = total + i; i = i + 1; } console.log(total);'],
+    ['code after return', 'function f() { return 1; console.log("never"); } console.log(f());'],
+    ['a repeated calculation', 'let a = 3; let b = 4; let c = a * b + 1; let d = a * b + 2; console.log(c, d);'],
+  ])('with %s', (_, code) => {
+    expectSameOutput(code);
+  });
+});
+
+describe('Python names bound by statements', () => {
+  test('a for target keeps the value it replaces when the loop may not run', () => {
+    const { optimized } = analyze('x = 1\nfor x in items:\n    pass\nprint(x)\n', 'python');
+    expect(optimized.code).toContain('x = 1');
+    expect(optimized.code).toContain('print(x)');
+  });
+
+  test.each([
+    ['def', 'x = 1\ndef x():\n    pass\nprint(x)\n', 'def x():'],
+    ['class', 'x = 1\nclass x:\n    pass\nprint(x)\n', 'class x:'],
+    ['from import', 'x = 1\nfrom m import x\nprint(x)\n', 'from m import x'],
+    ['import as', 'x = 1\nimport m as x\nprint(x)\n', 'import m as x'],
+  ])('%s rebinds the name', (_, code, binding) => {
+    const { optimized } = analyze(code, 'python');
+    expect(optimized.code).toContain(binding);
+    expect(optimized.code).toContain('print(x)');
+    expect(optimized.code).not.toContain('print(1)');
+  });
+});
@@ -0,0 +1,555 @@
+// Optimization passes for Python, the same ones as for JavaScript (see
+// javascript.js) with Python's rules for the values:
+//   - ints and floats are kept apart: 7 // 2 is 3, 7 / 2 is 3.5 and 6 / 2
+//     is 3.0; // and % round towards minus infinity
+//   - nothing that would raise is folded (1 / 0, "a" + 1, "a" < 1)
+//   - an f-string folds once every placeholder in it is a constant
+// Lambdas and comprehensions get folding only. A block whose statements
+// were all removed keeps a pass, so the code still parses.
+
+import { OPERATOR_SYMBOLS } from '../parser/python';
+import { nodeChildren } from '../parser/astGraph';
+import { createEditBuilder } from './edits';
+import { createConstantLookup } from './constants';
+
+const EXITS = { Return: 'return', Raise: 'raise', Break: 'break', Continue: 'continue' };
+// Built-ins that can't change the program's variables
+const SAFE_FUNCTIONS = new Set([
+  'print', 'len', 'str', 'int', 'float', 'bool', 'abs', 'min', 'max', 'round', 'sum', 'range',
+  'sorted', 'type', 'isinstance', 'repr', 'chr', 'ord', 'input',
+]);
+const NESTED_SCOPES = new Set(['Lambda', 'ListComp', 'SetComp', 'DictComp', 'GeneratorExp']);
+const MAX_STRING = 500;
+const NUMBER_KINDS = new Set(['int', 'float', 'bool']);
+
+// A constant is { kind, value } with kind int, float, str, bool or none,
+// as long as Python has a literal for it
+const constant = (kind, value) => {
+  if (kind === 'int') return Number.isSafeInteger(value) ? { kind, value: value + 0 } : null;
+  if (kind === 'float') {
+    // Written plainly: no exponents, and 5.0 rather than 5
+    const size = Math.abs(value);
+    return Number.isFinite(value) && (size === 0 || (size >= 1e-4 && size < 1e16)) ? { kind, value } : null;
+  }
+  if (kind === 'str') return value.length <= MAX_STRING ? { kind, value } : null;
+  return { kind, value };
+};
+
+const literal = ({ kind, value }) => {
+  switch (kind) {
+    case 'int': return String(value);
+    case 'float': return Number.isInteger(value) ? `${value}.0` : String(value);
+    case 'str': return JSON.stringify(value);
+    case 'bool': return value ? 'True' : 'False';
+    default: return 'None';
+  }
+};
+
+// What str() gives, for f-strings
+const stringOf = (item) => (item.kind === 'str' ? item.value : literal(item));
+const truthy = ({ kind, value }) => (kind === 'str' ? value.length > 0 : kind !== 'none' && Boolean(value));
+// True, False and ints work out the same way in arithmetic
+const number = (item) => (NUMBER_KINDS.has(item.kind) ? { kind: item.kind === 'float' ? 'float' : 'int', value: Number(item.value) } : null);
+
+const floorDiv = (a, b) => Math.floor(a / b);
+const modulo = (a, b) => a - b * Math.floor(a / b);
+
+const arithmetic = (op, left, right) => {
+  if (op === 'Add' && left.kind === 'str' && right.kind === 'str') return constant('str', left.value + right.value);
+  if (op === 'Mult' && (left.kind === 'str' || right.kind === 'str')) {
+    const string = left.kind === 'str' ? left : right;
+    const count = number(left.kind === 'str' ? right : left);
+    if (!count || count.kind !== 'int' || string.value.length * Math.max(count.value, 0) > MAX_STRING) return null;
+    return constant('str', string.value.repeat(Math.max(count.value, 0)));
+  }
+  const a = number(left);
+  const b = number(right);
+  if (!a || !b) return null;
+  const kind = a.kind === 'float' || b.kind === 'float' ? 'float' : 'int';
+  switch (op) {
+    case 'Add': return constant(kind, a.value + b.value);
+    case 'Sub': return constant(kind, a.value - b.value);
+    case 'Mult': return constant(kind, a.value * b.value);
+    case 'Div': return b.value ? constant('float', a.value / b.value) : null;
+    case 'FloorDiv': return b.value ? constant(kind, floorDiv(a.value, b.value)) : null;
+    case 'Mod': return b.value ? constant(kind, modulo(a.value, b.value)) : null;
+    case 'Pow':
+      if (kind === 'int' && b.value < 0) return a.value ? constant('float', a.value ** b.value) : null;
+      return constant(kind, a.value ** b.value);
+    default:
+      break;
+  }
+  // Bitwise operators, on ints small enough for JavaScript's 32 bits
+  if (kind !== 'int' || [a.value, b.value].some((value) => Math.abs(value) >= 2 ** 31)) return null;
+  switch (op) {
+    case 'BitAnd': return constant('int', a.value & b.value);
+    case 'BitOr': return constant('int', a.value | b.value);
+    case 'BitXor': return constant('int', a.value ^ b.value);
+    case 'LShift': return b.value >= 0 ? constant('int', a.value * 2 ** b.value) : null;
+    case 'RShift': return b.value >= 0 ? constant('int', floorDiv(a.value, 2 ** b.value)) : null;
+    default: return null;
+  }
+};
+
+// One link of a comparison chain; null where Python would raise or the
+// answer depends on more than the values (is, in)
+const compare = (op, left, right) => {
+  const a = number(left);
+  const b = number(right);
+  const bothStrings = left.kind === 'str' && right.kind === 'str';
+  if (op === 'Eq' || op === 'NotEq') {
+    let equal;
+    if (a && b) equal = a.value === b.value;
+    else if (bothStrings || (left.kind === 'none' && right.kind === 'none')) equal = left.value === right.value;
+    else if (left.kind === 'none' || right.kind === 'none' || (a || b)) equal = false;
+    else return null;
+    return op === 'Eq' ? equal : !equal;
+  }
+  if (!(a && b) && !bothStrings) return null;
+  const [x, y] = a && b ? [a.value, b.value] : [left.value, right.value];
+  switch (op) {
+    case 'Lt': return x < y;
+    case 'LtE': return x <= y;
+    case 'Gt': return x > y;
+    case 'GtE': return x >= y;
+    default: return null;
+  }
+};
+
+export function evaluate(node, lookup, source) {
+  if (!node) return null;
+  const of = (child) => evaluate(child, lookup, source);
+  switch (node.type) {
+    case 'Constant': {
+      const code = source.slice(node.start, node.end);
+      if (typeof node.value === 'number') {
+        if (/[jJ]$/.test(code)) return null;
+        return constant(/^(0[xXoObB][0-9a-fA-F_]+|[0-9_]+)$/.test(code) ? 'int' : 'float', node.value);
+      }
+      if (typeof node.value === 'string') {
+        // Complex numbers keep their source text; bytes aren't strings
+        return /^[0-9.]/.test(code) || /^[a-zA-Z]*[bB]/.test(code) ? null : constant('str', node.value);
+      }
+      if (typeof node.value === 'boolean') return constant('bool', node.value);
+      return node.value === null ? constant('none', null) : null;
+    }
+    case 'Name':
+      return node.ctx === 'Load' ? lookup(node) : null;
+    case 'JoinedStr': {
+      const parts = node.values.map((part) => {
+        if (part.type === 'Constant') return constant('str', part.value);
+        if (part.type !== 'FormattedValue' || part.conversion !== -1 || part.format_spec) return null;
+        const value = of(part.value);
+        return value && constant('str', stringOf(value));
+      });
+      return parts.every(Boolean) ? constant('str', parts.map((part) => part.value).join('')) : null;
+    }
+    case 'UnaryOp': {
+      const operand = of(node.operand);
+      if (!operand) return null;
+      if (node.op === 'Not') return constant('bool', !truthy(operand));
+      const value = number(operand);
+      if (!value) return null;
+      if (node.op === 'USub') return constant(value.kind, -value.value);
+      if (node.op === 'UAdd') return value;
+      return value.kind === 'int' && Math.abs(value.value) < 2 ** 31 ? constant('int', ~value.value) : null;
+    }
+    case 'BinOp': {
+      const left = of(node.left);
+      const right = left && of(node.right);
+      return right ? arithmetic(node.op, left, right) : null;
+    }
+    case 'Compare': {
+      // a < b < c is a < b and b < c
+      let left = of(node.left);
+      if (!left) return null;
+      for (let index = 0; index < node.ops.length; index += 1) {
+        const right = of(node.comparators[index]);
+        const result = right && compare(node.ops[index], left, right);
+        if (result == null) return null;
+        if (!result) return constant('bool', false);
+        left = right;
+      }
+      return constant('bool', true);
+    }
+    case 'BoolOp': {
+      // and gives the first false value (or the last one), or the first true one
+      for (let index = 0; index < node.values.length; index += 1) {
+        const value = of(node.values[index]);
+        if (!value) return null;
+        if (index === node.values.length - 1 || truthy(value) === (node.op === 'Or')) return value;
+      }
+      return null;
+    }
+    case 'IfExp': {
+      const test = of(node.test);
+      return test ? of(truthy(test) ? node.body : node.orelse) : null;
+    }
+    default:
+      return null;
+  }
+}
+
+// Expressions with no side effects, whose value may be thrown away
+const pure = (node) => {
+  if (!node) return true;
+  switch (node.type) {
+    case 'Constant':
+    case 'Name':
+    case 'Lambda':
+      return true;
+    case 'JoinedStr':
+      return node.values.every(pure);
+    case 'FormattedValue':
+      return pure(node.value) && pure(node.format_spec);
+    case 'UnaryOp':
+      return pure(node.operand);
+    case 'BinOp':
+      return pure(node.left) && pure(node.right);
+    case 'Compare':
+      return pure(node.left) && node.comparators.every(pure);
+    case 'BoolOp':
+      return node.values.every(pure);
+    case 'IfExp':
+      return pure(node.test) && pure(node.body) && pure(node.orelse);
+    case 'List':
+    case 'Tuple':
+    case 'Set':
+      return node.elts.every((element) => element.type !== 'Starred' && pure(element));
+    case 'Dict':
+      return node.keys.every((key) => key && pure(key)) && node.values.every(pure);
+    default:
+      return false;
+  }
+};
+
+// A calculation worth reusing, written the same way whatever the spacing:
+// operators over names and literals. Null for anything else.
+const keyOf = (node, source) => {
+  if (!node) return null;
+  const part = (child) => {
+    if (child.type === 'Name') return child.id;
+    if (child.type === 'Constant') return source.slice(child.start, child.end);
+    return keyOf(child, source);
+  };
+  if (node.type === 'BinOp') {
+    const left = part(node.left);
+    const right = left && part(node.right);
+    return right ? `(${left} ${OPERATOR_SYMBOLS[node.op]} ${right})` : null;
+  }
+  if (node.type === 'BoolOp') {
+    const parts = node.values.map(part);
+    return parts.every(Boolean) ? `(${parts.join(` ${OPERATOR_SYMBOLS[node.op]} `)})` : null;
+  }
+  if (node.type === 'UnaryOp') {
+    const operand = part(node.operand);
+    return operand ? `(${OPERATOR_SYMBOLS[node.op]} ${operand})` : null;
+  }
+  return null;
+};
+
+const namesIn = (node, names = new Set()) => {
+  if (node.type === 'Name') names.add(node.id);
+  else nodeChildren(node).forEach((child) => namesIn(child.node, names));
+  return names;
+};
+
+// Names a statement or expression may assign, and whether it calls a
+// function of the program; code inside functions written there doesn't run yet
+const effectsOf = (node) => {
+  const assigned = new Set();
+  let calls = false;
+  const walk = (current) => {
+    if (current.type === 'FunctionDef' || current.type === 'ClassDef') {
+      assigned.add(current.name);
+      return;
+    }
+    if (current.type === 'Lambda') return;
+    if (current.type === 'Name' && current.ctx !== 'Load') assigned.add(current.id);
+    // global x and nonlocal x may hand the name to code anywhere
+    if (current.type === 'Global' || current.type === 'Nonlocal' || current.type === 'Import' || current.type === 'ImportFrom') calls = true;
+    if (current.type === 'Call' && !(current.func.type === 'Name' && SAFE_FUNCTIONS.has(current.func.id))) calls = true;
+    nodeChildren(current).forEach((child) => walk(child.node));
+  };
+  walk(node);
+  return { assigned, calls };
+};
+
+export function optimizePython(ast, source, { symbols = null, dataflow = null } = {}) {
+  const { text: code, replace, remove, unwrap, change, edit, covered, removed, fill, finish } = createEditBuilder(source);
+  const codeOf = (node) => code.slice(node.start, node.end);
+  const clip = (snippet) => (snippet.length > 40 ? `${snippet.slice(0, 39)}…` : snippet);
+
+  // The statement and the value of each plain assignment (x = ...), by where
+  // its name starts, and every block of statements
+  const assignments = new Map();
+  const blocks = [];
+  const collect = (node) => {
+    if (node.type === 'Assign' && node.targets.length === 1 && node.targets[0].type === 'Name') {
+      assignments.set(node.targets[0].start, { value: node.value, statement: node });
+    }
+    if (node.type === 'AnnAssign' && node.target.type === 'Name') {
+      assignments.set(node.target.start, { value: node.value, statement: node });
+    }
+    if (node.type !== 'Module') [node.body, node.orelse].forEach((list) => Array.isArray(list) && list.length && blocks.push({ owner: node, list }));
+    nodeChildren(node).forEach((child) => collect(child.node));
+  };
+  collect(ast);
+
+  const lookup = createConstantLookup(dataflow, {
+    valueOf: (definition) => {
+      const assignment = assignments.get(definition.start);
+      return assignment && assignment.value;
+    },
+    evaluate: (node, find) => evaluate(node, find, code),
+    same: (a, b) => a.kind === b.kind && a.value === b.value,
+  });
+  const valueOf = (node) => evaluate(node, lookup, code);
+
+  // Reused calculations: key -> { name, names }, or null where there are none to reuse
+  const forget = (available, node) => {
+    if (!available) return;
+    const { assigned, calls } = effectsOf(node);
+    if (calls) available.clear();
+    available.forEach((entry, key) => {
+      if (assigned.has(entry.name) || Array.from(entry.names).some((name) => assigned.has(name))) available.delete(key);
+    });
+  };
+  const remember = (available, name, value) => {
+    const key = keyOf(value, code);
+    if (!available || !key) return;
+    const names = namesIn(value);
+    if (!names.has(name)) available.set(key, { name, names });
+  };
+  const throughLoop = (available, node) => {
+    if (!available) return null;
+    const inside = new Map(available);
+    forget(inside, node);
+    return inside;
+  };
+  const reused = new Set();
+
+  // A folded value in place of node, in parentheses where the code around it
+  // would read it differently: x ** 2 must not become -5 ** 2, nor 5.real
+  const fold = (node, value, passes, note) => {
+    let folded = literal(value);
+    const after = code.slice(node.end);
+    if ((/^-/.test(folded) && /^\s*\*\*/.test(after)) || (NUMBER_KINDS.has(value.kind) && /^\s*\./.test(after))) folded = `(${folded})`;
+    replace(node, folded, passes, note);
+  };
+
+  let statements;
+
+  const expression = (node, available) => {
+    if (!node || typeof node !== 'object') return;
+    if (node.type !== 'Constant') {
+      const value = valueOf(node);
+      const folded = value && literal(value);
+      if (value && folded !== codeOf(node)) {
+        if (node.type === 'Name') fold(node, value, ['constant-propagation'], `${node.id} is always ${folded} here`);
+        else {
+          const propagated = namesIn(node).size > 0;
+          fold(node, value, propagated ? ['constant-propagation', 'constant-folding'] : ['constant-folding'], `${clip(codeOf(node))} always works out to ${clip(folded)}`);
+        }
+        return;
+      }
+      if (value) return;
+    }
+    const key = available && keyOf(node, code);
+    if (key && available.has(key)) {
+      const { name } = available.get(key);
+      reused.add(name);
+      replace(node, name, ['cse'], `${name} already holds the value of ${clip(codeOf(node))}`);
+      return;
+    }
+    if (NESTED_SCOPES.has(node.type)) {
+      nodeChildren(node).forEach((child) => expression(child.node, null));
+      return;
+    }
+    switch (node.type) {
+      case 'Name':
+      case 'Constant':
+        return;
+      // Strings can't go inside an f-string's placeholders, which may use the same quotes
+      case 'JoinedStr':
+        return;
+      case 'Attribute':
+        expression(node.value, available);
+        return;
+      case 'NamedExpr':
+        expression(node.value, available);
+        return;
+      case 'IfExp': {
+        const test = valueOf(node.test);
+        if (test) {
+          const kept = truthy(test) ? node.body : node.orelse;
+          const entry = change(['dead-branch'], `${clip(codeOf(node.test))} is always ${truthy(test) ? 'true' : 'false'}, so only one side of the if/else is needed`, node);
+          edit(entry, node.start, kept.start, '');
+          edit(entry, kept.end, node.end, '');
+          expression(kept, available);
+          return;
+        }
+        nodeChildren(node).forEach((child) => expression(child.node, available));
+        return;
+      }
+      default:
+        nodeChildren(node).forEach((child) => expression(child.node, available));
+    }
+  };
+
+  // Assignment targets: only the parts that are read (items[i] = ... reads items and i)
+  const target = (node, available) => {
+    if (node.type === 'Name') return;
+    if (node.type === 'Tuple' || node.type === 'List') node.elts.forEach((element) => target(element, available));
+    else if (node.type === 'Starred') target(node.value, available);
+    else expression(node, available);
+  };
+
+  const fn = (node) => {
+    node.decorator_list.forEach((decorator) => expression(decorator, null));
+    [...node.args.defaults, ...node.args.kw_defaults].forEach((value) => expression(value, null));
+    statements(node.body, new Map());
+  };
+
+  const statement = (node, available) => {
+    switch (node.type) {
+      case 'Assign':
+        expression(node.value, available);
+        node.targets.forEach((item) => target(item, available));
+        forget(available, node);
+        if (node.targets.length === 1 && node.targets[0].type === 'Name') remember(available, node.targets[0].id, node.value);
+        return;
+      case 'AnnAssign':
+        expression(node.value, available);
+        target(node.target, available);
+        forget(available, node);
+        if (node.value && node.target.type === 'Name') remember(available, node.target.id, node.value);
+        return;
+      case 'AugAssign':
+        expression(node.value, available);
+        target(node.target, available);
+        forget(available, node);
+        return;
+      case 'Expr':
+      case 'Return':
+        expression(node.value, available);
+        forget(available, node);
+        return;
+      case 'Raise':
+      case 'Assert':
+        nodeChildren(node).forEach((child) => expression(child.node, available));
+        forget(available, node);
+        return;
+      case 'FunctionDef':
+        fn(node);
+        forget(available, node);
+        return;
+      case 'ClassDef':
+        [...node.decorator_list, ...node.bases].forEach((item) => expression(item, available));
+        statements(node.body, null);
+        forget(available, node);
+        return;
+      case 'If': {
+        const test = valueOf(node.test);
+        if (!test) {
+          expression(node.test, available);
+          statements(node.body, available && new Map(available));
+          statements(node.orelse, available && new Map(available));
+          forget(available, node);
+          return;
+        }
+        const always = truthy(test);
+        const note = `${clip(codeOf(node.test))} is always ${always ? 'true' : 'false'}, so only ${always ? 'the if branch' : 'the else branch'} can run`;
+        const branch = always ? node.body : node.orelse;
+        if (!branch.length) remove(node, ['dead-branch'], `${clip(codeOf(node.test))} is always false, so this if never runs`);
+        else if (!always && branch[0].type === 'If' && code.startsWith('elif', branch[0].start)) {
+          // elif: only the if is left. The el goes on its own, so a dead
+          // branch of the elif itself can still cut its header.
+          const entry = change(['dead-branch'], note, node);
+          edit(entry, node.start, branch[0].start, '');
+          edit(entry, branch[0].start, branch[0].start + 2, '');
+        } else unwrap(node, branch[0], branch[branch.length - 1], ['dead-branch'], note);
+        statements(branch, available);
+        forget(available, node);
+        return;
+      }
+      case 'While': {
+        const test = valueOf(node.test);
+        if (test && !truthy(test)) {
+          // A loop that never starts still runs its else
+          const note = `${clip(codeOf(node.test))} is always false, so the loop never runs`;
+          if (node.orelse.length) {
+            unwrap(node, node.orelse[0], node.orelse[node.orelse.length - 1], ['dead-branch'], note);
+            statements(node.orelse, available);
+          } else remove(node, ['dead-branch'], note);
+          forget(available, node);
+          return;
+        }
+        const inside = throughLoop(available, node);
+        expression(node.test, inside);
+        statements(node.body, inside);
+        statements(node.orelse, inside);
+        forget(available, node);
+        return;
+      }
+      case 'For': {
+        expression(node.iter, available);
+        const inside = throughLoop(available, node);
+        target(node.target, inside);
+        statements(node.body, inside);
+        statements(node.orelse, inside);
+        forget(available, node);
+        return;
+      }
+      default:
+        forget(available, node);
+    }
+  };
+
+  statements = (list, available) => {
+    let exit = null;
+    list.forEach((node) => {
+      if (exit) {
+        remove(node, ['unreachable'], `Nothing after the ${exit} above ever runs`);
+        return;
+      }
+      statement(node, available);
+      if (EXITS[node.type]) exit = EXITS[node.type];
+    });
+  };
+
+  statements(ast.body, new Map());
+
+  // Dead stores: the value is replaced before anything reads it
+  const removable = (assignment) => Boolean(assignment) && assignment.statement.type === 'Assign' && pure(assignment.value);
+  if (dataflow) {
+    dataflow.deadStores.forEach((store) => {
+      const assignment = assignments.get(store.start);
+      if (!removable(assignment) || reused.has(assignment.statement.targets[0].id)) return;
+      remove(assignment.statement, ['dead-store'], `The value stored in ${code.slice(store.start, store.end)} is replaced before anything reads it`);
+    });
+  }
+
+  // Variables nothing reads any more, now that their uses were replaced or
+  // removed. Names in a class body stay: they are read as self.name.
+  if (symbols) {
+    symbols.symbols.forEach((symbol) => {
+      if (symbol.kind !== 'variable' || !symbol.declaration || reused.has(symbol.name) || symbols.scopes[symbol.scope].kind === 'class') return;
+      if (symbol.references.some((reference) => !reference.write && !covered(reference.start))) return;
+      const writes = [symbol.declaration, ...symbol.references.filter((reference) => reference.write)].map((reference) => assignments.get(reference.start));
+      if (!writes.every(removable)) return;
+      const read = symbol.references.some((reference) => !reference.write);
+      writes.forEach((assignment) => remove(assignment.statement, ['dead-store'], read
+        ? `Nothing reads ${symbol.name} any more, so storing it can go`
+        : `${symbol.name} is never read, so storing it can go`));
+    });
+  }
+
+  // A block left with no statements still needs one, unless the if or loop
+  // it belongs to lost its header too
+  blocks.forEach(({ owner, list }) => {
+    if (!covered(owner.start) && list.every(removed)) fill(list[0], 'pass');
+  });
+
+  return finish();
+}
@@ -0,0 +1,285 @@
+// Turns an AST (ESTree for JavaScript, Python `ast` nodes for Python) into the node list ParserTreeGraph draws:
+//   { id, type, label, children: [ids], level, position, description, properties, start, end }
+// Children follow source order and remember which field of their parent they
+// came from (test, consequent, left, ...), shown in the details panel.
+// Positions come from a tidy tree layout (Reingold–Tilford style): subtrees
+// are pushed apart only as far as their widest levels need, every parent is
+// centred over its children, and nodes never overlap however deep it goes.
+
+import { OPERATOR_SYMBOLS } from './python';
+
+// Python nodes keep lineno (shown) but the other position fields are only noise
+const SKIPPED_FIELDS = new Set(['type', 'start', 'end', 'loc', 'range', 'col_offset', 'end_lineno', 'end_col_offset']);
+const Y_SPACING = 100;
+const MARGIN = 60;
+// Space kept free between neighbouring nodes on the same level
+const NODE_GAP = 16;
+// Bubbles are 25px wide on each side, but the type name under them can be wider
+const NODE_RADIUS = 25;
+const TYPE_CHAR_WIDTH = 7;
+
+// Bubble color per node type, shared by the tree view and its exports
+const NODE_COLORS = {
+  Program: '#3B82F6',
+  FunctionDeclaration: '#10B981',
+  VariableDeclaration: '#F59E0B',
+  ExpressionStatement: '#EF4444',
+  ReturnStatement: '#8B5CF6',
+  BinaryExpression: '#06B6D4',
+  LogicalExpression: '#06B6D4',
+  IfStatement: '#EC4899',
+  ForStatement: '#F97316',
+  ForOfStatement: '#F97316',
+  ForInStatement: '#F97316',
+  WhileStatement: '#F97316',
+  DoWhileStatement: '#F97316',
+  CallExpression: '#14B8A6',
+  Literal: '#CA8A04',
+  Module: '#3B82F6',
+  FunctionDef: '#10B981',
+  ClassDef: '#10B981',
+  Assign: '#F59E0B',
+  AugAssign: '#F59E0B',
+  Expr: '#EF4444',
+  Return: '#8B5CF6',
+  BinOp: '#06B6D4',
+  BoolOp: '#06B6D4',
+  Compare: '#06B6D4',
+  If: '#EC4899',
+  For: '#F97316',
+  While: '#F97316',
+  Call: '#14B8A6',
+  Constant: '#CA8A04',
+  default: '#6B7280',
+};
+
+export const nodeColor = (type) => NODE_COLORS[type] || NODE_COLORS.default;
+
+const isNode = (value) => !!value && typeof value === 'object' && typeof value.type === 'string';
+
+const clip = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+// Short text drawn inside the bubble
+export function nodeLabel(node) {
+  switch (node.type) {
+    case 'Identifier': return node.name;
+    case 'Literal': return node.raw != null ? node.raw : String(node.value);
+    case 'TemplateElement': return node.value.raw || '``';
+    case 'TemplateLiteral': return '`…`';
+    case 'BinaryExpression':
+    case 'LogicalExpression':
+    case 'AssignmentExpression':
+    case 'UnaryExpression': return node.operator;
+    case 'UpdateExpression': return node.prefix ? `${node.operator}x` : `x${node.operator}`;
+    case 'VariableDeclaration': return node.kind;
+    case 'VariableDeclarator': return node.id && node.id.name ? node.id.name : 'declarator';
+    case 'FunctionDeclaration':
+    case 'FunctionExpression': return node.id ? node.id.name : 'function';
+    case 'ArrowFunctionExpression': return '=>';
+    case 'CallExpression': return node.callee.type === 'Identifier' ? `${node.callee.name}()` : 'call()';
+    case 'NewExpression': return 'new';
+    case 'MemberExpression': return node.computed ? '[ ]' : `.${node.property.name}`;
+    case 'IfStatement': return 'if';
+    case 'ForStatement': return 'for';
+    case 'ForOfStatement': return 'for…of';
+    case 'ForInStatement': return 'for…in';
+    case 'WhileStatement': return 'while';
+    case 'DoWhileStatement': return 'do…while';
+    case 'ReturnStatement': return 'return';
+    case 'BreakStatement': return 'break';
+    case 'ContinueStatement': return 'continue';
+    case 'ThrowStatement': return 'throw';
+    case 'BlockStatement': return '{ }';
+    case 'ExpressionStatement': return 'expr';
+    case 'ArrayExpression': return '[ ]';
+    case 'ObjectExpression': return '{ }';
+    case 'Property': return node.key.type === 'Identifier' ? node.key.name : nodeLabel(node.key);
+    case 'ConditionalExpression': return '? :';
+    case 'SequenceExpression': return ', ';
+    case 'ThisExpression': return 'this';
+    case 'SpreadElement':
+    case 'RestElement': return '...';
+    // Python (names from its ast module)
+    case 'Name': return node.id;
+    case 'Constant':
+      if (node.value === null) return 'None';
+      if (typeof node.value === 'boolean') return node.value ? 'True' : 'False';
+      return typeof node.value === 'string' ? `'${node.value}'` : String(node.value);
+    case 'JoinedStr': return "f'…'";
+    case 'FormattedValue': return '{ }';
+    case 'BinOp':
+    case 'UnaryOp':
+    case 'BoolOp': return OPERATOR_SYMBOLS[node.op];
+    case 'AugAssign': return `${OPERATOR_SYMBOLS[node.op]}=`;
+    case 'Compare': return node.ops.map((op) => OPERATOR_SYMBOLS[op]).join(' ');
+    case 'Assign': return '=';
+    case 'AnnAssign': return ': =';
+    case 'NamedExpr': return ':=';
+    case 'FunctionDef':
+    case 'ClassDef': return node.name;
+    case 'arg': return node.arg;
+    case 'keyword': return node.arg ? `${node.arg}=` : '**';
+    case 'alias': return node.asname ? `${node.name} as ${node.asname}` : node.name;
+    case 'Call': return node.func.type === 'Name' ? `${node.func.id}()` : node.func.type === 'Attribute' ? `.${node.func.attr}()` : 'call()';
+    case 'Attribute': return `.${node.attr}`;
+    case 'Subscript': return '[ ]';
+    case 'Slice': return ':';
+    case 'Starred': return '*';
+    case 'If': return 'if';
+    case 'For': return 'for';
+    case 'While': return 'while';
+    case 'Return': return 'return';
+    case 'Pass': return 'pass';
+    case 'Break': return 'break';
+    case 'Continue': return 'continue';
+    case 'Expr': return 'expr';
+    case 'IfExp': return 'if else';
+    case 'Lambda': return 'lambda';
+    case 'List': return '[ ]';
+    case 'Tuple': return '( , )';
+    case 'Dict':
+    case 'Set': return '{ }';
+    case 'ListComp':
+    case 'SetComp':
+    case 'DictComp':
+    case 'GeneratorExp':
+    case 'comprehension': return 'for…in';
+    case 'ImportFrom': return `from ${'.'.repeat(node.level)}${node.module || ''}`;
+    default: return node.type;
+  }
+}
+
+// Child nodes in source order, each with the name of the field it lives in
+export function nodeChildren(node) {
+  const children = [];
+  Object.keys(node).forEach((field) => {
+    if (SKIPPED_FIELDS.has(field)) return;
+    const value = node[field];
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => { if (isNode(item)) children.push({ field: `${field}[${index}]`, node: item }); });
+    } else if (isNode(value) && !(node.type === 'Property' && node.shorthand && field === 'value')) {
+      children.push({ field, node: value });
+    }
+  });
+  return children.sort((a, b) => a.node.start - b.node.start);
+}
+
+// Scalar fields worth showing (operator, name, kind, value, ...)
+const scalarProperties = (node) => {
+  const properties = {};
+  Object.keys(node).forEach((field) => {
+    if (SKIPPED_FIELDS.has(field)) return;
+    const value = node[field];
+    if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) properties[field] = value;
+  });
+  if (node.regex) properties.regex = `/${node.regex.pattern}/${node.regex.flags}`;
+  return properties;
+};
+
+// nodeIds, when given, is filled with AST node -> graph id (used by the parser walkthrough)
+export function astToGraph(ast, source = '', nodeIds = null) {
+  const allNodes = [];
+  let nextId = 0;
+
+  const visit = (node, level, field, parent) => {
+    const id = level === 0 ? 'root' : `n${nextId += 1}`;
+    const snippet = clip(source.slice(node.start, node.end).replace(/\s+/g, ' ').trim(), 48);
+    const entry = {
+      id,
+      type: node.type,
+      label: clip(String(nodeLabel(node)), 14),
+      children: [],
+      level,
+      position: { x: 0, y: 0 },
+      description: level === 0 && Array.isArray(ast.body)
+        ? `Root of the program - ${ast.body.length} top-level statement${ast.body.length === 1 ? '' : 's'}`
+        : `${node.type}${field ? ` (${field} of ${parent.type})` : ''}: ${snippet}`,
+      properties: { ...scalarProperties(node), ...(field ? { role: field } : {}) },
+      start: node.start,
+      end: node.end,
+      loc: node.loc,
+    };
+    allNodes.push(entry);
+    if (nodeIds) nodeIds.set(node, id);
+    entry.children = nodeChildren(node).map((child) => visit(child.node, level + 1, child.field, node).id);
+    return entry;
+  };
+
+  const root = visit(ast, 0, null, null);
+  const { width, height } = layoutTree(allNodes);
+  return { ...root, allNodes, width, height };
+}
+
+// Half the horizontal room a node takes: its bubble or the type name under it
+const halfWidth = (node) => Math.max(NODE_RADIUS, (String(node.type).length * TYPE_CHAR_WIDTH) / 2);
+
+// Tidy layout of the tree rooted at allNodes[0]. Each subtree is measured as a
+// contour (its leftmost and rightmost extent on every level below its root);
+// children are placed left to right, each shifted just far enough to clear
+// the contour of its older siblings, and the parent goes over the middle.
+// Children of collapsed ids are left out. Returns
+//   { positions: Map(id -> { x, y }), visible: [ids], width, height }
+export function tidyLayout(allNodes, collapsed = null) {
+  const byId = new Map(allNodes.map((node) => [node.id, node]));
+  const offsets = new Map();
+  const shownChildren = (node) => (collapsed && collapsed.has(node.id)
+    ? []
+    : node.children.map((id) => byId.get(id)).filter(Boolean));
+
+  // Contour of node's subtree with node at x = 0; records each child's offset
+  const measure = (node) => {
+    const half = halfWidth(node);
+    const kids = shownChildren(node);
+    if (!kids.length) return [{ left: -half, right: half }];
+    const xs = [];
+    let below = [];
+    kids.forEach((kid) => {
+      const contour = measure(kid);
+      const depth = Math.min(below.length, contour.length);
+      let x = below.length ? -Infinity : 0;
+      for (let d = 0; d < depth; d += 1) x = Math.max(x, below[d].right + NODE_GAP - contour[d].left);
+      xs.push(x);
+      below = Array.from({ length: Math.max(below.length, contour.length) }, (_, d) => {
+        const mine = contour[d] && { left: contour[d].left + x, right: contour[d].right + x };
+        if (!below[d]) return mine;
+        if (!mine) return below[d];
+        return { left: Math.min(below[d].left, mine.left), right: Math.max(below[d].right, mine.right) };
+      });
+    });
+    const centre = (xs[0] + xs[xs.length - 1]) / 2;
+    kids.forEach((kid, i) => offsets.set(kid.id, xs[i] - centre));
+    return [
+      { left: -half, right: half },
+      ...below.map(({ left, right }) => ({ left: left - centre, right: right - centre })),
+    ];
+  };
+
+  const positions = new Map();
+  const visible = [];
+  if (!allNodes.length) return { positions, visible, width: 0, height: 0 };
+  const root = allNodes[0];
+  const contour = measure(root);
+  const shift = MARGIN - Math.min(...contour.map(({ left }) => left));
+  const place = (node, x, depth) => {
+    positions.set(node.id, { x: x + shift, y: MARGIN + depth * Y_SPACING });
+    visible.push(node.id);
+    shownChildren(node).forEach((kid) => place(kid, x + offsets.get(kid.id), depth + 1));
+  };
+  place(root, 0, 0);
+  return {
+    positions,
+    visible,
+    width: shift + Math.max(...contour.map(({ right }) => right)) + MARGIN,
+    height: MARGIN * 2 + (contour.length - 1) * Y_SPACING,
+  };
+}
+
+// Writes the tidy layout into each node's position; returns { width, height }
+export function layoutTree(allNodes) {
+  const { positions, width, height } = tidyLayout(allNodes);
+  allNodes.forEach((node) => {
+    const position = positions.get(node.id);
+    if (position) node.position = position;
+  });
+  return { width, height };
+}
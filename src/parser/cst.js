@@ -0,0 +1,127 @@
+// Concrete syntax tree (parse tree) for the Parse Tree tab's CST/AST toggle.
+// It is read back out of a traced parse: every grammar rule the parser entered
+// becomes an inner node and every token it consumed a leaf, so parentheses,
+// semicolons, keywords (and Python's NEWLINE/INDENT/DEDENT) all stay in.
+//
+// Each CST node also says what became of it in the AST (properties.inAst):
+// the rule or token an AST node was built from keeps that node's id, so the
+// view can morph one tree into the other; the rest are marked folded (cst:
+// { folded, reason }) — rules that only passed their child on, and tokens
+// whose job the tree's shape (or a property like operator) took over.
+
+import { astToGraph, layoutTree } from './astGraph';
+
+const clip = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+const LAYOUT_TOKENS = new Set(['newline', 'indent', 'dedent']);
+
+const tokenReason = (token) => {
+  if (LAYOUT_TOKENS.has(token.type)) return 'Layout token: the AST shows where blocks and statements end by nesting instead.';
+  if (token.type === 'delimiter') return `Punctuation: the tree's shape already shows what "${token.value}" grouped or ended, so the AST drops it.`;
+  if (token.type === 'operator' || token.type === 'keyword') return `Absorbed by the node it belongs to, e.g. as its operator or kind; "${token.value}" is no node of its own.`;
+  return 'Its value is stored in the AST node around it.';
+};
+
+// Layout tokens by name, other tokens as written, rules by the code they matched
+const nodeText = (node, first, final, text) => {
+  if (node.token) return LAYOUT_TOKENS.has(node.token.type) || !node.token.value ? node.token.type.toUpperCase() : node.token.value;
+  return first ? text.slice(first.start, final.end).replace(/\s+/g, ' ').trim() : node.rule || 'Program';
+};
+
+const ruleReason = (node) => (node.children.length === 1
+  ? 'This rule only passed its one child on, so the AST skips it.'
+  : 'This rule only collected its parts; the AST keeps them without it.');
+
+// parse is a parser from PARSERS; returns the CST as a node list for
+// ParserTreeGraph ({ ...root, allNodes, width, height }) and counts of what
+// the AST folds away: { tree, folded: { rules, tokens }, total }
+export function concreteSyntaxTree(parse, source) {
+  const text = String(source || '');
+  const { ast, trace } = parse(text, null, { trace: true });
+  const nodeIds = new Map();
+  const astNodes = new Map(astToGraph(ast, text, nodeIds).allNodes.map((node) => [node.id, node]));
+
+  // Build the raw tree from the events
+  let nextId = 0;
+  const makeNode = (fields) => ({ cstId: `c${nextId += 1}`, children: [], astId: null, ...fields });
+  const root = makeNode({ rule: null });
+  const open = [root];
+  let lastLeaf = null;
+  trace.events.forEach((event) => {
+    const current = open[open.length - 1];
+    if (event.kind === 'enter') {
+      const node = makeNode({ rule: event.rule });
+      current.children.push(node);
+      open.push(node);
+    } else if (event.kind === 'exit') {
+      if (open.length > 1) open.pop();
+    } else if (event.kind === 'consume') {
+      lastLeaf = makeNode({ token: event.token });
+      current.children.push(lastLeaf);
+    } else if (event.kind === 'node' && nodeIds.has(event.node)) {
+      // A one-token node (a name or a literal) comes from its token; anything
+      // else from the rule it was built in (the outermost one wins when a rule
+      // builds several, like a + b + c)
+      const id = nodeIds.get(event.node);
+      if (lastLeaf && !lastLeaf.astId && lastLeaf.token.start === event.node.start && lastLeaf.token.end === event.node.end) {
+        lastLeaf.astId = id;
+      } else {
+        current.astId = id;
+      }
+    }
+  });
+  const top = root.children.length === 1 && root.children[0].rule ? root.children[0] : root;
+
+  // Rules the parser gave up on before matching anything leave no trace
+  const prune = (node) => {
+    node.children = node.children.filter((child) => child.token || prune(child).children.length);
+    return node;
+  };
+  prune(top);
+
+  // ... then the node list (root first), reusing AST ids for what survives
+  // into the AST. Returns the node's entry together with its first and last token.
+  const allNodes = [];
+  const folded = { rules: 0, tokens: 0 };
+  const visit = (node, level) => {
+    const kept = node.astId ? astNodes.get(node.astId) : null;
+    const entry = {
+      id: node.astId || node.cstId,
+      type: node.token ? node.token.type : node.rule || 'Program',
+      label: '',
+      children: [],
+      level,
+      position: { x: 0, y: 0 },
+      description: '',
+      properties: node.token
+        ? { token: node.token.type, value: node.token.value, inAst: kept ? kept.type : null }
+        : { rule: node.rule || 'Program', inAst: kept ? kept.type : null },
+      cst: { folded: !kept, reason: null },
+    };
+    allNodes.push(entry);
+    const parts = node.children.map((child) => visit(child, level + 1));
+    entry.children = parts.map((part) => part.entry.id);
+    const first = node.token || (parts.find((part) => part.first) || {}).first;
+    const final = node.token || (parts.slice().reverse().find((part) => part.final) || {}).final;
+    entry.start = first ? first.start : 0;
+    entry.end = final ? final.end : 0;
+    if (first) entry.loc = { start: { line: first.line }, end: { line: final.endLine } };
+    entry.label = clip(nodeText(node, first, final, text), 14);
+
+    const matched = node.token
+      ? `Token ${LAYOUT_TOKENS.has(node.token.type) ? node.token.type.toUpperCase() : `"${node.token.value}" (${node.token.type})`}.`
+      : `Rule ${entry.type} matched "${clip(text.slice(entry.start, entry.end).replace(/\s+/g, ' ').trim(), 48)}".`;
+    if (kept) {
+      entry.description = `${matched} It becomes the ${kept.type} node in the AST.`;
+    } else {
+      entry.cst.reason = node.token ? tokenReason(node.token) : ruleReason(node);
+      entry.description = `${matched} ${entry.cst.reason}`;
+      if (node.token) folded.tokens += 1;
+      else folded.rules += 1;
+    }
+    return { entry, first, final };
+  };
+  visit(top, 0);
+  const { width, height } = layoutTree(allNodes);
+  return { tree: { ...allNodes[0], allNodes, width, height }, folded, total: allNodes.length };
+}
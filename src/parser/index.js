@@ -0,0 +1,81 @@
+// Parse Tree entry point. JavaScript and Python go through their
+// recursive-descent parsers; languages without a parser yet fall back to the
+// line-based heuristic. Returns { ast, tree, errors }: the AST (ESTree for
+// JavaScript, Python `ast` nodes for Python, or null), the node list
+// ParserTreeGraph draws and syntax errors as diagnostics.
+
+import { parseJavaScript } from './javascript';
+import { parsePython } from './python';
+import { astToGraph } from './astGraph';
+import { buildLineTree } from './lineTree';
+import { concreteSyntaxTree } from './cst';
+
+export { parseJavaScript } from './javascript';
+export { parsePython } from './python';
+export { astToGraph, nodeLabel, nodeChildren, nodeColor, tidyLayout, layoutTree } from './astGraph';
+export { prattParse, evaluateSteps, expressionNames, formatValue, bindingPower, POWER_TABLE, PREFIX_POWER } from './pratt';
+export { SHIFT_REDUCE_GRAMMAR, shiftReduceSteps } from './shiftReduce';
+
+const PARSERS = {
+  javascript: parseJavaScript,
+  python: parsePython,
+};
+
+// annotate(ast, errors), when given, runs before the Parse Tree data is made
+// from the AST, so fields it adds to the nodes (like inferredType) show up in
+// the tree
+export function parseSource(source, tokens, language, annotate = null) {
+  const parse = PARSERS[language];
+  if (parse) {
+    const { ast, errors } = parse(source, tokens);
+    if (annotate) annotate(ast, errors);
+    return { ast, tree: astToGraph(ast, source), errors };
+  }
+  return { ast: null, tree: buildLineTree(source, tokens), errors: [] };
+}
+
+// Concrete syntax tree for the CST/AST toggle: every rule and token, with the
+// nodes the AST folds away marked (see cst.js). Null for languages without a parser.
+export function concreteTree(source, language) {
+  const parse = PARSERS[language];
+  return parse ? concreteSyntaxTree(parse, source) : null;
+}
+
+// Replays a traced parse for the syntax-stage walkthrough. Each step is one
+// parser action, in the style of lexerSteps:
+//   { kind: 'enter' | 'exit' | 'consume' | 'node' | 'error', rule, token,
+//     nodeId, message, hint, stack: [rule names], cursor }
+// stack is the chain of grammar rules active after the step and cursor the
+// number of tokens matched so far. Nodes that did not end up in the tree are
+// left out, and the replay stops at the first syntax error.
+// Returns null for languages without a parser.
+export function parserSteps(source, language) {
+  const parse = PARSERS[language];
+  if (!parse) return null;
+  const { ast, errors, trace } = parse(source, null, { trace: true });
+  const nodeIds = new Map();
+  const tree = astToGraph(ast, source, nodeIds);
+  const steps = [];
+  const stack = [];
+  let cursor = 0;
+  for (let i = 0; i < trace.events.length; i += 1) {
+    const event = trace.events[i];
+    if (event.kind === 'enter') stack.push(event.rule);
+    else if (event.kind === 'exit') stack.pop();
+    else if (event.kind === 'consume') cursor += 1;
+    if (event.kind !== 'node' || nodeIds.has(event.node)) {
+      steps.push({
+        kind: event.kind,
+        rule: event.rule || null,
+        token: event.token || null,
+        nodeId: event.node ? nodeIds.get(event.node) : null,
+        message: event.message || null,
+        hint: event.hint || null,
+        stack: stack.slice(),
+        cursor,
+      });
+    }
+    if (event.kind === 'error') break;
+  }
+  return { tokens: trace.tokens, steps, tree, errors };
+}
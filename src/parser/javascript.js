@@ -0,0 +1,761 @@
+// Recursive-descent parser for the teaching subset of JavaScript.
+// Produces ESTree nodes (the format used by Acorn, Esprima and Babel) with
+// start/end offsets and loc { start: { line, column }, end } (lines 1-based,
+// columns 0-based). The subset covers:
+//   - var/let/const, function declarations and expressions, arrow functions
+//   - if/else, for (classic, for-in, for-of), while, do-while, blocks,
+//     return, break, continue and throw, with automatic semicolons
+//   - expressions with JavaScript's precedence and associativity, member
+//     access, calls, new, arrays, objects and template literals
+// Syntax errors don't stop the parse: the statement with the problem is
+// reported in the lexer's diagnostic shape and skipped (panic mode), and
+// parsing carries on at the next statement, so every error can be listed.
+// With { trace: true } the result also has trace: { events, tokens }, the
+// rules entered, tokens matched and nodes built, for the parser walkthrough.
+
+import { tokenize, significantTokens } from '../lexer';
+import { ParseError, addSyntaxError, createLocator, createTrace, describeToken } from './shared';
+
+// Binary operators by precedence (higher binds tighter); ** is right-associative
+export const BINARY_PRECEDENCE = {
+  '??': 1,
+  '||': 2,
+  '&&': 3,
+  '|': 4,
+  '^': 5,
+  '&': 6,
+  '==': 7, '!=': 7, '===': 7, '!==': 7,
+  '<': 8, '>': 8, '<=': 8, '>=': 8, instanceof: 8, in: 8,
+  '<<': 9, '>>': 9, '>>>': 9,
+  '+': 10, '-': 10,
+  '*': 11, '/': 11, '%': 11,
+  '**': 12,
+};
+const LOGICAL_OPERATORS = new Set(['||', '&&', '??']);
+const ASSIGNMENT_OPERATORS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=', '&&=', '||=', '??=']);
+const UNARY_OPERATORS = new Set(['!', '-', '+', '~', 'typeof', 'void', 'delete']);
+// Keywords that may still be used as names outside the places where they are special
+const CONTEXTUAL_KEYWORDS = new Set(['of', 'let', 'static', 'async', 'await', 'yield']);
+// Keywords that begin a statement, where recovery from a syntax error may pick up again
+const STATEMENT_KEYWORDS = new Set(['var', 'let', 'const', 'function', 'if', 'for', 'while', 'do', 'return', 'break', 'continue', 'throw', 'class', 'switch', 'try']);
+const SUBSET_HINT = 'The Parse Tree understands a teaching subset of JavaScript: variables, functions, if/else, loops, expressions, arrays and objects.';
+
+const unescapeString = (body) => body.replace(
+  /\\(u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|\r\n|[\s\S])/g,
+  (match, escape) => {
+    if (escape[0] === 'u' || escape[0] === 'x') return String.fromCodePoint(parseInt(escape.replace(/[ux{}]/g, ''), 16));
+    const simple = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0', '\n': '', '\r\n': '', '\u2028': '', '\u2029': '' };
+    return escape in simple ? simple[escape] : escape;
+  }
+);
+
+export function parseJavaScript(source, tokens = null, options = {}) {
+  const text = String(source || '');
+  const stream = significantTokens(tokens || tokenize(text, 'javascript'));
+  const { locAt, endLoc, eof } = createLocator(text);
+  const { events, record, rule } = createTrace(options.trace);
+
+  let pos = 0;
+  let last = null; // last consumed token
+  // A node built on a parenthesized expression starts at its "(" (like Acorn)
+  const parenStart = new WeakMap();
+
+  const peek = (offset = 0) => stream[pos + offset] || eof;
+  const next = () => {
+    const token = peek();
+    if (token.type !== 'eof') {
+      pos += 1;
+      record({ kind: 'consume', token });
+    }
+    last = token;
+    return token;
+  };
+  // Punctuation and keywords are matched by value; names and literals never are
+  const is = (value, token = peek()) => (token.type === 'operator' || token.type === 'delimiter' || token.type === 'keyword') && token.value === value;
+  const isName = (token = peek()) => token.type === 'identifier' || (token.type === 'keyword' && CONTEXTUAL_KEYWORDS.has(token.value));
+  const onNewLine = () => !!last && peek().line > last.endLine;
+
+  const fail = (message, hint, token = peek(), fields = {}) => {
+    record({ kind: 'error', message, hint, token });
+    throw new ParseError(message, token, { hint, found: describeToken(token), ...fields });
+  };
+  const expect = (value, hint) => {
+    if (is(value)) return next();
+    return fail(`Expected "${value}" but found ${describeToken(peek())}.`, hint, peek(), { expected: `"${value}"` });
+  };
+  // Valid JavaScript outside the teaching subset: reported, but not as a mistake
+  const unsupported = (what, token = peek()) => fail(`${what} isn't supported by this parser yet.`, SUBSET_HINT, token, { unsupported: true });
+  // Steps over a destructuring pattern first, so recovery resumes after it
+  const unsupportedPattern = () => {
+    const open = peek();
+    let depth = 0;
+    do {
+      if (is('{') || is('[')) depth += 1;
+      else if (is('}') || is(']')) depth -= 1;
+      next();
+    } while (depth > 0 && peek().type !== 'eof');
+    unsupported('Destructuring', open);
+  };
+
+  // Panic mode: after a syntax error in the statement that started at token
+  // from, skip to where the next statement probably starts — after a ; or a
+  // closing } at the statement's own level, before a statement keyword or a
+  // new line, or before the } that ends the enclosing block. Only braces
+  // decide the level, so a missing ) can't swallow the rest of the file.
+  const synchronize = (from, failedAt) => {
+    let braces = 0;
+    let parens = 0;
+    for (let i = from; i < stream.length; i += 1) {
+      const token = stream[i];
+      if (i > from && i >= failedAt && braces === 0 && (is('}', token)
+        || (token.type === 'keyword' && STATEMENT_KEYWORDS.has(token.value))
+        || token.line > stream[i - 1].endLine)) {
+        pos = i;
+        return;
+      }
+      if (is('{', token)) braces += 1;
+      else if (is('}', token) && braces > 0) braces -= 1;
+      else if (is('(', token) || is('[', token)) parens += 1;
+      else if ((is(')', token) || is(']', token)) && parens > 0) parens -= 1;
+      if (braces === 0 && i >= failedAt && ((is(';', token) && parens === 0) || is('}', token))) {
+        pos = i + 1;
+        return;
+      }
+    }
+    pos = stream.length;
+  };
+
+  const errors = [];
+  const parseStatementInto = (body) => {
+    const from = pos;
+    try {
+      body.push(parseStatement());
+    } catch (error) {
+      if (!(error instanceof ParseError)) throw error;
+      if (addSyntaxError(errors, error)) {
+        synchronize(from, pos);
+        // A skipped try takes its catch and finally clauses with it
+        while (error.unsupported && (is('catch') || is('finally'))) synchronize(pos, pos + 1);
+      } else {
+        pos = stream.length;
+      }
+    }
+  };
+
+  // Nodes span from their first token (or first child) to the last token consumed
+  const finish = (from, type, fields = {}) => {
+    const start = parenStart.has(from) ? parenStart.get(from) : from.start;
+    const end = last ? Math.max(last.end, start) : start;
+    const node = { type, ...fields, start, end, loc: { start: locAt(start), end: locAt(end) } };
+    record({ kind: 'node', node });
+    return node;
+  };
+
+  const consumeSemicolon = () => {
+    if (is(';')) {
+      next();
+      return;
+    }
+    // Automatic semicolon insertion: before }, at the end, or when the next token is on a new line
+    if (is('}') || peek().type === 'eof' || onNewLine()) return;
+    fail(`Expected ";" but found ${describeToken(peek())}.`, 'End the statement with ; or start the next statement on a new line.', peek(), { expected: '";"' });
+  };
+
+  const parseIdentifier = (what = 'a name') => {
+    if (!isName()) {
+      fail(`Expected ${what} but found ${describeToken(peek())}.`, peek().type === 'keyword'
+        ? `"${peek().value}" is a reserved word, so it can't be used as a name.`
+        : 'Names start with a letter, $ or _.', peek(), { expected: what });
+    }
+    const token = next();
+    return finish(token, 'Identifier', { name: token.value });
+  };
+
+  // ---- Statements ----------------------------------------------------------
+
+  const parseStatement = rule('Statement', () => {
+    const token = peek();
+    if (is('{')) return parseBlock();
+    if (is(';')) {
+      next();
+      return finish(token, 'EmptyStatement');
+    }
+    if (isName() && is(':', peek(1))) unsupported('A label', token);
+    if (token.type === 'keyword') {
+      switch (token.value) {
+        case 'var':
+        case 'const':
+          return parseVariableStatement();
+        case 'let':
+          if (isName(peek(1)) || is('[', peek(1)) || is('{', peek(1))) return parseVariableStatement();
+          break;
+        case 'function': return parseFunction(true);
+        case 'if': return parseIf();
+        case 'for': return parseFor();
+        case 'while': return parseWhile();
+        case 'do': return parseDoWhile();
+        case 'return': return parseReturn();
+        case 'break':
+        case 'continue': return parseJump();
+        case 'throw': return parseThrow();
+        case 'class':
+        case 'switch':
+        case 'try':
+        case 'import':
+        case 'export':
+        case 'with':
+        case 'debugger':
+          unsupported(`"${token.value}"`, token);
+          break;
+        case 'else':
+          fail('"else" must come right after the body of an if.', 'Check that the if above it is not already closed by a ; or a missing {.', token);
+          break;
+        case 'case':
+        case 'default':
+          fail(`"${token.value}" only belongs inside a switch.`, 'Remove it, or check that the switch above it is not already closed by a }.', token);
+          break;
+        case 'catch':
+        case 'finally':
+          fail(`"${token.value}" must come right after a try block.`, 'Remove it, or check that the try above it is not already closed by a }.', token);
+          break;
+        default:
+          break;
+      }
+    }
+    const expression = parseExpression();
+    consumeSemicolon();
+    return finish(token, 'ExpressionStatement', { expression });
+  });
+
+  const parseBlock = rule('Block', () => {
+    const open = expect('{');
+    const body = [];
+    while (!is('}')) {
+      if (peek().type === 'eof') {
+        fail('This block is never closed.', `Add a } to close the { on line ${open.line}.`, peek(), { expected: '"}"' });
+      }
+      parseStatementInto(body);
+    }
+    next();
+    return finish(open, 'BlockStatement', { body });
+  });
+
+  const parseVariableDeclaration = rule('VariableDeclaration', (inFor = false) => {
+    const keyword = next();
+    const kind = keyword.value;
+    const declarations = [];
+    do {
+      if (declarations.length) next(); // ,
+      if (is('{') || is('[')) unsupportedPattern();
+      const id = parseIdentifier('a variable name');
+      let init = null;
+      if (is('=')) {
+        next();
+        init = parseAssignment(inFor);
+      } else if (kind === 'const' && !(inFor && (is('of') || is('in')))) {
+        fail(`The constant "${id.name}" needs a value.`, `Write const ${id.name} = something; — a const can't be changed later, so it must start with a value.`, peek(), { expected: '"="' });
+      }
+      declarations.push(finish(id, 'VariableDeclarator', { id, init }));
+    } while (is(','));
+    return finish(keyword, 'VariableDeclaration', { declarations, kind });
+  });
+
+  const parseVariableStatement = () => {
+    const declaration = parseVariableDeclaration(false);
+    consumeSemicolon();
+    declaration.end = last.end;
+    declaration.loc.end = locAt(last.end);
+    return declaration;
+  };
+
+  const parseParams = rule('FormalParameters', () => {
+    expect('(', 'Function parameters go inside ( ).');
+    const params = [];
+    while (!is(')')) {
+      if (peek().type === 'eof') fail('The parameter list is never closed.', 'Add a ) after the last parameter.', peek(), { expected: '")"' });
+      if (params.length) expect(',', 'Separate parameters with commas.');
+      if (is('{') || is('[')) unsupportedPattern();
+      if (is('...')) {
+        const dots = next();
+        params.push(finish(dots, 'RestElement', { argument: parseIdentifier('a parameter name') }));
+      } else {
+        const id = parseIdentifier('a parameter name');
+        if (is('=')) {
+          next();
+          params.push(finish(id, 'AssignmentPattern', { left: id, right: parseAssignment() }));
+        } else {
+          params.push(id);
+        }
+      }
+    }
+    next();
+    return params;
+  });
+
+  const parseFunction = rule((isDeclaration) => (isDeclaration ? 'FunctionDeclaration' : 'FunctionExpression'), (isDeclaration) => {
+    const keyword = next();
+    const id = isDeclaration || isName() ? parseIdentifier('a function name') : null;
+    const params = parseParams();
+    const body = parseBlock();
+    return finish(keyword, isDeclaration ? 'FunctionDeclaration' : 'FunctionExpression', {
+      id, expression: false, generator: false, async: false, params, body,
+    });
+  });
+
+  const parseParenthesized = () => {
+    expect('(', 'The condition goes inside ( ).');
+    const expression = parseExpression();
+    expect(')', 'Close the condition with ).');
+    return expression;
+  };
+
+  const parseIf = rule('IfStatement', () => {
+    const keyword = next();
+    const test = parseParenthesized();
+    const consequent = parseStatement();
+    let alternate = null;
+    if (is('else')) {
+      next();
+      alternate = parseStatement();
+    }
+    return finish(keyword, 'IfStatement', { test, consequent, alternate });
+  });
+
+  const parseWhile = rule('WhileStatement', () => {
+    const keyword = next();
+    const test = parseParenthesized();
+    const body = parseStatement();
+    return finish(keyword, 'WhileStatement', { test, body });
+  });
+
+  const parseDoWhile = rule('DoWhileStatement', () => {
+    const keyword = next();
+    const body = parseStatement();
+    expect('while', 'A do { ... } loop ends with while (condition).');
+    const test = parseParenthesized();
+    if (is(';')) next();
+    return finish(keyword, 'DoWhileStatement', { body, test });
+  });
+
+  const parseFor = rule('ForStatement', () => {
+    const keyword = next();
+    expect('(', 'The parts of a for loop go inside ( ).');
+    let init = null;
+    if (is('var') || is('const') || (is('let') && isName(peek(1)))) {
+      init = parseVariableDeclaration(true);
+    } else if (!is(';')) {
+      init = parseExpression(true);
+    }
+    if (init && (is('of') || is('in'))) {
+      const kind = next().value;
+      const right = kind === 'of' ? parseAssignment() : parseExpression();
+      expect(')', 'Close the loop header with ).');
+      const body = parseStatement();
+      return finish(keyword, kind === 'of' ? 'ForOfStatement' : 'ForInStatement', {
+        left: init, right, body, ...(kind === 'of' ? { await: false } : {}),
+      });
+    }
+    expect(';', 'A for loop has three parts separated by ; — for (start; condition; step).');
+    const test = is(';') ? null : parseExpression();
+    expect(';', 'A for loop has three parts separated by ; — for (start; condition; step).');
+    const update = is(')') ? null : parseExpression();
+    expect(')', 'Close the loop header with ).');
+    const body = parseStatement();
+    return finish(keyword, 'ForStatement', { init, test, update, body });
+  });
+
+  const parseReturn = rule('ReturnStatement', () => {
+    const keyword = next();
+    const argument = is(';') || is('}') || peek().type === 'eof' || onNewLine() ? null : parseExpression();
+    consumeSemicolon();
+    return finish(keyword, 'ReturnStatement', { argument });
+  });
+
+  const parseJump = rule('BreakOrContinue', () => {
+    const keyword = next();
+    const label = isName() && !onNewLine() ? parseIdentifier() : null;
+    consumeSemicolon();
+    return finish(keyword, keyword.value === 'break' ? 'BreakStatement' : 'ContinueStatement', { label });
+  });
+
+  const parseThrow = rule('ThrowStatement', () => {
+    const keyword = next();
+    if (onNewLine()) fail('"throw" needs something to throw on the same line.', 'Write throw new Error("message") on one line.', peek());
+    const argument = parseExpression();
+    consumeSemicolon();
+    return finish(keyword, 'ThrowStatement', { argument });
+  });
+
+  // ---- Expressions ---------------------------------------------------------
+
+  const parseExpression = rule('Expression', (noIn = false) => {
+    const first = parseAssignment(noIn);
+    if (!is(',')) return first;
+    const expressions = [first];
+    while (is(',')) {
+      next();
+      expressions.push(parseAssignment(noIn));
+    }
+    return finish(first, 'SequenceExpression', { expressions });
+  });
+
+  // Is the next token the start of an arrow function: x => … or ( … ) => …
+  const arrowAhead = () => {
+    if (isName() && is('=>', peek(1))) return true;
+    if (!is('(')) return false;
+    let depth = 0;
+    for (let i = pos; i < stream.length; i += 1) {
+      const token = stream[i];
+      if (is('(', token) || is('[', token) || is('{', token)) depth += 1;
+      if (is(')', token) || is(']', token) || is('}', token)) {
+        depth -= 1;
+        if (depth === 0) return is('=>', stream[i + 1] || eof);
+      }
+    }
+    return false;
+  };
+
+  const parseArrow = rule('ArrowFunction', (noIn) => {
+    const first = peek();
+    const params = isName() ? [parseIdentifier()] : parseParams();
+    expect('=>');
+    const isBlock = is('{');
+    const body = isBlock ? parseBlock() : parseAssignment(noIn);
+    return finish(first, 'ArrowFunctionExpression', {
+      id: null, expression: !isBlock, generator: false, async: false, params, body,
+    });
+  });
+
+  const parseAssignment = rule('AssignmentExpression', (noIn = false) => {
+    if (arrowAhead()) return parseArrow(noIn);
+    const left = parseConditional(noIn);
+    const operator = peek();
+    if (operator.type === 'operator' && ASSIGNMENT_OPERATORS.has(operator.value)) {
+      if ((left.type === 'ArrayExpression' || left.type === 'ObjectExpression') && operator.value === '=') {
+        unsupported('Destructuring', stream.find((t) => t.start >= left.start));
+      }
+      if (left.type !== 'Identifier' && left.type !== 'MemberExpression') {
+        fail(`You can't assign to ${text.slice(left.start, left.end)}.`, 'Only a variable or a property (like obj.x or list[0]) can be on the left of =.', operator);
+      }
+      next();
+      const right = parseAssignment(noIn);
+      return finish(left, 'AssignmentExpression', { operator: operator.value, left, right });
+    }
+    return left;
+  });
+
+  const parseConditional = rule('ConditionalExpression', (noIn) => {
+    const test = parseBinary(1, noIn);
+    if (!is('?')) return test;
+    next();
+    const consequent = parseAssignment();
+    expect(':', 'A conditional needs both parts: condition ? ifTrue : ifFalse.');
+    const alternate = parseAssignment(noIn);
+    return finish(test, 'ConditionalExpression', { test, consequent, alternate });
+  });
+
+  const binaryPrecedence = (token, noIn) => {
+    if (token.type !== 'operator' && token.type !== 'keyword') return 0;
+    if (noIn && token.value === 'in') return 0;
+    return BINARY_PRECEDENCE[token.value] || 0;
+  };
+
+  // ?? next to || or && without parentheses around one of them is an error
+  const mixesNullish = (operator, side) => side.type === 'LogicalExpression' && !parenStart.has(side)
+    && (operator.value === '??') !== (side.operator === '??');
+  const spaced = (operator) => (/^[a-z]/.test(operator) ? `${operator} ` : operator);
+
+  // Precedence climbing: each loop folds operators that bind at least as tightly as minPrecedence
+  const parseBinary = rule('BinaryExpression', (minPrecedence, noIn) => {
+    let left = parseUnary();
+    for (;;) {
+      const operator = peek();
+      const precedence = binaryPrecedence(operator, noIn);
+      if (!precedence || precedence < minPrecedence) return left;
+      // -x ** 2 could mean (-x) ** 2 or -(x ** 2), so JavaScript makes you say which
+      if (operator.value === '**' && left.type === 'UnaryExpression' && !parenStart.has(left)) {
+        const sign = spaced(left.operator);
+        fail(`"${left.operator}" can't come right before ** without parentheses.`,
+          `Add parentheses to say which you mean: (${sign}x) ** 2 or ${sign}(x ** 2).`, operator);
+      }
+      next();
+      const right = parseBinary(operator.value === '**' ? precedence : precedence + 1, noIn);
+      const mixed = [left, right].find((side) => mixesNullish(operator, side));
+      if (mixed) {
+        const other = mixed.operator === '??' ? operator.value : mixed.operator;
+        fail(`?? can't be mixed with ${other} without parentheses.`,
+          `Put parentheses around one side, like (a ?? b) ${other} c or a ?? (b ${other} c).`, operator);
+      }
+      left = finish(left, LOGICAL_OPERATORS.has(operator.value) ? 'LogicalExpression' : 'BinaryExpression', {
+        operator: operator.value, left, right,
+      });
+    }
+  });
+
+  const parseUnary = rule('UnaryExpression', () => {
+    const token = peek();
+    if ((token.type === 'operator' || token.type === 'keyword') && UNARY_OPERATORS.has(token.value)) {
+      next();
+      const argument = parseUnary();
+      return finish(token, 'UnaryExpression', { operator: token.value, prefix: true, argument });
+    }
+    if (is('++') || is('--')) {
+      next();
+      const argument = parseUnary();
+      return finish(token, 'UpdateExpression', { operator: token.value, prefix: true, argument });
+    }
+    const expression = parseCallMember();
+    if ((is('++') || is('--')) && !onNewLine()) {
+      const operator = next();
+      return finish(expression, 'UpdateExpression', { operator: operator.value, prefix: false, argument: expression });
+    }
+    return expression;
+  });
+
+  const parseArguments = rule('Arguments', () => {
+    expect('(');
+    const args = [];
+    while (!is(')')) {
+      if (peek().type === 'eof') fail('This call is never closed.', 'Add a ) after the last argument.', peek(), { expected: '")"' });
+      if (args.length) expect(',', 'Separate arguments with commas.');
+      if (is('...')) {
+        const dots = next();
+        args.push(finish(dots, 'SpreadElement', { argument: parseAssignment() }));
+      } else {
+        args.push(parseAssignment());
+      }
+    }
+    next();
+    return args;
+  });
+
+  const parseCallMember = rule('CallOrMemberExpression', () => {
+    const first = peek();
+    let expression;
+    if (is('new')) {
+      next();
+      let callee = parsePrimary();
+      while (is('.') || is('[')) callee = parseMember(callee, false);
+      const args = is('(') ? parseArguments() : [];
+      expression = finish(first, 'NewExpression', { callee, arguments: args });
+    } else {
+      expression = parsePrimary();
+    }
+    let chained = false;
+    for (;;) {
+      if (is('.') || is('[')) {
+        expression = parseMember(expression, false);
+      } else if (is('?.')) {
+        chained = true;
+        if (is('(', peek(1))) {
+          next();
+          expression = finish(expression, 'CallExpression', { callee: expression, arguments: parseArguments(), optional: true });
+        } else {
+          expression = parseMember(expression, true);
+        }
+      } else if (is('(')) {
+        expression = finish(expression, 'CallExpression', { callee: expression, arguments: parseArguments(), optional: false });
+      } else {
+        break;
+      }
+    }
+    return chained ? finish(expression, 'ChainExpression', { expression }) : expression;
+  });
+
+  const parseMember = (object, optional) => {
+    const access = next(); // . ?. or [
+    if (access.value === '[' || (optional && is('['))) {
+      if (optional) next();
+      const property = parseExpression();
+      expect(']', 'Close the index with ].');
+      return finish(object, 'MemberExpression', { object, property, computed: true, optional });
+    }
+    // Any word works after a dot, even reserved ones (obj.if)
+    const token = peek();
+    if (token.type !== 'identifier' && token.type !== 'keyword') {
+      fail(`Expected a property name after "${access.value}" but found ${describeToken(token)}.`, 'Write the name of the property, like person.name.', token, { expected: 'a property name' });
+    }
+    next();
+    const property = finish(token, 'Identifier', { name: token.value });
+    return finish(object, 'MemberExpression', { object, property, computed: false, optional });
+  };
+
+  const parseTemplate = rule('TemplateLiteral', () => {
+    const first = peek();
+    const quasis = [];
+    const expressions = [];
+    const element = (token, tail) => {
+      const open = token.value[0] === '`' || token.value[0] === '}' ? 1 : 0;
+      const close = token.value.endsWith('${') ? 2 : token.value.endsWith('`') && token.value.length > open ? 1 : 0;
+      const raw = token.value.slice(open, token.value.length - close);
+      const start = token.start + open;
+      const end = start + raw.length;
+      return {
+        type: 'TemplateElement',
+        value: { raw, cooked: unescapeString(raw) },
+        tail,
+        start,
+        end,
+        loc: { start: locAt(start), end: locAt(end) },
+      };
+    };
+    let token = next();
+    while (token.templatePart === 'head' || token.templatePart === 'middle') {
+      quasis.push(element(token, false));
+      expressions.push(parseExpression());
+      if (peek().type !== 'template') {
+        fail(`Expected "}" to close the placeholder but found ${describeToken(peek())}.`, 'Every placeholder in a template string needs a closing }.', peek(), { expected: '"}"' });
+      }
+      token = next();
+    }
+    quasis.push(element(token, true));
+    return finish(first, 'TemplateLiteral', { quasis, expressions });
+  });
+
+  const parseArray = rule('ArrayLiteral', () => {
+    const open = next();
+    const elements = [];
+    while (!is(']')) {
+      if (peek().type === 'eof') fail('This list is never closed.', `Add a ] to close the [ on line ${open.line}.`, peek(), { expected: '"]"' });
+      if (is(',')) {
+        next();
+        elements.push(null); // hole: [1, , 3]
+        continue;
+      }
+      if (is('...')) {
+        const dots = next();
+        elements.push(finish(dots, 'SpreadElement', { argument: parseAssignment() }));
+      } else {
+        elements.push(parseAssignment());
+      }
+      if (!is(']')) expect(',', 'Separate list items with commas.');
+    }
+    next();
+    return finish(open, 'ArrayExpression', { elements });
+  });
+
+  const parseProperty = rule('PropertyDefinition', () => {
+    const first = peek();
+    if (is('...')) {
+      next();
+      return finish(first, 'SpreadElement', { argument: parseAssignment() });
+    }
+    let key;
+    let computed = false;
+    if (is('[')) {
+      next();
+      computed = true;
+      key = parseAssignment();
+      expect(']', 'Close the computed key with ].');
+    } else if (first.type === 'string' || first.type === 'number') {
+      key = parsePrimary();
+    } else if (first.type === 'identifier' || first.type === 'keyword') {
+      next();
+      key = finish(first, 'Identifier', { name: first.value });
+    } else {
+      fail(`Expected a property name but found ${describeToken(first)}.`, 'Object properties look like name: value.', first, { expected: 'a property name' });
+    }
+    if (is(':')) {
+      next();
+      const value = parseAssignment();
+      return finish(first, 'Property', { method: false, shorthand: false, computed, key, value, kind: 'init' });
+    }
+    if (is('(')) {
+      const open = peek();
+      const params = parseParams();
+      const body = parseBlock();
+      const value = finish(open, 'FunctionExpression', { id: null, expression: false, generator: false, async: false, params, body });
+      return finish(first, 'Property', { method: true, shorthand: false, computed, key, value, kind: 'init' });
+    }
+    if (key.type === 'Identifier' && !computed && first.type === 'identifier') {
+      return finish(first, 'Property', { method: false, shorthand: true, computed: false, key, value: key, kind: 'init' });
+    }
+    return fail(`Expected ":" after the property name but found ${describeToken(peek())}.`, 'Object properties look like name: value.', peek(), { expected: '":"' });
+  });
+
+  const parseObject = rule('ObjectLiteral', () => {
+    const open = next();
+    const properties = [];
+    while (!is('}')) {
+      if (peek().type === 'eof') fail('This object is never closed.', `Add a } to close the { on line ${open.line}.`, peek(), { expected: '"}"' });
+      properties.push(parseProperty());
+      if (!is('}')) expect(',', 'Separate object properties with commas.');
+    }
+    next();
+    return finish(open, 'ObjectExpression', { properties });
+  });
+
+  const parsePrimary = rule('PrimaryExpression', () => {
+    const token = peek();
+    if (isName()) return parseIdentifier();
+    switch (token.type) {
+      case 'number': {
+        next();
+        const bigint = token.value.endsWith('n');
+        const digits = token.value.replace(/_/g, '').replace(/n$/, '');
+        return finish(token, 'Literal', bigint ? { value: null, raw: token.value, bigint: digits } : { value: Number(digits), raw: token.value });
+      }
+      case 'string':
+        next();
+        return finish(token, 'Literal', { value: unescapeString(token.value.slice(1, token.unterminated ? undefined : -1)), raw: token.value });
+      case 'regex':
+        next();
+        return finish(token, 'Literal', { value: null, raw: token.value, regex: { pattern: token.body, flags: token.flags } });
+      case 'template':
+        return parseTemplate();
+      case 'keyword':
+        if (token.value === 'true' || token.value === 'false') {
+          next();
+          return finish(token, 'Literal', { value: token.value === 'true', raw: token.value });
+        }
+        if (token.value === 'null') {
+          next();
+          return finish(token, 'Literal', { value: null, raw: 'null' });
+        }
+        if (token.value === 'this') {
+          next();
+          return finish(token, 'ThisExpression');
+        }
+        if (token.value === 'function') return parseFunction(false);
+        break;
+      default:
+        break;
+    }
+    if (is('(')) {
+      const open = next();
+      const expression = parseExpression();
+      expect(')', 'Every ( needs a matching ).');
+      parenStart.set(expression, open.start);
+      return expression;
+    }
+    if (is('[')) return parseArray();
+    if (is('{')) return parseObject();
+    if (token.type === 'eof') {
+      return fail('The code ends in the middle of an expression.', 'Finish the expression — something is missing at the end.', token, { expected: 'an expression' });
+    }
+    if (token.type === 'unknown') {
+      return fail(`Unexpected character ${describeToken(token)}.`, 'Remove it, or put it inside quotes if it is part of some text.', token, { expected: 'an expression' });
+    }
+    return fail(`Expected an expression but found ${describeToken(token)}.`, is(')') || is(']') || is('}')
+      ? `Something is missing before this ${token.value}.`
+      : 'An expression is a value, a variable, or a calculation like a + 1.', token, { expected: 'an expression' });
+  });
+
+  // ---- Program -------------------------------------------------------------
+
+  const body = [];
+  record({ kind: 'enter', rule: 'Program' });
+  while (peek().type !== 'eof') parseStatementInto(body);
+  const program = {
+    type: 'Program',
+    body,
+    sourceType: 'script',
+    start: 0,
+    end: text.length,
+    loc: { start: locAt(0), end: endLoc },
+  };
+  record({ kind: 'node', node: program });
+  record({ kind: 'exit', rule: 'Program' });
+  return events ? { ast: program, errors, trace: { events, tokens: stream } } : { ast: program, errors };
+}
+
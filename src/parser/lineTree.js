@@ -0,0 +1,93 @@
+// Line-based statement tree used by the Parse Tree tab.
+// A quick heuristic over the shared token stream: every source line becomes
+// one statement node (function, variable, return, call or expression), laid
+// out like the AST trees. Runs in the analysis worker next to the lexer.
+
+import { significantTokens } from '../lexer';
+import { layoutTree } from './astGraph';
+
+export function buildLineTree(sourceCode, tokens) {
+  const trimmed = (sourceCode || '').trim();
+  const root = {
+    id: 'root',
+    type: 'Program',
+    label: 'Program',
+    children: [],
+    level: 0,
+    position: { x: 0, y: 0 },
+    description: trimmed ? 'Root of the program - auto AST from your code' : 'Root of the program - empty',
+    properties: { sourceType: 'script' }
+  };
+
+  if (!trimmed) {
+    return { ...root, allNodes: [root] };
+  }
+
+  // Simple JS-like heuristic parser over the shared token stream, one source line at a time
+  const lines = [];
+  significantTokens(tokens).forEach((t) => {
+    const last = lines[lines.length - 1];
+    if (last && last[0].line === t.line) last.push(t);
+    else lines.push([t]);
+  });
+  const children = [];
+  const origin = () => ({ x: 0, y: 0 });
+
+  const addChild = (node) => { children.push(node); root.children.push(node.id); };
+  const textOf = (toks) => toks.length ? sourceCode.slice(toks[0].start, toks[toks.length - 1].end) : '';
+  const rangeOf = (toks) => ({ start: toks[0].start, end: toks[toks.length - 1].end });
+  const is = (t, type, value) => !!t && t.type === type && (value === undefined || t.value === value);
+  // Split tokens on top-level commas (ignoring commas nested in brackets)
+  const splitArgs = (toks) => {
+    const groups = [[]];
+    let depth = 0;
+    toks.forEach((t) => {
+      if (is(t, 'delimiter') && '([{'.includes(t.value)) depth += 1;
+      if (is(t, 'delimiter') && ')]}'.includes(t.value)) depth -= 1;
+      if (depth === 0 && is(t, 'delimiter', ',')) groups.push([]);
+      else groups[groups.length - 1].push(t);
+    });
+    return groups.filter(g => g.length);
+  };
+
+  lines.forEach((lineTokens, i) => {
+    const toks = is(lineTokens[lineTokens.length - 1], 'delimiter', ';') ? lineTokens.slice(0, -1) : lineTokens;
+    if (!toks.length) return;
+    const [first, second, third] = toks;
+    // function foo(a, b) { ... }
+    if (is(first, 'keyword', 'function') && is(second, 'identifier') && is(third, 'delimiter', '(')) {
+      const close = toks.findIndex(t => is(t, 'delimiter', ')'));
+      const name = second.value;
+      const paramTokens = splitArgs(toks.slice(3, close < 0 ? toks.length : close));
+      const params = paramTokens.map(textOf);
+      addChild({ id: `fn_${i}`, type: 'FunctionDeclaration', label: name, children: params.map((p, k) => `param_${i}_${k}`), level: 1, position: origin(), description: `Function: ${name}`, properties: { params }, ...rangeOf(toks) });
+      paramTokens.forEach((p, k) => children.push({ id: `param_${i}_${k}`, type: 'Identifier', label: textOf(p), children: [], level: 2, position: origin(), description: `Parameter: ${textOf(p)}`, properties: {}, ...rangeOf(p) }));
+      return;
+    }
+    // let/const/var name = init;
+    if (is(first, 'keyword') && ['let', 'const', 'var'].includes(first.value) && is(second, 'identifier')) {
+      const kind = first.value; const name = second.value;
+      const initTokens = is(third, 'operator', '=') ? toks.slice(3) : [];
+      const init = initTokens.length ? textOf(initTokens) : null;
+      addChild({ id: `var_${i}`, type: 'VariableDeclaration', label: name, children: init ? [`init_${i}`] : [], level: 1, position: origin(), description: `Variable: ${name}`, properties: { kind, init }, ...rangeOf(toks) });
+      if (init) children.push({ id: `init_${i}`, type: 'Init', label: String(init).slice(0, 16), children: [], level: 2, position: origin(), description: `Initializer: ${init}`, properties: {}, ...rangeOf(initTokens) });
+      return;
+    }
+    // return expr;
+    if (is(first, 'keyword', 'return') && toks.length > 1) { const arg = textOf(toks.slice(1)); addChild({ id: `ret_${i}`, type: 'ReturnStatement', label: `return ${arg.slice(0, 16)}`, children: [], level: 1, position: origin(), description: `Return: ${arg}`, properties: {}, ...rangeOf(toks) }); return; }
+    // call like foo(x, y)
+    if (is(first, 'identifier') && is(second, 'delimiter', '(') && is(toks[toks.length - 1], 'delimiter', ')')) {
+      const callee = first.value; const argTokens = splitArgs(toks.slice(2, -1)); const args = argTokens.map(textOf);
+      addChild({ id: `call_${i}`, type: 'CallExpression', label: `${callee}(…)`, children: args.map((a, k) => `arg_${i}_${k}`), level: 1, position: origin(), description: `Call: ${callee}`, properties: { args }, ...rangeOf(toks) });
+      argTokens.forEach((a, k) => children.push({ id: `arg_${i}_${k}`, type: 'Argument', label: textOf(a).slice(0, 12), children: [], level: 2, position: origin(), description: `Argument: ${textOf(a)}`, properties: {}, ...rangeOf(a) }));
+      return;
+    }
+    // generic expression fallback
+    const asg = textOf(toks);
+    addChild({ id: `expr_${i}`, type: 'ExpressionStatement', label: asg.slice(0, 16), children: [], level: 1, position: origin(), description: `Expression: ${asg}`, properties: {}, ...rangeOf(toks) });
+  });
+
+  const allNodes = [root, ...children];
+  const { width, height } = layoutTree(allNodes);
+  return { ...root, allNodes, width, height };
+}
@@ -0,0 +1,265 @@
+// Pratt parser for the precedence explorer. It reads one expression of
+// numbers, names, brackets and JavaScript's operators and records each
+// binding decision it makes, so the panel can show why 2 + 3 * 4 groups as
+// 2 + (3 * 4). The tree is ESTree, like the JavaScript parser's.
+//
+// Every operator has a binding power (the JavaScript parser's precedence
+// levels). parseExpression(minPower) reads an operand, then keeps taking
+// operators while their power is at least minPower: a stronger operator grabs
+// the operand first, a weaker one stops and leaves it to the operator waiting
+// outside. The right side of an operator is read with minPower one higher
+// than its own power (power itself for right-associative **), which is what
+// makes 8 - 2 - 1 group to the left and 2 ** 3 ** 2 to the right.
+//
+// Steps, in order (cursor is the index of the next token, waiting the
+// operators and brackets still waiting for their right side, outermost first,
+// as { token, power }):
+//   { kind: 'operand', nodeId }                  a number or name read
+//   { kind: 'prefix', token }                    a sign or ! that applies to what follows
+//   { kind: 'open' | 'close', token }            brackets: a fresh start inside
+//   { kind: 'bind', token, power, minPower, by } the operator takes the operand before it
+//   { kind: 'stop', token, power, minPower, by } too weak: by (the waiting operator) gets it
+//   { kind: 'build', nodeId }                    operator node made from its parts
+//   { kind: 'done', nodeId } | { kind: 'error', message, hint }
+
+import { tokenize, significantTokens } from '../lexer';
+import { BINARY_PRECEDENCE } from './javascript';
+import { ParseError, createLocator, describeToken } from './shared';
+import { astToGraph } from './astGraph';
+
+const LOGICAL_OPERATORS = new Set(['||', '&&', '??']);
+const RIGHT_ASSOCIATIVE = new Set(['**']);
+const PREFIX_OPERATORS = new Set(['-', '+', '!']);
+// Signs bind tighter than any operator between two operands, so -2 * 3 is
+// (-2) * 3. Right before ** that would be ambiguous, so, like JavaScript, the
+// explorer asks for brackets: (-2) ** 2 or -(2 ** 2).
+export const PREFIX_POWER = 13;
+
+// Binding power of an operator between two operands (0 for anything else)
+export const bindingPower = (token) => (token.type === 'operator' && BINARY_PRECEDENCE[token.value]) || 0;
+
+// Operators in the explorer's power table, strongest first
+export const POWER_TABLE = Object.entries(BINARY_PRECEDENCE)
+  .filter(([operator]) => /^[^a-z]/.test(operator))
+  .reduce((levels, [operator, power]) => {
+    const level = levels.find((entry) => entry.power === power);
+    if (level) level.operators.push(operator);
+    else levels.push({ power, operators: [operator], rightToLeft: RIGHT_ASSOCIATIVE.has(operator) });
+    return levels;
+  }, [])
+  .sort((a, b) => b.power - a.power);
+
+const EXPRESSION_HINT = 'Use numbers, names, brackets and operators like + - * / % ** < === && ||, e.g. 2 + 3 * 4.';
+
+// { ast, tree, tokens, steps, error }: tree is the node list ParserTreeGraph
+// draws (null when the expression has an error), error { message, hint, start, end }
+export function prattParse(source) {
+  const text = String(source || '');
+  const tokens = significantTokens(tokenize(text, 'javascript'));
+  const { eof } = createLocator(text);
+  const steps = [];
+  const waiting = [];
+  let index = 0;
+
+  const peek = () => tokens[index] || eof;
+  const record = (step) => steps.push({ ...step, cursor: index, waiting: waiting.slice() });
+  const fail = (message, token, hint = EXPRESSION_HINT) => {
+    throw new ParseError(message, token, { hint });
+  };
+  // Nodes written inside brackets, which JavaScript's mixing rules allow
+  const bracketed = new WeakSet();
+
+  const parsePrefix = () => {
+    const token = peek();
+    if (token.type === 'number' || token.type === 'identifier' || (token.type === 'keyword' && (token.value === 'true' || token.value === 'false'))) {
+      index += 1;
+      const node = token.type === 'identifier'
+        ? { type: 'Identifier', name: token.value }
+        : { type: 'Literal', value: token.type === 'number' ? Number(token.value.replace(/_/g, '')) : token.value === 'true', raw: token.value };
+      Object.assign(node, { start: token.start, end: token.end });
+      record({ kind: 'operand', node });
+      return node;
+    }
+    if (token.value === '(' && token.type === 'delimiter') {
+      record({ kind: 'open', token });
+      index += 1;
+      waiting.push({ token, power: 0 });
+      const inner = parseExpression(1);
+      waiting.pop();
+      const close = peek();
+      if (close.value !== ')') fail(`Expected ")" to close the bracket, but found ${describeToken(close)}.`, close, 'Every ( needs a ) after the expression inside it.');
+      record({ kind: 'close', token: close, node: inner });
+      index += 1;
+      bracketed.add(inner);
+      return inner;
+    }
+    if (token.type === 'operator' && PREFIX_OPERATORS.has(token.value)) {
+      record({ kind: 'prefix', token });
+      index += 1;
+      waiting.push({ token, power: PREFIX_POWER });
+      const argument = parseExpression(PREFIX_POWER);
+      waiting.pop();
+      const node = { type: 'UnaryExpression', operator: token.value, prefix: true, argument, start: token.start, end: argument.end };
+      record({ kind: 'build', node });
+      return node;
+    }
+    if (token.type === 'eof') return fail('The expression stops before it is finished: a number or name is missing at the end.', token);
+    return fail(`Expected a number, a name or "(" here, but found ${describeToken(token)}.`, token);
+  };
+
+  const parseExpression = (minPower) => {
+    let left = parsePrefix();
+    for (;;) {
+      const token = peek();
+      const power = bindingPower(token);
+      if (!power) {
+        if (token.type === 'eof' || token.value === ')') return left;
+        if (token.type === 'operator' || token.type === 'unknown') fail(`The explorer doesn't know the "${token.value}" operator.`, token);
+        fail(`Expected an operator before ${describeToken(token)}.`, token, 'Two operands need an operator between them, e.g. 2 * x instead of 2 x.');
+      }
+      if (power < minPower) {
+        record({ kind: 'stop', token, power, minPower, by: waiting[waiting.length - 1], node: left });
+        return left;
+      }
+      // The same two rules as the JavaScript parser: a sign right before **,
+      // and ?? next to || or &&, need brackets to say what is meant
+      if (token.value === '**' && left.type === 'UnaryExpression' && !bracketed.has(left)) {
+        const sign = left.operator;
+        fail(`"${sign}" can't come right before ** without brackets.`, token,
+          `Add brackets to say which you mean: (${sign}x) ** 2 or ${sign}(x ** 2).`);
+      }
+      record({ kind: 'bind', token, power, minPower, by: waiting[waiting.length - 1] || null, node: left });
+      index += 1;
+      waiting.push({ token, power });
+      const right = parseExpression(RIGHT_ASSOCIATIVE.has(token.value) ? power : power + 1);
+      waiting.pop();
+      const mixed = [left, right].find((side) => side.type === 'LogicalExpression' && !bracketed.has(side)
+        && (token.value === '??') !== (side.operator === '??'));
+      if (mixed) {
+        const other = mixed.operator === '??' ? token.value : mixed.operator;
+        fail(`?? can't be mixed with ${other} without brackets.`, token,
+          `Put brackets around one side, like (a ?? b) ${other} c or a ?? (b ${other} c).`);
+      }
+      left = {
+        type: LOGICAL_OPERATORS.has(token.value) ? 'LogicalExpression' : 'BinaryExpression',
+        operator: token.value,
+        left,
+        right,
+        start: left.start,
+        end: right.end,
+      };
+      record({ kind: 'build', node: left });
+    }
+  };
+
+  let ast = null;
+  let error = null;
+  try {
+    if (!tokens.length) fail('Type an expression to explore, like 2 + 3 * 4.', eof);
+    ast = parseExpression(1);
+    if (peek().type !== 'eof') fail(`There is an extra ${describeToken(peek())} here with no "(" to match.`, peek());
+    record({ kind: 'done', node: ast });
+  } catch (caught) {
+    if (!(caught instanceof ParseError)) throw caught;
+    error = { message: caught.message, hint: caught.hint, start: caught.token.start, end: Math.max(caught.token.end, caught.token.start + 1) };
+    ast = null;
+    waiting.length = 0;
+    record({ kind: 'error', message: error.message, hint: error.hint });
+  }
+
+  // Node ids for the steps; without a finished tree the steps keep no nodes
+  const nodeIds = new Map();
+  const tree = ast ? astToGraph(ast, text, nodeIds) : null;
+  steps.forEach((step) => {
+    if (step.node) step.nodeId = nodeIds.get(step.node) || null;
+    delete step.node;
+  });
+  return { ast, tree, tokens, steps, error };
+}
+
+const BINARY_OPERATIONS = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => a % b,
+  '**': (a, b) => a ** b,
+  '<': (a, b) => a < b,
+  '>': (a, b) => a > b,
+  '<=': (a, b) => a <= b,
+  '>=': (a, b) => a >= b,
+  // Operands are only ever numbers and booleans, where == compares them as numbers
+  '==': (a, b) => Number(a) === Number(b),
+  '!=': (a, b) => Number(a) !== Number(b),
+  '===': (a, b) => a === b,
+  '!==': (a, b) => a !== b,
+  '&&': (a, b) => a && b,
+  '||': (a, b) => a || b,
+  '??': (a, b) => a ?? b,
+  '&': (a, b) => a & b,
+  '|': (a, b) => a | b,
+  '^': (a, b) => a ^ b,
+  '<<': (a, b) => a << b,
+  '>>': (a, b) => a >> b,
+  '>>>': (a, b) => a >>> b,
+};
+
+const UNARY_OPERATIONS = {
+  '-': (a) => -a,
+  '+': (a) => +a,
+  '!': (a) => !a,
+};
+
+export const formatValue = (value) => (typeof value === 'number' && Number.isFinite(value) ? String(+value.toPrecision(12)) : String(value));
+
+// Negative operands get brackets, so the calculation reads (-2) ** 2 = 4
+const formatOperand = (value) => (typeof value === 'number' && value < 0 ? `(${formatValue(value)})` : formatValue(value));
+
+// Names used in the expression, in order of first use
+export function expressionNames(ast) {
+  const names = [];
+  const visit = (node) => {
+    if (!node) return;
+    if (node.type === 'Identifier' && !names.includes(node.name)) names.push(node.name);
+    visit(node.argument);
+    visit(node.left);
+    visit(node.right);
+  };
+  visit(ast);
+  return names;
+}
+
+// Works the tree out from the leaves up, the way a computer would:
+// { steps: [{ nodeId, value, text }], value, error } where text is the
+// calculation done at that node ("3 * 4 = 12"). Numbers need no step; names
+// get one for looking up their value. values maps names to numbers.
+export function evaluateSteps(ast, values = {}) {
+  const nodeIds = new Map();
+  astToGraph(ast, '', nodeIds);
+  const steps = [];
+  const missing = expressionNames(ast).filter((name) => typeof values[name] !== 'number' || Number.isNaN(values[name]));
+  if (missing.length) {
+    return { steps, value: null, error: `Give ${missing.join(', ')} a value to work the expression out.` };
+  }
+  const visit = (node) => {
+    let value;
+    let text;
+    if (node.type === 'Literal') return node.value;
+    if (node.type === 'Identifier') {
+      value = values[node.name];
+      text = `${node.name} is ${formatValue(value)}`;
+    } else if (node.type === 'UnaryExpression') {
+      const argument = visit(node.argument);
+      value = UNARY_OPERATIONS[node.operator](argument);
+      text = `${node.operator}${formatOperand(argument)} = ${formatValue(value)}`;
+    } else {
+      const left = visit(node.left);
+      const right = visit(node.right);
+      value = BINARY_OPERATIONS[node.operator](left, right);
+      text = `${formatOperand(left)} ${node.operator} ${formatOperand(right)} = ${formatValue(value)}`;
+    }
+    steps.push({ nodeId: nodeIds.get(node), value, text });
+    return value;
+  };
+  return { steps, value: visit(ast), error: null };
+}
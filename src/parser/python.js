@@ -0,0 +1,1080 @@
+// Recursive-descent parser for the teaching subset of Python.
+// Produces nodes named and shaped like Python's own `ast` module (Module,
+// FunctionDef, If, For, BinOp, Call, Name, Constant, ...) with lineno,
+// col_offset, end_lineno and end_col_offset, plus the start/end offsets and
+// loc the Parse Tree uses for highlighting. Operators are stored by their
+// ast names ('Add', 'Eq', 'USub', ...). Blocks come from the lexer's
+// INDENT/DEDENT tokens and simple statements end at NEWLINE. The subset covers:
+//   - def (defaults, *args, **kwargs, annotations), class, decorators
+//   - if/elif/else, for and while (with else), return, pass, break,
+//     continue, import, from-import, global, nonlocal, del, assert, raise
+//   - assignments: chained, tuple unpacking, augmented (+=) and annotated
+//   - expressions with Python's precedence: lambda, a if c else b, or/and/not,
+//     chained comparisons, arithmetic and bitwise operators, calls,
+//     attributes, subscripts and slices, lists, tuples, dicts, sets and
+//     comprehensions, and f-strings with their {placeholders} parsed
+// Like the JavaScript parser it recovers from syntax errors by skipping the
+// statement with the problem (up to the end of its line, together with any
+// block indented under it) and reports every error it finds. With
+// { trace: true } it also returns the walkthrough trace, with rules named as
+// in Python's grammar (stmt, if_stmt, test, comparison, term, atom, ...).
+
+import { tokenize } from '../lexer';
+import { ParseError, addSyntaxError, createLocator, createTrace, describeToken } from './shared';
+
+const BINARY_OPERATORS = {
+  '+': 'Add', '-': 'Sub', '*': 'Mult', '/': 'Div', '//': 'FloorDiv', '%': 'Mod', '**': 'Pow', '@': 'MatMult',
+  '<<': 'LShift', '>>': 'RShift', '|': 'BitOr', '^': 'BitXor', '&': 'BitAnd',
+};
+// Binary operator levels from loosest to tightest; ** sits above unary minus and is handled apart
+const BINARY_LEVELS = [['|'], ['^'], ['&'], ['<<', '>>'], ['+', '-'], ['*', '/', '//', '%', '@']];
+// Names of those levels in Python's grammar, shown in the parser walkthrough
+const BINARY_RULES = ['expr', 'xor_expr', 'and_expr', 'shift_expr', 'arith_expr', 'term'];
+const UNARY_OPERATORS = { '-': 'USub', '+': 'UAdd', '~': 'Invert' };
+const AUGMENTED_ASSIGNMENTS = { '+=': 'Add', '-=': 'Sub', '*=': 'Mult', '/=': 'Div', '//=': 'FloorDiv', '%=': 'Mod', '**=': 'Pow' };
+const COMPARISONS = { '==': 'Eq', '!=': 'NotEq', '<': 'Lt', '<=': 'LtE', '>': 'Gt', '>=': 'GtE', in: 'In', is: 'Is' };
+
+// How each ast operator name is written in code, for labels
+export const OPERATOR_SYMBOLS = {
+  ...Object.fromEntries(Object.entries(BINARY_OPERATORS).map(([symbol, name]) => [name, symbol])),
+  ...Object.fromEntries(Object.entries(COMPARISONS).map(([symbol, name]) => [name, symbol])),
+  USub: '-', UAdd: '+', Invert: '~', Not: 'not', NotIn: 'not in', IsNot: 'is not', And: 'and', Or: 'or',
+};
+
+const LAYOUT_TOKENS = new Set(['newline', 'indent', 'dedent']);
+const EXPRESSION_KEYWORDS = new Set(['not', 'lambda', 'True', 'False', 'None']);
+const SUBSET_HINT = 'The Parse Tree understands a teaching subset of Python: functions, classes, if/elif/else, loops, assignments and expressions.';
+
+const describe = (token) => {
+  if (token.type === 'newline') return 'the end of the line';
+  if (token.type === 'indent') return 'an indented line';
+  if (token.type === 'dedent') return 'the end of the block';
+  return describeToken(token);
+};
+
+const describeNode = (node) => {
+  switch (node.type) {
+    case 'Call': return 'a function call';
+    case 'Constant':
+    case 'JoinedStr': return 'a literal value';
+    case 'Compare': return 'a comparison';
+    case 'BinOp':
+    case 'UnaryOp':
+    case 'BoolOp': return 'the result of an operator';
+    default: return 'this expression';
+  }
+};
+
+const unescapeString = (body) => body.replace(
+  /\\(N\{[^}]*\}|U[0-9a-fA-F]{8}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|[0-7]{1,3}|\r\n|[\s\S])/g,
+  (match, escape) => {
+    if (/^[uUx]/.test(escape)) return String.fromCodePoint(parseInt(escape.slice(1), 16));
+    if (/^[0-7]/.test(escape)) return String.fromCharCode(parseInt(escape, 8));
+    const simple = { n: '\n', t: '\t', r: '\r', a: '\x07', b: '\b', f: '\f', v: '\v', '\\': '\\', "'": "'", '"': '"', '\n': '', '\r\n': '' };
+    return escape in simple ? simple[escape] : match;
+  }
+);
+
+// Text of a string token without prefix and quotes, with escapes applied unless it is raw
+const stringValue = (token) => {
+  const prefix = token.value.match(/^[a-zA-Z]*/)[0];
+  const quoteLength = token.triple ? 3 : 1;
+  const body = token.value.slice(prefix.length + quoteLength, token.unterminated ? undefined : -quoteLength);
+  return /r/i.test(prefix) ? body : unescapeString(body);
+};
+
+export function parsePython(source, tokens = null, options = {}) {
+  const text = String(source || '');
+  const stream = (tokens || tokenize(text, 'python')).filter((t) => t.type !== 'comment');
+  const { locAt, endLoc, eof } = createLocator(text);
+  const { events, record, rule } = createTrace(options.trace);
+
+  let pos = 0;
+  let last = null; // last consumed token of real code (not NEWLINE/INDENT/DEDENT)
+  // A node built on a parenthesized expression starts at its "(" (like CPython)
+  const parenStart = new WeakMap();
+
+  const peek = (offset = 0) => stream[pos + offset] || eof;
+  const next = () => {
+    const token = peek();
+    if (token.type === 'eof') return token;
+    pos += 1;
+    if (!LAYOUT_TOKENS.has(token.type)) last = token;
+    record({ kind: 'consume', token });
+    return token;
+  };
+  // Punctuation and keywords are matched by value; names and literals never are
+  const is = (value, token = peek()) => (token.type === 'operator' || token.type === 'delimiter' || token.type === 'keyword') && token.value === value;
+  const isName = (token = peek()) => token.type === 'identifier';
+  // NEWLINE is never emitted inside brackets, so one there means the bracket was never closed
+  const atCodeEnd = () => peek().type === 'eof' || peek().type === 'newline';
+  // Where a closing bracket or a comma is due, so is a line starting at the left edge
+  const bracketLeftOpen = () => atCodeEnd() || (!is(',') && peek().column === 1 && !!last && peek().line > last.endLine);
+  const atLineEnd = () => peek().type === 'newline' || peek().type === 'eof' || is(';');
+
+  const fail = (message, hint, token = peek(), fields = {}) => {
+    record({ kind: 'error', message, hint, token });
+    throw new ParseError(message, token, { hint, found: describe(token), ...fields });
+  };
+  const expect = (value, hint) => {
+    if (is(value)) return next();
+    return fail(`Expected "${value}" but found ${describe(peek())}.`, hint, peek(), { expected: `"${value}"` });
+  };
+  // Valid Python outside the teaching subset: reported, but not as a mistake
+  const unsupported = (what, token = peek()) => fail(`${what} aren't supported by the Parse Tree yet.`, SUBSET_HINT, token, { unsupported: true });
+  // Errors about a whole node point at its first token
+  const failAt = (node, message, hint) => fail(message, hint, stream.find((t) => t.start >= node.start) || peek());
+
+  // Panic mode: after a syntax error in the statement that started at token
+  // from, skip past the end of its line and any block indented under it, or
+  // stop before the dedent that ends the enclosing block. An unclosed bracket
+  // hides the line ends from the lexer, so a line starting at the left edge
+  // also counts as a new statement.
+  const synchronize = (from, failedAt) => {
+    let depth = 0;
+    for (let i = from; i < stream.length; i += 1) {
+      const token = stream[i];
+      const closesBlock = token.type === 'dedent' && !token.invalid;
+      if (i > from && i >= failedAt && depth === 0
+        && (closesBlock || (token.column === 1 && token.line > stream[i - 1].endLine && !LAYOUT_TOKENS.has(token.type)))) {
+        pos = i;
+        return;
+      }
+      if (token.type === 'indent') depth += 1;
+      else if (closesBlock && depth > 0) depth -= 1;
+      const blockFollows = stream[i + 1] && stream[i + 1].type === 'indent';
+      if (depth === 0 && i >= failedAt && (token.type === 'newline' || token.type === 'dedent') && !blockFollows) {
+        pos = i + 1;
+        return;
+      }
+    }
+    pos = stream.length;
+  };
+
+  const errors = [];
+  const parseStatementInto = (body) => {
+    const from = pos;
+    try {
+      body.push(...parseStatement());
+    } catch (error) {
+      if (!(error instanceof ParseError)) throw error;
+      if (addSyntaxError(errors, error)) {
+        synchronize(from, pos);
+        // A skipped try takes its except, else and finally clauses with it
+        while (error.unsupported && (is('except') || is('else') || is('finally'))) synchronize(pos, pos + 1);
+      } else {
+        pos = stream.length;
+      }
+    }
+  };
+
+  const spanNode = (start, end, type, fields = {}) => {
+    const loc = { start: locAt(start), end: locAt(end) };
+    const node = {
+      type,
+      ...fields,
+      lineno: loc.start.line,
+      col_offset: loc.start.column,
+      end_lineno: loc.end.line,
+      end_col_offset: loc.end.column,
+      start,
+      end,
+      loc,
+    };
+    record({ kind: 'node', node });
+    return node;
+  };
+  // Nodes span from their first token (or first child) to the last token consumed
+  const finish = (from, type, fields = {}) => {
+    const start = parenStart.has(from) ? parenStart.get(from) : from.start;
+    return spanNode(start, last ? Math.max(last.end, start) : start, type, fields);
+  };
+
+  const parseName = (what = 'a name') => {
+    if (!isName()) {
+      fail(`Expected ${what} but found ${describe(peek())}.`, peek().type === 'keyword'
+        ? `"${peek().value}" is a keyword, so it can't be used as a name.`
+        : 'Names start with a letter or _.', peek(), { expected: what });
+    }
+    return next();
+  };
+
+  // Targets of =, for and del get a Store/Del context; anything else can't be assigned to
+  const setContext = (node, ctx) => {
+    if (node.type === 'Name' || node.type === 'Attribute' || node.type === 'Subscript') {
+      node.ctx = ctx;
+    } else if (node.type === 'Tuple' || node.type === 'List') {
+      node.ctx = ctx;
+      node.elts.forEach((element) => setContext(element, ctx));
+    } else if (node.type === 'Starred') {
+      node.ctx = ctx;
+      setContext(node.value, ctx);
+    } else {
+      failAt(node, `Can't ${ctx === 'Del' ? 'delete' : 'assign to'} ${describeNode(node)}.`,
+        'Only names like x, items[0] or point.x can be on the left of =. To compare two values use ==.');
+    }
+    return node;
+  };
+
+  // ---- Expressions ---------------------------------------------------------
+
+  const startsExpression = (token = peek()) => token.type === 'identifier' || token.type === 'number' || token.type === 'string'
+    || (token.type === 'keyword' && EXPRESSION_KEYWORDS.has(token.value))
+    || ['(', '[', '{', '-', '+', '~', '*'].includes(token.value);
+
+  const parseComprehension = rule('comp_for', () => {
+    const generators = [];
+    while (is('for')) {
+      const keyword = next();
+      const target = parseTargetList();
+      expect('in', 'A comprehension loop looks like: for item in items');
+      const iter = parseOrTest();
+      const ifs = [];
+      while (is('if')) {
+        next();
+        ifs.push(parseOrTest());
+      }
+      generators.push(finish(keyword, 'comprehension', { target, iter, ifs, is_async: 0 }));
+    }
+    return generators;
+  });
+
+  const closeBracket = (closing, opener) => {
+    if (is(closing)) return next();
+    if (bracketLeftOpen()) {
+      fail(`This "${opener.value}" is never closed.`, `Add ${closing} at the end.`, opener, { expected: `"${closing}"`, found: describe(peek()) });
+    }
+    return expect(closing, `Separate the items with commas and close the bracket with ${closing}.`);
+  };
+
+  const parseStarOr = (parseItem) => {
+    if (!is('*')) return parseItem();
+    const star = next();
+    const value = parseBitOr();
+    return finish(star, 'Starred', { value, ctx: 'Load' });
+  };
+
+  // Comma-separated items up to a closing bracket (trailing comma allowed)
+  const parseItems = (closing, opener, first) => {
+    const items = [first];
+    while (is(',')) {
+      next();
+      if (is(closing)) break;
+      items.push(parseStarOr(parseNamedTest));
+    }
+    closeBracket(closing, opener);
+    return items;
+  };
+
+  const parseParenthesized = () => {
+    const open = next();
+    if (is(')')) {
+      next();
+      return finish(open, 'Tuple', { elts: [], ctx: 'Load' });
+    }
+    if (is('yield')) {
+      const value = parseYield();
+      closeBracket(')', open);
+      parenStart.set(value, open.start);
+      return value;
+    }
+    const first = parseStarOr(parseNamedTest);
+    if (is('for')) {
+      const generators = parseComprehension();
+      closeBracket(')', open);
+      return finish(open, 'GeneratorExp', { elt: first, generators });
+    }
+    if (is(',')) {
+      const elts = parseItems(')', open, first);
+      return finish(open, 'Tuple', { elts, ctx: 'Load' });
+    }
+    closeBracket(')', open);
+    parenStart.set(first, open.start);
+    return first;
+  };
+
+  const parseList = () => {
+    const open = next();
+    if (is(']')) {
+      next();
+      return finish(open, 'List', { elts: [], ctx: 'Load' });
+    }
+    const first = parseStarOr(parseNamedTest);
+    if (is('for')) {
+      const generators = parseComprehension();
+      closeBracket(']', open);
+      return finish(open, 'ListComp', { elt: first, generators });
+    }
+    const elts = parseItems(']', open, first);
+    return finish(open, 'List', { elts, ctx: 'Load' });
+  };
+
+  const parseDictOrSet = () => {
+    const open = next();
+    if (is('}')) {
+      next();
+      return finish(open, 'Dict', { keys: [], values: [] });
+    }
+    const readEntry = () => {
+      if (is('**')) {
+        next();
+        return { key: null, value: parseBitOr() };
+      }
+      const key = parseTest();
+      expect(':', 'Dictionary entries look like key: value.');
+      return { key, value: parseTest() };
+    };
+
+    const isDict = is('**') || (() => {
+      const saved = pos;
+      const savedLast = last;
+      const savedEvents = events && events.length;
+      // Look past the first item: a ":" after it makes this a dict
+      try {
+        parseTest();
+        return is(':');
+      } catch (error) {
+        if (!(error instanceof ParseError)) throw error;
+        return false;
+      } finally {
+        pos = saved;
+        last = savedLast;
+        if (events) events.length = savedEvents;
+      }
+    })();
+
+    if (!isDict) {
+      const first = parseStarOr(parseNamedTest);
+      if (is('for')) {
+        const generators = parseComprehension();
+        closeBracket('}', open);
+        return finish(open, 'SetComp', { elt: first, generators });
+      }
+      const elts = parseItems('}', open, first);
+      return finish(open, 'Set', { elts });
+    }
+
+    const entry = readEntry();
+    if (entry.key && is('for')) {
+      const generators = parseComprehension();
+      closeBracket('}', open);
+      return finish(open, 'DictComp', { key: entry.key, value: entry.value, generators });
+    }
+    const keys = [entry.key];
+    const values = [entry.value];
+    while (is(',')) {
+      next();
+      if (is('}')) break;
+      const more = readEntry();
+      keys.push(more.key);
+      values.push(more.value);
+    }
+    closeBracket('}', open);
+    return finish(open, 'Dict', { keys, values });
+  };
+
+  const parseAtom = rule('atom', () => {
+    const token = peek();
+    if (isName()) {
+      next();
+      return finish(token, 'Name', { id: token.value, ctx: 'Load' });
+    }
+    if (token.type === 'number') {
+      next();
+      const digits = token.value.replace(/_/g, '');
+      if (/[jJ]$/.test(digits)) return finish(token, 'Constant', { value: token.value });
+      const value = Number(digits);
+      if (Number.isNaN(value)) {
+        fail(`"${token.value}" isn't a valid number.`, 'Names can\'t start with a digit, and numbers can\'t have letters in them.', token);
+      }
+      return finish(token, 'Constant', { value });
+    }
+    if (token.type === 'string') {
+      // Neighbouring strings are joined into one: "a" "b" == "ab"
+      const parts = [];
+      while (peek().type === 'string') parts.push(next());
+      if (!parts.some((part) => part.fstring)) return finish(token, 'Constant', { value: parts.map(stringValue).join('') });
+      const values = [];
+      parts.forEach((part) => {
+        const pieces = part.fstring ? parseFString(part) : [spanNode(part.start, part.end, 'Constant', { value: stringValue(part) })];
+        pieces.forEach((piece) => {
+          const previous = values[values.length - 1];
+          if (piece.type === 'Constant' && previous && previous.type === 'Constant') {
+            values[values.length - 1] = spanNode(previous.start, piece.end, 'Constant', { value: previous.value + piece.value });
+          } else if (piece.type !== 'Constant' || piece.value) {
+            values.push(piece);
+          }
+        });
+      });
+      return finish(token, 'JoinedStr', { values });
+    }
+    if (is('True') || is('False') || is('None')) {
+      next();
+      return finish(token, 'Constant', { value: token.value === 'None' ? null : token.value === 'True' });
+    }
+    if (is('(')) return parseParenthesized();
+    if (is('[')) return parseList();
+    if (is('{')) return parseDictOrSet();
+
+    if (token.type === 'eof' || LAYOUT_TOKENS.has(token.type)) {
+      return fail(`Expected an expression but found ${describe(token)}.`, 'Something is missing here - finish the expression.', token, { expected: 'an expression' });
+    }
+    if (token.type === 'unknown') {
+      return fail(`Unexpected character ${describe(token)}.`, 'Remove it, or put it inside quotes if it is part of some text.', token, { expected: 'an expression' });
+    }
+    if (is('else') || is('elif') || is('except') || is('finally')) {
+      return fail(`Unexpected "${token.value}".`, `"${token.value}" must line up with the block it belongs to (the "${token.value === 'except' || token.value === 'finally' ? 'try' : 'if'}" above it).`, token, { expected: 'an expression' });
+    }
+    if (token.type === 'keyword') {
+      return fail(`Expected an expression but found ${describe(token)}.`, `"${token.value}" is a keyword, so it can't be used here.`, token, { expected: 'an expression' });
+    }
+    return fail(`Expected an expression but found ${describe(token)}.`, is(')') || is(']') || is('}')
+      ? 'There is a closing bracket without a matching opening one.'
+      : 'Something is missing before this.', token, { expected: 'an expression' });
+  });
+
+  // The expression inside an f-string placeholder is parsed on its own, from a
+  // copy of the source blanked out up to it so positions stay the same
+  const parseEmbedded = (token, offset, code) => {
+    if (!code.trim()) {
+      fail('This {} placeholder is empty.', 'Put a name or an expression inside the braces, like {total}.', token);
+    }
+    const padded = `${text.slice(0, offset - 1).replace(/[^\n]/g, ' ')}(${code})`;
+    const inner = tokenize(padded, 'python').filter((t) => t.type !== 'indent' && t.type !== 'dedent');
+    const { ast, errors } = parsePython(padded, inner);
+    if (errors.length) {
+      const [error] = errors;
+      // Our closing ")" stands where the placeholder's "}" is
+      const atClose = error.start >= offset + code.length;
+      record({ kind: 'error', message: error.message, hint: error.hint, token });
+      throw new ParseError(atClose ? error.message.replace('")"', '"}"') : error.message, { ...error, index: token.index, value: code }, {
+        hint: atClose ? 'Finish the expression inside the {} placeholder.' : error.hint,
+        expected: error.expected,
+        found: atClose ? '"}"' : error.found,
+      });
+    }
+    if (ast.body.length !== 1 || ast.body[0].type !== 'Expr') {
+      fail('Only an expression can go inside {} in an f-string.', 'Put a name or an expression inside the braces, like {total}.', token);
+    }
+    return ast.body[0].value;
+  };
+
+  // f"total: {x + 1!r:>5}" becomes Constant and FormattedValue pieces;
+  // format specs ({x:>{width}}) are split the same way
+  const fStringPieces = (token, body, bodyStart, cook) => {
+    const pieces = [];
+    let literal = '';
+    let literalStart = 0;
+    const flush = (end) => {
+      if (literal) pieces.push(spanNode(bodyStart + literalStart, bodyStart + end, 'Constant', { value: cook(literal) }));
+      literal = '';
+    };
+
+    let i = 0;
+    while (i < body.length) {
+      const ch = body[i];
+      if ((ch === '{' || ch === '}') && body[i + 1] === ch) {
+        if (!literal) literalStart = i;
+        literal += ch;
+        i += 2;
+      } else if (ch === '{') {
+        flush(i);
+        // The expression ends at !, : or } outside brackets and strings
+        let j = i + 1;
+        let depth = 0;
+        let quote = null;
+        for (; j < body.length; j += 1) {
+          const c = body[j];
+          if (quote) {
+            if (c === quote) quote = null;
+          } else if (c === '"' || c === "'") quote = c;
+          else if ('([{'.includes(c)) depth += 1;
+          else if (')]}'.includes(c) && depth > 0) depth -= 1;
+          else if (depth === 0 && (c === '}' || c === ':' || (c === '!' && body[j + 1] !== '='))) break;
+        }
+        const value = parseEmbedded(token, bodyStart + i + 1, body.slice(i + 1, j));
+        let conversion = -1;
+        if (body[j] === '!') {
+          conversion = body.charCodeAt(j + 1);
+          j += 2;
+        }
+        let formatSpec = null;
+        if (body[j] === ':') {
+          const specStart = j + 1;
+          for (depth = 0; j < body.length && !(body[j] === '}' && depth === 0); j += 1) {
+            if (body[j] === '{') depth += 1;
+            else if (body[j] === '}') depth -= 1;
+          }
+          formatSpec = spanNode(bodyStart + specStart, bodyStart + j, 'JoinedStr', {
+            values: fStringPieces(token, body.slice(specStart, j), bodyStart + specStart, cook),
+          });
+        }
+        if (body[j] !== '}') {
+          fail('This {placeholder} in the f-string is never closed.', 'Add a } after the expression.', token, { expected: '"}"' });
+        }
+        pieces.push(spanNode(bodyStart + i, bodyStart + j + 1, 'FormattedValue', { value, conversion, format_spec: formatSpec }));
+        i = j + 1;
+        literalStart = i;
+      } else {
+        if (!literal) literalStart = i;
+        literal += ch;
+        i += 1;
+      }
+    }
+    flush(body.length);
+    return pieces;
+  };
+
+  const parseFString = (token) => {
+    const prefix = token.value.match(/^[a-zA-Z]*/)[0];
+    const quoteLength = token.triple ? 3 : 1;
+    const body = token.value.slice(prefix.length + quoteLength, token.unterminated ? undefined : -quoteLength);
+    const cook = (raw) => (/r/i.test(prefix) ? raw : unescapeString(raw));
+    return fStringPieces(token, body, token.start + prefix.length + quoteLength, cook);
+  };
+
+  const parseCall = rule('call', (func) => {
+    const open = next();
+    const args = [];
+    const keywords = [];
+    while (!is(')')) {
+      if (atCodeEnd()) fail('This call is never closed.', 'Add a ) after the last argument.', open, { expected: '")"', found: describe(peek()) });
+      const from = peek();
+      if (is('*')) {
+        next();
+        args.push(finish(from, 'Starred', { value: parseTest(), ctx: 'Load' }));
+      } else if (is('**')) {
+        next();
+        keywords.push(finish(from, 'keyword', { arg: null, value: parseTest() }));
+      } else if (isName() && is('=', peek(1))) {
+        next();
+        next();
+        keywords.push(finish(from, 'keyword', { arg: from.value, value: parseTest() }));
+      } else {
+        const value = parseNamedTest();
+        // sum(x for x in xs): the call's own parentheses belong to the generator
+        if (is('for') && !args.length && !keywords.length) {
+          const generators = parseComprehension();
+          closeBracket(')', open);
+          args.push(finish(open, 'GeneratorExp', { elt: value, generators }));
+          return finish(func, 'Call', { func, args, keywords });
+        }
+        args.push(value);
+      }
+      if (!is(')')) {
+        if (bracketLeftOpen()) fail('This call is never closed.', 'Add a ) after the last argument.', open, { expected: '")"', found: describe(peek()) });
+        expect(',', 'Separate the arguments with commas.');
+      }
+    }
+    next();
+    return finish(func, 'Call', { func, args, keywords });
+  });
+
+  const parseSliceItem = () => {
+    const from = peek();
+    const lower = is(':') ? null : parseNamedTest();
+    if (!is(':')) return lower;
+    next();
+    const upper = is(':') || is(']') || is(',') ? null : parseTest();
+    let step = null;
+    if (is(':')) {
+      next();
+      step = is(']') || is(',') ? null : parseTest();
+    }
+    return finish(from, 'Slice', { lower, upper, step });
+  };
+
+  const parseSubscript = rule('subscript', (value) => {
+    const open = next();
+    const from = peek();
+    let slice = parseSliceItem();
+    if (is(',')) {
+      const elts = [slice];
+      while (is(',')) {
+        next();
+        if (is(']')) break;
+        elts.push(parseSliceItem());
+      }
+      slice = finish(from, 'Tuple', { elts, ctx: 'Load' });
+    }
+    closeBracket(']', open);
+    return finish(value, 'Subscript', { value, slice, ctx: 'Load' });
+  });
+
+  const parsePrimary = rule('atom_expr', () => {
+    let node = parseAtom();
+    for (;;) {
+      if (is('(')) node = parseCall(node);
+      else if (is('[')) node = parseSubscript(node);
+      else if (is('.')) {
+        next();
+        const name = parseName('an attribute name after "."');
+        node = finish(node, 'Attribute', { value: node, attr: name.value, ctx: 'Load' });
+      } else return node;
+    }
+  });
+
+  const parseFactor = rule('factor', () => {
+    const token = peek();
+    if (token.type === 'operator' && UNARY_OPERATORS[token.value]) {
+      next();
+      const operand = parseFactor();
+      return finish(token, 'UnaryOp', { op: UNARY_OPERATORS[token.value], operand });
+    }
+    const base = parsePrimary();
+    if (!is('**')) return base;
+    next();
+    const right = parseFactor();
+    return finish(base, 'BinOp', { left: base, op: 'Pow', right });
+  });
+
+  const parseBinary = rule((level) => BINARY_RULES[level], (level) => {
+    const parseOperand = () => (level + 1 === BINARY_LEVELS.length ? parseFactor() : parseBinary(level + 1));
+    let left = parseOperand();
+    while (peek().type === 'operator' && BINARY_LEVELS[level].includes(peek().value)) {
+      const op = BINARY_OPERATORS[next().value];
+      const right = parseOperand();
+      left = finish(left, 'BinOp', { left, op, right });
+    }
+    return left;
+  });
+  const parseBitOr = () => parseBinary(0);
+
+  // Comparison operators, including the two-word "not in" and "is not"
+  const comparisonOperator = () => {
+    const token = peek();
+    if (is('not') && is('in', peek(1))) {
+      next();
+      next();
+      return 'NotIn';
+    }
+    if (is('is') && is('not', peek(1))) {
+      next();
+      next();
+      return 'IsNot';
+    }
+    if ((token.type === 'operator' || is('in') || is('is')) && COMPARISONS[token.value]) {
+      next();
+      return COMPARISONS[token.value];
+    }
+    return null;
+  };
+
+  const parseComparison = rule('comparison', () => {
+    const left = parseBitOr();
+    const ops = [];
+    const comparators = [];
+    for (let op = comparisonOperator(); op; op = comparisonOperator()) {
+      ops.push(op);
+      comparators.push(parseBitOr());
+    }
+    return ops.length ? finish(left, 'Compare', { left, ops, comparators }) : left;
+  });
+
+  const parseNotTest = rule('not_test', () => {
+    if (!is('not')) return parseComparison();
+    const token = next();
+    const operand = parseNotTest();
+    return finish(token, 'UnaryOp', { op: 'Not', operand });
+  });
+
+  const parseBoolOp = (keyword, op, parseOperand) => () => {
+    const first = parseOperand();
+    if (!is(keyword)) return first;
+    const values = [first];
+    while (is(keyword)) {
+      next();
+      values.push(parseOperand());
+    }
+    return finish(first, 'BoolOp', { op, values });
+  };
+  const parseAndTest = rule('and_test', parseBoolOp('and', 'And', parseNotTest));
+  const parseOrTest = rule('or_test', parseBoolOp('or', 'Or', parseAndTest));
+
+  const parseLambda = rule('lambdef', () => {
+    const keyword = next();
+    const args = parseParameters(':', false);
+    expect(':', 'A lambda looks like: lambda x: x * 2');
+    const body = parseTest();
+    return finish(keyword, 'Lambda', { args, body });
+  });
+
+  const parseTest = rule('test', () => {
+    if (is('lambda')) return parseLambda();
+    const body = parseOrTest();
+    if (!is('if')) return body;
+    next();
+    const test = parseOrTest();
+    expect('else', 'A conditional expression looks like: a if condition else b');
+    const orelse = parseTest();
+    return finish(body, 'IfExp', { test, body, orelse });
+  });
+
+  // name := value is allowed in conditions and arguments
+  const parseNamedTest = rule('namedexpr_test', () => {
+    if (!(isName() && is(':=', peek(1)))) return parseTest();
+    const name = next();
+    const target = finish(name, 'Name', { id: name.value, ctx: 'Store' });
+    next();
+    const value = parseTest();
+    return finish(name, 'NamedExpr', { target, value });
+  });
+
+  // a, b, *rest - a bare tuple when there is a comma
+  const parseTestList = rule('testlist', (parseItem = parseTest) => {
+    const first = peek();
+    const item = parseStarOr(parseItem);
+    if (!is(',')) return item;
+    const elts = [item];
+    while (is(',')) {
+      next();
+      if (!startsExpression()) break;
+      elts.push(parseStarOr(parseItem));
+    }
+    return finish(first, 'Tuple', { elts, ctx: 'Load' });
+  });
+
+  // Loop variables: stops before "in", so `for x in xs` isn't read as a comparison
+  const parseTargetList = () => setContext(parseTestList(parseBitOr), 'Store');
+
+  const parseYield = () => {
+    const keyword = next();
+    if (is('from')) {
+      next();
+      return finish(keyword, 'YieldFrom', { value: parseTest() });
+    }
+    const value = atLineEnd() || is(')') ? null : parseTestList();
+    return finish(keyword, 'Yield', { value });
+  };
+
+  const parseValue = () => (is('yield') ? parseYield() : parseTestList());
+
+  // ---- Parameters ----------------------------------------------------------
+
+  const parseArg = (allowAnnotation) => {
+    const name = parseName('a parameter name');
+    const annotation = allowAnnotation && is(':') ? (next(), parseTest()) : null;
+    return finish(name, 'arg', { arg: name.value, annotation });
+  };
+
+  const parseParameters = rule('parameters', (closing, allowAnnotations) => {
+    const from = peek();
+    const args = { posonlyargs: [], args: [], vararg: null, kwonlyargs: [], kw_defaults: [], kwarg: null, defaults: [] };
+    let keywordOnly = false;
+    while (!is(closing)) {
+      if (atCodeEnd()) {
+        fail(`Expected "${closing}" to end the parameters but found ${describe(peek())}.`, `Close the parameter list with ${closing}.`, peek(), { expected: `"${closing}"` });
+      }
+      if (is('/')) {
+        next();
+        args.posonlyargs = args.args;
+        args.args = [];
+      } else if (is('**')) {
+        next();
+        args.kwarg = parseArg(allowAnnotations);
+      } else if (is('*')) {
+        next();
+        keywordOnly = true;
+        if (isName()) args.vararg = parseArg(allowAnnotations);
+      } else {
+        const arg = parseArg(allowAnnotations);
+        const value = is('=') ? (next(), parseTest()) : null;
+        if (keywordOnly) {
+          args.kwonlyargs.push(arg);
+          args.kw_defaults.push(value);
+        } else {
+          if (value) args.defaults.push(value);
+          else if (args.defaults.length) {
+            failAt(arg, `The parameter "${arg.arg}" needs a default value.`, 'Parameters without a default must come before the ones with a default.');
+          }
+          args.args.push(arg);
+        }
+      }
+      if (!is(closing)) expect(',', 'Separate the parameters with commas.');
+    }
+    return finish(from, 'arguments', args);
+  });
+
+  // ---- Statements ----------------------------------------------------------
+
+  const endOfLine = () => {
+    if (peek().type === 'newline') {
+      next();
+      return;
+    }
+    if (peek().type === 'eof') return;
+    fail(`Expected the end of the line but found ${describe(peek())}.`, 'Put each statement on its own line, or separate them with ;.', peek(), { expected: 'the end of the line' });
+  };
+
+  // ":" then either statements on the same line or an indented block
+  const parseBlock = rule('block', (owner) => {
+    if (!is(':')) {
+      fail(`Expected ":" but found ${describe(peek())}.`, is('=')
+        ? 'To compare two values use ==; a single = stores a value.'
+        : `Put a colon at the end of the ${owner} line.`, peek(), { expected: '":"' });
+    }
+    next();
+    if (peek().type !== 'newline') return parseSimpleStatements();
+    next();
+    if (peek().type !== 'indent') {
+      fail(`Expected an indented block after the ${owner} line.`, `Indent the lines that belong to this ${owner} by 4 spaces.`, peek(), { expected: 'an indented block' });
+    }
+    next();
+    const body = [];
+    while (peek().type !== 'eof' && !(peek().type === 'dedent' && !peek().invalid)) parseStatementInto(body);
+    if (peek().type === 'dedent') next();
+    return body;
+  });
+
+  const parseImportAlias = (dotted) => {
+    const first = parseName(dotted ? 'a module name' : 'a name to import');
+    let name = first.value;
+    while (dotted && is('.')) {
+      next();
+      name += `.${parseName('a module name').value}`;
+    }
+    const asname = is('as') ? (next(), parseName('a name after "as"').value) : null;
+    return finish(first, 'alias', { name, asname });
+  };
+
+  const parseImportFrom = rule('import_from', (keyword) => {
+    let level = 0;
+    while (is('.')) {
+      next();
+      level += 1;
+    }
+    let module = null;
+    if (level === 0 || isName()) module = parseImportAlias(true).name;
+    expect('import', 'This looks like: from math import sqrt');
+    const names = [];
+    if (is('*')) {
+      const star = next();
+      names.push(finish(star, 'alias', { name: '*', asname: null }));
+    } else {
+      const open = is('(') ? next() : null;
+      names.push(parseImportAlias(false));
+      while (is(',')) {
+        next();
+        if (open && is(')')) break;
+        names.push(parseImportAlias(false));
+      }
+      if (open) closeBracket(')', open);
+    }
+    return finish(keyword, 'ImportFrom', { module, names, level });
+  });
+
+  const parseExpressionStatement = rule('expr_stmt', () => {
+    const first = peek();
+    const expression = parseValue();
+
+    if (is('=')) {
+      const targets = [];
+      let value = expression;
+      while (is('=')) {
+        targets.push(setContext(value, 'Store'));
+        next();
+        value = parseValue();
+      }
+      return finish(first, 'Assign', { targets, value });
+    }
+
+    if (peek().type === 'operator' && AUGMENTED_ASSIGNMENTS[peek().value]) {
+      if (!['Name', 'Attribute', 'Subscript'].includes(expression.type)) {
+        failAt(expression, `Can't use ${peek().value} on ${describeNode(expression)}.`, 'Augmented assignment updates one name, like count += 1.');
+      }
+      const op = AUGMENTED_ASSIGNMENTS[next().value];
+      const value = parseValue();
+      return finish(first, 'AugAssign', { target: setContext(expression, 'Store'), op, value });
+    }
+
+    if (is(':')) {
+      next();
+      const annotation = parseTest();
+      const value = is('=') ? (next(), parseValue()) : null;
+      const simple = expression.type === 'Name' && !parenStart.has(expression) ? 1 : 0;
+      return finish(first, 'AnnAssign', { target: setContext(expression, 'Store'), annotation, value, simple });
+    }
+
+    return finish(first, 'Expr', { value: expression });
+  });
+
+  const parseSmallStatement = rule('small_stmt', () => {
+    const token = peek();
+    if (is('pass') || is('break') || is('continue')) {
+      next();
+      return finish(token, token.value[0].toUpperCase() + token.value.slice(1));
+    }
+    if (is('return')) {
+      next();
+      const value = atLineEnd() ? null : parseTestList();
+      return finish(token, 'Return', { value });
+    }
+    if (is('import')) {
+      next();
+      const names = [parseImportAlias(true)];
+      while (is(',')) {
+        next();
+        names.push(parseImportAlias(true));
+      }
+      return finish(token, 'Import', { names });
+    }
+    if (is('from')) {
+      next();
+      return parseImportFrom(token);
+    }
+    if (is('global') || is('nonlocal')) {
+      next();
+      const names = [parseName().value];
+      while (is(',')) {
+        next();
+        names.push(parseName().value);
+      }
+      return finish(token, token.value === 'global' ? 'Global' : 'Nonlocal', { names });
+    }
+    if (is('del')) {
+      next();
+      const targets = [];
+      do {
+        if (targets.length) next();
+        targets.push(setContext(parseBitOr(), 'Del'));
+      } while (is(','));
+      return finish(token, 'Delete', { targets });
+    }
+    if (is('assert')) {
+      next();
+      const test = parseTest();
+      const msg = is(',') ? (next(), parseTest()) : null;
+      return finish(token, 'Assert', { test, msg });
+    }
+    if (is('raise')) {
+      next();
+      const exc = atLineEnd() ? null : parseTest();
+      const cause = exc && is('from') ? (next(), parseTest()) : null;
+      return finish(token, 'Raise', { exc, cause });
+    }
+    if (is('try') || is('with')) {
+      unsupported(`"${token.value}" blocks`, token);
+    }
+    return parseExpressionStatement();
+  });
+
+  const parseSimpleStatements = rule('simple_stmt', () => {
+    const statements = [parseSmallStatement()];
+    while (is(';')) {
+      next();
+      if (atLineEnd()) break;
+      statements.push(parseSmallStatement());
+    }
+    endOfLine();
+    return statements;
+  });
+
+  const parseIf = rule('if_stmt', () => {
+    const keyword = next(); // if or elif
+    const test = parseNamedTest();
+    const body = parseBlock(keyword.value);
+    let orelse = [];
+    if (is('elif')) orelse = [parseIf()];
+    else if (is('else')) {
+      next();
+      orelse = parseBlock('else');
+    }
+    return finish(keyword, 'If', { test, body, orelse });
+  });
+
+  const parseElse = () => {
+    if (!is('else')) return [];
+    next();
+    return parseBlock('else');
+  };
+
+  const parseFor = rule('for_stmt', () => {
+    const keyword = next();
+    const target = parseTargetList();
+    expect('in', 'A for loop looks like: for item in items:');
+    const iter = parseTestList();
+    const body = parseBlock('for');
+    const orelse = parseElse();
+    return finish(keyword, 'For', { target, iter, body, orelse });
+  });
+
+  const parseWhile = rule('while_stmt', () => {
+    const keyword = next();
+    const test = parseNamedTest();
+    const body = parseBlock('while');
+    const orelse = parseElse();
+    return finish(keyword, 'While', { test, body, orelse });
+  });
+
+  const parseFunctionDef = rule('funcdef', (decorators) => {
+    const keyword = next();
+    const name = parseName('a function name');
+    expect('(', 'A function looks like: def greet(name):');
+    const args = parseParameters(')', true);
+    next();
+    const returns = is('->') ? (next(), parseTest()) : null;
+    const body = parseBlock('def');
+    return finish(keyword, 'FunctionDef', { name: name.value, args, body, decorator_list: decorators, returns });
+  });
+
+  const parseClassDef = rule('classdef', (decorators) => {
+    const keyword = next();
+    const name = parseName('a class name');
+    let bases = [];
+    let keywords = [];
+    if (is('(')) {
+      const call = parseCall(finish(name, 'Name', { id: name.value, ctx: 'Load' }));
+      bases = call.args;
+      keywords = call.keywords;
+    }
+    const body = parseBlock('class');
+    return finish(keyword, 'ClassDef', { name: name.value, bases, keywords, body, decorator_list: decorators });
+  });
+
+  const parseStatement = rule('stmt', () => {
+    const token = peek();
+    if (token.type === 'indent') {
+      fail('Unexpected indent.', 'This line is indented more than the line before it. Line it up with the code around it.', token);
+    }
+    if (token.type === 'dedent') {
+      fail("This line's indentation doesn't match any block above it.", 'Use exactly the same number of spaces as the lines of the block it belongs to.', token);
+    }
+    if (token.type === 'newline') {
+      next();
+      return [];
+    }
+    if (is('@')) {
+      const decorators = [];
+      while (is('@')) {
+        next();
+        decorators.push(parseNamedTest());
+        endOfLine();
+      }
+      if (is('def')) return [parseFunctionDef(decorators)];
+      if (is('class')) return [parseClassDef(decorators)];
+      return fail(`Expected "def" or "class" after the decorator but found ${describe(peek())}.`, 'A decorator (@name) goes on the line right above a function or class.', peek(), { expected: '"def" or "class"' });
+    }
+    if (is('def')) return [parseFunctionDef([])];
+    if (is('class')) return [parseClassDef([])];
+    if (is('if')) return [parseIf()];
+    if (is('for')) return [parseFor()];
+    if (is('while')) return [parseWhile()];
+    return parseSimpleStatements();
+  });
+
+  // ---- Module --------------------------------------------------------------
+
+  const body = [];
+  record({ kind: 'enter', rule: 'file_input' });
+  while (peek().type !== 'eof') parseStatementInto(body);
+  const module = {
+    type: 'Module',
+    body,
+    start: 0,
+    end: text.length,
+    loc: { start: locAt(0), end: endLoc },
+  };
+  record({ kind: 'node', node: module });
+  record({ kind: 'exit', rule: 'file_input' });
+  return events ? { ast: module, errors, trace: { events, tokens: stream } } : { ast: module, errors };
+}
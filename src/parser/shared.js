@@ -0,0 +1,101 @@
+// Pieces shared by the hand-written parsers: the error they throw, turning
+// offsets into { line, column }, reporting errors in the lexer's diagnostic
+// shape so editor markers can show both, collecting the errors found while
+// recovering, and the optional trace of rules, tokens and nodes behind the
+// parser walkthrough.
+
+export class ParseError extends Error {
+  constructor(message, token, fields = {}) {
+    super(message);
+    this.name = 'ParseError';
+    this.token = token;
+    Object.assign(this, fields);
+  }
+}
+
+export const describeToken = (token) => (token.type === 'eof' ? 'the end of the code' : `"${token.value}"`);
+
+// Returns locAt(offset) -> { line (1-based), column (0-based) } and the
+// zero-width eof token that parsers see after the last real token
+export function createLocator(text) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i += 1) if (text[i] === '\n') lineStarts.push(i + 1);
+
+  const locAt = (offset) => {
+    let lo = 0;
+    let hi = lineStarts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (lineStarts[mid] <= offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return { line: lo + 1, column: offset - lineStarts[lo] };
+  };
+  const endLoc = locAt(text.length);
+  const eof = {
+    index: -1, type: 'eof', value: '', start: text.length, end: text.length,
+    line: endLoc.line, column: endLoc.column + 1, endLine: endLoc.line, endColumn: endLoc.column + 1,
+  };
+  return { locAt, endLoc, eof };
+}
+
+// Code the parser doesn't handle yet (error.unsupported) gets its own
+// severity: it leaves a gap in the tree, but it isn't a mistake to fix
+export function toDiagnostic(error) {
+  const { token } = error;
+  return {
+    severity: error.unsupported ? 'unsupported' : 'error',
+    source: 'parser',
+    code: error.unsupported ? 'unsupported-syntax' : 'syntax-error',
+    message: error.message,
+    hint: error.hint || '',
+    expected: error.expected || null,
+    found: error.found || null,
+    start: token.start,
+    end: Math.max(token.end, token.start + 1),
+    line: token.line,
+    column: token.column,
+    endLine: token.endLine,
+    endColumn: token.end > token.start ? token.endColumn : token.column + 1,
+    tokenIndex: token.index,
+  };
+}
+
+// After this many syntax errors the parsers stop looking for more
+export const MAX_SYNTAX_ERRORS = 25;
+
+// Adds a ParseError to the diagnostics unless it repeats the previous one
+// (recovering can meet the same problem twice, e.g. an unclosed block at the
+// end). Returns false once there are enough errors to stop parsing.
+export function addSyntaxError(errors, error) {
+  const diagnostic = toDiagnostic(error);
+  const previous = errors[errors.length - 1];
+  if (!previous || previous.start !== diagnostic.start || previous.message !== diagnostic.message) errors.push(diagnostic);
+  return errors.length < MAX_SYNTAX_ERRORS;
+}
+
+// Optional record of what a parser does, replayed by the syntax-stage walkthrough:
+//   { kind: 'enter' | 'exit', rule }  around each grammar rule
+//   { kind: 'consume', token }        for each token matched
+//   { kind: 'node', node }            for each AST node built
+//   { kind: 'error', message, hint, token } where parsing stopped
+// When tracing is off, rule() returns the parse function untouched.
+export function createTrace(enabled) {
+  const events = enabled ? [] : null;
+  const record = (event) => {
+    if (events) events.push(event);
+  };
+  // name is a rule name, or a function of the parse function's arguments
+  const rule = (name, parse) => (events
+    ? (...args) => {
+      const ruleName = typeof name === 'function' ? name(...args) : name;
+      events.push({ kind: 'enter', rule: ruleName });
+      try {
+        return parse(...args);
+      } finally {
+        events.push({ kind: 'exit', rule: ruleName });
+      }
+    }
+    : parse);
+  return { events, record, rule };
+}
@@ -0,0 +1,120 @@
+// Shift-reduce (LR) walkthrough for the syntax stage's advanced track. A small
+// JavaScript grammar is turned into LALR(1) or canonical LR(1) tables (see
+// grammar/lr.js) and the code's tokens are run through them, so the parse can
+// be replayed one shift or reduce at a time while the parse tree grows
+// bottom-up out of the reductions.
+//
+// The grammar keeps the classic dangling else: after if (a) if (b) x; the
+// table can't tell which if an else belongs to. That cell holds a
+// shift/reduce conflict; shifting wins, so the else goes with the nearest if.
+
+import { tokenize, significantTokens } from '../lexer';
+import { buildGrammar, buildLRTables, lrParse, END_OF_INPUT } from '../grammar';
+import { layoutTree } from './astGraph';
+
+export const SHIFT_REDUCE_GRAMMAR = `program     ::= statements
+statements  ::= statements statement | statement
+statement   ::= "let" NAME "=" expr ";"
+              | "const" NAME "=" expr ";"
+              | NAME "=" expr ";"
+              | expr ";"
+              | "if" "(" expr ")" statement
+              | "if" "(" expr ")" statement "else" statement
+              | "while" "(" expr ")" statement
+              | "return" expr ";"
+              | "return" ";"
+              | "function" NAME "(" params ")" block
+              | "function" NAME "(" ")" block
+              | block
+block       ::= "{" statements "}" | "{" "}"
+params      ::= params "," NAME | NAME
+expr        ::= expr "||" conjunction | conjunction
+conjunction ::= conjunction "&&" comparison | comparison
+comparison  ::= sum "<" sum | sum ">" sum | sum "<=" sum | sum ">=" sum
+              | sum "===" sum | sum "!==" sum | sum
+sum         ::= sum "+" term | sum "-" term | term
+term        ::= term "*" unary | term "/" unary | term "%" unary | unary
+unary       ::= "-" unary | "!" unary | call
+call        ::= call "(" args ")" | call "(" ")" | call "." NAME | atom
+atom        ::= NUMBER | STRING | NAME | "true" | "false" | "(" expr ")"
+args        ::= args "," expr | expr`;
+
+// Lexer token types that stand for a whole class of terminals
+const TOKEN_TERMINALS = { number: 'NUMBER', identifier: 'NAME', string: 'STRING' };
+
+// The tables only depend on the grammar, so each kind is built once
+const built = {};
+export function shiftReduceTables(lalr = true) {
+  const kind = lalr ? 'lalr' : 'lr1';
+  if (!built[kind]) {
+    const { grammar, analysis } = buildGrammar(SHIFT_REDUCE_GRAMMAR);
+    built[kind] = { grammar, tables: buildLRTables(grammar, analysis, { lalr }) };
+  }
+  return built[kind];
+}
+
+// Parse nodes -> the node list ParserTreeGraph draws. A parse that failed
+// leaves several trees on the stack; they hang below a made-up "stack" root.
+const treeFromNodes = (nodes, roots, tables) => {
+  const allNodes = [];
+  const visit = (id, level) => {
+    const node = nodes.get(id);
+    const production = node.production != null ? tables.productions[node.production] : null;
+    allNodes.push({
+      id,
+      type: node.token ? TOKEN_TERMINALS[node.token.type] || node.token.type : node.symbol,
+      label: node.token ? node.token.value : node.symbol,
+      children: node.children.slice(),
+      level,
+      position: { x: 0, y: 0 },
+      description: node.token
+        ? `Token "${node.token.value}", shifted onto the stack`
+        : `Reduced by rule ${node.production}: ${production.lhs} ::= ${production.text}`,
+      properties: node.token ? { terminal: node.symbol } : { rule: node.production },
+      start: node.start,
+      end: node.end,
+      loc: node.token ? { start: { line: node.token.line }, end: { line: node.token.endLine } } : undefined,
+    });
+    node.children.forEach((child) => visit(child, level + 1));
+  };
+  if (roots.length === 1) {
+    visit(roots[0], 0);
+  } else {
+    allNodes.push({
+      id: 'stack',
+      type: 'stack',
+      label: 'stack',
+      children: roots.slice(),
+      level: 0,
+      position: { x: 0, y: 0 },
+      description: 'What was left on the stack when parsing stopped',
+      properties: {},
+    });
+    roots.forEach((id) => visit(id, 1));
+  }
+  const { width, height } = layoutTree(allNodes);
+  return { ...allNodes[0], allNodes, width, height };
+};
+
+// { grammar, tables, tokens, steps, tree, error } for source; steps as from
+// lrParse, tree the parse tree (or what was on the stack at an error), and
+// error { message, hint, expected, start, end }
+export function shiftReduceSteps(source, { lalr = true } = {}) {
+  const { grammar, tables } = shiftReduceTables(lalr);
+  const tokens = significantTokens(tokenize(source, 'javascript')).map((token, index) => {
+    const literal = JSON.stringify(token.value);
+    const key = TOKEN_TERMINALS[token.type] || (grammar.terminals.has(literal) ? literal : null);
+    return { ...token, index, terminals: key ? [key] : [] };
+  });
+  const { steps, nodes, root, error } = lrParse(tables, tokens);
+
+  if (error) {
+    const last = steps[steps.length - 1];
+    const token = tokens[last.cursor];
+    error.hint = token && !token.terminals.length
+      ? `The walkthrough's grammar is a small part of JavaScript and has no "${token.value}" in it.`
+      : `Here the table only has actions for ${error.expected.map((key) => (key === END_OF_INPUT ? 'the end' : key.startsWith('"') ? JSON.parse(key) : key)).join(', ')}.`;
+  }
+  const roots = root ? [root] : steps.length ? steps[steps.length - 1].symbols : [];
+  return { grammar, tables, tokens, steps, tree: roots.length ? treeFromNodes(nodes, roots, tables) : null, error };
+}
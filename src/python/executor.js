@@ -35,7 +35,7 @@ export class PythonExecutor {
     return () => this.listeners.delete(cb);
   }
 
-  async run(code) {
+  async run(code, { trace = false } = {}) {
     this.ensureWorker();
     if (!this.ready) {
       await new Promise((res) => {
@@ -43,7 +43,7 @@ export class PythonExecutor {
       });
     }
     const runId = `py_${Math.random().toString(36).slice(2)}`;
-    this.worker.postMessage({ type: 'run', token: this.token, runId, code });
+    this.worker.postMessage({ type: 'run', token: this.token, runId, code, trace });
     return runId;
   }
 
@@ -4,11 +4,12 @@
 // Protocol:
 // Host -> Worker:
 //   { type: 'init', token, indexURL? }
-//   { type: 'run', token, runId, code }
+//   { type: 'run', token, runId, code, trace? }
 // Worker -> Host (always echoes token and runId when available):
 //   { type: 'ready', token }
 //   { type: 'start', token, runId }
 //   { type: 'stdout'|'stderr', token, runId, text }
+//   { type: 'line', token, runId, line }   (with trace: each line the code runs)
 //   { type: 'result', token, runId, value }
 //   { type: 'error', token, runId, message }
 
@@ -16,6 +17,7 @@ let pyodide = null;
 let initialized = false;
 let indexURL = 'https://cdn.jsdelivr.net/pyodide/v0.24.1/full/'; // pinned version
 let currentToken = null; // token for the current executor instance
+const MAX_TRACED_LINES = 2000; // line events per run, so a long loop can't flood the host
 
 async function loadPyodideIfNeeded() {
   if (initialized) return;
@@ -83,11 +85,47 @@ sys.stdout = StdoutCatcher()
 sys.stderr = StderrCatcher()
 `);
 
+      if (msg.trace) {
+        // Report the lines of the user's code (compiled as <exec>) as they run
+        self.post_line = (line) => {
+          try {
+            self.postMessage({ type: 'line', token: currentToken, runId, line });
+          } catch (_) {}
+        };
+        await pyodide.runPythonAsync(`
+import sys
+import js
+_trace_budget = [${MAX_TRACED_LINES}]
+def _trace_lines(frame, event, arg):
+    if frame.f_code.co_filename != '<exec>':
+        return None
+    if _trace_budget[0] <= 0:
+        # Out of lines to report: stop tracing new calls and the running ones
+        sys.settrace(None)
+        while frame is not None:
+            frame.f_trace = None
+            frame = frame.f_back
+        return None
+    if event == 'line':
+        _trace_budget[0] -= 1
+        js.post_line(frame.f_lineno)
+    return _trace_lines
+sys.settrace(_trace_lines)
+`);
+      }
+
       try {
         const value = await pyodide.runPythonAsync(String(msg.code || ''));
         self.postMessage({ type: 'result', token: currentToken, runId, value: value == null ? '' : String(value) });
       } catch (err) {
         self.postMessage({ type: 'error', token: currentToken, runId, message: String((err && err.message) || err) });
+      } finally {
+        // Called from here rather than with more Python, whose lines would be traced too
+        if (msg.trace) {
+          const sys = pyodide.pyimport('sys');
+          sys.settrace(null);
+          sys.destroy();
+        }
       }
       return;
     }
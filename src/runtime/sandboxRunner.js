@@ -1,6 +1,11 @@
 // Lightweight, sandboxed JavaScript runner using an iframe
 // Streams events back to the caller via postMessage and a provided callback.
 // Usage: const stop = runJavaScript(code, { timeoutMs: 3000 }, (evt)=>{ ... });
+// Code instrumented for tracing (see flow/instrument.js) calls
+// __visitBlock(id), which is reported as a 'visit' event { block }.
+
+// Trace events kept per run, so a long loop can't flood the page
+const MAX_VISITS = 2000;
 
 export function runJavaScript(
   code,
@@ -40,6 +45,15 @@ export function runJavaScript(
         // Track the token provided by the host per execution
         let execToken = null;
 
+        // Trace probe for instrumented code; only the first visits are reported
+        let visitBudget = ${MAX_VISITS};
+        window.__visitBlock = function(id){
+          if (visitBudget > 0) {
+            visitBudget -= 1;
+            send({ __runner: true, token: execToken, type: 'visit', block: id });
+          }
+        };
+
         // Override console to pipe logs out
         const levels = ['log','info','warn','error'];
         const original = {};
@@ -102,6 +116,8 @@ export function runJavaScript(
       finished = true;
       clearTimeout(timer);
       cleanup();
+    } else if (data.type === 'visit') {
+      emit('visit', { block: data.block });
     } else if (data.type === 'start') {
       emit('start');
     } else if (data.type === 'done') {
@@ -4,6 +4,9 @@
 //   const { stop } = runCode({ language: 'javascript'|'python', code, timeoutMs }, (evt)=>{ ... })
 // Events:
 //   init, start, stdout, stderr, log, result, error, done, timeout
+// With trace: true the run also reports the path it takes: JavaScript code
+// instrumented by flow/instrument.js sends visit { block } events, and
+// Python sends line { line } for every line it runs.
 
 import { runJavaScript } from './sandboxRunner';
 import { PythonExecutor } from '../python/executor';
@@ -15,6 +18,7 @@ export function runCode(options, onEvent = () => {}) {
     timeoutMs = 5000,
     maxLogBytes = 64 * 1024,
     indexURL = null, // for Python: allow self-hosted pyodide
+    trace = false,
   } = options || {};
 
   const runId = `${language}_${Math.random().toString(36).slice(2)}`;
@@ -51,6 +55,7 @@ export function runCode(options, onEvent = () => {}) {
         budgetedEmit('stdout', evt.text, evt.level || 'log');
         emit('log', { level: evt.level || 'log', text: evt.text });
       }
+      if (evt.type === 'visit') emit('visit', { block: evt.block });
       if (evt.type === 'error') emit('error', { message: evt.message, stack: evt.stack });
       if (evt.type === 'done') emit('done');
       if (evt.type === 'timeout') emit('timeout', { message: evt.message });
@@ -66,6 +71,7 @@ export function runCode(options, onEvent = () => {}) {
       if (msg.type === 'start') emit('start');
       if (msg.type === 'stdout') budgetedEmit('stdout', msg.text, 'info');
       if (msg.type === 'stderr') budgetedEmit('stderr', msg.text, 'warn');
+      if (msg.type === 'line') emit('line', { line: msg.line });
       if (msg.type === 'result') emit('result', { value: msg.value });
       if (msg.type === 'error') emit('error', { message: msg.message });
     });
@@ -78,7 +84,7 @@ export function runCode(options, onEvent = () => {}) {
       }
     }, timeoutMs);
 
-    py.run(code).finally(() => {
+    py.run(code, { trace }).finally(() => {
       if (!finished) {
         finished = true;
         clearTimeout(timer);
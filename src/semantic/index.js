@@ -0,0 +1,77 @@
+// Semantic analysis entry point. buildSymbolTable() runs the semantic pass
+// for the code's language over the parser's AST and returns the symbol table
+// described in scopes.js, or null for languages without a parser.
+// inferTypes() then sets inferredType on the AST's nodes and returns the
+// type warnings (see types.js), and lintProgram() (lint.js) the Code
+// Doctor's findings. The other helpers answer what the panels and
+// the editor ask of a table: which name sits at a position, and which scopes
+// were searched to find it.
+
+import { javascriptSymbols } from './javascript';
+import { pythonSymbols } from './python';
+import { javascriptTypes } from './javascriptTypes';
+import { pythonTypes } from './pythonTypes';
+
+export { createScopeBuilder, findName } from './scopes';
+export { lintProgram, LINT_CHECKS } from './lint';
+
+const PASSES = {
+  javascript: javascriptSymbols,
+  python: pythonSymbols,
+};
+
+const TYPE_PASSES = {
+  javascript: javascriptTypes,
+  python: pythonTypes,
+};
+
+export function buildSymbolTable(ast, source, language) {
+  const pass = PASSES[language];
+  return pass && ast ? pass(ast, source) : null;
+}
+
+export function inferTypes(ast, source, language, symbols) {
+  const pass = TYPE_PASSES[language];
+  return pass && ast && symbols ? pass(ast, source, symbols) : [];
+}
+
+// The name at offset: { symbol, range, declaration } where declaration is
+// true on the declaration itself, or { symbol: null, range } for a name no
+// scope declares. Null when offset is not on a name.
+export function occurrenceAt(table, offset) {
+  if (!table) return null;
+  const covers = (range) => range && offset >= range.start && offset <= range.end;
+  for (let i = 0; i < table.symbols.length; i += 1) {
+    const symbol = table.symbols[i];
+    if (covers(symbol.declaration)) return { symbol, range: symbol.declaration, declaration: true };
+    const reference = symbol.references.find(covers);
+    if (reference) return { symbol, range: reference, declaration: false };
+  }
+  const unresolved = table.unresolved.find(covers);
+  return unresolved ? { symbol: null, range: unresolved, declaration: false } : null;
+}
+
+// The scopes a lookup went through from where the name is used, innermost
+// first: [{ scope, found, skipped }]. skipped marks a scope the lookup passes
+// over: a Python class body seen from inside a function, or the scope whose
+// global or nonlocal statement sends the name elsewhere.
+export function lookupPath(table, reference, symbol) {
+  const parentOf = (scope) => (scope.parent == null ? null : table.scopes[scope.parent]);
+  const start = table.scopes[reference.scope];
+  const path = [];
+  let scope = start;
+  if (reference.via) {
+    path.push({ scope: start, found: false, skipped: true });
+    scope = reference.via === 'global' ? table.scopes.find((candidate) => candidate.kind === 'global') : parentOf(start);
+  }
+  while (scope) {
+    const found = !!symbol && symbol.scope === scope.id;
+    path.push({ scope, found, skipped: !found && table.language === 'python' && scope.kind === 'class' && scope !== start });
+    if (found) break;
+    scope = parentOf(scope);
+  }
+  return path;
+}
+
+// Declaration and references of a symbol as source ranges, for highlighting
+export const symbolRanges = (symbol) => (symbol.declaration ? [symbol.declaration] : []).concat(symbol.references);
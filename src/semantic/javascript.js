@@ -0,0 +1,137 @@
+// Semantic pass for JavaScript: global, function and block scopes. var
+// declarations belong to the enclosing function (or the global scope), while
+// let, const and function declarations belong to the block they are written
+// in; a loop with let or const in its head gets a block of its own. A name is
+// looked up from the scope it is used in outwards. Assigning to a name that
+// is declared nowhere creates an implicit global, as in sloppy-mode scripts.
+
+import { createScopeBuilder } from './scopes';
+
+export const BUILTINS = new Set([
+  'console', 'Math', 'JSON', 'Object', 'Array', 'String', 'Number', 'Boolean', 'Date', 'RegExp', 'Error',
+  'Map', 'Set', 'Promise', 'Symbol', 'parseInt', 'parseFloat', 'isNaN', 'isFinite', 'undefined', 'NaN',
+  'Infinity', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'alert', 'prompt', 'document',
+  'window', 'globalThis', 'arguments',
+]);
+
+const SKIPPED_KEYS = new Set(['type', 'loc', 'start', 'end']);
+
+export function javascriptSymbols(ast, source) {
+  const { scopes, builtinScope, openScope, lookup, declare, use, finish } = createScopeBuilder(source, 'javascript', BUILTINS);
+  const globalScope = openScope('global', 'global', ast, builtinScope);
+
+  const functionScopeOf = (scope) => {
+    let current = scope;
+    while (current.kind === 'block') current = scopes[current.parent];
+    return current;
+  };
+
+  let visit;
+
+  const declarePattern = (pattern, scope, kind) => {
+    if (!pattern) return;
+    if (pattern.type === 'Identifier') declare(scope, pattern.name, kind, pattern);
+    else if (pattern.type === 'AssignmentPattern') {
+      declarePattern(pattern.left, scope, kind);
+      visit(pattern.right, scope);
+    } else if (pattern.type === 'RestElement') declarePattern(pattern.argument, scope, kind);
+  };
+
+  // Assignment targets: a plain name is written, anything else (a.b = ...) is read
+  const visitTarget = (node, scope) => {
+    if (node && node.type === 'Identifier') use(scope, node.name, node, { write: true });
+    else visit(node, scope);
+  };
+
+  const visitFunction = (node, scope) => {
+    const name = node.id ? node.id.name : node.type === 'ArrowFunctionExpression' ? 'arrow function' : 'anonymous function';
+    const inner = openScope('function', name, node, scope);
+    // A function expression's own name is only visible inside it
+    if (node.type === 'FunctionExpression' && node.id) declare(inner, node.id.name, 'function', node.id);
+    node.params.forEach((param) => declarePattern(param, inner, 'parameter'));
+    if (node.body.type === 'BlockStatement') node.body.body.forEach((statement) => visit(statement, inner));
+    else visit(node.body, inner);
+  };
+
+  visit = (node, scope) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach((child) => visit(child, scope));
+      return;
+    }
+    switch (node.type) {
+      case 'Identifier':
+        use(scope, node.name, node);
+        return;
+      case 'FunctionDeclaration':
+        if (node.id) declare(scope, node.id.name, 'function', node.id);
+        visitFunction(node, scope);
+        return;
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        visitFunction(node, scope);
+        return;
+      case 'VariableDeclaration': {
+        const target = node.kind === 'var' ? functionScopeOf(scope) : scope;
+        node.declarations.forEach((declarator) => {
+          declarePattern(declarator.id, target, node.kind);
+          visit(declarator.init, scope);
+        });
+        return;
+      }
+      case 'BlockStatement': {
+        const inner = openScope('block', 'block', node, scope);
+        visit(node.body, inner);
+        return;
+      }
+      case 'ForStatement':
+      case 'ForInStatement':
+      case 'ForOfStatement': {
+        const head = node.type === 'ForStatement' ? node.init : node.left;
+        const inner = head && head.type === 'VariableDeclaration' && head.kind !== 'var' ? openScope('block', 'for loop', node, scope) : scope;
+        if (node.type === 'ForStatement') {
+          visit([node.init, node.test, node.update], inner);
+        } else {
+          visitTarget(node.left, inner);
+          visit(node.right, inner);
+        }
+        visit(node.body, inner);
+        return;
+      }
+      case 'AssignmentExpression':
+        visitTarget(node.left, scope);
+        visit(node.right, scope);
+        return;
+      case 'UpdateExpression':
+        visitTarget(node.argument, scope);
+        return;
+      case 'MemberExpression':
+        visit(node.object, scope);
+        if (node.computed) visit(node.property, scope);
+        return;
+      case 'Property':
+        if (node.computed) visit(node.key, scope);
+        visit(node.value, scope);
+        return;
+      default:
+        Object.keys(node).forEach((key) => {
+          const child = node[key];
+          if (!SKIPPED_KEYS.has(key) && child && typeof child === 'object' && (Array.isArray(child) || typeof child.type === 'string')) visit(child, scope);
+        });
+    }
+  };
+
+  visit(ast.body, globalScope);
+
+  const resolve = ({ name, scope }) => {
+    for (let current = scopes[scope]; current; current = current.parent == null ? null : scopes[current.parent]) {
+      const symbol = lookup(current, name);
+      if (symbol) return symbol;
+    }
+    return null;
+  };
+  const unknown = (reference) => {
+    if (reference.write && !lookup(globalScope, reference.name)) declare(globalScope, reference.name, 'implicit global', reference);
+  };
+  return finish({ resolve, unknown });
+}
@@ -0,0 +1,382 @@
+// Type inference for the JavaScript subset (see types.js). Besides the
+// types of expressions it warns about the mistakes JavaScript lets through
+// quietly: adding text to a number (which glues them together as text),
+// doing other math with text (NaN unless the text holds a number), calling
+// something that isn't a function, and calling a function with more or
+// fewer arguments than it has parameters.
+
+import { UNKNOWN, joinTypes, joinEnvironments, createTypeChecker, countOf } from './types';
+
+// Types of the built-ins the teaching examples use
+const GLOBAL_TYPES = {
+  undefined: 'undefined', NaN: 'number', Infinity: 'number',
+  console: 'object', Math: 'object', JSON: 'object', document: 'object', window: 'object',
+  parseInt: 'function', parseFloat: 'function', Number: 'function', String: 'function', Boolean: 'function',
+  isNaN: 'function', prompt: 'function', alert: 'function', setTimeout: 'function', Array: 'function', Object: 'function',
+};
+// What calling a built-in function gives back
+const GLOBAL_RESULTS = {
+  parseInt: 'number', parseFloat: 'number', Number: 'number', String: 'string', Boolean: 'boolean',
+  isNaN: 'boolean', prompt: 'string', alert: 'undefined', setTimeout: 'number', Array: 'array',
+};
+// Methods and properties by the type of the value they are read from
+const MEMBER_TYPES = {
+  string: {
+    length: 'number', toUpperCase: 'string', toLowerCase: 'string', trim: 'string', slice: 'string', substring: 'string',
+    charAt: 'string', repeat: 'string', padStart: 'string', padEnd: 'string', replace: 'string', split: 'array',
+    includes: 'boolean', startsWith: 'boolean', endsWith: 'boolean', indexOf: 'number',
+  },
+  array: {
+    length: 'number', push: 'number', join: 'string', map: 'array', filter: 'array', slice: 'array', concat: 'array',
+    reverse: 'array', sort: 'array', includes: 'boolean', indexOf: 'number', forEach: 'undefined',
+  },
+  number: { toFixed: 'string', toString: 'string' },
+};
+// What the methods of the built-in objects give back (Math.PI and the like are numbers)
+const OBJECT_RESULTS = { console: 'undefined', Math: 'number', JSON: UNKNOWN, 'JSON.stringify': 'string' };
+const NUMERIC_OPERATORS = new Set(['-', '*', '/', '%', '**']);
+const COMPARISON_OPERATORS = new Set(['<', '>', '<=', '>=', '==', '!=', '===', '!==', 'in', 'instanceof']);
+const NOT_CALLABLE = new Set(['number', 'string', 'boolean', 'array', 'undefined', 'null']);
+// Types + treats as numbers (true + 1 is 2)
+const isNumeric = (type) => type.split(' | ').every((member) => ['number', 'boolean', 'null', 'undefined'].includes(member));
+// The text a string or a template without placeholders spells out, else null
+const writtenText = (node) => {
+  if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node.type === 'TemplateLiteral' && !node.expressions.length) return node.quasis[0].value.cooked;
+  return null;
+};
+const TYPE_WORDS = { string: 'text', number: 'a number', boolean: 'true/false', array: 'a list (array)', undefined: 'undefined', null: 'null', object: 'an object' };
+
+export function javascriptTypes(ast, source, symbols) {
+  const { symbolOf, annotate, snippet, warn, finish } = createTypeChecker(source, symbols);
+  // symbol id -> { params: [names], min, max, returns }
+  const signatures = new Map();
+  // Function expression node -> its signature, for the variable it is stored in
+  const expressionSignatures = new WeakMap();
+  // Function nodes already worked through (declarations are done first, for hoisting)
+  const done = new WeakSet();
+  let env = new Map();
+  // Return types of the function being worked through
+  let returns = null;
+
+  let expression;
+  let statements;
+
+  const signatureOf = (node) => {
+    const params = node.params.map((param) => (param.type === 'Identifier' ? param.name : param.type === 'AssignmentPattern' ? param.left.name : `...${param.argument.name}`));
+    const rest = node.params.some((param) => param.type === 'RestElement');
+    const required = node.params.findIndex((param) => param.type !== 'Identifier');
+    return { params, min: required === -1 ? params.length : required, max: rest ? Infinity : params.length, returns: UNKNOWN };
+  };
+
+  const describeSignature = (signature) => `function(${signature.params.join(', ')}) → ${signature.returns}`;
+
+  // Works through a function's body in an environment of its own
+  const analyzeFunction = (node, signature) => {
+    if (done.has(node)) return;
+    done.add(node);
+    const outer = env;
+    const outerReturns = returns;
+    env = new Map(outer);
+    returns = [];
+    node.params.forEach((param) => {
+      if (param.type === 'Identifier') env.set(symbolOf(param)?.id, UNKNOWN);
+      else if (param.type === 'AssignmentPattern') env.set(symbolOf(param.left)?.id, annotate(param.left, expression(param.right)));
+      else if (param.type === 'RestElement') env.set(symbolOf(param.argument)?.id, annotate(param.argument, 'array'));
+    });
+    if (node.body.type === 'BlockStatement') {
+      statements(node.body.body);
+      if (!returns.length || node.body.body[node.body.body.length - 1]?.type !== 'ReturnStatement') returns.push('undefined');
+    } else {
+      returns.push(expression(node.body));
+    }
+    signature.returns = returns.reduce(joinTypes, undefined);
+    env = outer;
+    returns = outerReturns;
+    annotate(node, describeSignature(signature));
+    if (node.id) annotate(node.id, 'function');
+  };
+
+  const variableType = (node) => {
+    const symbol = symbolOf(node);
+    if (symbol && env.has(symbol.id)) return env.get(symbol.id);
+    if (symbol && symbol.kind === 'function') return 'function';
+    if (symbol && symbol.kind === 'builtin') return GLOBAL_TYPES[node.name] || UNKNOWN;
+    return UNKNOWN;
+  };
+
+  const assign = (target, type) => {
+    const symbol = symbolOf(target);
+    if (symbol) env.set(symbol.id, type);
+    annotate(target, type);
+  };
+
+  const checkArithmetic = (node, operator, left, right) => {
+    if (operator === '+') {
+      const text = left === 'string' ? node.left : right === 'string' ? node.right : null;
+      const other = text === node.left ? right : left;
+      if (text && other === 'number') {
+        warn(node, 'text-plus-number', `You're adding text (${snippet(text)}) and a number. JavaScript glues them together as text, so "5" + 1 makes "51", not 6.`,
+          'If you meant to do math, turn the text into a number first, like Number(text).');
+      }
+      if (left === 'string' || right === 'string') return 'string';
+      return isNumeric(left) && isNumeric(right) ? 'number' : UNKNOWN;
+    }
+    const text = [node.left, node.right].find((side, index) => [left, right][index] === 'string');
+    // Text that reads as a number ("5") is turned into that number, so only
+    // text written out in the code is known to give NaN
+    const written = text ? writtenText(text) : null;
+    const notNumeric = written !== null && Number.isNaN(Number(written));
+    if (notNumeric) {
+      warn(node, 'math-with-text', `"${operator}" does math, but ${snippet(text)} is text that isn't a number, so the answer is NaN ("not a number").`,
+        'Use a number here, or turn the text into one with Number(text) if it holds digits.');
+    } else if (text) {
+      warn(node, 'math-with-text', `"${operator}" does math, but ${snippet(text)} is text, so the text is turned into a number here: "5" * 2 is 10, but "abc" * 2 is NaN ("not a number").`,
+        'Turn the text into a number yourself, like Number(text), so it is clear that it should hold a number.');
+    }
+    return 'number';
+  };
+
+  const checkCall = (node, callee, calleeType) => {
+    if (NOT_CALLABLE.has(calleeType)) {
+      warn(node, 'not-callable', `${snippet(node.callee)} is ${TYPE_WORDS[calleeType]}, not a function, so it can't be called with ( ).`,
+        'Check the name: maybe you meant a different one, or the ( ) don\'t belong here.');
+      return;
+    }
+    const symbol = callee.type === 'Identifier' ? symbolOf(callee) : null;
+    const signature = symbol && signatures.get(symbol.id);
+    if (!signature || node.arguments.some((argument) => argument.type === 'SpreadElement')) return;
+    const count = node.arguments.length;
+    if (count < signature.min) {
+      const missing = signature.params.slice(count, signature.min).join(', ');
+      warn(node, 'argument-count', `${callee.name} needs ${countOf(signature.min, 'argument')} but gets ${count}, so ${missing} will be undefined inside it.`,
+        `Give ${callee.name} a value for each of its parameters: ${signature.params.join(', ')}.`);
+    } else if (count > signature.max) {
+      warn(node, 'argument-count', `${callee.name} only takes ${countOf(signature.max, 'argument')} but gets ${count}; the extra ${count - signature.max === 1 ? 'one is' : 'ones are'} ignored.`,
+        `Check the call: ${callee.name} has the parameters (${signature.params.join(', ')}).`);
+    }
+  };
+
+  // A built-in object like Math, by name, or null
+  const builtinObject = (node) => (node.type === 'Identifier' && symbolOf(node)?.kind === 'builtin' && node.name in OBJECT_RESULTS ? node.name : null);
+
+  const memberType = (node, objectType) => {
+    if (node.computed) return objectType === 'string' ? 'string' : UNKNOWN;
+    const name = node.property.name;
+    if (builtinObject(node.object)) return /^[A-Z0-9_]+$/.test(name) ? 'number' : 'function';
+    const members = MEMBER_TYPES[objectType];
+    return (members && members[name] && (name === 'length' ? 'number' : 'function')) || UNKNOWN;
+  };
+
+  const callResult = (node) => {
+    const { callee } = node;
+    if (callee.type === 'Identifier') {
+      const symbol = symbolOf(callee);
+      if (symbol && signatures.has(symbol.id)) return signatures.get(symbol.id).returns;
+      if (symbol && symbol.kind === 'builtin') return GLOBAL_RESULTS[callee.name] || UNKNOWN;
+    }
+    if (callee.type === 'MemberExpression' && !callee.computed) {
+      const name = callee.property.name;
+      const object = builtinObject(callee.object);
+      if (object) return OBJECT_RESULTS[`${object}.${name}`] || OBJECT_RESULTS[object];
+      const members = MEMBER_TYPES[callee.object.inferredType];
+      if (members && members[name]) return members[name];
+    }
+    return UNKNOWN;
+  };
+
+  expression = (node) => {
+    if (!node) return UNKNOWN;
+    let type = UNKNOWN;
+    switch (node.type) {
+      case 'Literal':
+        type = node.value === null ? 'null' : node.regex ? 'object' : typeof node.value;
+        break;
+      case 'TemplateLiteral':
+        node.expressions.forEach(expression);
+        type = 'string';
+        break;
+      case 'Identifier':
+        type = variableType(node);
+        break;
+      case 'ArrayExpression':
+        node.elements.forEach((element) => element && expression(element.type === 'SpreadElement' ? element.argument : element));
+        type = 'array';
+        break;
+      case 'ObjectExpression':
+        node.properties.forEach((property) => {
+          if (property.type === 'SpreadElement') expression(property.argument);
+          else {
+            if (property.computed) expression(property.key);
+            expression(property.value);
+          }
+        });
+        type = 'object';
+        break;
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression': {
+        const signature = signatureOf(node);
+        analyzeFunction(node, signature);
+        expressionSignatures.set(node, signature);
+        type = 'function';
+        break;
+      }
+      case 'BinaryExpression': {
+        const left = expression(node.left);
+        const right = expression(node.right);
+        if (COMPARISON_OPERATORS.has(node.operator)) type = 'boolean';
+        else if (node.operator === '+' || NUMERIC_OPERATORS.has(node.operator)) type = checkArithmetic(node, node.operator, left, right);
+        else type = 'number';
+        break;
+      }
+      case 'LogicalExpression':
+        type = joinTypes(expression(node.left), expression(node.right));
+        break;
+      case 'UnaryExpression': {
+        const argument = expression(node.argument);
+        type = { '!': 'boolean', typeof: 'string', void: 'undefined', delete: 'boolean' }[node.operator] || 'number';
+        if (node.operator === '-' && argument === 'string') {
+          warn(node, 'math-with-text', `${snippet(node.argument)} is text, so making it negative gives NaN ("not a number").`, 'Turn the text into a number first, like Number(text).');
+        }
+        break;
+      }
+      case 'UpdateExpression':
+        expression(node.argument);
+        if (node.argument.type === 'Identifier') assign(node.argument, 'number');
+        type = 'number';
+        break;
+      case 'AssignmentExpression': {
+        const right = expression(node.right);
+        if (node.operator === '=') type = right;
+        else {
+          const left = expression(node.left);
+          const operator = node.operator.slice(0, -1);
+          type = operator === '+' || NUMERIC_OPERATORS.has(operator) ? checkArithmetic(node, operator, left, right) : UNKNOWN;
+        }
+        if (node.left.type === 'Identifier') assign(node.left, type);
+        else expression(node.left);
+        break;
+      }
+      case 'ConditionalExpression': {
+        expression(node.test);
+        type = joinTypes(expression(node.consequent), expression(node.alternate));
+        break;
+      }
+      case 'CallExpression':
+      case 'NewExpression': {
+        const calleeType = expression(node.callee);
+        node.arguments.forEach((argument) => expression(argument.type === 'SpreadElement' ? argument.argument : argument));
+        if (node.type === 'NewExpression') {
+          type = 'object';
+          break;
+        }
+        checkCall(node, node.callee, calleeType);
+        type = callResult(node);
+        break;
+      }
+      case 'MemberExpression': {
+        const objectType = expression(node.object);
+        if (node.computed) expression(node.property);
+        type = memberType(node, objectType);
+        break;
+      }
+      case 'ChainExpression':
+        type = expression(node.expression);
+        break;
+      case 'SequenceExpression':
+        type = node.expressions.map(expression).pop();
+        break;
+      default:
+        type = UNKNOWN;
+    }
+    return annotate(node, type);
+  };
+
+  // Work through both branches, then carry on with what either could have left
+  const branches = (...bodies) => {
+    const before = env;
+    const after = bodies.map((body) => {
+      env = new Map(before);
+      if (body) statement(body);
+      return env;
+    });
+    env = after.reduce(joinEnvironments);
+  };
+
+  const statement = (node) => {
+    if (!node) return;
+    switch (node.type) {
+      case 'VariableDeclaration':
+        node.declarations.forEach((declarator) => {
+          const type = declarator.init ? expression(declarator.init) : 'undefined';
+          if (declarator.id.type === 'Identifier') {
+            assign(declarator.id, type);
+            annotate(declarator, type);
+            const symbol = symbolOf(declarator.id);
+            if (symbol && expressionSignatures.has(declarator.init)) signatures.set(symbol.id, expressionSignatures.get(declarator.init));
+          }
+        });
+        break;
+      case 'FunctionDeclaration':
+        analyzeFunction(node, signatures.get(symbolOf(node.id)?.id) || signatureOf(node));
+        break;
+      case 'ExpressionStatement':
+        expression(node.expression);
+        break;
+      case 'ReturnStatement':
+        if (returns) returns.push(node.argument ? expression(node.argument) : 'undefined');
+        break;
+      case 'BlockStatement':
+        statements(node.body);
+        break;
+      case 'IfStatement':
+        expression(node.test);
+        branches(node.consequent, node.alternate);
+        break;
+      case 'WhileStatement':
+      case 'DoWhileStatement':
+        expression(node.test);
+        branches(node.body, null);
+        break;
+      case 'ForStatement':
+        statement(node.init && node.init.type === 'VariableDeclaration' ? node.init : null);
+        if (node.init && node.init.type !== 'VariableDeclaration') expression(node.init);
+        expression(node.test);
+        branches({ type: 'BlockStatement', body: [node.body, node.update && { type: 'ExpressionStatement', expression: node.update }].filter(Boolean) }, null);
+        break;
+      case 'ForInStatement':
+      case 'ForOfStatement': {
+        const iterated = expression(node.right);
+        const itemType = node.type === 'ForInStatement' ? 'string' : iterated === 'string' ? 'string' : UNKNOWN;
+        const target = node.left.type === 'VariableDeclaration' ? node.left.declarations[0].id : node.left;
+        if (target.type === 'Identifier') assign(target, itemType);
+        branches(node.body, null);
+        break;
+      }
+      case 'ThrowStatement':
+        expression(node.argument);
+        break;
+      default:
+        break;
+    }
+  };
+
+  // Function declarations are hoisted: their signatures and bodies come first
+  statements = (list) => {
+    list.forEach((node) => {
+      if (node && node.type === 'FunctionDeclaration' && node.id) {
+        const symbol = symbolOf(node.id);
+        if (symbol) signatures.set(symbol.id, signatureOf(node));
+      }
+    });
+    list.forEach((node) => {
+      if (node && node.type === 'FunctionDeclaration') statement(node);
+    });
+    list.forEach((node) => {
+      if (node && node.type !== 'FunctionDeclaration') statement(node);
+    });
+  };
+
+  statements(ast.body);
+  return finish();
+}
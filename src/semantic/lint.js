@@ -0,0 +1,304 @@
+// Beginner linter: the Code Doctor's checks. Most of them read the symbol
+// table, so they work the same for JavaScript and Python:
+//   - undeclared     a name no scope declares (with a "did you mean" guess)
+//   - implicit-global  JavaScript only: assigning a name never declared
+//   - use-before-define  reading a name above the line that gives it a value
+//   - unused         a variable, parameter, function or import never read
+//   - shadowed       a name that hides one of an outer scope or a built-in
+// The other two walk the AST's statement lists and conditions:
+//   - unreachable    statements after return, break, continue, throw or raise
+//   - assign-in-condition  JavaScript's if (x = 5); Python already refuses
+//                    that as a syntax error, with a hint, in the parser
+// Findings use the lexer's diagnostic shape with source 'lint', so the
+// editor shows them as markers next to the other diagnostics.
+
+import { createLocator } from '../parser/shared';
+import { nodeChildren } from '../parser/astGraph';
+import { BUILTINS as JAVASCRIPT_BUILTINS } from './javascript';
+import { BUILTINS as PYTHON_BUILTINS } from './python';
+
+export const LINT_CHECKS = {
+  undeclared: { icon: '❓', title: 'Undeclared names' },
+  'implicit-global': { icon: '🌍', title: 'Accidental globals' },
+  'use-before-define': { icon: '⏪', title: 'Used before they get a value' },
+  unused: { icon: '💤', title: 'Unused names' },
+  shadowed: { icon: '👥', title: 'Shadowed names' },
+  unreachable: { icon: '🚧', title: 'Unreachable code' },
+  'assign-in-condition': { icon: '🟰', title: '= inside a condition' },
+};
+
+const LANGUAGES = {
+  javascript: {
+    builtins: JAVASCRIPT_BUILTINS,
+    crash: 'ReferenceError',
+    declareHint: (name) => `Declare it before using it, like let ${name} = ...`,
+    // Statements that always leave the statement list they are in
+    exits: { ReturnStatement: 'return', ThrowStatement: 'throw', BreakStatement: 'break', ContinueStatement: 'continue' },
+    // Function declarations are hoisted, so they still work after a return
+    hoisted: (node) => node.type === 'FunctionDeclaration',
+  },
+  python: {
+    builtins: PYTHON_BUILTINS,
+    crash: 'NameError',
+    declareHint: (name) => `Give it a value first, like ${name} = ...`,
+    exits: { Return: 'return', Raise: 'raise', Break: 'break', Continue: 'continue' },
+    hoisted: () => false,
+  },
+};
+
+const EXIT_WORDS = {
+  return: 'always leaves the function',
+  throw: 'always stops with an error',
+  raise: 'always stops with an error',
+  break: 'always leaves the loop',
+  continue: 'always jumps back to the top of the loop',
+};
+
+const CONDITIONS = {
+  IfStatement: 'if',
+  WhileStatement: 'while',
+  DoWhileStatement: 'while',
+  ForStatement: 'for',
+  ConditionalExpression: '? :',
+};
+
+// Levenshtein distance, stopping early once it is over limit
+const editDistance = (a, b, limit) => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    if (Math.min(...current) > limit) return limit + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// The closest of candidates to name, if it is close enough to be a typo
+export function closestName(name, candidates) {
+  const limit = name.length <= 3 ? 1 : 2;
+  let best = null;
+  let bestDistance = limit + 1;
+  candidates.forEach((candidate) => {
+    if (candidate === name) return;
+    const distance = candidate.toLowerCase() === name.toLowerCase() ? 0.5 : editDistance(name, candidate, limit);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+// The innermost scope that starts inside within and contains offset (within
+// itself when none does)
+const scopeAt = (scopes, offset, within) => {
+  let found = within;
+  const dive = (id) => scopes[id].children.forEach((childId) => {
+    const child = scopes[childId];
+    if (child.start != null && offset >= child.start && offset < child.end) {
+      found = childId;
+      dive(childId);
+    }
+  });
+  dive(within);
+  return found;
+};
+
+export function lintProgram(ast, source, language, table) {
+  const rules = LANGUAGES[language];
+  if (!rules || !ast || !table) return [];
+  const text = String(source || '');
+  const { locAt } = createLocator(text);
+  const findings = [];
+  const { scopes, symbols } = table;
+  const python = language === 'python';
+
+  const report = ({ start, end }, code, severity, message, hint) => {
+    const to = Math.max(end, start + 1);
+    const from = locAt(start);
+    const until = locAt(to);
+    findings.push({
+      severity,
+      source: 'lint',
+      code,
+      message,
+      hint,
+      start,
+      end: to,
+      line: from.line,
+      column: from.column + 1,
+      endLine: until.line,
+      endColumn: until.column + 1,
+    });
+  };
+
+  const parentOf = (scope) => (scope.parent == null ? null : scopes[scope.parent]);
+  // Lookups from inside a Python function pass over class bodies
+  const searched = (scope, from) => !(python && scope.kind === 'class' && scope !== from);
+  const namesIn = (scope) => scope.symbols.map((id) => symbols[id]);
+  const visibleNames = (scope) => {
+    const names = new Set();
+    for (let current = scope; current && current.kind !== 'builtins'; current = parentOf(current)) {
+      if (searched(current, scope)) namesIn(current).forEach((symbol) => names.add(symbol.name));
+    }
+    return names;
+  };
+  // True when code in scope from runs as part of scope to, not later in a
+  // function called from there
+  const runsWith = (from, to) => {
+    for (let current = scopes[from]; current; current = parentOf(current)) {
+      if (current.id === to) return true;
+      if (current.kind === 'function') return false;
+    }
+    return false;
+  };
+  const reads = (symbol) => symbol.references.filter((reference) => !reference.write && !reference.via);
+
+  // typeof is the one way to read a name that may not exist without crashing
+  const typeofOperands = new Set();
+  const findTypeof = (node) => {
+    if (node.type === 'UnaryExpression' && node.operator === 'typeof' && node.argument.type === 'Identifier') typeofOperands.add(node.argument.start);
+    nodeChildren(node).forEach((child) => findTypeof(child.node));
+  };
+  if (!python) findTypeof(ast);
+
+  // Undeclared names, with a guess at what was meant
+  table.unresolved.filter((reference) => !typeofOperands.has(reference.start)).forEach((reference) => {
+    const guess = closestName(reference.name, [...visibleNames(scopes[reference.scope]), ...rules.builtins]);
+    report(
+      reference,
+      'undeclared',
+      'error',
+      `"${reference.name}" isn't declared anywhere, so this line stops with a ${rules.crash}.${guess ? ` Did you mean "${guess}"?` : ''}`,
+      guess ? `Check the spelling: "${guess}" is a name this code can see.` : rules.declareHint(reference.name),
+    );
+  });
+
+  symbols.forEach((symbol) => {
+    const scope = scopes[symbol.scope];
+    const { declaration } = symbol;
+    if (!declaration || symbol.kind === 'builtin') return;
+
+    if (symbol.kind === 'implicit global') {
+      report(declaration, 'implicit-global', 'warning',
+        `"${symbol.name}" was never declared, so this makes a global variable by accident.`,
+        `Declare it first, like let ${symbol.name} = ...`);
+      return;
+    }
+
+    // Used before it gets a value. JavaScript hoists function declarations
+    // and gives var the value undefined until its line runs; let and const
+    // (and every Python name) can't be read before their line at all. A
+    // comprehension's for clauses bind its loop variables before the
+    // expression written in front of them runs, so text order says nothing
+    // there: [n * n for n in range(5)] is fine.
+    const hoisted = (!python && symbol.kind === 'function') || scope.kind === 'comprehension';
+    const declaredHere = python && (symbol.kind === 'function' || symbol.kind === 'class')
+      ? true
+      : runsWith(scopeAt(scopes, declaration.start, symbol.scope), symbol.scope);
+    if (!hoisted && symbol.kind !== 'parameter' && declaredHere) {
+      const quiet = !python && symbol.kind === 'var';
+      const early = symbol.references.find((reference) => reference.start < declaration.start && !reference.via && runsWith(reference.scope, symbol.scope)
+        && (python || quiet ? !reference.write : true));
+      if (early) {
+        const crash = python && scope.kind === 'function' ? 'an UnboundLocalError' : `a ${rules.crash}`;
+        const sets = symbol.kind === 'function' || symbol.kind === 'class' ? 'defines it' : 'gives it a value';
+        report(early, 'use-before-define', quiet ? 'warning' : 'error',
+          quiet
+            ? `"${symbol.name}" is used before line ${declaration.line} ${sets}, so here it is still undefined.`
+            : `"${symbol.name}" is used before line ${declaration.line} ${sets}, so this line stops with ${crash}.`,
+          'Move the line that sets it above this one.');
+      }
+    }
+
+    // Never read. Names starting with _ say "unused on purpose"; a
+    // parameter is only reported when no parameter after it is used either.
+    const laterParameterUsed = symbol.kind === 'parameter' && namesIn(scope)
+      .some((other) => other.kind === 'parameter' && other.declaration && other.declaration.start > declaration.start && reads(other).length > 0);
+    const skipped = symbol.name.startsWith('_') || scope.kind === 'class' || laterParameterUsed
+      || (python && symbol.kind === 'parameter' && (symbol.name === 'self' || symbol.name === 'cls'));
+    if (!skipped && reads(symbol).length === 0) {
+      const assigned = symbol.kind !== 'parameter' && symbol.references.some((reference) => reference.write);
+      const what = symbol.kind === 'parameter' ? 'parameter' : symbol.kind === 'function' ? 'function' : symbol.kind === 'class' ? 'class' : symbol.kind === 'import' ? 'import' : 'variable';
+      const loopVariable = python && symbol.kind === 'variable' && /^\s*for\b/.test(text.slice(text.lastIndexOf('\n', declaration.start - 1) + 1, declaration.start));
+      report(declaration, 'unused', 'info',
+        assigned
+          ? `The ${what} "${symbol.name}" gets values but they are never read.`
+          : `The ${what} "${symbol.name}" is never used.`,
+        loopVariable
+          ? 'Name a loop variable you don\'t need _, like for _ in range(3).'
+          : symbol.kind === 'parameter'
+            ? 'Use it inside the function, or leave it out if the function doesn\'t need it.'
+            : 'Use it, or remove it to keep the code tidy.');
+    }
+
+    // Hides a name from an outer scope or a built-in
+    if (scope.kind === 'class' || (!python && symbol.kind === 'function' && scope.kind === 'function' && scope.name === symbol.name)) return;
+    let outer = null;
+    for (let current = parentOf(scope); current && current.kind !== 'builtins' && !outer; current = parentOf(current)) {
+      if (searched(current, scope)) outer = namesIn(current).find((other) => other.name === symbol.name && other.declaration) || null;
+    }
+    if (outer) {
+      report(declaration, 'shadowed', 'info',
+        `This "${symbol.name}" hides the ${outer.kind === 'parameter' ? 'parameter' : 'one'} from line ${outer.declaration.line}: in here, "${symbol.name}" always means this one.`,
+        'Give it a different name if you meant two separate things.');
+    } else if (rules.builtins.has(symbol.name)) {
+      report(declaration, 'shadowed', symbol.kind === 'parameter' ? 'info' : 'warning',
+        `This "${symbol.name}" hides the built-in ${symbol.name}, so it can't be used here any more.`,
+        `Pick another name, so the built-in ${symbol.name} still works.`);
+    }
+  });
+
+  // Statements after one that always leaves, and = where == was meant
+  const exitOf = (node) => {
+    if (!node) return null;
+    if (rules.exits[node.type]) return rules.exits[node.type];
+    if (node.type === 'BlockStatement') return node.body.map(exitOf).find(Boolean) || null;
+    if (node.type === 'IfStatement' && node.alternate) return exitOf(node.consequent) && exitOf(node.alternate) ? 'branches' : null;
+    if (node.type === 'If' && node.orelse.length) {
+      return node.body.map(exitOf).find(Boolean) && node.orelse.map(exitOf).find(Boolean) ? 'branches' : null;
+    }
+    return null;
+  };
+  const checkStatements = (list) => {
+    const index = list.findIndex((statement) => exitOf(statement));
+    if (index < 0) return;
+    const dead = list.slice(index + 1).filter((statement) => !rules.hoisted(statement));
+    if (!dead.length) return;
+    const exit = exitOf(list[index]);
+    const how = exit === 'branches'
+      ? `every branch of the if on line ${locAt(list[index].start).line} leaves first`
+      : `the ${exit} on line ${locAt(list[index].start).line} ${EXIT_WORDS[exit]}`;
+    report({ start: dead[0].start, end: dead[dead.length - 1].end }, 'unreachable', 'warning',
+      `This code never runs: ${how}.`,
+      'Move it above that line, or delete it.');
+  };
+  const assignmentIn = (test) => {
+    if (!test) return null;
+    if (test.type === 'AssignmentExpression' && test.operator === '=') return test;
+    if (test.type === 'LogicalExpression') return assignmentIn(test.left) || assignmentIn(test.right);
+    if (test.type === 'UnaryExpression' && test.operator === '!') return assignmentIn(test.argument);
+    return null;
+  };
+  const walk = (node) => {
+    ['body', 'orelse', 'consequent'].forEach((field) => {
+      if (Array.isArray(node[field])) checkStatements(node[field]);
+    });
+    const assignment = CONDITIONS[node.type] && assignmentIn(node.test);
+    if (assignment) {
+      const target = text.slice(assignment.left.start, assignment.left.end);
+      report(assignment, 'assign-in-condition', 'warning',
+        `This = stores a value in ${target} instead of comparing it, so the ${CONDITIONS[node.type]} checks the stored value.`,
+        `To compare, use ===, like ${target} === ${text.slice(assignment.right.start, assignment.right.end)}.`);
+    }
+    nodeChildren(node).forEach((child) => walk(child.node));
+  };
+  walk(ast);
+
+  return findings.sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
@@ -0,0 +1,205 @@
+// Semantic pass for Python with LEGB lookup: Local (the function or lambda
+// running), Enclosing functions, Global (the module) and Built-in. A name
+// bound anywhere in a function (assigned, a parameter, a def, class, import
+// or for target) is local to the whole function, unless a global or nonlocal
+// statement sends it to the module or to an enclosing function. A class body
+// is a scope of its own that the functions inside it skip, and every
+// comprehension has a scope for its loop variables.
+
+import { createScopeBuilder, findName } from './scopes';
+
+export const BUILTINS = new Set([
+  'print', 'input', 'len', 'range', 'int', 'float', 'str', 'bool', 'list', 'dict', 'set', 'tuple', 'type',
+  'abs', 'min', 'max', 'sum', 'round', 'sorted', 'reversed', 'enumerate', 'zip', 'map', 'filter', 'any', 'all',
+  'open', 'isinstance', 'hasattr', 'getattr', 'setattr', 'super', 'object', 'repr', 'chr', 'ord', 'divmod',
+  'pow', 'hex', 'bin', 'id', 'iter', 'next', 'Exception', 'ValueError', 'TypeError', 'KeyError', 'IndexError',
+  'ZeroDivisionError', 'NameError', 'StopIteration', 'True', 'False', 'None', '__name__',
+]);
+
+const SKIPPED_KEYS = new Set(['type', 'loc', 'start', 'end', 'ctx']);
+// Nodes whose insides belong to another scope, skipped when looking for global/nonlocal
+const NEW_SCOPES = new Set(['FunctionDef', 'ClassDef', 'Lambda', 'ListComp', 'SetComp', 'DictComp', 'GeneratorExp']);
+
+const childNodes = (node) => Object.keys(node)
+  .filter((key) => !SKIPPED_KEYS.has(key))
+  .map((key) => node[key])
+  .filter((child) => child && typeof child === 'object' && (Array.isArray(child) || typeof child.type === 'string'));
+
+export function pythonSymbols(ast, source) {
+  const text = String(source || '');
+  const { scopes, builtinScope, openScope, lookup, declare, use, finish } = createScopeBuilder(text, 'python', BUILTINS);
+  const moduleScope = openScope('global', 'module', ast, builtinScope);
+  // scope id -> Map name -> 'global' | 'nonlocal'
+  const redirects = new Map();
+
+  // The global and nonlocal statements of a scope's own body
+  const collectRedirects = (scope, body) => {
+    const found = new Map();
+    const scan = (node) => {
+      if (!node || typeof node !== 'object') return;
+      if (Array.isArray(node)) {
+        node.forEach(scan);
+        return;
+      }
+      if (NEW_SCOPES.has(node.type)) return;
+      if (node.type === 'Global' || node.type === 'Nonlocal') {
+        node.names.forEach((name) => found.set(name, node.type === 'Global' ? 'global' : 'nonlocal'));
+      }
+      childNodes(node).forEach(scan);
+    };
+    scan(body);
+    redirects.set(scope.id, found);
+  };
+  const redirectOf = (scope, name) => (redirects.has(scope.id) && redirects.get(scope.id).get(name)) || null;
+
+  const bind = (scope, name, kind, node) => {
+    const via = redirectOf(scope, name);
+    if (via === 'global') {
+      if (lookup(moduleScope, name)) use(scope, name, node, { write: true, via });
+      else declare(moduleScope, name, kind, node);
+    } else if (via === 'nonlocal') {
+      use(scope, name, node, { write: true, via });
+    } else {
+      declare(scope, name, kind, node);
+    }
+  };
+
+  let visit;
+
+  // Assignment and loop targets, with tuple unpacking
+  const bindTarget = (target, scope) => {
+    if (!target) return;
+    if (target.type === 'Name') bind(scope, target.id, 'variable', target);
+    else if (target.type === 'Tuple' || target.type === 'List') target.elts.forEach((element) => bindTarget(element, scope));
+    else if (target.type === 'Starred') bindTarget(target.value, scope);
+    else visit(target, scope);
+  };
+
+  // Parameters are bound in the new scope; defaults and annotations run outside it
+  const visitArguments = (args, outer, inner) => {
+    visit([args.defaults, args.kw_defaults], outer);
+    const all = [...args.posonlyargs, ...args.args, args.vararg, ...args.kwonlyargs, args.kwarg].filter(Boolean);
+    all.forEach((arg) => {
+      visit(arg.annotation, outer);
+      bind(inner, arg.arg, 'parameter', arg);
+    });
+  };
+
+  const visitComprehension = (node, scope) => {
+    const [first] = node.generators;
+    visit(first.iter, scope);
+    const inner = openScope('comprehension', 'comprehension', node, scope);
+    node.generators.forEach((generator) => {
+      if (generator !== first) visit(generator.iter, inner);
+      bindTarget(generator.target, inner);
+      visit(generator.ifs, inner);
+    });
+    visit([node.elt, node.key, node.value], inner);
+  };
+
+  // A name declared on a def, class or global line: find it after from
+  const nameNode = (name, node, from = node.start) => findName(text, name, from, node.end);
+
+  visit = (node, scope) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach((child) => visit(child, scope));
+      return;
+    }
+    switch (node.type) {
+      case 'Name':
+        if (node.ctx === 'Store') bind(scope, node.id, 'variable', node);
+        else use(scope, node.id, node, { write: node.ctx === 'Del', via: redirectOf(scope, node.id) });
+        return;
+      case 'FunctionDef': {
+        visit([node.decorator_list, node.returns], scope);
+        const inner = openScope('function', node.name, node, scope);
+        collectRedirects(inner, node.body);
+        visitArguments(node.args, scope, inner);
+        bind(scope, node.name, 'function', nameNode(node.name, node, node.start + 3));
+        visit(node.body, inner);
+        return;
+      }
+      case 'Lambda': {
+        const inner = openScope('function', 'lambda', node, scope);
+        visitArguments(node.args, scope, inner);
+        visit(node.body, inner);
+        return;
+      }
+      case 'ClassDef': {
+        visit([node.decorator_list, node.bases, node.keywords], scope);
+        bind(scope, node.name, 'class', nameNode(node.name, node, node.start + 5));
+        const inner = openScope('class', node.name, node, scope);
+        collectRedirects(inner, node.body);
+        visit(node.body, inner);
+        return;
+      }
+      case 'Assign':
+        visit(node.value, scope);
+        node.targets.forEach((target) => bindTarget(target, scope));
+        return;
+      case 'AugAssign':
+        visit(node.value, scope);
+        bindTarget(node.target, scope);
+        return;
+      case 'AnnAssign':
+        visit([node.annotation, node.value], scope);
+        bindTarget(node.target, scope);
+        return;
+      case 'For':
+        visit(node.iter, scope);
+        bindTarget(node.target, scope);
+        visit([node.body, node.orelse], scope);
+        return;
+      case 'NamedExpr': {
+        // := inside a comprehension binds in the function around it
+        let target = scope;
+        while (target.kind === 'comprehension') target = scopes[target.parent];
+        visit(node.value, scope);
+        bindTarget(node.target, target);
+        return;
+      }
+      case 'Import':
+      case 'ImportFrom':
+        node.names.forEach((alias) => {
+          if (alias.name === '*') return;
+          const name = alias.asname || alias.name.split('.')[0];
+          bind(scope, name, 'import', alias.asname ? nameNode(alias.asname, alias, alias.start + alias.name.length) : nameNode(name, alias));
+        });
+        return;
+      case 'Global':
+      case 'Nonlocal':
+        // The declaration itself; the names are bound where they are assigned
+        node.names.forEach((name) => use(scope, name, nameNode(name, node, node.start + node.type.length), { via: node.type.toLowerCase() }));
+        return;
+      case 'ListComp':
+      case 'SetComp':
+      case 'DictComp':
+      case 'GeneratorExp':
+        visitComprehension(node, scope);
+        return;
+      default:
+        childNodes(node).forEach((child) => visit(child, scope));
+    }
+  };
+
+  visit(ast.body, moduleScope);
+
+  const parentOf = (scope) => (scope.parent == null ? null : scopes[scope.parent]);
+  const resolve = ({ name, scope: id, via }) => {
+    const scope = scopes[id];
+    if (via === 'global') return lookup(moduleScope, name);
+    if (via === 'nonlocal') {
+      for (let current = parentOf(scope); current && current.kind !== 'global'; current = parentOf(current)) {
+        if (current.kind !== 'class' && lookup(current, name)) return lookup(current, name);
+      }
+      return null;
+    }
+    if (lookup(scope, name)) return lookup(scope, name);
+    for (let current = parentOf(scope); current; current = parentOf(current)) {
+      if (current.kind !== 'class' && lookup(current, name)) return lookup(current, name);
+    }
+    return null;
+  };
+  return finish({ resolve });
+}
@@ -0,0 +1,396 @@
+// Type inference for the Python subset (see types.js), with Python's type
+// names (int, float, str, bool, None, list, ...). Python stops with a
+// TypeError where JavaScript would carry on, so the warnings here are about
+// lines that will crash: adding text to a number, math with text, calling
+// something that isn't a function, and calls with the wrong number of
+// arguments.
+
+import { UNKNOWN, joinTypes, joinEnvironments, createTypeChecker, countOf } from './types';
+import { findName } from './scopes';
+
+// What calling a built-in gives back
+const BUILTIN_RESULTS = {
+  print: 'None', input: 'str', len: 'int', int: 'int', float: 'float', str: 'str', bool: 'bool', list: 'list',
+  dict: 'dict', set: 'set', tuple: 'tuple', range: 'range', sorted: 'list', round: 'int', repr: 'str', chr: 'str',
+  ord: 'int', hex: 'str', bin: 'str', isinstance: 'bool', any: 'bool', all: 'bool', enumerate: 'enumerate', zip: 'zip',
+};
+// Methods by the type of the value they are called on
+const METHOD_RESULTS = {
+  str: {
+    upper: 'str', lower: 'str', strip: 'str', title: 'str', capitalize: 'str', replace: 'str', join: 'str',
+    format: 'str', split: 'list', startswith: 'bool', endswith: 'bool', isdigit: 'bool', find: 'int', count: 'int',
+  },
+  list: { append: 'None', extend: 'None', insert: 'None', sort: 'None', reverse: 'None', index: 'int', count: 'int', copy: 'list' },
+  dict: { keys: 'dict_keys', values: 'dict_values', items: 'dict_items', copy: 'dict' },
+};
+const NUMBERS = new Set(['int', 'float', 'bool']);
+const NOT_CALLABLE = new Set(['int', 'float', 'str', 'bool', 'None', 'list', 'tuple', 'dict', 'set']);
+const TYPE_WORDS = {
+  int: 'a whole number (int)', float: 'a decimal number (float)', str: 'text (str)', bool: 'True/False (bool)',
+  None: 'None', list: 'a list', tuple: 'a tuple', dict: 'a dictionary', set: 'a set',
+};
+const OPERATOR_SYMBOLS = { Add: '+', Sub: '-', Mult: '*', Div: '/', FloorDiv: '//', Mod: '%', Pow: '**' };
+const SEQUENCES = { str: 'str', list: 'list', tuple: 'tuple' };
+
+// int + float is float, int / int is float, True + 1 is int
+const numberResult = (operator, left, right) => {
+  if (operator === 'Div') return 'float';
+  return left === 'float' || right === 'float' ? 'float' : 'int';
+};
+
+export function pythonTypes(ast, source, symbols) {
+  const text = String(source || '');
+  const { symbolOf, annotate, snippet, warn, finish } = createTypeChecker(text, symbols);
+  // symbol id -> { params, min, max, returns }, for functions and classes (their __init__)
+  const signatures = new Map();
+  const lambdaSignatures = new WeakMap();
+  let env = new Map();
+  let returns = null;
+
+  let expression;
+  let statements;
+
+  const signatureOf = (args, skipSelf = false) => {
+    const positional = [...args.posonlyargs, ...args.args].map((arg) => arg.arg).slice(skipSelf ? 1 : 0);
+    const required = positional.length - Math.min(args.defaults.length, positional.length);
+    const keywordOnly = args.kwonlyargs.filter((arg, index) => !args.kw_defaults[index]).length;
+    return {
+      params: positional.concat(args.vararg ? [`*${args.vararg.arg}`] : []),
+      min: required + keywordOnly,
+      max: args.vararg || args.kwarg ? Infinity : positional.length + args.kwonlyargs.length,
+      returns: UNKNOWN,
+    };
+  };
+
+  // The symbol a def or class statement declares
+  const definedSymbol = (node) => symbolOf(findName(text, node.name, node.start + (node.type === 'FunctionDef' ? 3 : 5), node.end));
+
+  const describeSignature = (signature) => `function(${signature.params.join(', ')}) → ${signature.returns}`;
+
+  const bindArguments = (args) => {
+    [...args.posonlyargs, ...args.args, ...args.kwonlyargs].forEach((arg) => {
+      const symbol = symbolOf(arg);
+      if (symbol) env.set(symbol.id, UNKNOWN);
+    });
+    [args.vararg, args.kwarg].forEach((arg, index) => {
+      const symbol = arg && symbolOf(arg);
+      if (symbol) env.set(symbol.id, annotate(arg, index === 0 ? 'tuple' : 'dict'));
+    });
+    // A default value tells what the parameter usually is
+    const positional = [...args.posonlyargs, ...args.args];
+    args.defaults.forEach((value, index) => {
+      const arg = positional[positional.length - args.defaults.length + index];
+      const symbol = symbolOf(arg);
+      if (symbol) env.set(symbol.id, annotate(arg, expression(value)));
+    });
+  };
+
+  const inFunction = (work) => {
+    const outer = env;
+    const outerReturns = returns;
+    env = new Map(outer);
+    returns = [];
+    const result = work();
+    env = outer;
+    returns = outerReturns;
+    return result;
+  };
+
+  const bindTarget = (target, type) => {
+    if (target.type === 'Name') {
+      const symbol = symbolOf(target);
+      if (symbol) env.set(symbol.id, type);
+      annotate(target, type);
+    } else if (target.type === 'Tuple' || target.type === 'List') {
+      target.elts.forEach((element) => bindTarget(element, type === 'str' ? 'str' : UNKNOWN));
+    } else {
+      expression(target);
+    }
+  };
+
+  const checkBinary = (node, operator, left, right, leftNode, rightNode) => {
+    const symbol = OPERATOR_SYMBOLS[operator] || operator;
+    if (operator === 'Add') {
+      if (left === 'str' && right === 'str') return 'str';
+      if (SEQUENCES[left] && left === right) return left;
+      const textNode = left === 'str' ? leftNode : right === 'str' ? rightNode : null;
+      const other = textNode === leftNode ? right : left;
+      if (textNode && NUMBERS.has(other)) {
+        warn(node, 'text-plus-number', `Python can't add text (${snippet(textNode)}) and a number together: this line will stop with a TypeError.`,
+          'Use str(number) to join them as text, or int(text) to do math.');
+        return UNKNOWN;
+      }
+    }
+    if (operator === 'Mult' && ((SEQUENCES[left] && right === 'int') || (SEQUENCES[right] && left === 'int'))) {
+      return SEQUENCES[left] || SEQUENCES[right];
+    }
+    if (operator === 'Mod' && left === 'str') return 'str';
+    if (NUMBERS.has(left) && NUMBERS.has(right)) return numberResult(operator, left, right);
+    const textNode = left === 'str' ? leftNode : right === 'str' ? rightNode : null;
+    if (textNode && (NUMBERS.has(left) || NUMBERS.has(right) || (left === 'str' && right === 'str'))) {
+      warn(node, 'math-with-text', `Python can't use "${symbol}" on text like ${snippet(textNode)} here: this line will stop with a TypeError.`,
+        'Turn the text into a number first with int(...) or float(...).');
+    }
+    return UNKNOWN;
+  };
+
+  const checkCall = (node, calleeType) => {
+    const { func } = node;
+    if (NOT_CALLABLE.has(calleeType)) {
+      warn(node, 'not-callable', `${snippet(func)} is ${TYPE_WORDS[calleeType]}, not a function, so it can't be called with ( ).`,
+        'Check the name: maybe you meant a different one, or the ( ) don\'t belong here.');
+      return;
+    }
+    const symbol = func.type === 'Name' ? symbolOf(func) : null;
+    const signature = symbol && signatures.get(symbol.id);
+    if (!signature || node.args.some((arg) => arg.type === 'Starred') || node.keywords.some((keyword) => !keyword.arg)) return;
+    const count = node.args.length + node.keywords.length;
+    if (count < signature.min) {
+      warn(node, 'argument-count', `${func.id} needs ${countOf(signature.min, 'argument')} but gets ${count}: Python will stop with a TypeError.`,
+        `Give ${func.id} a value for each of its parameters: ${signature.params.join(', ')}.`);
+    } else if (count > signature.max) {
+      warn(node, 'argument-count', `${func.id} only takes ${countOf(signature.max, 'argument')} but gets ${count}: Python will stop with a TypeError.`,
+        `Check the call: ${func.id} has the parameters (${signature.params.join(', ')}).`);
+    }
+  };
+
+  const callResult = (node) => {
+    const { func } = node;
+    if (func.type === 'Name') {
+      const symbol = symbolOf(func);
+      if (symbol && symbol.kind === 'class') return func.id;
+      if (symbol && signatures.has(symbol.id)) return signatures.get(symbol.id).returns;
+      if (symbol && symbol.kind === 'builtin') {
+        if (func.id === 'abs' && node.args.length === 1) return node.args[0].inferredType || UNKNOWN;
+        return BUILTIN_RESULTS[func.id] || UNKNOWN;
+      }
+    }
+    if (func.type === 'Attribute') {
+      const methods = METHOD_RESULTS[func.value.inferredType];
+      if (methods && methods[func.attr]) return methods[func.attr];
+    }
+    return UNKNOWN;
+  };
+
+  const constantType = (node) => {
+    if (node.value === null) return 'None';
+    if (typeof node.value === 'boolean') return 'bool';
+    if (typeof node.value === 'number') return /^(?!0[xXoObB])[\d_]*[.eE]/.test(text.slice(node.start, node.end)) ? 'float' : 'int';
+    return /^[\d.]/.test(text.slice(node.start, node.end)) ? 'complex' : 'str';
+  };
+
+  expression = (node) => {
+    if (!node) return UNKNOWN;
+    let type = UNKNOWN;
+    switch (node.type) {
+      case 'Constant':
+        type = constantType(node);
+        break;
+      case 'JoinedStr':
+        node.values.forEach(expression);
+        type = 'str';
+        break;
+      case 'FormattedValue':
+        expression(node.value);
+        break;
+      case 'Name': {
+        const symbol = symbolOf(node);
+        if (symbol && env.has(symbol.id)) type = env.get(symbol.id);
+        else if (symbol && symbol.kind === 'function') type = 'function';
+        else if (symbol && symbol.kind === 'class') type = 'class';
+        else if (symbol && symbol.kind === 'builtin') type = ['True', 'False'].includes(node.id) ? 'bool' : node.id === 'None' ? 'None' : 'function';
+        break;
+      }
+      case 'List':
+      case 'Tuple':
+      case 'Set':
+        node.elts.forEach(expression);
+        type = node.type.toLowerCase();
+        break;
+      case 'Dict':
+        [...node.keys, ...node.values].forEach(expression);
+        type = 'dict';
+        break;
+      case 'ListComp':
+      case 'SetComp':
+      case 'DictComp':
+      case 'GeneratorExp':
+        node.generators.forEach((generator) => {
+          expression(generator.iter);
+          generator.ifs.forEach(expression);
+        });
+        [node.elt, node.key, node.value].forEach(expression);
+        type = { ListComp: 'list', SetComp: 'set', DictComp: 'dict', GeneratorExp: 'generator' }[node.type];
+        break;
+      case 'Lambda': {
+        const signature = signatureOf(node.args);
+        signature.returns = inFunction(() => {
+          bindArguments(node.args);
+          return expression(node.body);
+        });
+        lambdaSignatures.set(node, signature);
+        annotate(node, describeSignature(signature));
+        return 'function';
+      }
+      case 'BinOp':
+        type = checkBinary(node, node.op, expression(node.left), expression(node.right), node.left, node.right);
+        break;
+      case 'BoolOp':
+        type = node.values.map(expression).reduce(joinTypes);
+        break;
+      case 'Compare':
+        expression(node.left);
+        node.comparators.forEach(expression);
+        type = 'bool';
+        break;
+      case 'UnaryOp': {
+        const operand = expression(node.operand);
+        if (node.op === 'Not') type = 'bool';
+        else if (operand === 'str') {
+          warn(node, 'math-with-text', `${snippet(node.operand)} is text, so Python can't make it negative: this line will stop with a TypeError.`,
+            'Turn the text into a number first with int(...) or float(...).');
+        } else if (NUMBERS.has(operand)) type = operand === 'bool' ? 'int' : operand;
+        break;
+      }
+      case 'IfExp':
+        expression(node.test);
+        type = joinTypes(expression(node.body), expression(node.orelse));
+        break;
+      case 'Call': {
+        const calleeType = expression(node.func);
+        node.args.forEach((arg) => expression(arg.type === 'Starred' ? arg.value : arg));
+        node.keywords.forEach((keyword) => expression(keyword.value));
+        checkCall(node, calleeType);
+        type = callResult(node);
+        break;
+      }
+      case 'Attribute': {
+        const objectType = expression(node.value);
+        const methods = METHOD_RESULTS[objectType];
+        if (methods && methods[node.attr]) type = 'function';
+        break;
+      }
+      case 'Subscript': {
+        const objectType = expression(node.value);
+        expression(node.slice);
+        if (objectType === 'str') type = 'str';
+        else if (node.slice.type === 'Slice' && SEQUENCES[objectType]) type = objectType;
+        break;
+      }
+      case 'Slice':
+        [node.lower, node.upper, node.step].forEach(expression);
+        break;
+      case 'NamedExpr':
+        type = expression(node.value);
+        bindTarget(node.target, type);
+        break;
+      case 'Starred':
+        expression(node.value);
+        break;
+      default:
+        break;
+    }
+    return annotate(node, type);
+  };
+
+  const branches = (...bodies) => {
+    const before = env;
+    const after = bodies.map((body) => {
+      env = new Map(before);
+      statements(body || []);
+      return env;
+    });
+    env = after.reduce(joinEnvironments);
+  };
+
+  const statement = (node) => {
+    switch (node.type) {
+      case 'Expr':
+        expression(node.value);
+        break;
+      case 'Assign': {
+        const type = expression(node.value);
+        const symbol = node.value.type === 'Lambda' && node.targets.length === 1 && node.targets[0].type === 'Name' ? symbolOf(node.targets[0]) : null;
+        if (symbol) signatures.set(symbol.id, lambdaSignatures.get(node.value));
+        node.targets.forEach((target) => bindTarget(target, type));
+        break;
+      }
+      case 'AugAssign': {
+        const type = checkBinary(node, node.op, expression(node.target), expression(node.value), node.target, node.value);
+        bindTarget(node.target, type);
+        break;
+      }
+      case 'AnnAssign':
+        bindTarget(node.target, node.value ? expression(node.value) : UNKNOWN);
+        break;
+      case 'FunctionDef': {
+        node.decorator_list.forEach(expression);
+        const symbol = definedSymbol(node);
+        const signature = (symbol && signatures.get(symbol.id)) || signatureOf(node.args);
+        const results = inFunction(() => {
+          bindArguments(node.args);
+          statements(node.body);
+          return returns;
+        });
+        const last = node.body[node.body.length - 1];
+        if (!last || last.type !== 'Return') results.push('None');
+        signature.returns = results.reduce(joinTypes);
+        annotate(node, describeSignature(signature));
+        break;
+      }
+      case 'ClassDef':
+        node.bases.forEach(expression);
+        inFunction(() => statements(node.body));
+        annotate(node, 'class');
+        break;
+      case 'Return':
+        if (returns) returns.push(node.value ? expression(node.value) : 'None');
+        break;
+      case 'If':
+        expression(node.test);
+        branches(node.body, node.orelse);
+        break;
+      case 'While':
+        expression(node.test);
+        branches(node.body, []);
+        statements(node.orelse);
+        break;
+      case 'For': {
+        const iterated = expression(node.iter);
+        const before = env;
+        env = new Map(before);
+        bindTarget(node.target, iterated === 'range' ? 'int' : iterated === 'str' ? 'str' : UNKNOWN);
+        statements(node.body);
+        env = joinEnvironments(before, env);
+        statements(node.orelse);
+        break;
+      }
+      case 'Assert':
+      case 'Raise':
+      case 'Delete':
+        [node.test, node.msg, node.exc, ...(node.targets || [])].forEach(expression);
+        break;
+      default:
+        break;
+    }
+  };
+
+  // Signatures of every def and class come first, so calls above them are checked too
+  statements = (list) => {
+    list.forEach((node) => {
+      if (node.type !== 'FunctionDef' && node.type !== 'ClassDef') return;
+      const symbol = definedSymbol(node);
+      if (!symbol) return;
+      if (node.type === 'FunctionDef') {
+        signatures.set(symbol.id, signatureOf(node.args));
+      } else {
+        const init = node.body.find((member) => member.type === 'FunctionDef' && member.name === '__init__');
+        signatures.set(symbol.id, init ? { ...signatureOf(init.args, true), returns: node.name } : { params: [], min: 0, max: 0, returns: node.name });
+      }
+    });
+    list.forEach(statement);
+  };
+
+  statements(ast.body);
+  return finish();
+}
@@ -0,0 +1,109 @@
+// Scope and symbol bookkeeping shared by the semantic passes. A pass walks
+// the AST once, opening scopes and recording every declaration and every use
+// of a name. Names are resolved afterwards, when each scope knows everything
+// declared in it: a JavaScript function may call one declared further down,
+// and a Python name assigned anywhere in a function is local to all of it.
+//
+// The symbol table is plain data, so it can come back from the analysis worker:
+//   { language,
+//     scopes:  [{ id, kind, name, parent, children, start, end, line, symbols: [symbol ids] }],
+//     symbols: [{ id, name, kind, scope, declaration: range | null, references: [reference] }],
+//     unresolved: [reference + { name }] }
+// A range is { start, end, line, column } (line 1-based, column 0-based) and
+// a reference a range plus { scope, write, via }: scope is where the name is
+// used, write is true when it is assigned, and via is 'global' or 'nonlocal'
+// when a Python declaration sent the lookup straight to another scope.
+// Scope 0 holds the built-ins the code uses; it has no declarations.
+
+import { createLocator } from '../parser/shared';
+
+export function createScopeBuilder(source, language, builtins) {
+  const { locAt } = createLocator(String(source || ''));
+  const scopes = [];
+  const symbols = [];
+  const uses = [];
+  // scope id -> Map name -> symbol, only needed while building
+  const names = new Map();
+
+  const range = ({ start, end }) => ({ start, end, ...locAt(start) });
+
+  const openScope = (kind, name, node, parent = null) => {
+    const scope = {
+      id: scopes.length,
+      kind,
+      name,
+      parent: parent ? parent.id : null,
+      children: [],
+      start: node ? node.start : null,
+      end: node ? node.end : null,
+      line: node && node.start != null ? locAt(node.start).line : null,
+      symbols: [],
+    };
+    scopes.push(scope);
+    names.set(scope.id, new Map());
+    if (parent) parent.children.push(scope.id);
+    return scope;
+  };
+
+  const lookup = (scope, name) => names.get(scope.id).get(name) || null;
+
+  // Declares name in scope at node's range. A name the scope already has
+  // keeps its first declaration, and this one counts as an assignment to it.
+  const declare = (scope, name, kind, node) => {
+    const existing = lookup(scope, name);
+    if (existing) {
+      if (node) existing.references.push({ ...range(node), scope: scope.id, write: true, via: null });
+      return existing;
+    }
+    const symbol = { id: symbols.length, name, kind, scope: scope.id, declaration: node ? range(node) : null, references: [] };
+    symbols.push(symbol);
+    names.get(scope.id).set(name, symbol);
+    scope.symbols.push(symbol.id);
+    return symbol;
+  };
+
+  const use = (scope, name, node, { write = false, via = null } = {}) => {
+    uses.push({ name, ...range(node), scope: scope.id, write, via });
+  };
+
+  const builtinScope = openScope('builtins', 'built-ins', null);
+
+  // resolve(use) finds the symbol a use refers to (or null). Names no scope
+  // declares are built-ins when the language has them; otherwise unknown(use)
+  // may declare them (JavaScript's implicit globals) before a second try.
+  const finish = ({ resolve, unknown = null }) => {
+    const attach = (symbol, reference) => {
+      const { declaration } = symbol;
+      if (declaration && declaration.start === reference.start) return;
+      const { name, ...fields } = reference;
+      symbol.references.push(fields);
+    };
+    const missing = [];
+    uses.forEach((reference) => {
+      const symbol = resolve(reference) || (builtins.has(reference.name) ? declare(builtinScope, reference.name, 'builtin', null) : null);
+      if (symbol) attach(symbol, reference);
+      else missing.push(reference);
+    });
+    if (unknown) missing.forEach((reference) => unknown(reference));
+    const unresolved = [];
+    missing.forEach((reference) => {
+      const symbol = resolve(reference);
+      if (symbol) attach(symbol, reference);
+      else unresolved.push(reference);
+    });
+    symbols.forEach((symbol) => symbol.references.sort((a, b) => a.start - b.start));
+    return { language, scopes, symbols, unresolved };
+  };
+
+  return { scopes, builtinScope, openScope, lookup, declare, use, finish };
+}
+
+// Range of the first whole-word name in source between from and to, for
+// declarations whose AST node only spans the whole statement (def f, global x)
+export function findName(source, name, from, to = source.length) {
+  const pattern = new RegExp(`(?<![\\w$])${name.replace(/[$]/g, '\\$')}(?![\\w$])`, 'g');
+  pattern.lastIndex = from;
+  const match = pattern.exec(source);
+  if (!match || match.index >= to) return { start: from, end: from };
+  return { start: match.index, end: match.index + name.length };
+}
@@ -0,0 +1,94 @@
+// Pieces shared by the type inference passes. Types are plain strings
+// ('number', 'str', 'function', ...); a value that may have one of several
+// types is a union written 'number | string', and 'unknown' means the pass
+// can't tell, so nothing is checked against it.
+//
+// The passes walk the statements in order, keeping the type of every
+// variable (by symbol id from the symbol table) in an environment. Branches
+// get a copy of it and the copies are joined afterwards, so after
+//   if (ok) { x = 1 } else { x = "one" }
+// x is 'number | string'. Every expression node gets inferredType set when
+// its type is known, which the Parse Tree shows, and suspicious operations
+// are reported as warnings in the lexer's diagnostic shape.
+
+import { createLocator } from '../parser/shared';
+
+export const UNKNOWN = 'unknown';
+// Unions with more members than this are no help to anyone
+const MAX_UNION = 3;
+
+export function joinTypes(a, b) {
+  if (a === undefined) return b;
+  if (b === undefined) return a;
+  if (a === b) return a;
+  if (a === UNKNOWN || b === UNKNOWN) return UNKNOWN;
+  const members = Array.from(new Set([...a.split(' | '), ...b.split(' | ')])).sort();
+  return members.length > MAX_UNION ? UNKNOWN : members.join(' | ');
+}
+
+// Environments: Map symbol id -> type
+export const joinEnvironments = (first, second) => {
+  const joined = new Map(first);
+  second.forEach((type, id) => joined.set(id, joinTypes(first.get(id), type)));
+  first.forEach((type, id) => {
+    if (!second.has(id)) joined.set(id, joinTypes(type, UNKNOWN));
+  });
+  return joined;
+};
+
+// Everything a pass needs besides the AST: symbol lookups by source offset,
+// node annotation, and warnings with their position worked out
+export function createTypeChecker(source, symbols) {
+  const text = String(source || '');
+  const { locAt } = createLocator(text);
+  const warnings = [];
+  const symbolAt = new Map();
+  if (symbols) {
+    symbols.symbols.forEach((symbol) => {
+      if (symbol.declaration) symbolAt.set(symbol.declaration.start, symbol);
+      symbol.references.forEach((reference) => symbolAt.set(reference.start, symbol));
+    });
+  }
+
+  const annotate = (node, type) => {
+    if (node && type && type !== UNKNOWN) node.inferredType = type;
+    return type;
+  };
+
+  // The code of node for a message, as written: a string literal brings its
+  // own quotes, and a variable is just its name
+  const snippet = (node, limit = 24) => {
+    const code = text.slice(node.start, node.end).replace(/\s+/g, ' ').trim();
+    return code.length > limit ? `${code.slice(0, limit - 1)}…` : code;
+  };
+
+  const warn = (node, code, message, hint) => {
+    const from = locAt(node.start);
+    const to = locAt(Math.max(node.end, node.start + 1));
+    if (warnings.some((warning) => warning.start === node.start && warning.code === code)) return;
+    warnings.push({
+      severity: 'warning',
+      source: 'types',
+      code,
+      message,
+      hint,
+      start: node.start,
+      end: Math.max(node.end, node.start + 1),
+      line: from.line,
+      column: from.column + 1,
+      endLine: to.line,
+      endColumn: to.column + 1,
+    });
+  };
+
+  return {
+    symbolOf: (node) => (node ? symbolAt.get(node.start) || null : null),
+    annotate,
+    snippet,
+    warn,
+    finish: () => warnings.sort((a, b) => a.start - b.start),
+  };
+}
+
+// "1 argument", "2 arguments"
+export const countOf = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;